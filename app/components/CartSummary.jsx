@@ -1,6 +1,8 @@
 import {CartForm, Money, useAnalytics} from '@shopify/hydrogen';
 import {useRouteLoaderData} from 'react-router';
+import {DeliveryPromise} from '~/components/DeliveryPromise';
 import {buildCheckoutStampFormInput} from '~/lib/checkoutStamp';
+import {getCartPickupReservation} from '~/lib/pickupReservation';
 import {
   buildWetrackedCheckoutAttributes,
   publishCheckoutStarted,
@@ -36,6 +38,10 @@ export function CartSummary({cart, layout}) {
         </strong>
       </div>
 
+      <CartPickupReservation attributes={cart?.attributes} />
+
+      <DeliveryPromise className="pz-cart-delivery-promise" />
+
       <CartCheckoutActions cart={cart} />
 
       {layout === 'page' ? (
@@ -57,6 +63,22 @@ function SummaryRow({label, amount, fallback = '-'}) {
   );
 }
 
+/**
+ * @param {{attributes?: CartApiQueryFragment['attributes']}}
+ */
+function CartPickupReservation({attributes}) {
+  const reservation = getCartPickupReservation(attributes);
+  if (!reservation) return null;
+
+  return (
+    <p className="pz-cart-pickup-reservation">
+      Reserved for pickup at <strong>{reservation.location}</strong>
+      {reservation.readyBy ? ` (${reservation.readyBy.toLowerCase()})` : ''}.
+      You can still choose delivery at checkout.
+    </p>
+  );
+}
+
 /**
  * @param {{cart: OptimisticCart<CartApiQueryFragment | null>}}
  */
@@ -0,0 +1,40 @@
+import {useDeliveryPromise} from '~/hooks/useDeliveryPromise';
+import {formatDeliveryOverview, formatDeliveryPromise} from '~/lib/storeHours';
+import {STORE_HOURS} from '~/lib/storeHoursConfig';
+
+const REGIONS = Object.entries(STORE_HOURS.delivery.regions);
+
+/**
+ * Delivery countdown with a region switch, e.g. "Order within 2h 14m for
+ * same-day delivery in Beirut". Server render shows the usual promise per
+ * region until the client clock starts.
+ * @param {{className?: string}}
+ */
+export function DeliveryPromise({className = ''}) {
+  const {region, setRegion, promise} = useDeliveryPromise();
+
+  return (
+    <div className={`pz-delivery-promise ${className}`.trim()}>
+      <div
+        className="pz-delivery-promise-regions"
+        role="group"
+        aria-label="Delivery area"
+      >
+        {REGIONS.map(([key, {label}]) => (
+          <button
+            key={key}
+            type="button"
+            className="pz-delivery-promise-region"
+            aria-pressed={region === key}
+            onClick={() => setRegion(key)}
+          >
+            {label.charAt(0).toUpperCase() + label.slice(1)}
+          </button>
+        ))}
+      </div>
+      <p className="pz-delivery-promise-text" aria-live="polite">
+        {promise ? formatDeliveryPromise(promise) : formatDeliveryOverview()}
+      </p>
+    </div>
+  );
+}
@@ -3,7 +3,12 @@ import {Await, NavLink, useLocation} from 'react-router';
 import {useAnalytics, useOptimisticCart} from '@shopify/hydrogen';
 import {useAside} from '~/components/Aside';
 import {ProductMoney} from '~/components/ProductPrice';
+import {useCatalogIndexSearch} from '~/lib/catalogIndex';
 import {SearchFormPredictive} from '~/components/SearchFormPredictive';
+import {
+  SearchSuggestions,
+  handleSearchOptionKeyDown,
+} from '~/components/SearchSuggestions';
 import fullLogo from '~/assets/full-logo.avif';
 import miniLogo from '~/assets/mini-logo.webp';
 
@@ -300,6 +305,7 @@ function SearchToggle({isOpen, onToggle}) {
 function HeaderSearchPanel({onClose}) {
   const [searchTerm, setSearchTerm] = useState('');
   const panelRef = useRef(null);
+  const localProducts = useCatalogIndexSearch(searchTerm.trim(), {limit: 20});
 
   useEffect(() => {
     const input = panelRef.current?.querySelector('input[name="q"]');
@@ -312,6 +318,15 @@ function HeaderSearchPanel({onClose}) {
     return () => window.cancelAnimationFrame(frameId);
   }, []);
 
+  useEffect(() => {
+    const panel = panelRef.current;
+    if (!panel) return undefined;
+
+    panel.addEventListener('keydown', handleSearchOptionKeyDown);
+    return () =>
+      panel.removeEventListener('keydown', handleSearchOptionKeyDown);
+  }, []);
+
   return (
     <div
       ref={panelRef}
@@ -327,9 +342,15 @@ function HeaderSearchPanel({onClose}) {
       >
         {({fetchResults, inputRef, fetcher, goToSearch}) => {
           const term = searchTerm.trim();
-          const products = fetcher?.data?.result?.items?.products || [];
           const isLoading =
             fetcher?.state === 'loading' || fetcher?.state === 'submitting';
+          // Catalog index matches show on the first keystroke; the server
+          // results replace them once they arrive for the current term.
+          const hasServerResults = !isLoading && fetcher?.data?.term === term;
+          const isShowingLocal = !hasServerResults && localProducts.length > 0;
+          const products = isShowingLocal
+            ? localProducts
+            : fetcher?.data?.result?.items?.products || [];
           const viewAllHref = `/search?q=${encodeURIComponent(term)}`;
 
           return (
@@ -368,10 +389,14 @@ function HeaderSearchPanel({onClose}) {
               </div>
 
               {term ? (
-                isLoading ? (
+                isLoading && !isShowingLocal ? (
                   <p className="pz-header-search-state">Searching...</p>
                 ) : products.length ? (
-                  <div className="pz-header-search-results" role="list">
+                  <div
+                    className="pz-header-search-results"
+                    role="list"
+                    aria-busy={isShowingLocal && isLoading}
+                  >
                     {products.slice(0, 20).map((product) => {
                       const image =
                         product?.selectedOrFirstAvailableVariant?.image || null;
@@ -380,11 +405,14 @@ function HeaderSearchPanel({onClose}) {
                       return (
                         <NavLink
                           key={product.id}
-                          to={`/products/${product.handle}`}
+                          to={
+                            product.variantUrl || `/products/${product.handle}`
+                          }
                           prefetch="intent"
                           className="pz-header-search-item"
                           onClick={onClose}
                           role="listitem"
+                          data-search-option
                         >
                           {image?.url ? (
                             <img
@@ -417,6 +445,7 @@ function HeaderSearchPanel({onClose}) {
                       className="pz-header-search-view-all"
                       onClick={onClose}
                       role="listitem"
+                      data-search-option
                     >
                       View all results
                     </NavLink>
@@ -426,7 +455,9 @@ function HeaderSearchPanel({onClose}) {
                     No products found for <q>{term}</q>.
                   </p>
                 )
-              ) : null}
+              ) : (
+                <SearchSuggestions onNavigate={onClose} />
+              )}
             </>
           );
         }}
@@ -117,3 +117,23 @@ export function WishlistCheckedIcon({className = ''}) {
     </svg>
   );
 }
+
+export function CompareIcon({className = ''}) {
+  return (
+    <svg
+      className={className}
+      viewBox="0 0 24 24"
+      fill="none"
+      aria-hidden="true"
+      focusable="false"
+    >
+      <path
+        d="M7 4L3 8L7 12M3 8H17M17 12L21 16L17 20M21 16H7"
+        stroke="currentColor"
+        strokeWidth="1.5"
+        strokeLinecap="round"
+        strokeLinejoin="round"
+      />
+    </svg>
+  );
+}
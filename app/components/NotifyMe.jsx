@@ -0,0 +1,105 @@
+import {useState} from 'react';
+import {useFetcher} from 'react-router';
+import {isZeroPrice} from '~/lib/pricing';
+import {
+  getNotifyMeKind,
+  NOTIFY_ME_BACK_IN_STOCK,
+} from '~/lib/notifyMe/subscription';
+
+/**
+ * "Notify me" signup for the selected variant: back in stock while it is
+ * sold out, a price alert otherwise. Sold-out and "Call for price" variants
+ * show the form straight away; for the rest it sits behind a link. Key it
+ * by variant id so switching options starts over.
+ * @param {{variant: import('~/lib/notifyMe/subscription').NotifyMeVariant | null | undefined}}
+ */
+export function NotifyMe({variant}) {
+  const kind = getNotifyMeKind(variant);
+  const isCallForPrice = isZeroPrice(variant?.price);
+  const [isOpen, setIsOpen] = useState(
+    kind === NOTIFY_ME_BACK_IN_STOCK || isCallForPrice,
+  );
+
+  if (!kind || !variant) return null;
+
+  const label =
+    kind === NOTIFY_ME_BACK_IN_STOCK
+      ? 'Get notified when it is back in stock'
+      : isCallForPrice
+        ? 'Get notified when it is priced online'
+        : 'Get notified if the price drops';
+
+  if (!isOpen) {
+    return (
+      <button
+        type="button"
+        className="pz-inline-link pz-notify-me-toggle"
+        onClick={() => setIsOpen(true)}
+      >
+        {label}
+      </button>
+    );
+  }
+
+  return <NotifyMeForm kind={kind} variantId={variant.id} label={label} />;
+}
+
+/**
+ * @param {{
+ *   kind: import('~/lib/notifyMe/subscription').NotifyMeKind;
+ *   variantId: string;
+ *   label: string;
+ * }}
+ */
+function NotifyMeForm({kind, variantId, label}) {
+  /** @type {import('react-router').FetcherWithComponents<NotifyMeActionData>} */
+  const fetcher = useFetcher();
+  const errors = fetcher.data?.errors || {};
+  const isSubmitting = fetcher.state !== 'idle';
+
+  if (fetcher.data?.ok) {
+    return (
+      <p className="pz-notify-me-done" role="status">
+        {fetcher.data.confirm
+          ? 'Almost done: open the link we just sent you to confirm the alert.'
+          : "You already have this alert. We'll message you as soon as it changes."}
+      </p>
+    );
+  }
+
+  return (
+    <fetcher.Form
+      method="post"
+      action="/api/notify-me"
+      className="pz-notify-me"
+    >
+      <input type="hidden" name="kind" value={kind} />
+      <input type="hidden" name="variantId" value={variantId} />
+      <label htmlFor={`notify-me-${kind}`}>{label}</label>
+      <div className="pz-notify-me-row">
+        <input
+          id={`notify-me-${kind}`}
+          type="text"
+          name="contact"
+          autoComplete="email"
+          placeholder="Email or phone number"
+          required
+        />
+        <button
+          type="submit"
+          className="pz-btn pz-btn-secondary"
+          disabled={isSubmitting}
+        >
+          {isSubmitting ? 'Saving…' : 'Notify me'}
+        </button>
+      </div>
+      {errors.contact || errors.form ? (
+        <p className="pz-notify-me-error" role="alert">
+          {errors.contact || errors.form}
+        </p>
+      ) : null}
+    </fetcher.Form>
+  );
+}
+
+/** @typedef {{ok: boolean; confirm?: boolean; errors: Record<string, string> | null}} NotifyMeActionData */
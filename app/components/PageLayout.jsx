@@ -1,10 +1,11 @@
-import {Await, Link} from 'react-router';
+import {Await, Link, useLocation} from 'react-router';
 import {Suspense} from 'react';
 import {Aside} from '~/components/Aside';
 import {Footer} from '~/components/Footer';
 import {Header, HeaderMenu} from '~/components/Header';
 import {CartMain} from '~/components/CartMain';
-import {WishlistCheckedIcon} from '~/components/Icons';
+import {CompareIcon, WishlistCheckedIcon} from '~/components/Icons';
+import {useCompare} from '~/hooks/useCompare';
 import {useWishlist} from '~/hooks/useWishlist';
 
 /**
@@ -47,6 +48,7 @@ export function PageLayout({
           menuCollectionAvailability={menuCollectionAvailability}
           publicStoreDomain={publicStoreDomain}
         />
+        <CompareBar />
         <DesktopWishlistButton />
         <DesktopWhatsAppButton />
         <MobileBottomNav />
@@ -172,6 +174,22 @@ function MobileBottomNav() {
   );
 }
 
+function CompareBar() {
+  const {count} = useCompare();
+  const {pathname} = useLocation();
+
+  if (!count || pathname.endsWith('/compare')) return null;
+
+  return (
+    <Link className="pz-compare-bar" to="/compare" prefetch="intent">
+      <CompareIcon className="pz-compare-bar-icon" />
+      <span>
+        Compare {count} {count === 1 ? 'product' : 'products'}
+      </span>
+    </Link>
+  );
+}
+
 function DesktopWishlistButton() {
   return (
     <Link
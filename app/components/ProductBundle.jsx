@@ -0,0 +1,254 @@
+import {Suspense, useState} from 'react';
+import {Await, Link} from 'react-router';
+import {CartForm, Money} from '@shopify/hydrogen';
+import {useAside} from '~/components/Aside';
+import {ProductPrice} from '~/components/ProductPrice';
+import {
+  BUNDLE_ADD_ACTION,
+  getBundleAccessories,
+  getBundleTotal,
+} from '~/lib/bundles';
+import {isZeroPrice} from '~/lib/pricing';
+
+/**
+ * "Frequently bought together": the product with up to three accessories
+ * the shopper can tick and add in one go. When the product has a
+ * `custom.bundle_discount_code`, the cart action applies it after adding the
+ * lines, keeping any codes already on the cart.
+ * @param {{
+ *   product: {id: string; title: string; images?: {nodes: BundleImage[]}};
+ *   selectedVariant: BundleVariant | null | undefined;
+ *   bundle: Promise<ProductBundleQuery | null> | ProductBundleQuery | null;
+ * }}
+ */
+export function ProductBundle({product, selectedVariant, bundle}) {
+  if (
+    !selectedVariant?.availableForSale ||
+    isZeroPrice(selectedVariant.price)
+  ) {
+    return null;
+  }
+
+  return (
+    <Suspense fallback={null}>
+      <Await resolve={bundle}>
+        {(data) => {
+          const accessories = getBundleAccessories({
+            productId: product.id,
+            metafieldProducts: data?.product?.bundleProducts?.references?.nodes,
+            recommendedProducts: data?.productRecommendations,
+          });
+          if (!accessories.length) return null;
+
+          return (
+            <BundleSection
+              key={selectedVariant.id}
+              product={product}
+              selectedVariant={selectedVariant}
+              accessories={accessories}
+              discountCode={
+                data?.product?.bundleDiscountCode?.value?.trim() || ''
+              }
+            />
+          );
+        }}
+      </Await>
+    </Suspense>
+  );
+}
+
+/**
+ * @param {{
+ *   product: {id: string; title: string; images?: {nodes: BundleImage[]}};
+ *   selectedVariant: BundleVariant;
+ *   accessories: BundleProductFragment[];
+ *   discountCode: string;
+ * }}
+ */
+function BundleSection({product, selectedVariant, accessories, discountCode}) {
+  const {open} = useAside();
+  const [selectedIds, setSelectedIds] = useState(
+    () => new Set(accessories.map((accessory) => accessory.id)),
+  );
+  const items = [
+    {
+      id: product.id,
+      title: product.title,
+      handle: null,
+      image: selectedVariant.image || product.images?.nodes?.[0],
+      variant: selectedVariant,
+      isCurrent: true,
+    },
+    ...accessories.map((accessory) => ({
+      id: accessory.id,
+      title: accessory.title,
+      handle: accessory.handle,
+      image:
+        accessory.selectedOrFirstAvailableVariant.image ||
+        accessory.featuredImage,
+      variant: accessory.selectedOrFirstAvailableVariant,
+      isCurrent: false,
+    })),
+  ];
+  const chosen = items.filter(
+    (item) => item.isCurrent || selectedIds.has(item.id),
+  );
+  const total = getBundleTotal(chosen.map((item) => item.variant));
+  const applyDiscount = Boolean(discountCode) && chosen.length > 1;
+
+  const toggle = (id) =>
+    setSelectedIds((current) => {
+      const next = new Set(current);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  return (
+    <section className="pz-product-section pz-bundle">
+      <div className="pz-section-head">
+        <div>
+          <p className="pz-kicker">Complete the setup</p>
+          <h2>Frequently Bought Together</h2>
+        </div>
+      </div>
+
+      <div className="pz-bundle-body">
+        <ul className="pz-bundle-items">
+          {items.map((item) => {
+            const isChosen = item.isCurrent || selectedIds.has(item.id);
+
+            return (
+              <li
+                key={item.id}
+                className={`pz-bundle-item${isChosen ? '' : ' is-excluded'}`}
+              >
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={isChosen}
+                    disabled={item.isCurrent}
+                    onChange={() => toggle(item.id)}
+                  />
+                  {item.image?.url ? (
+                    <img
+                      src={withImageWidth(item.image.url, 160)}
+                      alt={item.image.altText || item.title}
+                      loading="lazy"
+                      width={80}
+                      height={80}
+                    />
+                  ) : (
+                    <span className="pz-image-placeholder" aria-hidden="true" />
+                  )}
+                  <span className="pz-bundle-item-text">
+                    <span className="pz-bundle-item-title">
+                      {item.isCurrent ? (
+                        <>
+                          <strong>This item:</strong> {item.title}
+                        </>
+                      ) : (
+                        item.title
+                      )}
+                    </span>
+                    <ProductPrice
+                      price={item.variant.price}
+                      compareAtPrice={item.variant.compareAtPrice}
+                    />
+                  </span>
+                </label>
+                {item.handle ? (
+                  <Link
+                    to={`/products/${item.handle}`}
+                    className="pz-inline-link pz-bundle-item-link"
+                    prefetch="intent"
+                  >
+                    View
+                  </Link>
+                ) : null}
+              </li>
+            );
+          })}
+        </ul>
+
+        <div className="pz-bundle-summary">
+          <p className="pz-bundle-total">
+            Total for {chosen.length} {chosen.length === 1 ? 'item' : 'items'}
+            {total ? (
+              <>
+                : <Money data={total} />
+              </>
+            ) : null}
+          </p>
+          {applyDiscount ? (
+            <p className="pz-bundle-discount">
+              Buy them together and the bundle code{' '}
+              <strong>{discountCode}</strong> is added to your cart.
+            </p>
+          ) : null}
+          <CartForm
+            route="/cart"
+            action={BUNDLE_ADD_ACTION}
+            inputs={{
+              lines: chosen.map((item) => ({
+                merchandiseId: item.variant.id,
+                quantity: 1,
+              })),
+              discountCode: applyDiscount ? discountCode : '',
+            }}
+          >
+            {(fetcher) => (
+              <BundleAddState
+                fetcher={fetcher}
+                itemCount={chosen.length}
+                onAdd={() => open('cart')}
+              />
+            )}
+          </CartForm>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+/**
+ * @param {{
+ *   fetcher: import('react-router').FetcherWithComponents<any>;
+ *   itemCount: number;
+ *   onAdd: () => void;
+ * }}
+ */
+function BundleAddState({fetcher, itemCount, onAdd}) {
+  const isIdle = fetcher.state === 'idle';
+  const error = isIdle ? fetcher.data?.errors?.[0]?.message : null;
+
+  return (
+    <>
+      <button
+        type="submit"
+        className="pz-btn pz-btn-primary pz-bundle-add"
+        onClick={onAdd}
+        disabled={!isIdle}
+      >
+        {isIdle
+          ? `Add ${itemCount === 1 ? 'to cart' : `all ${itemCount} to cart`}`
+          : 'Adding…'}
+      </button>
+      {error ? (
+        <p className="pz-bundle-error" role="alert">
+          {error}
+        </p>
+      ) : null}
+    </>
+  );
+}
+
+function withImageWidth(url, width) {
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}width=${width}`;
+}
+
+/** @typedef {import('storefrontapi.generated').ProductBundleQuery} ProductBundleQuery */
+/** @typedef {import('storefrontapi.generated').BundleProductFragment} BundleProductFragment */
+/** @typedef {import('storefrontapi.generated').ProductVariantFragment} BundleVariant */
+/** @typedef {{url: string; altText?: string | null}} BundleImage */
@@ -2,6 +2,7 @@ import {Link, useNavigate} from 'react-router';
 import {AddToCartButton} from './AddToCartButton';
 import {AskForPriceLink} from './AskForPriceLink';
 import {useAside} from './Aside';
+import {NotifyMe} from './NotifyMe';
 import {ASK_FOR_PRICE_LABEL, isZeroPrice} from '~/lib/pricing';
 
 /**
@@ -10,6 +11,7 @@ import {ASK_FOR_PRICE_LABEL, isZeroPrice} from '~/lib/pricing';
  *   selectedVariant: ProductFragment['selectedOrFirstAvailableVariant'];
  *   productHandle?: string;
  *   quantity?: number;
+ *   notifyMe?: boolean;
  * }}
  */
 export function ProductForm({
@@ -17,6 +19,7 @@ export function ProductForm({
   selectedVariant,
   productHandle,
   quantity = 1,
+  notifyMe = false,
 }) {
   const navigate = useNavigate();
   const {open} = useAside();
@@ -139,6 +142,10 @@ export function ProductForm({
           {selectedVariant?.availableForSale ? 'Add to Cart' : 'Sold out'}
         </AddToCartButton>
       )}
+
+      {notifyMe ? (
+        <NotifyMe key={selectedVariant?.id} variant={selectedVariant} />
+      ) : null}
     </div>
   );
 }
@@ -3,9 +3,13 @@ import {Link} from 'react-router';
 import {useVariantUrl} from '~/lib/variants';
 import {AddToCartButton} from '~/components/AddToCartButton';
 import {useAside} from '~/components/Aside';
-import {PlusIcon} from '~/components/Icons';
+import {CompareIcon, PlusIcon} from '~/components/Icons';
 import {ProductPrice} from '~/components/ProductPrice';
+import {ProductRating} from '~/components/ProductRating';
+import {useCompare} from '~/hooks/useCompare';
+import {toCompareEntry} from '~/lib/compare';
 import {isZeroPrice} from '~/lib/pricing';
+import {getProductRating} from '~/lib/reviews/rating.js';
 
 /**
  * @param {{
@@ -16,9 +20,17 @@ import {isZeroPrice} from '~/lib/pricing';
  *     | HomeProduct;
  *   loading?: 'eager' | 'lazy';
  *   showAddToCart?: boolean;
+ *   showCompare?: boolean;
+ *   onClick?: React.MouseEventHandler<HTMLAnchorElement>;
  * }}
  */
-export function ProductItem({product, loading, showAddToCart = false}) {
+export function ProductItem({
+  product,
+  loading,
+  showAddToCart = false,
+  showCompare = true,
+  onClick,
+}) {
   const variantUrl = useVariantUrl(product.handle);
   const selectedVariant = product.selectedOrFirstAvailableVariant || null;
   const variantSwatches = useMemo(() => {
@@ -78,10 +90,23 @@ export function ProductItem({product, loading, showAddToCart = false}) {
   const cartVariant = displayVariant || selectedVariant;
   const shouldAskForPrice = isZeroPrice(displayPrice);
   const {open} = useAside();
+  const {
+    isFull: isCompareFull,
+    hasProduct,
+    toggleEntry,
+    removeProduct,
+  } = useCompare();
+  const isCompared = hasProduct(product.handle);
+  const rating = getProductRating(product);
 
   return (
     <article className="pz-product-card" key={product.id}>
-      <Link className="pz-product-card-link" prefetch="intent" to={variantUrl}>
+      <Link
+        className="pz-product-card-link"
+        prefetch="intent"
+        to={variantUrl}
+        onClick={onClick}
+      >
         <div className="pz-product-media">
           {imageUrl ? (
             <img
@@ -100,6 +125,7 @@ export function ProductItem({product, loading, showAddToCart = false}) {
         <div className="pz-product-meta">
           <div className="pz-product-topline">
             <span>{(product.vendor || 'TECH').toUpperCase()}</span>
+            <ProductRating rating={rating} className="pz-product-card-rating" />
           </div>
           <h3>{product.title}</h3>
         </div>
@@ -159,6 +185,32 @@ export function ProductItem({product, loading, showAddToCart = false}) {
         </div>
       </div>
 
+      {showCompare ? (
+        <button
+          type="button"
+          className={`pz-card-compare-btn${isCompared ? ' is-active' : ''}`}
+          onClick={() =>
+            isCompared
+              ? removeProduct(product.handle)
+              : toggleEntry(toCompareEntry(product.handle, displayVariant?.id))
+          }
+          aria-pressed={isCompared}
+          disabled={!isCompared && isCompareFull}
+          aria-label={
+            isCompared
+              ? `Remove ${product.title} from comparison`
+              : `Compare ${product.title}`
+          }
+          title={
+            !isCompared && isCompareFull
+              ? 'You can compare up to four products'
+              : undefined
+          }
+        >
+          <CompareIcon className="pz-card-compare-icon" />
+        </button>
+      ) : null}
+
       {showAddToCart && !shouldAskForPrice && cartVariant?.id ? (
         <AddToCartButton
           disabled={!cartVariant.availableForSale}
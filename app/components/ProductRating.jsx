@@ -0,0 +1,46 @@
+/**
+ * Star rating with the average and review count, e.g. "★★★★☆ 4.3 (12)".
+ * @param {{
+ *   rating: import('~/lib/reviews/rating.js').RatingAggregate | null;
+ *   className?: string;
+ * }}
+ */
+export function ProductRating({rating, className = ''}) {
+  if (!rating) return null;
+
+  const fill = Math.max(
+    0,
+    Math.min(100, (rating.ratingValue / rating.bestRating) * 100),
+  );
+  const label = `Rated ${rating.ratingValue} out of ${rating.bestRating} from ${
+    rating.reviewCount
+  } ${rating.reviewCount === 1 ? 'review' : 'reviews'}`;
+
+  return (
+    <span className={`pz-rating ${className}`.trim()} title={label}>
+      <StarRating fill={fill} />
+      <span className="sr-only">{label}</span>
+      <span className="pz-rating-value" aria-hidden="true">
+        {rating.ratingValue.toFixed(1)}
+      </span>
+      <span className="pz-rating-count" aria-hidden="true">
+        ({rating.reviewCount})
+      </span>
+    </span>
+  );
+}
+
+/**
+ * Five stars filled to `fill` percent.
+ * @param {{fill: number}}
+ */
+export function StarRating({fill}) {
+  return (
+    <span className="pz-rating-stars" aria-hidden="true">
+      <span className="pz-rating-stars-empty">★★★★★</span>
+      <span className="pz-rating-stars-fill" style={{width: `${fill}%`}}>
+        ★★★★★
+      </span>
+    </span>
+  );
+}
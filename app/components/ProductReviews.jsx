@@ -0,0 +1,298 @@
+import {Suspense, useState} from 'react';
+import {Await, useFetcher} from 'react-router';
+import {ProductRating, StarRating} from '~/components/ProductRating';
+import {RATING_SCALE_MAX} from '~/lib/reviews/rating.js';
+import {
+  REVIEW_HONEYPOT_FIELD,
+  REVIEW_LIMITS,
+} from '~/lib/reviews/submission.js';
+
+/**
+ * Approved reviews and answered questions for the product page, with forms
+ * that send new ones to the moderation queue.
+ * @param {{
+ *   productId: string;
+ *   productTitle: string;
+ *   reviews: Promise<PublishedReviews | null> | PublishedReviews | null;
+ * }}
+ */
+export function ProductReviews({productId, productTitle, reviews}) {
+  const [activeForm, setActiveForm] = useState(
+    /** @type {'review' | 'question' | null} */ (null),
+  );
+
+  return (
+    <section className="pz-product-section pz-reviews" id="reviews">
+      <div className="pz-section-head">
+        <div>
+          <p className="pz-kicker">Customer feedback</p>
+          <h2>Reviews &amp; Questions</h2>
+        </div>
+        <div className="pz-section-head-actions">
+          <button
+            type="button"
+            className="pz-inline-link"
+            aria-expanded={activeForm === 'review'}
+            onClick={() =>
+              setActiveForm((current) =>
+                current === 'review' ? null : 'review',
+              )
+            }
+          >
+            Write a review
+          </button>
+          <button
+            type="button"
+            className="pz-inline-link"
+            aria-expanded={activeForm === 'question'}
+            onClick={() =>
+              setActiveForm((current) =>
+                current === 'question' ? null : 'question',
+              )
+            }
+          >
+            Ask a question
+          </button>
+        </div>
+      </div>
+
+      {activeForm ? (
+        <ReviewForm
+          key={activeForm}
+          kind={activeForm}
+          productId={productId}
+          productTitle={productTitle}
+        />
+      ) : null}
+
+      <Suspense fallback={<p className="pz-reviews-empty">Loading reviews…</p>}>
+        <Await resolve={reviews}>
+          {(published) => <PublishedReviewList published={published} />}
+        </Await>
+      </Suspense>
+    </section>
+  );
+}
+
+/**
+ * @param {{published: PublishedReviews | null}}
+ */
+function PublishedReviewList({published}) {
+  if (!published) {
+    return (
+      <p className="pz-reviews-empty">Reviews are unavailable right now.</p>
+    );
+  }
+
+  const {aggregate, reviews, questions} = published;
+
+  return (
+    <div className="pz-reviews-grid">
+      <div className="pz-reviews-column">
+        <h3>Reviews</h3>
+        {aggregate ? (
+          <ProductRating rating={aggregate} className="pz-reviews-summary" />
+        ) : null}
+        {reviews.length ? (
+          <ul className="pz-reviews-list">
+            {reviews.map((review) => (
+              <li key={review.id} className="pz-review">
+                <StarRating fill={(review.rating / RATING_SCALE_MAX) * 100} />
+                <span className="sr-only">
+                  {review.rating} out of {RATING_SCALE_MAX}
+                </span>
+                {review.title ? <h4>{review.title}</h4> : null}
+                <p>{review.body}</p>
+                {review.answer ? (
+                  <p className="pz-review-answer">
+                    <strong>Pixel Zones:</strong> {review.answer}
+                  </p>
+                ) : null}
+                <p className="pz-review-byline">
+                  {review.authorName} · {formatReviewDate(review.createdAt)}
+                </p>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="pz-reviews-empty">
+            No reviews yet. Be the first to share your experience.
+          </p>
+        )}
+      </div>
+
+      <div className="pz-reviews-column">
+        <h3>Questions</h3>
+        {questions.length ? (
+          <ul className="pz-reviews-list">
+            {questions.map((question) => (
+              <li key={question.id} className="pz-review">
+                <p className="pz-review-question">
+                  <strong>Q:</strong> {question.body}
+                </p>
+                <p className="pz-review-answer">
+                  <strong>A:</strong> {question.answer}
+                </p>
+                <p className="pz-review-byline">
+                  Asked by {question.authorName} ·{' '}
+                  {formatReviewDate(question.createdAt)}
+                </p>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="pz-reviews-empty">
+            No questions yet. Ask us anything about this product.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * @param {{
+ *   kind: 'review' | 'question';
+ *   productId: string;
+ *   productTitle: string;
+ * }}
+ */
+function ReviewForm({kind, productId, productTitle}) {
+  /** @type {import('react-router').FetcherWithComponents<ReviewActionData>} */
+  const fetcher = useFetcher();
+  const errors = fetcher.data?.errors || {};
+  const isSubmitting = fetcher.state !== 'idle';
+
+  if (fetcher.data?.ok) {
+    return (
+      <p className="pz-reviews-thanks" role="status">
+        Thank you! Your {kind} will appear once our team has checked it.
+      </p>
+    );
+  }
+
+  return (
+    <fetcher.Form
+      method="post"
+      action="/api/product-reviews"
+      className="pz-review-form"
+      aria-label={
+        kind === 'review'
+          ? `Review ${productTitle}`
+          : `Ask a question about ${productTitle}`
+      }
+    >
+      <input type="hidden" name="kind" value={kind} />
+      <input type="hidden" name="productId" value={productId} />
+      <input
+        type="text"
+        name={REVIEW_HONEYPOT_FIELD}
+        className="pz-review-honeypot"
+        tabIndex={-1}
+        autoComplete="off"
+        aria-hidden="true"
+      />
+
+      {kind === 'review' ? (
+        <fieldset className="pz-review-stars-input">
+          <legend>Your rating</legend>
+          {Array.from({length: RATING_SCALE_MAX}, (_, index) => {
+            const value = RATING_SCALE_MAX - index;
+            return (
+              <label key={value} title={`${value} out of ${RATING_SCALE_MAX}`}>
+                <input type="radio" name="rating" value={value} required />
+                <span aria-hidden="true">★</span>
+                <span className="sr-only">
+                  {value} {value === 1 ? 'star' : 'stars'}
+                </span>
+              </label>
+            );
+          })}
+        </fieldset>
+      ) : null}
+      <FieldError message={errors.rating} />
+
+      <label>
+        Name
+        <input
+          type="text"
+          name="name"
+          autoComplete="name"
+          maxLength={REVIEW_LIMITS.name}
+          required
+        />
+        <FieldError message={errors.name} />
+      </label>
+      <label>
+        Email <span className="pz-review-hint">(never shown)</span>
+        <input
+          type="email"
+          name="email"
+          autoComplete="email"
+          maxLength={REVIEW_LIMITS.email}
+          required
+        />
+        <FieldError message={errors.email} />
+      </label>
+      {kind === 'review' ? (
+        <label>
+          Title
+          <input type="text" name="title" maxLength={REVIEW_LIMITS.title} />
+          <FieldError message={errors.title} />
+        </label>
+      ) : null}
+      <label>
+        {kind === 'review' ? 'Your review' : 'Your question'}
+        <textarea
+          name="body"
+          rows={4}
+          minLength={REVIEW_LIMITS.minBody}
+          maxLength={REVIEW_LIMITS.body}
+          required
+        />
+        <FieldError message={errors.body} />
+      </label>
+
+      <FieldError message={errors.form} />
+      <button
+        type="submit"
+        className="pz-btn pz-btn-primary"
+        disabled={isSubmitting}
+      >
+        {isSubmitting
+          ? 'Sending…'
+          : kind === 'review'
+            ? 'Submit review'
+            : 'Submit question'}
+      </button>
+    </fetcher.Form>
+  );
+}
+
+/**
+ * @param {{message?: string}}
+ */
+function FieldError({message}) {
+  if (!message) return null;
+
+  return (
+    <span className="pz-review-error" role="alert">
+      {message}
+    </span>
+  );
+}
+
+function formatReviewDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+
+  return date.toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+/** @typedef {import('~/lib/reviews/reviews.server').PublishedReviews} PublishedReviews */
+/** @typedef {{ok: boolean; errors: Record<string, string> | null}} ReviewActionData */
@@ -0,0 +1,204 @@
+import {Form, Link, useLocation, useNavigate} from 'react-router';
+import {
+  buildFilterUrl,
+  buildFilterValuesUrl,
+  normalizeFilterParam,
+  serializeFilterInput,
+} from '~/lib/productFilters';
+import {SEARCH_FILTER_ID_PATTERN, SEARCH_SORT_OPTIONS} from '~/lib/search';
+
+/**
+ * Sort select and product filters for /search, using the same `filter` and
+ * `sort` URL params as the collection page.
+ * @param {{
+ *   term: string;
+ *   productFilters: Array<SearchProductFilter>;
+ *   selectedFilterValues: string[];
+ *   selectedSortValue: string;
+ * }}
+ */
+export function SearchFilters({
+  term,
+  productFilters,
+  selectedFilterValues,
+  selectedSortValue,
+}) {
+  const location = useLocation();
+  const isExactSearch =
+    new URLSearchParams(location.search).get('exact') === '1';
+  const visibleFilters = (productFilters || []).filter(
+    (filter) =>
+      SEARCH_FILTER_ID_PATTERN.test(filter.id) && filter.values?.length,
+  );
+
+  return (
+    <section
+      className="pz-collection-controls"
+      aria-label="Search filters and sorting"
+    >
+      <Form
+        method="get"
+        className="pz-collection-sort-form pz-collection-sort-form--inline"
+      >
+        <input type="hidden" name="q" value={term} />
+        {isExactSearch ? <input type="hidden" name="exact" value="1" /> : null}
+        {selectedFilterValues.map((value) => (
+          <input key={value} type="hidden" name="filter" value={value} />
+        ))}
+        <label htmlFor="pz-search-sort">Sort</label>
+        <select
+          id="pz-search-sort"
+          name="sort"
+          defaultValue={selectedSortValue}
+          onChange={(event) => event.currentTarget.form?.requestSubmit()}
+        >
+          {SEARCH_SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </Form>
+
+      {visibleFilters.map((filter) =>
+        filter.type === 'PRICE_RANGE' ? (
+          <SearchPriceFilter
+            key={filter.id}
+            filter={filter}
+            selectedFilterValues={selectedFilterValues}
+            selectedSortValue={selectedSortValue}
+          />
+        ) : (
+          <section key={filter.id} className="pz-inline-filter">
+            <h3>{filter.label}</h3>
+            <div className="pz-filter-group">
+              {filter.values.slice(0, 24).map((value) => {
+                const valueInput = serializeFilterInput(value.input);
+                const isActive = selectedFilterValues.includes(valueInput);
+
+                return (
+                  <Link
+                    key={value.id}
+                    to={buildFilterUrl({
+                      location,
+                      sort: selectedSortValue,
+                      selectedFilterValues,
+                      valueInput,
+                      isActive,
+                    })}
+                    prefetch="intent"
+                    className={`pz-filter-value${isActive ? ' is-active' : ''}`}
+                  >
+                    <span>{value.label}</span>
+                    <small>{value.count}</small>
+                  </Link>
+                );
+              })}
+            </div>
+          </section>
+        ),
+      )}
+
+      {selectedFilterValues.length ? (
+        <Link
+          to={buildFilterValuesUrl({
+            location,
+            sort: selectedSortValue,
+            filterValues: [],
+          })}
+          className="pz-reset-filters pz-reset-filters--inline"
+          prefetch="intent"
+        >
+          Clear Filters
+        </Link>
+      ) : null}
+    </section>
+  );
+}
+
+/**
+ * Min/max inputs for a `PRICE_RANGE` filter. Submitting replaces any price
+ * filter already in the URL.
+ * @param {{
+ *   filter: SearchProductFilter;
+ *   selectedFilterValues: string[];
+ *   selectedSortValue: string;
+ * }}
+ */
+function SearchPriceFilter({filter, selectedFilterValues, selectedSortValue}) {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const otherFilterValues = selectedFilterValues.filter(
+    (value) => !getPriceRange(value),
+  );
+  const selectedRange =
+    selectedFilterValues.map(getPriceRange).find(Boolean) || {};
+  const availableRange = getPriceRange(filter.values[0]?.input) || {};
+
+  function handleSubmit(event) {
+    event.preventDefault();
+    const formData = new FormData(event.currentTarget);
+    const price = {};
+    const min = Number(formData.get('min'));
+    const max = Number(formData.get('max'));
+    if (formData.get('min') !== '' && Number.isFinite(min)) price.min = min;
+    if (formData.get('max') !== '' && Number.isFinite(max)) price.max = max;
+
+    const filterValues = Object.keys(price).length
+      ? [...otherFilterValues, JSON.stringify({price})]
+      : otherFilterValues;
+
+    navigate(
+      buildFilterValuesUrl({
+        location,
+        sort: selectedSortValue,
+        filterValues,
+      }),
+    );
+  }
+
+  return (
+    <section className="pz-inline-filter">
+      <h3>{filter.label}</h3>
+      <form className="pz-filter-price" onSubmit={handleSubmit}>
+        <input
+          type="number"
+          name="min"
+          min={0}
+          step="any"
+          placeholder={formatRangeBound(availableRange.min, 'Min')}
+          defaultValue={selectedRange.min ?? ''}
+          aria-label="Minimum price"
+        />
+        <input
+          type="number"
+          name="max"
+          min={0}
+          step="any"
+          placeholder={formatRangeBound(availableRange.max, 'Max')}
+          defaultValue={selectedRange.max ?? ''}
+          aria-label="Maximum price"
+        />
+        <button type="submit" className="pz-filter-value">
+          Apply
+        </button>
+      </form>
+    </section>
+  );
+}
+
+/**
+ * @param {string | null | undefined} value
+ * @return {null | {min?: number; max?: number}}
+ */
+function getPriceRange(value) {
+  const normalized = value ? normalizeFilterParam(value) : null;
+  const price = normalized?.input?.price;
+  return price && typeof price === 'object' ? price : null;
+}
+
+function formatRangeBound(value, fallback) {
+  return Number.isFinite(value) ? `${fallback} ${Math.round(value)}` : fallback;
+}
+
+/** @typedef {import('storefrontapi.generated').RegularSearchQuery['products']['productFilters'][number]} SearchProductFilter */
@@ -1,6 +1,7 @@
 import {useRef, useEffect} from 'react';
 import {Form} from 'react-router';
 import {useAnalytics} from '@shopify/hydrogen';
+import {addRecentSearch} from '~/lib/recentSearches';
 import {publishSearchSubmitted} from '~/lib/tracking';
 
 /**
@@ -37,10 +38,9 @@ export function SearchForm({children, onSubmit, ...props}) {
     onSubmit?.(event);
     if (event.defaultPrevented) return;
 
-    publishSearchSubmitted(publish, {
-      searchTerm: new FormData(event.currentTarget).get('q'),
-      shop,
-    });
+    const searchTerm = new FormData(event.currentTarget).get('q');
+    addRecentSearch(searchTerm);
+    publishSearchSubmitted(publish, {searchTerm, shop});
   }
 
   return (
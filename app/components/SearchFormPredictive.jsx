@@ -1,6 +1,7 @@
 import {useFetcher, useNavigate} from 'react-router';
 import {useRef, useEffect} from 'react';
 import {useAnalytics} from '@shopify/hydrogen';
+import {addRecentSearch} from '~/lib/recentSearches';
 import {publishSearchSubmitted} from '~/lib/tracking';
 
 export const SEARCH_ENDPOINT = '/search';
@@ -26,6 +27,7 @@ export function SearchFormPredictive({
     event?.preventDefault();
     event?.stopPropagation();
     const term = inputRef?.current?.value?.trim();
+    addRecentSearch(term);
     publishSearchSubmitted(publish, {searchTerm: term, shop});
     void navigate(SEARCH_ENDPOINT + (term ? `?q=${encodeURIComponent(term)}` : ''));
     onClose?.();
@@ -58,9 +58,11 @@ function SearchResultsArticles({term, articles}) {
 }
 
 /**
- * @param {PartialSearchResult<'products'>}
+ * @param {PartialSearchResult<'products'> & {
+ *   onProductClick?: (click: {handle: string; position: number}) => void;
+ * }}
  */
-function SearchResultsProducts({products, term}) {
+function SearchResultsProducts({products, term, onProductClick}) {
   const location = useLocation();
   const navigate = useNavigate();
   const productNodes = products?.nodes || EMPTY_PRODUCTS;
@@ -79,10 +81,11 @@ function SearchResultsProducts({products, term}) {
   const maxReachablePage = pagination.hasMorePages
     ? loadedPageCount + 1
     : loadedPageCount;
-  const pagedProducts = useMemo(() => {
-    const start = (currentPage - 1) * PRODUCTS_PER_PAGE;
-    return productNodes.slice(start, start + PRODUCTS_PER_PAGE);
-  }, [currentPage, productNodes]);
+  const pageStart = (currentPage - 1) * PRODUCTS_PER_PAGE;
+  const pagedProducts = useMemo(
+    () => productNodes.slice(pageStart, pageStart + PRODUCTS_PER_PAGE),
+    [pageStart, productNodes],
+  );
 
   useEffect(() => {
     setCurrentPage(pagination.currentPage);
@@ -139,6 +142,15 @@ function SearchResultsProducts({products, term}) {
               key={product.id}
               product={toProductCard(product)}
               loading={index < 6 && currentPage === 1 ? 'eager' : 'lazy'}
+              onClick={
+                onProductClick
+                  ? () =>
+                      onProductClick({
+                        handle: product.handle,
+                        position: pageStart + index + 1,
+                      })
+                  : undefined
+              }
             />
           ))}
         </div>
@@ -2,6 +2,7 @@ import {Link, useFetcher} from 'react-router';
 import {Image} from '@shopify/hydrogen';
 import {useRef, useEffect} from 'react';
 import {ProductMoney} from '~/components/ProductPrice';
+import {SearchSuggestions} from '~/components/SearchSuggestions';
 import {
   getEmptyPredictiveSearchResult,
   urlWithTrackingParams,
@@ -175,11 +176,14 @@ function SearchResultsPredictiveProducts({term, products, closeSearch}) {
       <h5>Products</h5>
       <ul>
         {products.map((product) => {
-          const productUrl = urlWithTrackingParams({
-            baseUrl: `/products/${product.handle}`,
-            trackingParams: product.trackingParameters,
-            term: term.current,
-          });
+          // SKU and barcode matches link straight to the matched variant.
+          const productUrl =
+            product.variantUrl ||
+            urlWithTrackingParams({
+              baseUrl: `/products/${product.handle}`,
+              trackingParams: product.trackingParameters,
+              term: term.current,
+            });
 
           const price = product?.selectedOrFirstAvailableVariant?.price;
           const image = product?.selectedOrFirstAvailableVariant?.image;
@@ -227,13 +231,16 @@ function SearchResultsPredictiveQueries({queries, queriesDatalistId}) {
 }
 
 /**
+ * Before anything is typed, shows recent and trending searches and popular
+ * collections instead.
  * @param {{
  *   term: React.MutableRefObject<string>;
+ *   closeSearch?: () => void;
  * }}
  */
-function SearchResultsPredictiveEmpty({term}) {
+function SearchResultsPredictiveEmpty({term, closeSearch}) {
   if (!term.current) {
-    return null;
+    return <SearchSuggestions onNavigate={closeSearch} />;
   }
 
   return (
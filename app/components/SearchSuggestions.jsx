@@ -0,0 +1,225 @@
+import {useEffect, useMemo, useRef, useState} from 'react';
+import {Link, useFetcher, useRouteLoaderData} from 'react-router';
+import {useAnalytics} from '@shopify/hydrogen';
+import {
+  RECENT_SEARCHES_EVENT,
+  addRecentSearch,
+  clearRecentSearches,
+  getRecentSearches,
+} from '~/lib/recentSearches';
+import {publishSearchSubmitted} from '~/lib/tracking';
+
+export const SEARCH_SUGGESTIONS_ENDPOINT = '/api/search-suggestions';
+const MAX_POPULAR_COLLECTIONS = 6;
+
+/**
+ * Empty state of the predictive search panel: this device's recent
+ * searches, queries trending across the store and popular collections from
+ * the main menu.
+ * @param {{onNavigate?: () => void}}
+ */
+export function SearchSuggestions({onNavigate}) {
+  const rootData = useRouteLoaderData('root');
+  const {publish, shop} = useAnalytics();
+  const trendingFetcher = useFetcher({key: 'search-suggestions'});
+  const hasRequestedTrendingRef = useRef(false);
+  const [recentSearches, setRecentSearches] = useState([]);
+  const trendingSearches = trendingFetcher.data?.trending || [];
+  const collections = useMemo(
+    () =>
+      getPopularCollections({
+        menu: rootData?.header?.menu,
+        availability: rootData?.menuCollectionAvailability,
+        media: rootData?.menuCollectionMedia,
+      }),
+    [rootData],
+  );
+
+  useEffect(() => {
+    setRecentSearches(getRecentSearches());
+
+    const handleUpdate = (event) => {
+      setRecentSearches(Array.isArray(event.detail) ? event.detail : []);
+    };
+    window.addEventListener(RECENT_SEARCHES_EVENT, handleUpdate);
+    return () =>
+      window.removeEventListener(RECENT_SEARCHES_EVENT, handleUpdate);
+  }, []);
+
+  useEffect(() => {
+    if (hasRequestedTrendingRef.current || trendingFetcher.data) return;
+    hasRequestedTrendingRef.current = true;
+    void trendingFetcher.load(SEARCH_SUGGESTIONS_ENDPOINT);
+  }, [trendingFetcher]);
+
+  function selectSearch(term) {
+    addRecentSearch(term);
+    publishSearchSubmitted(publish, {searchTerm: term, shop});
+    onNavigate?.();
+  }
+
+  if (
+    !recentSearches.length &&
+    !trendingSearches.length &&
+    !collections.length
+  ) {
+    return null;
+  }
+
+  return (
+    <div className="pz-search-suggestions">
+      {recentSearches.length ? (
+        <section aria-label="Recent searches">
+          <div className="pz-search-suggestions-head">
+            <h3>Recent searches</h3>
+            <button
+              type="button"
+              className="pz-search-suggestions-clear"
+              onClick={() => setRecentSearches(clearRecentSearches())}
+            >
+              Clear
+            </button>
+          </div>
+          <ul className="pz-search-suggestions-list">
+            {recentSearches.map((term) => (
+              <li key={term}>
+                <Link
+                  to={getSearchUrl(term)}
+                  className="pz-search-suggestion"
+                  onClick={() => selectSearch(term)}
+                  data-search-option
+                >
+                  {term}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ) : null}
+
+      {trendingSearches.length ? (
+        <section aria-label="Trending searches">
+          <div className="pz-search-suggestions-head">
+            <h3>Trending now</h3>
+          </div>
+          <ul className="pz-search-suggestions-list pz-search-suggestions-list--chips">
+            {trendingSearches.map((term) => (
+              <li key={term}>
+                <Link
+                  to={getSearchUrl(term)}
+                  className="pz-search-suggestion pz-search-suggestion--chip"
+                  onClick={() => selectSearch(term)}
+                  data-search-option
+                >
+                  {term}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ) : null}
+
+      {collections.length ? (
+        <section aria-label="Popular collections">
+          <div className="pz-search-suggestions-head">
+            <h3>Popular collections</h3>
+          </div>
+          <ul className="pz-search-suggestions-list pz-search-suggestions-list--collections">
+            {collections.map((collection) => (
+              <li key={collection.handle}>
+                <Link
+                  to={`/collections/${collection.handle}`}
+                  prefetch="intent"
+                  className="pz-search-suggestion pz-search-suggestion--collection"
+                  onClick={onNavigate}
+                  data-search-option
+                >
+                  {collection.image?.url ? (
+                    <img
+                      src={collection.image.url}
+                      alt=""
+                      loading="lazy"
+                      width={36}
+                      height={36}
+                    />
+                  ) : null}
+                  <span>{collection.title}</span>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ) : null}
+    </div>
+  );
+}
+
+/**
+ * Arrow-key navigation for a search panel: Up and Down move focus between
+ * the search input and every `[data-search-option]` inside the element the
+ * listener is attached to, wrapping at either end.
+ * @param {KeyboardEvent} event
+ */
+export function handleSearchOptionKeyDown(event) {
+  if (event.key !== 'ArrowDown' && event.key !== 'ArrowUp') return;
+
+  const container = /** @type {HTMLElement} */ (event.currentTarget);
+  const options = Array.from(
+    container.querySelectorAll('input[name="q"], [data-search-option]'),
+  );
+  const index = options.indexOf(document.activeElement);
+  if (index === -1 || options.length < 2) return;
+
+  event.preventDefault();
+  const step = event.key === 'ArrowDown' ? 1 : -1;
+  options[(index + step + options.length) % options.length].focus();
+}
+
+function getSearchUrl(term) {
+  return `/search?q=${encodeURIComponent(term)}`;
+}
+
+/**
+ * Collection links from the main menu, top level first, skipping
+ * collections the root loader found empty.
+ */
+function getPopularCollections({menu, availability = {}, media = {}}) {
+  const items = (menu?.items || []).flatMap((item) => [
+    item,
+    ...(item?.items || []),
+  ]);
+  const seen = new Set();
+
+  return items
+    .map((item) => {
+      const handle = getCollectionHandle(item?.url);
+      if (!handle || seen.has(handle)) return null;
+      if (availability[`handle:${handle}`] === false) return null;
+      if (item.resourceId && availability[item.resourceId] === false) {
+        return null;
+      }
+
+      seen.add(handle);
+      return {
+        handle,
+        title: item.title,
+        image: media[`handle:${handle}`] || media[item.resourceId] || null,
+      };
+    })
+    .filter(Boolean)
+    .slice(0, MAX_POPULAR_COLLECTIONS);
+}
+
+function getCollectionHandle(url) {
+  if (!url) return null;
+
+  try {
+    const match = new URL(url, 'https://example.com').pathname.match(
+      /\/collections\/([^/]+)/i,
+    );
+    const handle = match?.[1] ? decodeURIComponent(match[1]).toLowerCase() : '';
+    return handle && handle !== 'all' ? handle : null;
+  } catch {
+    return null;
+  }
+}
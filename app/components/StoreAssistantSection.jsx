@@ -3,6 +3,7 @@ import {useRevalidator, useRouteLoaderData} from 'react-router';
 import {useAnalytics} from '@shopify/hydrogen';
 import {useAside} from '~/components/Aside';
 import {submitCheckoutStamp} from '~/lib/checkoutStamp';
+import {addWishlistHandle, removeWishlistHandle} from '~/lib/wishlist';
 import {
   buildWetrackedCheckoutAttributes,
   publishCheckoutStarted,
@@ -119,9 +120,22 @@ function StoreAssistantPanel({
   const [error, setError] = useState('');
   const [isCacheHydrated, setIsCacheHydrated] = useState(false);
   const [messageUsageCount, setMessageUsageCount] = useState(0);
+  const [messageUsageLimit, setMessageUsageLimit] =
+    useState(MESSAGE_USAGE_LIMIT);
   const inputRef = useRef(null);
   const threadRef = useRef(null);
-  const hasReachedMessageLimit = messageUsageCount >= MESSAGE_USAGE_LIMIT;
+  const hasReachedMessageLimit = messageUsageCount >= messageUsageLimit;
+
+  const applyServerUsage = useCallback((usage) => {
+    const limit = Number(usage?.limit);
+    const used = Number(usage?.used);
+    if (Number.isFinite(limit) && limit > 0) {
+      setMessageUsageLimit(Math.trunc(limit));
+    }
+    if (Number.isFinite(used) && used >= 0) {
+      setMessageUsageCount(Math.trunc(used));
+    }
+  }, []);
 
   const resetChatbotSession = useCallback(() => {
     setConversations([createInitialConversation()]);
@@ -232,6 +246,49 @@ function StoreAssistantPanel({
     }
   }, []);
 
+  useEffect(() => {
+    if (typeof window === 'undefined' || !isCacheHydrated) return undefined;
+
+    let isCancelled = false;
+
+    fetch('/api/chatbot', {credentials: 'same-origin'})
+      .then((response) => (response.ok ? response.json() : null))
+      .then((payload) => {
+        if (isCancelled || !payload) return;
+        applyServerUsage(payload.usage);
+
+        const serverMessages = Array.isArray(payload.messages)
+          ? payload.messages
+              .map((item) =>
+                createMessage(item?.role, item?.content, item?.products),
+              )
+              .filter((item) => item.text)
+          : [];
+        if (!serverMessages.length) return;
+
+        // Restore the server copy only when this device has no chat of its own.
+        setConversations((current) => {
+          const hasLocalUserMessages = current.some((conversation) =>
+            conversation.messages.some((item) => item.role === 'user'),
+          );
+          if (hasLocalUserMessages) return current;
+          return [
+            createConversation('Conversation', [
+              createMessage('assistant', INTRO_MESSAGE),
+              ...serverMessages,
+            ]),
+          ];
+        });
+      })
+      .catch(() => {
+        // The local cache stays authoritative when the server is unreachable.
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [applyServerUsage, isCacheHydrated]);
+
   useEffect(() => {
     if (typeof window === 'undefined' || !isCacheHydrated) return;
 
@@ -263,6 +320,7 @@ function StoreAssistantPanel({
               role: item.role,
               text: item.text,
               products: normalizeProducts(item.products),
+              comparison: item.comparison,
             })),
           },
         ],
@@ -308,7 +366,7 @@ function StoreAssistantPanel({
     if (!message || isLoading || !activeConversation) return;
     if (hasReachedMessageLimit) {
       setError(
-        `Message limit reached (${MESSAGE_USAGE_LIMIT}/${MESSAGE_USAGE_LIMIT}). Please try again later.`,
+        `Message limit reached (${messageUsageLimit}/${messageUsageLimit}). Please try again later.`,
       );
       return;
     }
@@ -330,15 +388,48 @@ function StoreAssistantPanel({
         };
       }),
     );
-    setMessageUsageCount((current) =>
-      Math.min(MESSAGE_USAGE_LIMIT, current + 1),
-    );
+    setMessageUsageCount((current) => Math.min(messageUsageLimit, current + 1));
     setIsLoading(true);
 
+    const assistantMessageId = createMessage('assistant', '').id;
+    const upsertAssistantMessage = (
+      text,
+      products,
+      {isFinal = false, comparison = null} = {},
+    ) => {
+      const nextMessage = isFinal
+        ? {
+            ...createMessage('assistant', text, products, comparison),
+            id: assistantMessageId,
+          }
+        : createStreamingMessage(assistantMessageId, text, products);
+
+      setConversations((current) =>
+        current.map((conversation) => {
+          if (conversation.id !== targetConversationId) return conversation;
+          const exists = conversation.messages.some(
+            (item) => item.id === assistantMessageId,
+          );
+          return {
+            ...conversation,
+            messages: exists
+              ? conversation.messages.map((item) =>
+                  item.id === assistantMessageId ? nextMessage : item,
+                )
+              : [...conversation.messages, nextMessage],
+            updatedAt: Date.now(),
+          };
+        }),
+      );
+    };
+
     try {
       const response = await fetch('/api/chatbot', {
         method: 'POST',
-        headers: {'Content-Type': 'application/json'},
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream, application/json',
+        },
         body: JSON.stringify({
           message,
           pageContext: getChatbotPageContext(),
@@ -353,11 +444,65 @@ function StoreAssistantPanel({
         }),
       });
 
+      if (response.status === 429) {
+        const limitPayload = await response.json().catch(() => ({}));
+        if (limitPayload?.usage) {
+          applyServerUsage(limitPayload.usage);
+        }
+        setError(
+          typeof limitPayload?.reply === 'string' && limitPayload.reply
+            ? limitPayload.reply
+            : `Message limit reached (${messageUsageLimit}/${messageUsageLimit}). Please try again later.`,
+        );
+        return;
+      }
+
       if (!response.ok) {
         throw new Error('Chatbot request failed');
       }
 
-      const payload = await response.json();
+      let payload = null;
+      if (isEventStreamResponse(response)) {
+        let streamedText = '';
+        let streamedProducts = [];
+        let streamedActions = [];
+
+        await readChatbotEventStream(response, (event, body) => {
+          if (event === 'delta' && typeof body?.text === 'string') {
+            streamedText += body.text;
+            upsertAssistantMessage(streamedText, streamedProducts);
+            return;
+          }
+
+          if (event === 'reset') {
+            streamedText = '';
+            upsertAssistantMessage(streamedText, streamedProducts);
+            return;
+          }
+
+          if (event === 'products') {
+            streamedProducts = normalizeProducts(body?.products);
+            upsertAssistantMessage(streamedText, streamedProducts);
+            return;
+          }
+
+          if (event === 'actions') {
+            streamedActions = Array.isArray(body?.actions) ? body.actions : [];
+            return;
+          }
+
+          if (event === 'done') {
+            payload = {...body, actions: streamedActions};
+          }
+        });
+
+        if (!payload) {
+          throw new Error('Chatbot stream ended early');
+        }
+      } else {
+        payload = await response.json();
+      }
+
       const reply =
         typeof payload?.reply === 'string' && payload.reply.trim()
           ? payload.reply.trim()
@@ -365,19 +510,13 @@ function StoreAssistantPanel({
       const products = normalizeProducts(payload?.products);
       const actions = normalizeAgentActions(payload?.actions);
 
-      setConversations((current) =>
-        current.map((conversation) => {
-          if (conversation.id !== targetConversationId) return conversation;
-          return {
-            ...conversation,
-            messages: [
-              ...conversation.messages,
-              createMessage('assistant', reply, products),
-            ],
-            updatedAt: Date.now(),
-          };
-        }),
-      );
+      upsertAssistantMessage(reply, products, {
+        isFinal: true,
+        comparison: payload?.comparison,
+      });
+      if (payload?.usage) {
+        applyServerUsage(payload.usage);
+      }
 
       if (actions.length) {
         const actionError = await executeAgentActions(actions);
@@ -460,6 +599,16 @@ function StoreAssistantPanel({
         return '';
       }
 
+      if (action.type === 'wishlist_add') {
+        addWishlistHandle(action.handle);
+        continue;
+      }
+
+      if (action.type === 'wishlist_remove') {
+        removeWishlistHandle(action.handle);
+        continue;
+      }
+
       if (action.type === 'navigate' && action.target) {
         window.location.assign(action.target);
         return '';
@@ -583,8 +732,12 @@ function StoreAssistantPanel({
             <article
               key={message.id}
               className={`pz-chatbot-bubble is-${message.role}`}
+              dir="auto"
             >
               {renderChatMessageText(message.text)}
+              {message.role === 'assistant' && message.comparison ? (
+                <ChatProductComparison comparison={message.comparison} />
+              ) : null}
               {message.role === 'assistant' && message.products?.length ? (
                 <div className="pz-chatbot-product-strip" aria-label="Related products">
                   {message.products.map((product, index) => {
@@ -660,6 +813,7 @@ function StoreAssistantPanel({
             id={inputId}
             name="message"
             type="text"
+            dir="auto"
             value={inputValue}
             onChange={(event) => setInputValue(event.target.value)}
             placeholder={
@@ -721,7 +875,7 @@ function createConversation(title, seedMessages) {
   };
 }
 
-function createMessage(role, text, products = []) {
+function createMessage(role, text, products = [], comparison = null) {
   const safeRole = role === 'user' ? 'user' : 'assistant';
   const cleanedText =
     safeRole === 'assistant'
@@ -733,6 +887,16 @@ function createMessage(role, text, products = []) {
     role: safeRole,
     text: cleanedText || (safeRole === 'assistant' ? FALLBACK_ERROR_MESSAGE : ''),
     products: normalizeProducts(products),
+    comparison: safeRole === 'assistant' ? normalizeComparison(comparison) : null,
+  };
+}
+
+function createStreamingMessage(id, text, products = []) {
+  return {
+    id,
+    role: 'assistant',
+    text: sanitizeAssistantText(text),
+    products: normalizeProducts(products),
   };
 }
 
@@ -786,6 +950,8 @@ function normalizeStoredMessages(items) {
         role,
         text,
         products: normalizeProducts(item.products),
+        comparison:
+          role === 'assistant' ? normalizeComparison(item.comparison) : null,
       };
     })
     .filter(Boolean)
@@ -879,6 +1045,76 @@ function normalizeProducts(products) {
     .slice(0, 20);
 }
 
+function normalizeComparison(comparison) {
+  if (!comparison || typeof comparison !== 'object') return null;
+
+  const products = (Array.isArray(comparison.products) ? comparison.products : [])
+    .map((product) => ({
+      handle: typeof product?.handle === 'string' ? product.handle : '',
+      title: typeof product?.title === 'string' ? product.title.trim() : '',
+      url: normalizeNavigationTarget(product?.url),
+      imageUrl: typeof product?.imageUrl === 'string' ? product.imageUrl : '',
+    }))
+    .slice(0, 4);
+  if (products.length < 2 || products.some((product) => !product.title)) {
+    return null;
+  }
+
+  const rows = (Array.isArray(comparison.rows) ? comparison.rows : [])
+    .map((row) => ({
+      label: typeof row?.label === 'string' ? row.label.trim() : '',
+      values: products.map((_, index) =>
+        typeof row?.values?.[index] === 'string' ? row.values[index] : '',
+      ),
+    }))
+    .filter((row) => row.label)
+    .slice(0, 12);
+
+  return {products, rows};
+}
+
+function ChatProductComparison({comparison}) {
+  return (
+    <div className="pz-chatbot-compare" dir="ltr">
+      <table>
+        <thead>
+          <tr>
+            <th scope="col">
+              <span className="sr-only">Attribute</span>
+            </th>
+            {comparison.products.map((product) => (
+              <th key={product.handle || product.title} scope="col">
+                <a href={product.url || `/products/${product.handle}`}>
+                  {product.imageUrl ? (
+                    <img
+                      src={withImageWidth(product.imageUrl, 80)}
+                      alt=""
+                      loading="lazy"
+                    />
+                  ) : null}
+                  <span>{product.title}</span>
+                </a>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {comparison.rows.map((row) => (
+            <tr key={row.label}>
+              <th scope="row">{row.label}</th>
+              {row.values.map((value, index) => (
+                <td key={`${row.label}-${comparison.products[index].handle}`}>
+                  {value || '—'}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
 function withImageWidth(url, width) {
   if (!url || !width) return url || '';
   try {
@@ -936,6 +1172,13 @@ function normalizeAgentActions(actions) {
         return {type};
       }
 
+      if (type === 'wishlist_add' || type === 'wishlist_remove') {
+        const handle =
+          typeof action.handle === 'string' ? action.handle.trim() : '';
+        if (!handle) return null;
+        return {type, handle};
+      }
+
       if (type === 'clear_cart') {
         return {type};
       }
@@ -1012,6 +1255,52 @@ function renderInlineStrongText(text) {
   });
 }
 
+function isEventStreamResponse(response) {
+  return (response.headers.get('Content-Type') || '').includes(
+    'text/event-stream',
+  );
+}
+
+async function readChatbotEventStream(response, onEvent) {
+  if (!response.body) return;
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (rawEvent) => {
+    let event = 'message';
+    const dataLines = [];
+
+    rawEvent.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+    });
+    if (!dataLines.length) return;
+
+    try {
+      onEvent(event, JSON.parse(dataLines.join('\n')));
+    } catch {
+      // Ignore malformed stream events.
+    }
+  };
+
+  for (;;) {
+    const {done, value} = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, {stream: true}).replace(/\r\n/g, '\n');
+    let separatorIndex = buffer.indexOf('\n\n');
+    while (separatorIndex !== -1) {
+      dispatch(buffer.slice(0, separatorIndex));
+      buffer = buffer.slice(separatorIndex + 2);
+      separatorIndex = buffer.indexOf('\n\n');
+    }
+  }
+
+  if (buffer.trim()) dispatch(buffer);
+}
+
 function getChatbotPageContext() {
   if (typeof window === 'undefined') return null;
 
@@ -0,0 +1,212 @@
+import {useEffect, useMemo, useRef} from 'react';
+import {CartForm} from '@shopify/hydrogen';
+import {buildPickupReservationFormInput} from '~/lib/pickupReservation';
+import {
+  formatStoreStatus,
+  formatWeeklyHours,
+  getLocationHoursConfig,
+  getStoreStatus,
+} from '~/lib/storeHours';
+import {formatLocationStock, getStoreLocations} from '~/lib/storeLocations';
+
+/**
+ * Stock per branch for the selected variant with a "Reserve for pickup"
+ * button on each branch holding it. Variants without pickup locations fall
+ * back to the showroom row driven by the `custom.availability` metafield.
+ * @param {{
+ *   variant: StoreAvailabilityVariant | null | undefined;
+ *   quantity?: number;
+ *   now: Date | null;
+ *   isAvailableInStore: boolean;
+ *   canReserve?: boolean;
+ *   onReserve?: () => void;
+ * }}
+ */
+export function StoreAvailability({
+  variant,
+  quantity = 1,
+  now,
+  isAvailableInStore,
+  canReserve = true,
+  onReserve,
+}) {
+  const locations = useMemo(
+    () => getStoreLocations(variant, now),
+    [variant, now],
+  );
+
+  if (!locations.length) {
+    return (
+      <ShowroomAvailability now={now} isAvailableInStore={isAvailableInStore} />
+    );
+  }
+
+  return (
+    <ul className="pz-availability-options pz-availability-locations">
+      {locations.map((location) => {
+        const isReady = location.available && Boolean(location.status?.isOpen);
+
+        return (
+          <li key={location.id} className="pz-availability-location">
+            <span
+              className={`pz-availability-dot${isReady ? ' is-open' : ' is-closed'}`}
+              aria-hidden="true"
+            />
+            <div className="pz-availability-option-text">
+              <p className="pz-availability-location-name">{location.name}</p>
+              {location.address ? (
+                <p className="pz-availability-location-detail">
+                  {location.address}
+                </p>
+              ) : null}
+              <p
+                className={`pz-availability-status${
+                  location.available ? ' is-open' : ' is-closed'
+                }`}
+              >
+                {formatLocationStock(location)}
+              </p>
+              <p className="pz-availability-location-detail">
+                {location.status
+                  ? formatStoreStatus(location.status)
+                  : formatWeeklyHours(getLocationHoursConfig(location))}
+              </p>
+              {location.available && location.pickUpTime ? (
+                <p className="pz-availability-location-detail">
+                  Pickup: {location.pickUpTime}
+                </p>
+              ) : null}
+              {location.phone ? (
+                <a
+                  className="pz-availability-location-phone"
+                  href={`tel:${location.phone.replace(/[^\d+]/g, '')}`}
+                >
+                  {location.phone}
+                </a>
+              ) : null}
+              {location.available && canReserve && variant?.id ? (
+                <ReservePickupButton
+                  merchandiseId={variant.id}
+                  quantity={quantity}
+                  locationId={location.id}
+                  onReserve={onReserve}
+                />
+              ) : null}
+            </div>
+          </li>
+        );
+      })}
+      <li>
+        <span className="pz-availability-dot" aria-hidden="true" />
+        <span>Available Online</span>
+      </li>
+    </ul>
+  );
+}
+
+function ShowroomAvailability({now, isAvailableInStore}) {
+  const storeStatus = useMemo(() => (now ? getStoreStatus(now) : null), [now]);
+  const isOpen = isAvailableInStore && Boolean(storeStatus?.isOpen);
+
+  return (
+    <ul className="pz-availability-options">
+      <li>
+        <span
+          className={`pz-availability-dot${isOpen ? ' is-open' : ' is-closed'}`}
+          aria-hidden="true"
+        />
+        <div className="pz-availability-option-text">
+          <p>
+            Sami Solh Avenu, Beirut, &nbsp;
+            <span
+              className={`pz-availability-status${
+                isOpen ? ' is-open' : ' is-closed'
+              }`}
+            >
+              {isAvailableInStore
+                ? storeStatus
+                  ? formatStoreStatus(storeStatus)
+                  : 'Closed'
+                : 'Not Available'}
+            </span>
+          </p>
+        </div>
+      </li>
+      <li>
+        <span className="pz-availability-dot" aria-hidden="true" />
+        <span>Available Online</span>
+      </li>
+    </ul>
+  );
+}
+
+/**
+ * @param {{
+ *   merchandiseId: string;
+ *   quantity: number;
+ *   locationId: string;
+ *   onReserve?: () => void;
+ * }}
+ */
+function ReservePickupButton({merchandiseId, quantity, locationId, onReserve}) {
+  const formInput = buildPickupReservationFormInput({
+    merchandiseId,
+    quantity,
+    locationId,
+  });
+
+  return (
+    <CartForm route="/cart" action={formInput.action} inputs={formInput.inputs}>
+      {(fetcher) => (
+        <ReservePickupState fetcher={fetcher} onReserve={onReserve} />
+      )}
+    </CartForm>
+  );
+}
+
+/**
+ * @param {{fetcher: FetcherWithComponents; onReserve?: () => void}}
+ */
+function ReservePickupState({fetcher, onReserve}) {
+  const isIdle = fetcher.state === 'idle';
+  const result = isIdle ? fetcher.data : null;
+  const error = result?.errors?.[0]?.message;
+
+  // Kept in a ref so the effect runs once per response rather than whenever
+  // the parent re-renders with a new `onReserve`.
+  const onReserveRef = useRef(onReserve);
+  useEffect(() => {
+    onReserveRef.current = onReserve;
+  }, [onReserve]);
+
+  useEffect(() => {
+    if (result?.cart && !result.errors?.length) onReserveRef.current?.();
+  }, [result]);
+
+  return (
+    <>
+      <button
+        type="submit"
+        className="pz-btn pz-btn-primary pz-availability-reserve"
+        disabled={!isIdle}
+      >
+        {isIdle ? 'Reserve for pickup' : 'Reserving…'}
+      </button>
+      {error ? (
+        <p className="pz-availability-reserve-error" role="alert">
+          {error}
+        </p>
+      ) : null}
+    </>
+  );
+}
+
+/**
+ * @typedef {{
+ *   id: string;
+ *   storeAvailability?: {
+ *     nodes?: Array<import('~/lib/storeLocations').StoreAvailabilityNode>;
+ *   };
+ * }} StoreAvailabilityVariant
+ */
+/** @typedef {import('react-router').FetcherWithComponents<any>} FetcherWithComponents */
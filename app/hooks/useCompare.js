@@ -0,0 +1,84 @@
+import {useCallback, useEffect, useMemo, useState} from 'react';
+import {
+  addCompareProducts,
+  COMPARE_MAX_ITEMS,
+  getCompareFromDocumentCookie,
+  parseCompareEntry,
+  removeCompareProduct,
+  setCompareInDocumentCookie,
+  subscribeToCompareChanges,
+  toggleCompareEntry,
+} from '~/lib/compare';
+
+export function useCompare() {
+  const [compare, setCompare] = useState([]);
+
+  useEffect(() => {
+    setCompare(getCompareFromDocumentCookie());
+    return subscribeToCompareChanges((nextCompare) => {
+      setCompare(nextCompare);
+    });
+  }, []);
+
+  const toggleEntry = useCallback((entry) => {
+    const nextCompare = toggleCompareEntry(entry);
+    setCompare(nextCompare);
+    return nextCompare;
+  }, []);
+
+  const removeProduct = useCallback((handle) => {
+    const nextCompare = removeCompareProduct(handle);
+    setCompare(nextCompare);
+    return nextCompare;
+  }, []);
+
+  const replaceEntries = useCallback((entries) => {
+    const nextCompare = setCompareInDocumentCookie(entries);
+    setCompare(nextCompare);
+    return nextCompare;
+  }, []);
+
+  const addProducts = useCallback((handles) => {
+    const nextCompare = addCompareProducts(handles);
+    setCompare(nextCompare);
+    return nextCompare;
+  }, []);
+
+  const hasEntry = useCallback(
+    (entry) => Boolean(entry) && compare.includes(entry),
+    [compare],
+  );
+
+  const hasProduct = useCallback(
+    (handle) => {
+      if (!handle) return false;
+      return compare.some(
+        (entry) => parseCompareEntry(entry).handle === handle,
+      );
+    },
+    [compare],
+  );
+
+  return useMemo(
+    () => ({
+      compare,
+      count: compare.length,
+      isFull: compare.length >= COMPARE_MAX_ITEMS,
+      hasEntry,
+      hasProduct,
+      toggleEntry,
+      removeProduct,
+      replaceEntries,
+      addProducts,
+    }),
+    [
+      compare,
+      hasEntry,
+      hasProduct,
+      toggleEntry,
+      removeProduct,
+      replaceEntries,
+      addProducts,
+    ],
+  );
+}
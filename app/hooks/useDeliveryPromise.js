@@ -0,0 +1,52 @@
+import {useCallback, useEffect, useMemo, useState} from 'react';
+import {
+  getDeliveryRegion,
+  setDeliveryRegion,
+  subscribeToDeliveryRegion,
+} from '~/lib/deliveryRegion';
+import {getDeliveryPromise} from '~/lib/storeHours';
+import {STORE_HOURS} from '~/lib/storeHoursConfig';
+
+const CLOCK_INTERVAL_MS = 30000;
+
+/**
+ * The current time, refreshed every 30 seconds. Null during server render
+ * and hydration so time-dependent copy cannot mismatch.
+ * @return {Date | null}
+ */
+export function useStoreClock() {
+  const [now, setNow] = useState(/** @type {Date | null} */ (null));
+
+  useEffect(() => {
+    setNow(new Date());
+    const interval = setInterval(() => setNow(new Date()), CLOCK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  return now;
+}
+
+/**
+ * Live delivery promise for the shopper's saved region. `promise` stays null
+ * until the clock starts on the client.
+ */
+export function useDeliveryPromise() {
+  const now = useStoreClock();
+  const [region, setRegionState] = useState(STORE_HOURS.delivery.defaultRegion);
+
+  useEffect(() => {
+    setRegionState(getDeliveryRegion());
+    return subscribeToDeliveryRegion(setRegionState);
+  }, []);
+
+  const setRegion = useCallback((nextRegion) => {
+    setRegionState(setDeliveryRegion(nextRegion));
+  }, []);
+
+  const promise = useMemo(
+    () => (now ? getDeliveryPromise({region, now}) : null),
+    [now, region],
+  );
+
+  return {now, region, setRegion, promise};
+}
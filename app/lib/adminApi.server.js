@@ -0,0 +1,54 @@
+export const ADMIN_API_VERSION = '2026-07';
+
+/**
+ * Admin GraphQL client for the store's custom app token, or null when no
+ * token or shop domain is configured. Admin operations are plain strings
+ * sent with fetch, so they stay out of Storefront codegen.
+ * @param {Record<string, any>} env
+ * @return {AdminGraphqlClient | null}
+ */
+export function createAdminGraphqlClient(env) {
+  const token =
+    env?.SHOPIFY_ADMIN_API_ACCESS_TOKEN ||
+    env?.PRIVATE_SHOPIFY_ADMIN_API_ACCESS_TOKEN ||
+    env?.SHOPIFY_ADMIN_ACCESS_TOKEN ||
+    env?.ADMIN_API_ACCESS_TOKEN;
+  const domain =
+    env?.SHOPIFY_STORE_DOMAIN ||
+    env?.PRIVATE_STORE_DOMAIN ||
+    env?.PUBLIC_STORE_DOMAIN ||
+    env?.PUBLIC_CHECKOUT_DOMAIN;
+
+  if (!token || !domain) return null;
+
+  const shopDomain = domain.replace(/^https?:\/\//, '').replace(/\/$/, '');
+
+  return async (query, variables) => {
+    const response = await fetch(
+      `https://${shopDomain}/admin/api/${ADMIN_API_VERSION}/graphql.json`,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Shopify-Access-Token': token,
+        },
+        body: JSON.stringify({query, variables}),
+      },
+    );
+    const json = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      throw new Error(`Admin API request failed with ${response.status}.`);
+    }
+
+    if (json?.errors?.length) {
+      throw new Error(json.errors[0].message || 'Admin API request failed.');
+    }
+
+    return json?.data ?? null;
+  };
+}
+
+/**
+ * @typedef {(query: string, variables?: Record<string, unknown>) => Promise<any>} AdminGraphqlClient
+ */
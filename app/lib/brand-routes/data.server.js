@@ -184,6 +184,12 @@ const PRODUCT_VARIANT_CARD_FRAGMENT = `#graphql
     handle
     title
     vendor
+    rating: metafield(namespace: "reviews", key: "rating") {
+      value
+    }
+    ratingCount: metafield(namespace: "reviews", key: "rating_count") {
+      value
+    }
     featuredImage {
       id
       altText
@@ -373,6 +379,12 @@ const BRAND_COLLECTION_QUERY = `#graphql
     handle
     title
     vendor
+    rating: metafield(namespace: "reviews", key: "rating") {
+      value
+    }
+    ratingCount: metafield(namespace: "reviews", key: "rating_count") {
+      value
+    }
     featuredImage {
       id
       altText
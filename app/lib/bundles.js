@@ -0,0 +1,95 @@
+import {isZeroPrice} from '~/lib/pricing';
+
+export const BUNDLE_ADD_ACTION = 'CustomBundleLinesAdd';
+
+// Accessories offered next to the product itself.
+export const BUNDLE_MAX_ACCESSORIES = 3;
+
+/**
+ * Accessories for the "Frequently bought together" section: the products in
+ * the `custom.bundle_products` metafield, or Shopify's complementary
+ * recommendations when it is empty. Only products whose default variant can
+ * be added to the cart (in stock and priced) are kept.
+ * @param {{
+ *   productId: string;
+ *   metafieldProducts?: Array<BundleProduct | Record<string, never>>;
+ *   recommendedProducts?: BundleProduct[] | null;
+ * }}
+ * @return {BundleProduct[]}
+ */
+export function getBundleAccessories({
+  productId,
+  metafieldProducts = [],
+  recommendedProducts = [],
+}) {
+  const pick = (products) => {
+    const seen = new Set([productId]);
+
+    return (products || [])
+      .filter((product) => {
+        if (!product?.id || seen.has(product.id)) return false;
+        seen.add(product.id);
+
+        const variant = product.selectedOrFirstAvailableVariant;
+        return (
+          Boolean(variant?.availableForSale) && !isZeroPrice(variant.price)
+        );
+      })
+      .slice(0, BUNDLE_MAX_ACCESSORIES);
+  };
+
+  const fromMetafield = pick(
+    /** @type {BundleProduct[]} */ (metafieldProducts),
+  );
+  return fromMetafield.length ? fromMetafield : pick(recommendedProducts);
+}
+
+/**
+ * Combined price of the chosen variants, or null when they are priced in
+ * different currencies.
+ * @param {Array<{price?: {amount: string; currencyCode: string} | null}>} variants
+ * @return {{amount: string; currencyCode: string} | null}
+ */
+export function getBundleTotal(variants) {
+  const priced = variants.filter((variant) => variant?.price?.amount);
+  if (!priced.length) return null;
+
+  const currencyCode = priced[0].price.currencyCode;
+  if (priced.some((variant) => variant.price.currencyCode !== currencyCode)) {
+    return null;
+  }
+
+  const total = priced.reduce(
+    (sum, variant) => sum + Number.parseFloat(variant.price.amount),
+    0,
+  );
+
+  return {amount: total.toFixed(2), currencyCode};
+}
+
+/**
+ * The cart's discount codes plus the bundle code, without duplicates, so
+ * applying the bundle code keeps codes the shopper already entered.
+ * @param {string} bundleCode
+ * @param {Array<{code: string}> | null | undefined} currentCodes
+ */
+export function mergeBundleDiscountCode(bundleCode, currentCodes) {
+  const codes = (currentCodes || []).map((entry) => entry.code);
+  const exists = codes.some(
+    (code) => code.toLowerCase() === bundleCode.toLowerCase(),
+  );
+  return exists ? codes : [...codes, bundleCode];
+}
+
+/**
+ * @typedef {{
+ *   id: string;
+ *   handle: string;
+ *   title: string;
+ *   selectedOrFirstAvailableVariant?: {
+ *     id: string;
+ *     availableForSale: boolean;
+ *     price: {amount: string; currencyCode: string};
+ *   } | null;
+ * }} BundleProduct
+ */
@@ -0,0 +1,180 @@
+import {useEffect, useMemo, useState} from 'react';
+import {SEARCH_INDEX_URL} from '~/lib/searchIndex.generated';
+
+const CATALOG_INDEX_VERSION = 1;
+const MIN_FUZZY_WORD_LENGTH = 4;
+const FUZZY_SEARCH_DISTANCE = 0.2;
+
+/** @type {Promise<CatalogIndex | null> | null} */
+let catalogIndexPromise = null;
+
+/**
+ * Fetches the prebuilt catalog index (`npm run build:search-dictionary`)
+ * once per page load and indexes it with MiniSearch, which is loaded on
+ * demand so it stays out of the main bundle. Resolves to null on the server,
+ * before the index has been generated, or when the fetch fails; callers then
+ * rely on the predictive search request alone.
+ * @return {Promise<CatalogIndex | null>}
+ */
+export function loadCatalogIndex() {
+  if (typeof window === 'undefined' || !SEARCH_INDEX_URL) {
+    return Promise.resolve(null);
+  }
+
+  catalogIndexPromise ||= Promise.all([
+    import('minisearch'),
+    fetch(SEARCH_INDEX_URL).then((response) => {
+      if (!response.ok) {
+        throw new Error(
+          `Catalog index request failed with ${response.status}.`,
+        );
+      }
+      return response.json();
+    }),
+  ])
+    .then(([{default: MiniSearch}, payload]) =>
+      createCatalogIndex(MiniSearch, payload),
+    )
+    .catch((error) => {
+      console.warn('[search] Catalog index unavailable:', error);
+      return null;
+    });
+
+  return catalogIndexPromise;
+}
+
+/**
+ * Products from the catalog index matching every word of `term`, the last
+ * one as a prefix, shaped like predictive search products so both render
+ * through the same markup.
+ * @param {CatalogIndex | null} index
+ * @param {string} term
+ * @param {{limit?: number}} [options]
+ * @return {CatalogIndexProduct[]}
+ */
+export function searchCatalogIndex(index, term, {limit = 20} = {}) {
+  const query = normalizeCatalogText(term);
+  if (!index || !query) return [];
+
+  return index.search
+    .search(query, {
+      combineWith: 'AND',
+      prefix: true,
+      fuzzy: (word) =>
+        word.length >= MIN_FUZZY_WORD_LENGTH ? FUZZY_SEARCH_DISTANCE : false,
+      boost: {title: 2},
+    })
+    .slice(0, limit)
+    .map((result) => index.products[result.id])
+    .filter(Boolean);
+}
+
+/**
+ * Instant local results for the header search while the server request is
+ * in flight. Starts loading the index on mount.
+ * @param {string} term
+ * @param {{limit?: number}} [options]
+ */
+export function useCatalogIndexSearch(term, {limit = 20} = {}) {
+  const [index, setIndex] = useState(/** @type {CatalogIndex | null} */ (null));
+
+  useEffect(() => {
+    let isActive = true;
+
+    void loadCatalogIndex().then((loadedIndex) => {
+      if (isActive) setIndex(loadedIndex);
+    });
+
+    return () => {
+      isActive = false;
+    };
+  }, []);
+
+  return useMemo(
+    () => searchCatalogIndex(index, term, {limit}),
+    [index, term, limit],
+  );
+}
+
+/**
+ * @param {typeof import('minisearch').default} MiniSearch
+ * @param {unknown} payload
+ * @return {CatalogIndex | null}
+ */
+function createCatalogIndex(MiniSearch, payload) {
+  const data = /** @type {CatalogIndexPayload} */ (payload);
+  if (
+    data?.version !== CATALOG_INDEX_VERSION ||
+    !Array.isArray(data.products)
+  ) {
+    return null;
+  }
+
+  const currencyCode = data.currencyCode || null;
+  const products = data.products
+    .filter((row) => Array.isArray(row) && row[0] && row[1])
+    .map(([handle, title, vendor, price, image]) => ({
+      __typename: /** @type {const} */ ('Product'),
+      id: `catalog-index:${handle}`,
+      handle: String(handle),
+      title: String(title),
+      vendor: vendor ? String(vendor) : '',
+      selectedOrFirstAvailableVariant: {
+        image: image ? {url: String(image), altText: null} : null,
+        price:
+          price != null && currencyCode
+            ? {amount: String(price), currencyCode}
+            : null,
+      },
+    }));
+
+  const search = new MiniSearch({
+    fields: ['title', 'vendor'],
+    tokenize: (text) => normalizeCatalogText(text).split(' '),
+    processTerm: (word) => word || null,
+  });
+  search.addAll(
+    products.map((product, id) => ({
+      id,
+      title: product.title,
+      vendor: product.vendor,
+    })),
+  );
+
+  return {search, products};
+}
+
+// Same folding as the search dictionary, so "Café & Co" matches "cafe and".
+function normalizeCatalogText(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-zA-Z0-9+]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * @typedef {{
+ *   version: number;
+ *   currencyCode: string | null;
+ *   products: Array<[string, string, string, string | null, string | null]>;
+ * }} CatalogIndexPayload
+ * @typedef {{
+ *   __typename: 'Product';
+ *   id: string;
+ *   handle: string;
+ *   title: string;
+ *   vendor: string;
+ *   selectedOrFirstAvailableVariant: {
+ *     image: {url: string; altText: null} | null;
+ *     price: {amount: string; currencyCode: string} | null;
+ *   };
+ * }} CatalogIndexProduct
+ * @typedef {{
+ *   search: import('minisearch').default;
+ *   products: CatalogIndexProduct[];
+ * }} CatalogIndex
+ */
@@ -0,0 +1,682 @@
+import {redirect} from 'react-router';
+import {createMemoryChatbotBackend} from './conversationStore.server.js';
+
+const EVENTS_TTL_SECONDS = 60 * 60 * 24 * 90;
+const MAX_EXPORT_DAYS = 31;
+// Turns per transcript page. With one list call per day in the range this
+// keeps an export request well inside the Workers subrequest limit.
+const TRANSCRIPT_PAGE_SIZE = 500;
+// Counter documents per day; each turn updates one picked at random.
+const STATS_SHARDS = 8;
+const MAX_SESSIONS_PER_SHARD = 1000;
+const MAX_FALLBACK_MESSAGES_PER_DAY = 500;
+const MAX_FALLBACK_MESSAGE_LENGTH = 200;
+// Upper bounds of the latency histogram; slower turns land in the last one.
+const LATENCY_BUCKETS_MS = [
+  100, 250, 500, 1000, 2000, 3000, 5000, 8000, 13000, 20000, 30000, 60000,
+];
+const MAX_TEXT_LENGTH = 1000;
+const TOP_FALLBACK_MESSAGES = 20;
+const ADMIN_SESSION_KEY = 'chatbotAdmin';
+const ADMIN_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const EMAIL_PATTERN = /[^\s@<>()[\]]+@[^\s@<>()[\]]+\.[a-z]{2,}/gi;
+// International numbers (`+` or `00` prefix, 9-15 digits), local numbers
+// with a trunk `0` (9-11 digits) and Lebanese local numbers written as
+// 2+3+3 digits ("03 123 456", "71-123-456", "01234567") or 1+3+3 with a
+// separator ("3 123 456"); digits glued to a word or `#` are left alone.
+const PHONE_PATTERN =
+  /(?<![\w#])(?:(?:\+|00)[1-9١-٩](?:[\s.\-()]{0,2}[\d٠-٩]){7,13}|\(?[0٠][1-9١-٩](?:[\s.\-()]{0,2}[\d٠-٩]){7,9}|(?:[0٠][1-9١-٩]|[7٧][01689٠١٦٨٩]|[8٨][1١])[\s-]?[\d٠-٩]{3}[\s-]?[\d٠-٩]{3}|[3٣][\s-][\d٠-٩]{3}[\s-]?[\d٠-٩]{3})(?![\d٠-٩])/g;
+const TRANSCRIPT_CSV_COLUMNS = [
+  'timestamp',
+  'sessionId',
+  'language',
+  'intent',
+  'fallbackReason',
+  'latencyMs',
+  'productHits',
+  'productsShown',
+  'toolCalls',
+  'actions',
+  'message',
+  'reply',
+];
+
+let sharedMemoryBackend = null;
+
+/**
+ * Replaces emails and phone numbers so transcripts can be shared without
+ * customer contact details. Only digit runs shaped like a phone number (an
+ * international prefix, a leading trunk `0` or a Lebanese mobile or
+ * landline prefix in 3-digit groups) count, so dates, prices, order numbers
+ * and model numbers stay readable.
+ */
+export function redactContactDetails(text) {
+  if (typeof text !== 'string' || !text) return '';
+  return text
+    .replace(EMAIL_PATTERN, '[email]')
+    .replace(PHONE_PATTERN, '[phone]');
+}
+
+/**
+ * Per-turn trace the chatbot action fills in while resolving a reply.
+ */
+export function createChatbotTurnTrace({now = () => Date.now()} = {}) {
+  return {
+    startedAt: now(),
+    intent: '',
+    language: '',
+    provider: '',
+    fallbackReason: '',
+    productHits: 0,
+    toolCalls: [],
+  };
+}
+
+/**
+ * Shares the `CHATBOT_KV` binding with the conversation store (different key
+ * prefix); falls back to a per-isolate memory backend.
+ */
+export function resolveChatbotAnalytics(env) {
+  const kvBinding = env?.CHATBOT_KV;
+  const hasKvBinding =
+    kvBinding &&
+    typeof kvBinding.get === 'function' &&
+    typeof kvBinding.put === 'function' &&
+    typeof kvBinding.list === 'function';
+
+  if (!hasKvBinding && !sharedMemoryBackend) {
+    sharedMemoryBackend = createMemoryChatbotBackend();
+  }
+
+  return createChatbotAnalytics({
+    backend: hasKvBinding ? kvBinding : sharedMemoryBackend,
+  });
+}
+
+/**
+ * Every turn is its own KV key, `chatbot:event:<day>:<time>-<id>`, so
+ * concurrent turns never write the same key (KV takes about one write per
+ * second per key); transcripts are read back a page at a time. The
+ * dashboard reads counters instead: each turn is also added to one of
+ * `STATS_SHARDS` documents per UTC day, like the search analytics, so a
+ * report costs a fixed number of reads however busy the range was.
+ */
+export function createChatbotAnalytics({
+  backend,
+  now = () => Date.now(),
+  random = Math.random,
+}) {
+  async function readEvent(key) {
+    try {
+      const raw = await backend.get(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async function readShard(key) {
+    try {
+      const raw = await backend.get(key);
+      const parsed = raw ? JSON.parse(raw) : null;
+      return parsed && typeof parsed === 'object' ? parsed : createDayStats();
+    } catch {
+      return createDayStats();
+    }
+  }
+
+  async function readDay(dayKey) {
+    const shards = await Promise.all(
+      Array.from({length: STATS_SHARDS}, (_, shard) =>
+        readShard(getStatsKey(dayKey, shard)),
+      ),
+    );
+    return shards.reduce(mergeDayStats, createDayStats());
+  }
+
+  return {
+    /**
+     * Stores the turn for transcripts and adds it to one of today's
+     * counter shards. The shard update is a read-modify-write, so two turns
+     * landing on the same shard at once can lose one; the dashboard is for
+     * trends, the transcripts hold every turn.
+     */
+    async recordTurn({trace, sessionId, message, result}) {
+      const timestamp = now();
+      const event = buildTurnEvent({
+        trace,
+        sessionId,
+        message,
+        result,
+        timestamp,
+      });
+      const dayKey = getDayKey(timestamp);
+      const key = `${getEventsPrefix(dayKey)}${
+        event.timestamp
+      }-${crypto.randomUUID()}`;
+      const statsKey = getStatsKey(dayKey, Math.floor(random() * STATS_SHARDS));
+
+      await backend.put(key, JSON.stringify(event), {
+        expirationTtl: EVENTS_TTL_SECONDS,
+      });
+
+      const stats = await readShard(statsKey);
+      applyTurnEvent(stats, event);
+      await backend.put(statsKey, JSON.stringify(stats), {
+        expirationTtl: EVENTS_TTL_SECONDS,
+      });
+    },
+
+    /**
+     * Day counters for `summarizeChatbotStats`, oldest first.
+     * @param {{from?: string; to?: string}} [range]
+     */
+    async listDays({from, to} = {}) {
+      return Promise.all(listDayKeys(from, to, now()).map(readDay));
+    },
+
+    /**
+     * One page of turns, oldest day first. Pass the returned `cursor` back
+     * for the next page; it is null once the range is exhausted.
+     * @param {{from?: string; to?: string; cursor?: string | null}} [options]
+     * @return {Promise<{events: Array<Record<string, any>>; cursor: string | null}>}
+     */
+    async listTranscripts({from, to, cursor} = {}) {
+      const dayKeys = listDayKeys(from, to, now());
+      let {dayIndex, listCursor} = parseTranscriptCursor(cursor, dayKeys);
+      const names = [];
+
+      while (dayIndex < dayKeys.length && names.length < TRANSCRIPT_PAGE_SIZE) {
+        const page = await backend.list({
+          prefix: getEventsPrefix(dayKeys[dayIndex]),
+          limit: TRANSCRIPT_PAGE_SIZE - names.length,
+          ...(listCursor ? {cursor: listCursor} : {}),
+        });
+        page.keys.forEach((key) => names.push(key.name));
+
+        if (page.list_complete || !page.cursor) {
+          dayIndex += 1;
+          listCursor = '';
+        } else {
+          listCursor = page.cursor;
+        }
+      }
+
+      const events = await Promise.all(names.map(readEvent));
+      return {
+        events: events.filter(Boolean),
+        cursor:
+          dayIndex < dayKeys.length
+            ? `${dayKeys[dayIndex]}:${listCursor}`
+            : null,
+      };
+    },
+  };
+}
+
+/**
+ * Merges day counters into the dashboard report. Latency percentiles are
+ * read from a histogram, so they are reported as the bucket's upper bound.
+ * @param {Array<ChatbotDayStats>} days
+ */
+export function summarizeChatbotStats(days) {
+  const stats = (Array.isArray(days) ? days : []).reduce(
+    mergeDayStats,
+    createDayStats(),
+  );
+
+  return {
+    turns: stats.turns,
+    sessions: stats.sessions.length,
+    fallbackRate: ratio(stats.fallbackTurns, stats.turns),
+    productHitRate: ratio(stats.productTurnsWithHits, stats.productTurns),
+    latency: {
+      avgMs: stats.turns ? Math.round(stats.latencyMs / stats.turns) : 0,
+      p50Ms: getHistogramPercentile(stats, 0.5),
+      p95Ms: getHistogramPercentile(stats, 0.95),
+    },
+    intents: stats.intents,
+    languages: stats.languages,
+    fallbacks: stats.fallbacks,
+    tools: Object.fromEntries(
+      Object.entries(stats.tools).map(([name, tool]) => [
+        name,
+        {
+          calls: tool.calls,
+          failures: tool.failures,
+          avgLatencyMs: tool.calls ? Math.round(tool.totalMs / tool.calls) : 0,
+        },
+      ]),
+    ),
+    topFallbackMessages: Object.entries(stats.fallbackMessages)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, TOP_FALLBACK_MESSAGES)
+      .map(([message, count]) => ({message, count})),
+  };
+}
+
+export function formatChatbotTranscriptsJsonl(events) {
+  return (Array.isArray(events) ? events : [])
+    .map((event) => JSON.stringify(event))
+    .join('\n');
+}
+
+export function formatChatbotTranscriptsCsv(events) {
+  const rows = (Array.isArray(events) ? events : []).map((event) =>
+    TRANSCRIPT_CSV_COLUMNS.map((column) => {
+      if (column === 'toolCalls') {
+        return (event.toolCalls || [])
+          .map((call) => `${call.name}:${call.ok ? 'ok' : 'error'}`)
+          .join(' ');
+      }
+      if (column === 'actions') return (event.actions || []).join(' ');
+      return event[column] ?? '';
+    }),
+  );
+
+  return [TRANSCRIPT_CSV_COLUMNS, ...rows]
+    .map((row) => row.map(escapeCsvValue).join(','))
+    .join('\n');
+}
+
+/**
+ * Checks `Authorization: Bearer <CHATBOT_ADMIN_TOKEN>`. Tokens in the URL are
+ * not accepted, since they end up in logs and browser history. Without the
+ * env var the admin surface stays closed. Machine endpoints only take the
+ * header; the staff pages also accept a sign-in, see `hasChatbotAdminAccess`.
+ */
+export function isChatbotAdminRequest(request, env) {
+  return hasBearerToken(request, env?.CHATBOT_ADMIN_TOKEN);
+}
+
+/**
+ * Access check for the staff pages under /admin: the bearer header, or a
+ * sign-in from /admin/login kept in the signed, HttpOnly session cookie. The
+ * sign-in holds a hash of the token it was made with, so rotating
+ * `CHATBOT_ADMIN_TOKEN` ends it.
+ * @param {{
+ *   request: Request;
+ *   env: Record<string, any>;
+ *   session: import('~/lib/session').AppSession;
+ *   now?: number;
+ * }}
+ */
+export async function hasChatbotAdminAccess({
+  request,
+  env,
+  session,
+  now = Date.now(),
+}) {
+  if (isChatbotAdminRequest(request, env)) return true;
+
+  const signIn = session?.get(ADMIN_SESSION_KEY);
+  if (!signIn?.tokenHash || !(signIn.expiresAt > now)) return false;
+
+  const tokenHash = await hashAdminToken(env?.CHATBOT_ADMIN_TOKEN);
+  return Boolean(tokenHash) && constantTimeEqual(signIn.tokenHash, tokenHash);
+}
+
+/**
+ * Throws unless `hasChatbotAdminAccess` passes: a 401 for requests that sent
+ * an `Authorization` header, otherwise a redirect to /admin/login that comes
+ * back to the requested page.
+ * @param {Parameters<typeof hasChatbotAdminAccess>[0]} options
+ */
+export async function requireChatbotAdminPage(options) {
+  if (await hasChatbotAdminAccess(options)) return;
+
+  const headers = {'Cache-Control': 'private, no-store'};
+  if (options.request.headers.has('Authorization')) {
+    throw new Response('Unauthorized', {
+      status: 401,
+      headers: {...headers, 'WWW-Authenticate': 'Bearer'},
+    });
+  }
+
+  const url = new URL(options.request.url);
+  throw redirect(
+    `/admin/login?${new URLSearchParams({redirectTo: url.pathname + url.search})}`,
+    {headers},
+  );
+}
+
+/**
+ * Signs the browser in when `token` matches `CHATBOT_ADMIN_TOKEN`; the
+ * session is written to the cookie when the response goes out.
+ * @param {{
+ *   token: string;
+ *   env: Record<string, any>;
+ *   session: import('~/lib/session').AppSession;
+ *   now?: number;
+ * }}
+ * @return {Promise<boolean>}
+ */
+export async function startChatbotAdminSession({
+  token,
+  env,
+  session,
+  now = Date.now(),
+}) {
+  const expected = await hashAdminToken(env?.CHATBOT_ADMIN_TOKEN);
+  const given = await hashAdminToken(token);
+  if (!expected || !given || !constantTimeEqual(given, expected)) {
+    return false;
+  }
+
+  session.set(ADMIN_SESSION_KEY, {
+    tokenHash: expected,
+    expiresAt: now + ADMIN_SESSION_TTL_MS,
+  });
+  return true;
+}
+
+/**
+ * @param {import('~/lib/session').AppSession} session
+ */
+export function endChatbotAdminSession(session) {
+  session.unset(ADMIN_SESSION_KEY);
+}
+
+/**
+ * Checks `Authorization: Bearer <token>` against a secret. An unset or
+ * empty secret never matches.
+ * @param {Request} request
+ * @param {unknown} secret
+ */
+export function hasBearerToken(request, secret) {
+  const expected = typeof secret === 'string' ? secret.trim() : '';
+  if (!expected) return false;
+
+  const header = request.headers.get('Authorization') || '';
+  return (
+    header.startsWith('Bearer ') &&
+    constantTimeEqual(header.slice('Bearer '.length).trim(), expected)
+  );
+}
+
+function buildTurnEvent({trace, sessionId, message, result, timestamp}) {
+  return {
+    timestamp: new Date(timestamp).toISOString(),
+    sessionId: sessionId || '',
+    language: trace?.language || '',
+    intent: trace?.intent || 'other',
+    fallbackReason: trace?.fallbackReason || '',
+    provider: trace?.provider || '',
+    latencyMs: trace?.startedAt ? Math.max(0, timestamp - trace.startedAt) : 0,
+    productHits: trace?.productHits || 0,
+    productsShown: Array.isArray(result?.products) ? result.products.length : 0,
+    toolCalls: (trace?.toolCalls || []).map((call) => ({
+      name: call.name,
+      ok: Boolean(call.ok),
+      latencyMs: call.latencyMs || 0,
+    })),
+    actions: (Array.isArray(result?.actions) ? result.actions : [])
+      .map((action) => action?.type)
+      .filter(Boolean),
+    message: redactContactDetails(message).slice(0, MAX_TEXT_LENGTH),
+    reply: redactContactDetails(result?.reply).slice(0, MAX_TEXT_LENGTH),
+  };
+}
+
+/**
+ * @param {ChatbotDayStats} stats
+ * @param {ReturnType<typeof buildTurnEvent>} event
+ */
+function applyTurnEvent(stats, event) {
+  stats.turns += 1;
+  if (
+    event.sessionId &&
+    stats.sessions.length < MAX_SESSIONS_PER_SHARD &&
+    !stats.sessions.includes(event.sessionId)
+  ) {
+    stats.sessions.push(event.sessionId);
+  }
+
+  const intent = event.intent || 'other';
+  const intentCounts = (stats.intents[intent] = stats.intents[intent] || {
+    turns: 0,
+    fallbacks: 0,
+  });
+  intentCounts.turns += 1;
+  increment(stats.languages, event.language || 'en');
+
+  if (event.fallbackReason) {
+    stats.fallbackTurns += 1;
+    intentCounts.fallbacks += 1;
+    increment(stats.fallbacks, event.fallbackReason);
+    const message = event.message
+      .toLowerCase()
+      .trim()
+      .slice(0, MAX_FALLBACK_MESSAGE_LENGTH);
+    if (
+      message &&
+      (Object.hasOwn(stats.fallbackMessages, message) ||
+        Object.keys(stats.fallbackMessages).length <
+          MAX_FALLBACK_MESSAGES_PER_DAY)
+    ) {
+      increment(stats.fallbackMessages, message);
+    }
+  }
+
+  if (intent === 'product' || intent === 'catalog_list') {
+    stats.productTurns += 1;
+    if (event.productHits > 0) stats.productTurnsWithHits += 1;
+  }
+
+  event.toolCalls.forEach((call) => {
+    const tool = (stats.tools[call.name] = stats.tools[call.name] || {
+      calls: 0,
+      failures: 0,
+      totalMs: 0,
+    });
+    tool.calls += 1;
+    if (!call.ok) tool.failures += 1;
+    tool.totalMs += call.latencyMs;
+  });
+
+  stats.latencyMs += event.latencyMs;
+  stats.maxLatencyMs = Math.max(stats.maxLatencyMs, event.latencyMs);
+  increment(
+    stats.latencyBuckets,
+    String(
+      LATENCY_BUCKETS_MS.find((bound) => event.latencyMs <= bound) ??
+        LATENCY_BUCKETS_MS[LATENCY_BUCKETS_MS.length - 1],
+    ),
+  );
+}
+
+/**
+ * Adds the counters of `source` to `target`.
+ * @param {ChatbotDayStats} target
+ * @param {ChatbotDayStats} source
+ * @return {ChatbotDayStats}
+ */
+function mergeDayStats(target, source) {
+  [
+    'turns',
+    'fallbackTurns',
+    'productTurns',
+    'productTurnsWithHits',
+    'latencyMs',
+  ].forEach((key) => {
+    target[key] += Number(source?.[key]) || 0;
+  });
+  target.maxLatencyMs = Math.max(
+    target.maxLatencyMs,
+    Number(source?.maxLatencyMs) || 0,
+  );
+  target.sessions = Array.from(
+    new Set([...target.sessions, ...(source?.sessions || [])]),
+  );
+  addCounts(target.languages, source?.languages);
+  addCounts(target.fallbacks, source?.fallbacks);
+  addCounts(target.fallbackMessages, source?.fallbackMessages);
+  addCounts(target.latencyBuckets, source?.latencyBuckets);
+
+  Object.entries(source?.intents || {}).forEach(([intent, counts]) => {
+    target.intents[intent] = target.intents[intent] || {
+      turns: 0,
+      fallbacks: 0,
+    };
+    addCounts(target.intents[intent], counts);
+  });
+  Object.entries(source?.tools || {}).forEach(([name, counts]) => {
+    target.tools[name] = target.tools[name] || {
+      calls: 0,
+      failures: 0,
+      totalMs: 0,
+    };
+    addCounts(target.tools[name], counts);
+  });
+
+  return target;
+}
+
+/**
+ * @return {ChatbotDayStats}
+ */
+function createDayStats() {
+  return {
+    turns: 0,
+    sessions: [],
+    fallbackTurns: 0,
+    productTurns: 0,
+    productTurnsWithHits: 0,
+    latencyMs: 0,
+    maxLatencyMs: 0,
+    latencyBuckets: {},
+    intents: {},
+    languages: {},
+    fallbacks: {},
+    tools: {},
+    fallbackMessages: {},
+  };
+}
+
+// Turns past the last bucket report the slowest turn seen instead.
+function getHistogramPercentile(stats, fraction) {
+  const target = Math.ceil(stats.turns * fraction);
+  let seen = 0;
+
+  for (const bound of LATENCY_BUCKETS_MS) {
+    seen += stats.latencyBuckets[bound] || 0;
+    if (target && seen >= target) {
+      return bound === LATENCY_BUCKETS_MS[LATENCY_BUCKETS_MS.length - 1]
+        ? Math.min(bound, stats.maxLatencyMs)
+        : bound;
+    }
+  }
+
+  return 0;
+}
+
+// Cursors are `<day>:<KV list cursor>`; anything else starts at the first
+// day of the range.
+function parseTranscriptCursor(cursor, dayKeys) {
+  const value = typeof cursor === 'string' ? cursor : '';
+  const separator = value.indexOf(':');
+  const dayIndex =
+    separator === -1 ? -1 : dayKeys.indexOf(value.slice(0, separator));
+
+  return dayIndex === -1
+    ? {dayIndex: 0, listCursor: ''}
+    : {dayIndex, listCursor: value.slice(separator + 1)};
+}
+
+function listDayKeys(from, to, timestamp) {
+  const end = parseDay(to) ?? parseDay(getDayKey(timestamp));
+  const start = parseDay(from) ?? end;
+  const keys = [];
+
+  for (
+    let day = Math.max(start, end - (MAX_EXPORT_DAYS - 1) * 86400000);
+    day <= end;
+    day += 86400000
+  ) {
+    keys.push(getDayKey(day));
+  }
+
+  return keys;
+}
+
+function parseDay(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return Number.isFinite(time) ? time : null;
+}
+
+function getDayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function getEventsPrefix(dayKey) {
+  return `chatbot:event:${dayKey}:`;
+}
+
+function getStatsKey(dayKey, shard) {
+  return `chatbot:stats:${dayKey}:${shard}`;
+}
+
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+function addCounts(target, source) {
+  Object.entries(source || {}).forEach(([key, value]) => {
+    if (typeof value === 'number') target[key] = (target[key] || 0) + value;
+  });
+}
+
+function ratio(part, total) {
+  return total ? Math.round((part / total) * 1000) / 1000 : 0;
+}
+
+// Shopper text that starts like a formula gets a leading `'`, so a
+// spreadsheet shows it instead of running it.
+function escapeCsvValue(value) {
+  const raw = String(value ?? '');
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function hashAdminToken(token) {
+  const value = typeof token === 'string' ? token.trim() : '';
+  if (!value) return '';
+
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(value),
+  );
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, '0'),
+  ).join('');
+}
+
+function constantTimeEqual(a, b) {
+  if (typeof a !== 'string' || a.length !== b.length) return false;
+  let diff = 0;
+  for (let index = 0; index < a.length; index += 1) {
+    diff |= a.charCodeAt(index) ^ b.charCodeAt(index);
+  }
+  return diff === 0;
+}
+
+/**
+ * @typedef {{
+ *   turns: number;
+ *   sessions: string[];
+ *   fallbackTurns: number;
+ *   productTurns: number;
+ *   productTurnsWithHits: number;
+ *   latencyMs: number;
+ *   maxLatencyMs: number;
+ *   latencyBuckets: Record<string, number>;
+ *   intents: Record<string, {turns: number; fallbacks: number}>;
+ *   languages: Record<string, number>;
+ *   fallbacks: Record<string, number>;
+ *   tools: Record<string, {calls: number; failures: number; totalMs: number}>;
+ *   fallbackMessages: Record<string, number>;
+ * }} ChatbotDayStats
+ */
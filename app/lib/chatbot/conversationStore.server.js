@@ -0,0 +1,333 @@
+const CHATBOT_SESSION_KEY = 'chatbotSessionId';
+const CONVERSATION_TTL_SECONDS = 60 * 60 * 24 * 30;
+const QUOTA_TTL_SECONDS = 60 * 60 * 24 * 2;
+const MAX_STORED_MESSAGES = 50;
+const DEFAULT_SESSION_DAILY_LIMIT = 100;
+const DEFAULT_IP_DAILY_LIMIT = 300;
+const LIST_PAGE_SIZE = 1000;
+
+let sharedMemoryBackend = null;
+
+/**
+ * In-memory backend with the same surface as a Workers KV namespace
+ * (`get`, `put` with `expirationTtl`, `delete`, and `list` by prefix with a
+ * cursor). Used for tests and as the per-isolate fallback when no KV binding
+ * is configured.
+ */
+export function createMemoryChatbotBackend({now = () => Date.now()} = {}) {
+  const entries = new Map();
+  const isExpired = (entry) => entry.expiresAt && entry.expiresAt <= now();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async put(key, value, {expirationTtl} = {}) {
+      entries.set(key, {
+        value: String(value),
+        expiresAt: expirationTtl ? now() + expirationTtl * 1000 : 0,
+      });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async list({prefix = '', limit = LIST_PAGE_SIZE, cursor = ''} = {}) {
+      const names = Array.from(entries.entries())
+        .filter(([name, entry]) => name.startsWith(prefix) && !isExpired(entry))
+        .map(([name]) => name)
+        .sort();
+      const start = Number(cursor) || 0;
+      const end = start + limit;
+
+      return {
+        keys: names.slice(start, end).map((name) => ({name})),
+        list_complete: end >= names.length,
+        cursor: end >= names.length ? '' : String(end),
+      };
+    },
+  };
+}
+
+/**
+ * Names of every key under `prefix`, following the KV list cursor. KV lists
+ * are eventually consistent, so a key written a moment ago may be missing.
+ * @param {{list: Function}} backend
+ * @param {string} prefix
+ * @param {{limit?: number}} [options] Stop after this many keys.
+ * @return {Promise<string[]>}
+ */
+export async function listBackendKeys(
+  backend,
+  prefix,
+  {limit = Infinity} = {},
+) {
+  const names = [];
+  let cursor = '';
+
+  do {
+    const page = await backend.list({
+      prefix,
+      ...(cursor ? {cursor} : {}),
+    });
+    page.keys.forEach((key) => names.push(key.name));
+    cursor = page.list_complete ? '' : page.cursor;
+  } while (cursor && names.length < limit);
+
+  return names.slice(0, limit);
+}
+
+/**
+ * Uses the `CHATBOT_KV` binding when the deployment provides one, otherwise
+ * a memory backend shared by every request handled by this isolate.
+ */
+export function resolveChatbotConversationStore(env) {
+  const kvBinding = env?.CHATBOT_KV;
+  const hasKvBinding =
+    kvBinding &&
+    typeof kvBinding.get === 'function' &&
+    typeof kvBinding.put === 'function';
+
+  if (!hasKvBinding && !sharedMemoryBackend) {
+    sharedMemoryBackend = createMemoryChatbotBackend();
+  }
+
+  return createChatbotConversationStore({
+    backend: hasKvBinding ? kvBinding : sharedMemoryBackend,
+    sessionDailyLimit: parseLimit(
+      env?.CHATBOT_SESSION_DAILY_LIMIT,
+      DEFAULT_SESSION_DAILY_LIMIT,
+    ),
+    ipDailyLimit: parseLimit(
+      env?.CHATBOT_IP_DAILY_LIMIT,
+      DEFAULT_IP_DAILY_LIMIT,
+    ),
+  });
+}
+
+export function createChatbotConversationStore({
+  backend,
+  sessionDailyLimit = DEFAULT_SESSION_DAILY_LIMIT,
+  ipDailyLimit = DEFAULT_IP_DAILY_LIMIT,
+  now = () => Date.now(),
+}) {
+  async function readJson(key, fallback) {
+    try {
+      const raw = await backend.get(key);
+      return raw ? JSON.parse(raw) : fallback;
+    } catch {
+      return fallback;
+    }
+  }
+
+  async function readCount(key) {
+    const count = Number(await backend.get(key).catch(() => null));
+    return Number.isFinite(count) && count > 0 ? Math.trunc(count) : 0;
+  }
+
+  function buildQuota({scope, limit, used}) {
+    return {
+      allowed: used < limit,
+      scope,
+      limit,
+      used,
+      remaining: Math.max(0, limit - used),
+      resetAt: getNextUtcMidnight(now()),
+    };
+  }
+
+  function getQuotaChecks({sessionId, ip}) {
+    return [
+      sessionId
+        ? {scope: 'session', id: sessionId, limit: sessionDailyLimit}
+        : null,
+      ip ? {scope: 'ip', id: ip, limit: ipDailyLimit} : null,
+    ].filter(Boolean);
+  }
+
+  function getTightestQuota(quotas) {
+    return quotas.length
+      ? quotas.reduce((tightest, quota) =>
+          quota.remaining < tightest.remaining ? quota : tightest,
+        )
+      : buildQuota({scope: 'session', limit: sessionDailyLimit, used: 0});
+  }
+
+  return {
+    async getConversation(sessionId) {
+      if (!sessionId) return {messages: [], updatedAt: 0};
+      const stored = await readJson(getConversationKey(sessionId), null);
+      return {
+        messages: normalizeStoredMessages(stored?.messages),
+        updatedAt: Number(stored?.updatedAt) || 0,
+      };
+    },
+
+    async appendMessages(sessionId, messages) {
+      if (!sessionId) return;
+      const current = await this.getConversation(sessionId);
+      const nextMessages = normalizeStoredMessages([
+        ...current.messages,
+        ...(Array.isArray(messages) ? messages : []),
+      ]);
+
+      await backend.put(
+        getConversationKey(sessionId),
+        JSON.stringify({messages: nextMessages, updatedAt: now()}),
+        {expirationTtl: CONVERSATION_TTL_SECONDS},
+      );
+    },
+
+    async clearConversation(sessionId) {
+      if (!sessionId) return;
+      await backend.delete(getConversationKey(sessionId));
+    },
+
+    /**
+     * Today's usage for the shopper: whichever of the session and IP quotas
+     * has fewer messages left.
+     * @param {{sessionId?: string; ip?: string}} client
+     */
+    async getUsage({sessionId, ip}) {
+      const timestamp = now();
+      const checks = getQuotaChecks({sessionId, ip});
+      const counts = await Promise.all(
+        checks.map((check) =>
+          readCount(getQuotaKey(check.scope, check.id, timestamp)),
+        ),
+      );
+      const quota = getTightestQuota(
+        checks.map((check, index) =>
+          buildQuota({...check, used: counts[index]}),
+        ),
+      );
+      return {
+        limit: quota.limit,
+        used: quota.used,
+        remaining: quota.remaining,
+        resetAt: quota.resetAt,
+      };
+    },
+
+    /**
+     * Counts one shopper message against the session and IP quotas.
+     * Nothing is counted when either quota is already exhausted. The session
+     * lives in a cookie, so clearing it starts a fresh session quota; the IP
+     * quota still counts those messages, and the returned usage is whichever
+     * quota is closer to its limit.
+     * KV counters are not atomic, so concurrent bursts may overshoot by a
+     * few messages; the limits are abuse guards, not billing.
+     */
+    async consumeQuota({sessionId, ip}) {
+      const timestamp = now();
+      const checks = getQuotaChecks({sessionId, ip});
+
+      const counts = await Promise.all(
+        checks.map((check) =>
+          readCount(getQuotaKey(check.scope, check.id, timestamp)),
+        ),
+      );
+
+      for (let index = 0; index < checks.length; index += 1) {
+        const quota = buildQuota({...checks[index], used: counts[index]});
+        if (!quota.allowed) return quota;
+      }
+
+      await Promise.all(
+        checks.map((check, index) =>
+          backend.put(
+            getQuotaKey(check.scope, check.id, timestamp),
+            String(counts[index] + 1),
+            {expirationTtl: QUOTA_TTL_SECONDS},
+          ),
+        ),
+      );
+
+      return {
+        ...getTightestQuota(
+          checks.map((check, index) =>
+            buildQuota({...check, used: counts[index] + 1}),
+          ),
+        ),
+        allowed: true,
+      };
+    },
+  };
+}
+
+export function getChatbotSessionId(session, {create = false} = {}) {
+  const existing = session?.get?.(CHATBOT_SESSION_KEY);
+  if (typeof existing === 'string' && existing) return existing;
+  if (!create || !session?.set) return '';
+
+  const sessionId =
+    typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+      ? crypto.randomUUID()
+      : `chat-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+  session.set(CHATBOT_SESSION_KEY, sessionId);
+  return sessionId;
+}
+
+export function getClientIp(request) {
+  const headers = request?.headers;
+  if (!headers) return '';
+
+  const forwardedFor = (headers.get('x-forwarded-for') || '')
+    .split(',')[0]
+    ?.trim();
+
+  return (
+    headers.get('oxygen-buyer-ip') ||
+    headers.get('cf-connecting-ip') ||
+    forwardedFor ||
+    ''
+  ).trim();
+}
+
+function normalizeStoredMessages(messages) {
+  if (!Array.isArray(messages)) return [];
+
+  return messages
+    .map((message) => {
+      const role = message?.role === 'assistant' ? 'assistant' : 'user';
+      const content =
+        typeof message?.content === 'string' ? message.content.trim() : '';
+      if (!content) return null;
+
+      return {
+        role,
+        content: content.slice(0, 2000),
+        ...(role === 'assistant' && Array.isArray(message.products)
+          ? {products: message.products.slice(0, 20)}
+          : {}),
+      };
+    })
+    .filter(Boolean)
+    .slice(-MAX_STORED_MESSAGES);
+}
+
+function getConversationKey(sessionId) {
+  return `chatbot:conversation:${sessionId}`;
+}
+
+function getQuotaKey(scope, id, timestamp) {
+  const dayKey = new Date(timestamp).toISOString().slice(0, 10);
+  return `chatbot:quota:${scope}:${id}:${dayKey}`;
+}
+
+function getNextUtcMidnight(timestamp) {
+  const next = new Date(timestamp);
+  next.setUTCHours(24, 0, 0, 0);
+  return next.toISOString();
+}
+
+function parseLimit(value, fallback) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric) || numeric < 1) return fallback;
+  return Math.trunc(numeric);
+}
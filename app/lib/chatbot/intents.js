@@ -0,0 +1,1238 @@
+import {
+  canonicalizeChatHistory,
+  canonicalizeChatMessage,
+  detectChatLanguage,
+} from './languages.js';
+
+const MAX_AGENT_QUANTITY = 10;
+const ORDINAL_WORDS = [
+  'first',
+  'second',
+  'third',
+  'fourth',
+  'fifth',
+  'sixth',
+  'seventh',
+  'eighth',
+  'ninth',
+  'tenth',
+];
+
+const STORE_SCOPE_KEYWORDS = [
+  'pixel zones',
+  'store',
+  'location',
+  'address',
+  'showroom',
+  'beirut',
+  'delivery',
+  'shipping',
+  'cash on delivery',
+  'cod',
+  'customer service',
+  'support',
+  'contact',
+  'phone',
+  'number',
+  'whatsapp',
+  'available',
+  'availability',
+  'stock',
+  'in stock',
+  'product',
+  'item',
+  'brand',
+  'price',
+  'order',
+  'checkout',
+  'cart',
+  'basket',
+  'bag',
+];
+
+const STORE_SERVICE_KEYWORDS = [
+  'location',
+  'address',
+  'showroom',
+  'beirut',
+  'delivery',
+  'shipping',
+  'cash on delivery',
+  'cod',
+  'customer service',
+  'support',
+  'contact',
+  'whatsapp',
+  'phone number',
+  'store hours',
+  'open',
+  'close',
+];
+
+const PRODUCT_HINT_KEYWORDS = [
+  'product',
+  'products',
+  'item',
+  'items',
+  'iphone',
+  'phone',
+  'smartphone',
+  'mobile',
+  'computer',
+  'desktop',
+  'pc',
+  'laptop',
+  'tablet',
+  'airpods',
+  'case',
+  'charger',
+  'cable',
+  'powerbank',
+  'router',
+  'headphone',
+  'headphones',
+  'headset',
+  'speaker',
+  'brand',
+  'brands',
+  'price',
+  'prices',
+  'stock',
+  'available',
+  'availability',
+  'sell',
+  'carry',
+];
+
+const PRODUCT_LOOKUP_PATTERNS = [
+  /\b(do you have|do u have|can i get|can you find|find|search for|looking for|i need|i want)\b/i,
+  /\b(available|in stock|stock)\b/i,
+];
+
+const GREETING_PATTERNS = [
+  /^(hi|hello|hey|hiya|yo)\b/i,
+  /^(good\s(morning|afternoon|evening))\b/i,
+];
+
+const MODEL_HINT_WORDS = [
+  'pro',
+  'max',
+  'plus',
+  'ultra',
+  'mini',
+  'se',
+  'air',
+  'note',
+  'fe',
+];
+
+const DEVICE_INTENT_KEYWORDS = [
+  'iphone',
+  'phone',
+  'smartphone',
+  'mobile',
+  'galaxy',
+  'ipad',
+  'tablet',
+  'laptop',
+  'computer',
+  'desktop',
+  'pc',
+  'notebook',
+  'macbook',
+  'watch',
+  'airpods',
+];
+
+const ACCESSORY_KEYWORDS = [
+  'case',
+  'cover',
+  'protector',
+  'screen protector',
+  'charger',
+  'cable',
+  'adapter',
+  'powerbank',
+  'mount',
+  'holder',
+  'skin',
+  'strap',
+  'briefcase',
+  'tote',
+  'backpack',
+  'bag',
+  'sleeve',
+  'stand',
+  'mouse',
+  'keyboard',
+  'printer',
+  'router',
+  'headphone',
+  'headphones',
+  'headset',
+  'speaker',
+];
+
+const CONTEXT_CARRY_TOKENS = [
+  'apple',
+  'iphone',
+  'samsung',
+  'galaxy',
+  'google',
+  'pixel',
+  'xiaomi',
+  'huawei',
+  'oppo',
+  'oneplus',
+  'ipad',
+  'macbook',
+  'airpods',
+];
+
+const FOLLOW_UP_ONLY_MESSAGES = new Set([
+  'yes',
+  'yeah',
+  'yep',
+  'ok',
+  'okay',
+  'sure',
+  'please',
+  'link',
+  'url',
+  'details',
+  'more',
+]);
+
+const PRODUCT_STOP_WORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'any',
+  'are',
+  'can',
+  'do',
+  'for',
+  'from',
+  'have',
+  'i',
+  'in',
+  'is',
+  'it',
+  'me',
+  'my',
+  'of',
+  'on',
+  'or',
+  'please',
+  'show',
+  'that',
+  'the',
+  'this',
+  'to',
+  'we',
+  'with',
+  'you',
+  'your',
+]);
+
+/**
+ * Runs every intent heuristic over one shopper message. Arabic, French and
+ * Arabizi messages are canonicalized into English terms first (see
+ * `languages.js`). Used by the intent corpus check so keyword changes show
+ * up as a diff of this summary.
+ */
+export function classifyChatMessage(
+  message,
+  {history: rawHistory = [], currentProductHandle = ''} = {},
+) {
+  const language = detectChatLanguage(message, {history: rawHistory});
+  const normalized = canonicalizeChatMessage(sanitizeText(message), language);
+  const history = canonicalizeChatHistory(rawHistory, language);
+  const lookupTerm = extractProductLookupTerm(normalized, history);
+  const intentProfile = getCatalogIntentProfile(lookupTerm || normalized);
+
+  return {
+    language,
+    canonicalMessage: normalized,
+    primaryIntent: getPrimaryChatIntent(normalized, history),
+    greeting: isGreeting(normalized),
+    offTopic: shouldRejectClearlyOffTopicRequest(normalized, {
+      currentProductHandle,
+    }),
+    addToCart: isAddToCartIntent(normalized),
+    compare: isCompareIntent(normalized),
+    wishlistIntent: getWishlistIntent(normalized),
+    orderStatus:
+      isOrderStatusIntent(normalized) ||
+      isOrderStatusFollowUp(normalized, history),
+    orderNumber: extractOrderNumber(normalized),
+    checkout: isCheckoutIntent(normalized),
+    clearCart: isClearCartIntent(normalized),
+    productPage: isProductPageNavigationIntent(normalized),
+    searchPageTerm: extractSearchPageNavigationTerm(normalized),
+    listRequest: isCatalogListRequest(normalized),
+    storeService: isStoreServiceIntent(normalized),
+    productIntent: hasProductIntent(normalized),
+    followUp: isFollowUpMessage(normalized),
+    shouldLookupProducts: shouldFetchProductsFromShopify(normalized, history),
+    referencedOptionIndex: extractReferencedOptionIndex(normalized),
+    referencedOptionIndexes: extractReferencedOptionIndexes(normalized),
+    quantity: extractRequestedQuantity(normalized),
+    requestedCount: extractRequestedProductCount(normalized),
+    selectionPreference: getAgentSelectionPreference(normalized),
+    catalogFamily: getRequestedCatalogFamily(lookupTerm || normalized),
+    lookupTerm,
+    intentProfile,
+    searchQueries: buildProductSearchQueries(
+      lookupTerm || normalized,
+      intentProfile,
+    ),
+  };
+}
+
+/**
+ * One label per message for analytics, checked in the same priority order
+ * the chatbot action uses when routing a turn.
+ */
+export function getPrimaryChatIntent(message, history = []) {
+  const normalized = sanitizeText(message);
+  if (!normalized) return 'empty';
+  if (isGreeting(normalized) && !hasRecentProductIntent(history)) {
+    return 'greeting';
+  }
+  if (isCompareIntent(normalized)) return 'compare';
+  if (getWishlistIntent(normalized)) return 'wishlist';
+  if (
+    isOrderStatusIntent(normalized) ||
+    isOrderStatusFollowUp(normalized, history)
+  ) {
+    return 'order_status';
+  }
+  if (isClearCartIntent(normalized)) return 'clear_cart';
+  if (isAddToCartIntent(normalized)) return 'add_to_cart';
+  if (isCheckoutIntent(normalized)) return 'checkout';
+  if (extractSearchPageNavigationTerm(normalized)) return 'search_page';
+  if (isProductPageNavigationIntent(normalized)) return 'product_page';
+  if (isCatalogListRequest(normalized)) return 'catalog_list';
+  if (shouldFetchProductsFromShopify(normalized, history)) return 'product';
+  if (isStoreServiceIntent(normalized)) return 'store_service';
+  if (shouldRejectClearlyOffTopicRequest(normalized)) return 'off_topic';
+  return 'other';
+}
+
+export function shouldRejectClearlyOffTopicRequest(message, context = {}) {
+  const normalized = sanitizeText(message).toLowerCase();
+  if (!normalized || looksStoreRelatedMessage(normalized, context)) {
+    return false;
+  }
+
+  const offTopicPatterns = [
+    /\b(write|generate|create|build|debug|fix|review|explain|optimize)\b.{0,50}\b(code|javascript|js|typescript|ts|python|react|css|html|sql|api|function|component|script)\b/,
+    /\btranslate\b|\btranslation\b|\bproofread\b|\bparaphrase\b|\bsummarize\b|\bsummary\b|\brewrite\b/,
+    /\bweather\b|\bforecast\b|\bnews\b|\bheadline\b|\bcapital of\b|\bpopulation of\b/,
+    /\bpoem\b|\bstory\b|\bessay\b|\bjoke\b|\briddle\b/,
+  ];
+
+  return offTopicPatterns.some((pattern) => pattern.test(normalized));
+}
+
+function looksStoreRelatedMessage(message, context = {}) {
+  const normalized = sanitizeText(message).toLowerCase();
+  if (!normalized) return false;
+
+  if (
+    context?.currentProductHandle &&
+    /\b(this|it|that|this product|that product|this one|that one)\b/.test(
+      normalized,
+    )
+  ) {
+    return true;
+  }
+
+  if (hasProductIntent(normalized)) return true;
+  if (isAddToCartIntent(normalized)) return true;
+  if (isCheckoutIntent(normalized)) return true;
+  if (isClearCartIntent(normalized)) return true;
+  if (isOrderStatusIntent(normalized)) return true;
+  if (isCatalogListRequest(normalized)) return true;
+  if (isStoreServiceIntent(normalized)) return true;
+  if (isProductPageNavigationIntent(normalized)) return true;
+  if (extractSearchPageNavigationTerm(normalized)) return true;
+  return false;
+}
+
+export function normalizeCatalogSearchQuery(query) {
+  const raw = sanitizeText(query).toLowerCase();
+  if (!raw) return '';
+
+  const normalized = raw
+    .replace(/[^\p{L}\p{N}\s/+.-]/gu, ' ')
+    .replace(
+      /\b(i need|i want|i would like|i'm looking for|i am looking for|looking for|show me|find me|help me find|can you find|can you show me|could you show me|recommend|suggest|give me|a good|some|please)\b/g,
+      ' ',
+    )
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return normalized || raw;
+}
+
+export function getRequestedCatalogFamily(query) {
+  const normalized = sanitizeText(query).toLowerCase();
+  if (!normalized) return null;
+
+  if (/\b(laptop|notebook|macbook)\b/.test(normalized)) return 'laptop';
+  if (/\b(computer|desktop|gaming pc|pc build|tower|pc)\b/.test(normalized))
+    return 'computer';
+  if (/\b(monitor|display)\b/.test(normalized)) return 'monitor';
+  if (
+    /\b(ip phone|voip|sip|dect|grandstream|desk phone|office phone|conference phone)\b/.test(
+      normalized,
+    )
+  )
+    return 'ipPhone';
+  if (/\b(phone|smartphone|iphone|mobile|galaxy)\b/.test(normalized))
+    return 'smartphone';
+  if (/\b(tablet|ipad|tab)\b/.test(normalized)) return 'tablet';
+  return null;
+}
+
+function matchesRequestedCatalogFamily(product, family) {
+  const haystack = [
+    sanitizeText(product?.title),
+    sanitizeText(product?.handle),
+    sanitizeText(product?.onlineStoreUrl),
+    sanitizeText(product?.productType),
+    Array.isArray(product?.tags) ? product.tags.join(' ') : '',
+  ]
+    .join(' ')
+    .toLowerCase();
+
+  if (!haystack) return false;
+
+  switch (family) {
+    case 'laptop':
+      return isComputerLikeText(haystack);
+    case 'computer':
+      return isComputerLikeText(haystack) && !isAccessoryLikeText(haystack);
+    case 'monitor':
+      return /\b(monitor|display)\b/.test(haystack);
+    case 'ipPhone':
+      return isIpPhoneLikeText(haystack) && !isAccessoryLikeText(haystack);
+    case 'smartphone':
+      return isSmartphoneLikeText(haystack) && !isAccessoryLikeText(haystack);
+    case 'tablet':
+      return (
+        /\b(tablet|ipad|tab)\b/.test(haystack) && !isAccessoryLikeText(haystack)
+      );
+    default:
+      return true;
+  }
+}
+
+export function filterProductsByCatalogFamily(products, family) {
+  if (!family) return products;
+  return (products || []).filter((product) =>
+    matchesRequestedCatalogFamily(product, family),
+  );
+}
+
+function isAccessoryLikeText(text) {
+  return /\b(backpack|bag|briefcase|tote|pouch|sleeve|cooling|cooler|fan|pad|stand|holder|dock|docking|adapter|charger|cable|hub|case|cover|skin|sticker|mouse|keyboard|headset|speaker|controller|printer|router|wifi router|mobile wifi|flash drive|hard drive|card reader|splitter|switch|accessor(?:y|ies))\b/.test(
+    String(text || '').toLowerCase(),
+  );
+}
+
+function isSmartphoneLikeText(text) {
+  const normalized = String(text || '').toLowerCase();
+  if (isIpPhoneLikeText(normalized)) return false;
+  if (
+    /\b(smartphone printer|mobile wifi|wifi router|router|printer)\b/.test(
+      normalized,
+    )
+  )
+    return false;
+
+  return /\b(iphone|smartphone|mobile phone|cell phone|samsung galaxy|galaxy s\d*|galaxy a\d*|galaxy z|xiaomi|redmi|poco|huawei|oppo|oneplus|google pixel)\b/.test(
+    normalized,
+  );
+}
+
+function isIpPhoneLikeText(text) {
+  return /\b(ip phone|sip account|sip accounts|voip|dect|grandstream|desk phone|office phone|conference phone|wifi ip phone|wi-fi ip phone)\b/.test(
+    String(text || '').toLowerCase(),
+  );
+}
+
+function isComputerLikeText(text) {
+  const normalized = String(text || '').toLowerCase();
+  if (isAccessoryLikeText(normalized)) return false;
+
+  return (
+    /\b(laptop|notebook|macbook|desktop|computer|tower|all in one|aio|alienware|omen|nitro|legion|zenbook|vivobook|thinkpad|rog|predator)\b/.test(
+      normalized,
+    ) ||
+    /\b(i[3579]-\d{4,5}|ryzen\s+[3579]|intel core|windows\s+11|ssd|ram|ddr[45]?|fhd)\b/.test(
+      normalized,
+    )
+  );
+}
+
+export function normalizeAgentQuantity(value) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) return 1;
+  const integer = Math.trunc(numeric);
+  if (integer < 1) return 1;
+  return Math.min(integer, MAX_AGENT_QUANTITY);
+}
+
+export function extractSearchPageNavigationTerm(message) {
+  const normalized = sanitizeText(message);
+  if (!normalized) return '';
+
+  const patterns = [
+    /(?:go to|open|take me to|navigate to|bring me to)\s+(?:the\s+)?search(?:\s+page)?(?:\s+for|\s+with|\s+term\s+)?(.+)/i,
+    /(?:search(?:\s+page)?\s+for)\s+(.+)/i,
+  ];
+
+  for (const pattern of patterns) {
+    const match = normalized.match(pattern);
+    const extracted = sanitizeText(match?.[1] || '').replace(/[?!.]+$/g, '');
+    if (extracted) return extracted.slice(0, 120);
+  }
+
+  return '';
+}
+
+export function isAddToCartIntent(message) {
+  const normalized = sanitizeText(message).toLowerCase();
+  if (!normalized) return false;
+
+  return (
+    /\badd to cart\b/i.test(normalized) ||
+    /\b(add|put)\b.{0,40}\b(?:to|in)\s+(?:my\s+)?cart\b/i.test(normalized)
+  );
+}
+
+export function isCheckoutIntent(message) {
+  const normalized = sanitizeText(message).toLowerCase();
+  if (!normalized) return false;
+
+  return (
+    /\b(go to|take me to|proceed to|continue to|open)\s+checkout\b/i.test(
+      normalized,
+    ) ||
+    /\bcheckout now\b/i.test(normalized) ||
+    /^checkout$/i.test(normalized)
+  );
+}
+
+export function isClearCartIntent(message) {
+  const normalized = sanitizeText(message).toLowerCase();
+  if (!normalized) return false;
+
+  const clearWords = /\b(empty|clear|remove|delete)\b/i.test(normalized);
+  const cartWords = /\b(cart|basket|bag)\b/i.test(normalized);
+  if (clearWords && cartWords) return true;
+
+  return /\bremove all(?: items)?(?: from)? (?:my )?(?:cart|basket|bag)\b/i.test(
+    normalized,
+  );
+}
+
+export function isProductPageNavigationIntent(message) {
+  const normalized = sanitizeText(message).toLowerCase();
+  if (!normalized) return false;
+  if (isCheckoutIntent(normalized) || isAddToCartIntent(normalized))
+    return false;
+  if (extractSearchPageNavigationTerm(normalized)) return false;
+  if (/\bcart\b/i.test(normalized)) return false;
+
+  return (
+    /\b(open|go to|take me to|navigate to|bring me to)\b/i.test(normalized) &&
+    (/\b(page|product|details?)\b/i.test(normalized) ||
+      hasProductIntent(normalized))
+  );
+}
+
+export function extractRequestedQuantity(message) {
+  const normalized = sanitizeText(message).toLowerCase();
+  if (!normalized) return 1;
+
+  const patterns = [
+    /\badd\s+(\d{1,2})\s*(?:x\b|of\b)?/i,
+    /\b(\d{1,2})\s*x\b/i,
+    /\bquantity\s*(\d{1,2})\b/i,
+  ];
+
+  for (const pattern of patterns) {
+    const match = normalized.match(pattern);
+    if (match?.[1]) {
+      return normalizeAgentQuantity(match[1]);
+    }
+  }
+
+  return 1;
+}
+
+export function extractReferencedOptionIndex(message) {
+  const normalized = sanitizeText(message).toLowerCase();
+  if (!normalized) return null;
+
+  const ordinalIndex = ORDINAL_WORDS.findIndex((word) =>
+    new RegExp(`\\b${word}\\b`, 'i').test(normalized),
+  );
+  if (ordinalIndex !== -1) return ordinalIndex;
+
+  const numericPatterns = [
+    /\b(?:option|item|product|result)\s*#?\s*(\d{1,2})\b/i,
+    /\b(\d{1,2})(?:st|nd|rd|th)\b/i,
+    /\bnumber\s*(\d{1,2})\b/i,
+  ];
+
+  for (const pattern of numericPatterns) {
+    const match = normalized.match(pattern);
+    const rawIndex = Number(match?.[1]);
+    if (Number.isFinite(rawIndex) && rawIndex > 0) {
+      return Math.min(rawIndex - 1, 29);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Collects every list reference in reading order, e.g. "compare 1 and 3" or
+ * "compare the first and third one" both give `[0, 2]`.
+ */
+export function extractReferencedOptionIndexes(message) {
+  const normalized = sanitizeText(message).toLowerCase();
+  if (!normalized) return [];
+
+  const pattern = new RegExp(
+    `\\b(?:(${ORDINAL_WORDS.join('|')})|(?:option|item|product|result|number|#)?\\s*#?\\s*(\\d{1,2})(?:st|nd|rd|th)?)\\b`,
+    'gi',
+  );
+  const indexes = [];
+
+  for (const match of normalized.matchAll(pattern)) {
+    const index = match[1]
+      ? ORDINAL_WORDS.indexOf(match[1].toLowerCase())
+      : Number(match[2]) - 1;
+    if (index < 0 || index > 29 || indexes.includes(index)) continue;
+    indexes.push(index);
+  }
+
+  return indexes;
+}
+
+export function isCompareIntent(message) {
+  const normalized = sanitizeText(message).toLowerCase();
+  if (!normalized) return false;
+
+  return (
+    /\b(compare|comparison|side by side)\b/i.test(normalized) ||
+    /\bdifference between\b/i.test(normalized) ||
+    /\b(?:\d{1,2}|option \d{1,2})\s+(?:vs\.?|versus)\s+(?:option\s+)?\d{1,2}\b/i.test(
+      normalized,
+    )
+  );
+}
+
+/**
+ * "Where is my order #1234", "track order 1005", "has my order shipped".
+ * Placing an order ("can I order this") is a shopping intent, not a status
+ * question, so "order" alone never matches.
+ */
+export function isOrderStatusIntent(message) {
+  const normalized = sanitizeText(message).toLowerCase();
+  if (!normalized) return false;
+
+  return (
+    /\b(where|track|tracking|status|update)\b.{0,30}\border\b/i.test(
+      normalized,
+    ) ||
+    /\border\b.{0,30}\b(status|track|tracking|shipped|arrive|arrived|delivered|late|delayed)\b/i.test(
+      normalized,
+    ) ||
+    /\bmy (?:last |recent )?orders?\b/i.test(normalized) ||
+    extractOrderNumber(normalized) !== ''
+  );
+}
+
+/**
+ * A reply that only carries the verification details ("it's 1234,
+ * me@example.com" or a phone number) right after an order-status question.
+ */
+export function isOrderStatusFollowUp(message, history = []) {
+  const normalized = sanitizeText(message).toLowerCase();
+  if (!normalized) return false;
+
+  const hasContactDetail =
+    /[^\s@]+@[^\s@]+\.[^\s@]+/.test(normalized) ||
+    /(?:\+?\d[\s-]?){7,}/.test(normalized) ||
+    /^#?\d{3,10}$/.test(normalized);
+  if (!hasContactDetail) return false;
+
+  for (let index = history.length - 1; index >= 0; index -= 1) {
+    const item = history[index];
+    if (item?.role !== 'user' || !item?.content) continue;
+    return isOrderStatusIntent(item.content);
+  }
+
+  return false;
+}
+
+/**
+ * Returns the digits of an order number written as "#1234",
+ * "order 1234", or "order number 1234", or `''`.
+ */
+export function extractOrderNumber(message) {
+  const normalized = sanitizeText(message).toLowerCase();
+  const match =
+    normalized.match(/#\s?(\d{3,10})\b/) ||
+    normalized.match(
+      /\border\s*(?:number|no\.?|num)?\s*(?:is|:)?\s*(\d{3,10})\b/i,
+    );
+
+  return match ? match[1] : '';
+}
+
+/**
+ * Returns `'add'`, `'remove'`, or `''`. A bare "save" only counts when it
+ * points at something ("save option 2", "save this"), so "how can I save on
+ * delivery" stays a normal question.
+ */
+export function getWishlistIntent(message) {
+  const normalized = sanitizeText(message).toLowerCase();
+  if (!normalized) return '';
+
+  const wishlistWords = /\b(wish\s?list|favou?rites|saved items)\b/i;
+  if (
+    /\b(unsave|unfavou?rite)\b/i.test(normalized) ||
+    (/\b(remove|delete|take)\b/i.test(normalized) &&
+      wishlistWords.test(normalized))
+  ) {
+    return 'remove';
+  }
+
+  if (
+    /\b(add|put|save|move)\b/i.test(normalized) &&
+    wishlistWords.test(normalized)
+  ) {
+    return 'add';
+  }
+
+  if (
+    /\b(save|bookmark|favou?rite)\b/i.test(normalized) &&
+    (extractReferencedOptionIndex(normalized) !== null ||
+      /\b(this|it|that)\b/i.test(normalized))
+  ) {
+    return 'add';
+  }
+
+  return '';
+}
+
+export function getAgentSelectionPreference(message) {
+  const normalized = sanitizeText(message).toLowerCase();
+  if (!normalized) return 'best_match';
+
+  if (
+    /\b(cheapest|lowest\s+price|least\s+expensive|budget|most\s+affordable)\b/i.test(
+      normalized,
+    )
+  ) {
+    return 'cheapest';
+  }
+
+  if (
+    /\b(most\s+expensive|highest\s+price|premium|top\s+price)\b/i.test(
+      normalized,
+    )
+  ) {
+    return 'most_expensive';
+  }
+
+  return 'best_match';
+}
+
+export function isGreeting(message) {
+  const normalized = sanitizeText(message).toLowerCase();
+  if (!normalized) return false;
+  if (normalized.split(' ').length > 4) return false;
+  return GREETING_PATTERNS.some((pattern) => pattern.test(normalized));
+}
+
+export function hasProductIntent(message) {
+  const lower = message.toLowerCase();
+  return (
+    looksLikeModelPhrase(lower) ||
+    PRODUCT_HINT_KEYWORDS.some((keyword) => lower.includes(keyword)) ||
+    PRODUCT_LOOKUP_PATTERNS.some((pattern) => pattern.test(lower))
+  );
+}
+
+export function looksLikeModelPhrase(message) {
+  const lower = sanitizeText(message).toLowerCase();
+  if (!lower) return false;
+
+  const hasDigit = /\b\d{1,3}\b/.test(lower);
+  const hasModelWord = MODEL_HINT_WORDS.some((word) => lower.includes(word));
+  const hasDeviceWord = DEVICE_INTENT_KEYWORDS.some((word) =>
+    hasCatalogKeyword(lower, word),
+  );
+
+  return hasDeviceWord || (hasDigit && hasModelWord);
+}
+
+function baseExtractProductLookupTerm(message) {
+  const normalized = sanitizeText(message).replace(/[?!.]+$/g, '');
+  if (!normalized) return '';
+
+  const patterns = [
+    /(?:do you have|do u have|can i get|can you find|find|search for|looking for|i need|i want)\s+(.+)/i,
+    /(?:is|are)\s+(.+?)\s+(?:available|in stock)/i,
+  ];
+
+  for (const pattern of patterns) {
+    const match = normalized.match(pattern);
+    if (match?.[1]) {
+      const extracted = sanitizeText(match[1]).replace(/[?!.]+$/g, '');
+      if (extracted) return extracted;
+    }
+  }
+
+  return normalized
+    .replace(/^(a|an|the)\s+/i, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function extractProductLookupTerm(message, history = []) {
+  const baseTerm = baseExtractProductLookupTerm(message);
+  if (!baseTerm) return '';
+
+  if (!looksLikeModelPhrase(baseTerm)) {
+    return baseTerm;
+  }
+
+  const lastProductMessage = getLastProductIntentMessage(history);
+  if (!lastProductMessage) return baseTerm;
+
+  const contextTerm = baseExtractProductLookupTerm(lastProductMessage);
+  if (!contextTerm) return baseTerm;
+
+  const contextTokens = extractSearchTerms(contextTerm);
+  const baseTokens = extractSearchTerms(baseTerm);
+  const carryTokens = contextTokens.filter((token) =>
+    CONTEXT_CARRY_TOKENS.includes(token),
+  );
+
+  if (!carryTokens.length) return baseTerm;
+
+  const merged = [...new Set([...carryTokens, ...baseTokens])].join(' ');
+  return merged || baseTerm;
+}
+
+function getLastProductIntentMessage(history) {
+  for (let index = history.length - 1; index >= 0; index -= 1) {
+    const item = history[index];
+    if (item?.role !== 'user') continue;
+    if (!item?.content) continue;
+    if (hasProductIntent(item.content) || isCatalogListRequest(item.content)) {
+      return item.content;
+    }
+  }
+
+  return '';
+}
+
+export function shouldFetchProductsFromShopify(message, history) {
+  if (isOrderStatusIntent(message) || isOrderStatusFollowUp(message, history)) {
+    return false;
+  }
+  if (isStoreServiceIntent(message) && !hasRecentProductIntent(history)) {
+    return false;
+  }
+
+  if (isCatalogListRequest(message)) return true;
+  if (isAddToCartIntent(message)) return true;
+  if (isProductPageNavigationIntent(message)) return true;
+  if (hasProductIntent(message)) return true;
+
+  return isFollowUpMessage(message) && hasRecentProductIntent(history);
+}
+
+export function shouldIncludeProductsInResponse({
+  message,
+  shouldLookupProducts,
+  isListRequest,
+  isExplicitOptionIntent = false,
+}) {
+  if (!shouldLookupProducts) return false;
+  if (isExplicitOptionIntent) return false;
+  if (isListRequest) return true;
+  if (extractSearchPageNavigationTerm(message)) return false;
+  if (isAddToCartIntent(message)) return false;
+  if (isCheckoutIntent(message)) return false;
+  if (isProductPageNavigationIntent(message)) return false;
+  if (hasProductIntent(message)) return true;
+
+  return /\b(show|list|display|options|models|in stock|available|price)\b/i.test(
+    message,
+  );
+}
+
+export function isStoreServiceIntent(message) {
+  const lower = message.toLowerCase();
+  return STORE_SERVICE_KEYWORDS.some((keyword) => lower.includes(keyword));
+}
+
+export function hasRecentProductIntent(history) {
+  for (let index = history.length - 1; index >= 0; index -= 1) {
+    const item = history[index];
+    if (item?.role !== 'user') continue;
+    if (!item?.content) continue;
+    if (isFollowUpMessage(item.content)) continue;
+    if (hasProductIntent(item.content) || isCatalogListRequest(item.content)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+export function isCatalogListRequest(message) {
+  const lower = message.toLowerCase();
+  return (
+    /(list|show|display|give)\s+\d{1,3}/i.test(lower) ||
+    /(\d{1,3})\s+(products|items)/i.test(lower) ||
+    /(list|show|display|give).*(products|items)/i.test(lower)
+  );
+}
+
+export function extractRequestedProductCount(message) {
+  const matches = [
+    message.match(/\b(?:list|show|display|give)\s+(\d{1,3})\b/i),
+    message.match(/\b(\d{1,3})\s+(?:products|items)\b/i),
+  ];
+
+  for (const match of matches) {
+    const numeric = Number(match?.[1]);
+    if (Number.isFinite(numeric) && numeric > 0) {
+      return Math.min(numeric, 30);
+    }
+  }
+
+  return 10;
+}
+
+export function isFollowUpMessage(message) {
+  const lower = sanitizeText(message).toLowerCase();
+  if (!lower) return false;
+
+  if (FOLLOW_UP_ONLY_MESSAGES.has(lower)) return true;
+  if (['yes please', 'show link', 'send link', 'share link'].includes(lower)) {
+    return true;
+  }
+
+  if (lower.includes('the phone') || lower.includes('this one')) return true;
+  if (lower.includes('that one') || lower.includes('its link')) return true;
+
+  const words = lower.split(' ').filter(Boolean);
+  return words.length <= 2 && !hasProductIntent(lower);
+}
+
+export function buildSearchSeedMessages(message, history) {
+  const seeds = [];
+  const seen = new Set();
+
+  function pushSeed(value) {
+    const normalized = sanitizeText(value);
+    if (!normalized) return;
+    const key = normalized.toLowerCase();
+    if (seen.has(key)) return;
+    seen.add(key);
+    seeds.push(normalized);
+  }
+
+  pushSeed(message);
+
+  const lowerMessage = message.toLowerCase();
+  const wordCount = lowerMessage.split(/\s+/).filter(Boolean).length;
+  const shouldUseHistory = isFollowUpMessage(message) || wordCount <= 5;
+
+  if (!shouldUseHistory) return seeds;
+
+  for (let index = history.length - 1; index >= 0; index -= 1) {
+    const item = history[index];
+    if (item?.role !== 'user') continue;
+    if (!item?.content) continue;
+    if (item.content.toLowerCase() === lowerMessage) continue;
+    if (isFollowUpMessage(item.content)) continue;
+    pushSeed(item.content);
+    if (seeds.length >= 4) break;
+  }
+
+  return seeds;
+}
+
+export function isStoreScopedQuestion(
+  message,
+  {hasProductMatch, isLikelyProductIntent},
+) {
+  if (hasProductMatch || isLikelyProductIntent) return true;
+
+  // Hard guard: product/cart/navigation intents are always in scope,
+  // even if a previous classifier branch failed.
+  if (
+    hasProductIntent(message) ||
+    looksLikeModelPhrase(message) ||
+    isCatalogListRequest(message) ||
+    isAddToCartIntent(message) ||
+    isCompareIntent(message) ||
+    getWishlistIntent(message) ||
+    isOrderStatusIntent(message) ||
+    isCheckoutIntent(message) ||
+    isClearCartIntent(message) ||
+    isProductPageNavigationIntent(message) ||
+    extractSearchPageNavigationTerm(message)
+  ) {
+    return true;
+  }
+
+  const lower = message.toLowerCase();
+  return STORE_SCOPE_KEYWORDS.some((keyword) => lower.includes(keyword));
+}
+
+export function buildProductSearchQueries(message, intentProfile = {}) {
+  const variants = [];
+  const seen = new Set();
+
+  function push(value) {
+    const normalized = sanitizeText(value).toLowerCase().replace(/\s+/g, ' ');
+    if (!normalized || seen.has(normalized)) return;
+    seen.add(normalized);
+    variants.push(normalized);
+  }
+
+  push(message);
+
+  const cleaned = message
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!cleaned) return variants;
+
+  const tokens = cleaned
+    .split(' ')
+    .filter((token) => token.length > 1 && !PRODUCT_STOP_WORDS.has(token))
+    .slice(0, 10);
+
+  if (tokens.length) {
+    push(tokens.join(' '));
+    push(tokens.slice(0, 6).join(' '));
+
+    if (tokens.length > 1) {
+      push(`"${tokens.slice(0, 5).join(' ')}"`);
+    }
+
+    tokens.slice(0, 5).forEach((token) => push(token));
+  }
+
+  const requestedFamily = getRequestedCatalogFamily(cleaned);
+  if (requestedFamily === 'smartphone') {
+    push('iphone');
+    push('samsung galaxy');
+    push('smartphone');
+    push('mobile phone');
+  } else if (requestedFamily === 'tablet') {
+    push('ipad');
+    push('tablet');
+    push('samsung tab');
+  } else if (requestedFamily === 'laptop') {
+    push('macbook');
+    push('laptop');
+    push('notebook');
+  } else if (requestedFamily === 'computer') {
+    push('laptop');
+    push('desktop computer');
+    push('notebook');
+    push('macbook');
+  }
+
+  if (intentProfile.prefersPrimaryDevice) {
+    push(`${cleaned} device`);
+    push(`${cleaned} phone`);
+    push(`${cleaned} smartphone`);
+    push(`${cleaned} mobile phone`);
+    if (intentProfile.brandHints?.length) {
+      intentProfile.brandHints.forEach((brand) => {
+        push(`${brand} ${cleaned} phone`);
+      });
+    }
+  }
+
+  if (intentProfile.wantsAccessory) {
+    push(`${cleaned} accessories`);
+  }
+
+  if (!variants.length) {
+    push(cleaned);
+  }
+
+  return variants;
+}
+
+export function getCatalogIntentProfile(message) {
+  const normalized = sanitizeText(message).toLowerCase();
+  const tokenized = normalized.replace(/[^\p{L}\p{N}\s-]/gu, ' ');
+
+  const wantsDevice = DEVICE_INTENT_KEYWORDS.some((keyword) =>
+    hasCatalogKeyword(tokenized, keyword),
+  );
+  const wantsAccessory = ACCESSORY_KEYWORDS.some((keyword) =>
+    hasCatalogKeyword(tokenized, keyword),
+  );
+
+  const brandHints = extractBrandHints(tokenized);
+
+  return {
+    wantsDevice,
+    wantsAccessory,
+    prefersPrimaryDevice: wantsDevice && !wantsAccessory,
+    brandHints,
+  };
+}
+
+function extractBrandHints(input) {
+  const knownBrands = [
+    'apple',
+    'iphone',
+    'samsung',
+    'galaxy',
+    'google',
+    'pixel',
+    'xiaomi',
+    'huawei',
+    'lenovo',
+    'anker',
+    'tp-link',
+    'asus',
+    'msi',
+    'hp',
+    'dell',
+  ];
+
+  const hints = [];
+  knownBrands.forEach((brand) => {
+    if (input.includes(brand)) {
+      hints.push(brand);
+    }
+  });
+
+  if (input.includes('iphone') && !hints.includes('apple')) {
+    hints.push('apple');
+  }
+
+  return [...new Set(hints)].slice(0, 4);
+}
+
+export function rankProductsForMessage(products, message) {
+  const terms = extractSearchTerms(message);
+  if (!terms.length) return products;
+  const preferPrimaryDevice = shouldPreferPrimaryDevice(message);
+
+  return [...products].sort((a, b) => {
+    const scoreA = scoreProductMatch(a, terms, {preferPrimaryDevice});
+    const scoreB = scoreProductMatch(b, terms, {preferPrimaryDevice});
+
+    if (scoreB !== scoreA) return scoreB - scoreA;
+    return (a?.title || '').localeCompare(b?.title || '');
+  });
+}
+
+export function extractSearchTerms(message) {
+  return message
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+    .split(/\s+/)
+    .map((token) => token.trim())
+    .filter((token) => token.length > 1 && !PRODUCT_STOP_WORDS.has(token))
+    .slice(0, 10);
+}
+
+function shouldPreferPrimaryDevice(message) {
+  const lower = sanitizeText(message).toLowerCase();
+  if (!lower) return false;
+
+  const hasDeviceIntent = DEVICE_INTENT_KEYWORDS.some((word) =>
+    hasCatalogKeyword(lower, word),
+  );
+  const hasAccessoryIntent = ACCESSORY_KEYWORDS.some((word) =>
+    hasCatalogKeyword(lower, word),
+  );
+
+  return hasDeviceIntent && !hasAccessoryIntent;
+}
+
+export function isAccessoryProduct(product) {
+  const searchable = [
+    product?.title || '',
+    product?.productType || '',
+    Array.isArray(product?.tags) ? product.tags.join(' ') : '',
+  ]
+    .join(' ')
+    .toLowerCase();
+
+  return ACCESSORY_KEYWORDS.some((keyword) =>
+    hasCatalogKeyword(searchable, keyword),
+  );
+}
+
+function hasCatalogKeyword(value, keyword) {
+  const normalizedValue = String(value || '').toLowerCase();
+  const normalizedKeyword = String(keyword || '')
+    .toLowerCase()
+    .trim();
+  if (!normalizedValue || !normalizedKeyword) return false;
+
+  const pattern = normalizedKeyword
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\s+/g, '\\s+');
+
+  return new RegExp(`\\b${pattern}\\b`, 'i').test(normalizedValue);
+}
+
+function scoreProductMatch(product, terms, options = {}) {
+  const title = (product?.title || '').toLowerCase();
+  const vendor = (product?.vendor || '').toLowerCase();
+  const handle = (product?.handle || '').toLowerCase();
+  const productType = (product?.productType || '').toLowerCase();
+  const tags = Array.isArray(product?.tags)
+    ? product.tags.join(' ').toLowerCase()
+    : '';
+
+  let score = 0;
+  for (const term of terms) {
+    if (title.includes(term)) score += 5;
+    if (vendor.includes(term)) score += 3;
+    if (handle.includes(term)) score += 3;
+    if (productType.includes(term)) score += 2;
+    if (tags.includes(term)) score += 2;
+  }
+
+  if (options.preferPrimaryDevice && isAccessoryProduct(product)) {
+    score -= 4;
+  }
+
+  return score;
+}
+
+function sanitizeText(value) {
+  if (typeof value !== 'string') return '';
+  return value.replace(/\s+/g, ' ').trim().slice(0, 500);
+}
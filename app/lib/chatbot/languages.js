@@ -0,0 +1,1148 @@
+/**
+ * Language support for the store assistant. Customers write in English,
+ * Arabic, French, or Arabizi (Lebanese Arabic typed with Latin letters and
+ * digits). The intent engine in `intents.js` is English-only, so messages are
+ * canonicalized into English catalog and intent terms before classification,
+ * while replies stay in the customer's language.
+ *
+ * @typedef {'en' | 'ar' | 'fr' | 'arabizi'} ChatLanguage
+ */
+
+export const DEFAULT_CHAT_LANGUAGE = 'en';
+
+const ARABIC_SCRIPT_PATTERN = /[\u0600-\u06FF\u0750-\u077F]/;
+const FRENCH_ACCENT_PATTERN = /[éèêëàâçùûüôîïœ]/;
+const SIGNAL_THRESHOLD = 2;
+const LANGUAGE_TIE_ORDER = ['arabizi', 'fr', 'en'];
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  ar: 'Arabic',
+  fr: 'French',
+  arabizi:
+    'Lebanese Arabizi (Arabic written with Latin letters and digits, e.g. "baddi", "3andkon")',
+};
+
+const ENGLISH_SIGNAL_WORDS = new Set([
+  'the',
+  'do',
+  'does',
+  'you',
+  'your',
+  'have',
+  'has',
+  'what',
+  'where',
+  'is',
+  'are',
+  'can',
+  'could',
+  'show',
+  'me',
+  'my',
+  'please',
+  'how',
+  'want',
+  'need',
+  'any',
+  'for',
+  'with',
+  'and',
+  'to',
+  'of',
+  'i',
+  'it',
+  'this',
+  'that',
+]);
+
+const FRENCH_SIGNAL_WORDS = new Map([
+  ['bonjour', 2],
+  ['bonsoir', 2],
+  ['salut', 2],
+  ['coucou', 2],
+  ['vous', 2],
+  ['avez', 2],
+  ['je', 2],
+  ['mon', 2],
+  ['oui', 2],
+  ['svp', 2],
+  ['livraison', 2],
+  ['combien', 2],
+  ['cherche', 2],
+  ['voudrais', 2],
+  ['veux', 2],
+  ['panier', 2],
+  ['ajouter', 2],
+  ['ajoute', 2],
+  ['ajoutez', 2],
+  ['vider', 2],
+  ['caisse', 2],
+  ['commande', 2],
+  ['suivi', 2],
+  ['adresse', 2],
+  ['magasin', 2],
+  ['coque', 2],
+  ['coques', 2],
+  ['etui', 2],
+  ['chargeur', 2],
+  ['ecouteurs', 2],
+  ['ordinateur', 2],
+  ['telephone', 2],
+  ['disponible', 2],
+  ['prix', 2],
+  ['quel', 2],
+  ['quelle', 2],
+  ['moins', 2],
+  ['cher', 2],
+  ['chere', 2],
+  ['dans', 2],
+  ['aux', 2],
+  ['comparer', 2],
+  ['comparez', 2],
+  ['favoris', 2],
+  ['enregistre', 2],
+  ['merci', 1],
+  ['est', 1],
+  ['ai', 1],
+  ['pour', 1],
+  ['avec', 1],
+  ['les', 1],
+  ['des', 1],
+  ['une', 1],
+  ['du', 1],
+  ['le', 1],
+  ['la', 1],
+  ['ou', 1],
+  ['ma', 1],
+  ['mes', 1],
+  ['au', 1],
+  ['sur', 1],
+]);
+
+const ARABIZI_SIGNAL_WORDS = new Map([
+  ['baddi', 2],
+  ['badde', 2],
+  ['beddi', 2],
+  ['bdi', 2],
+  ['3andkon', 2],
+  ['3ndkon', 2],
+  ['3endkon', 2],
+  ['3andak', 2],
+  ['3ndak', 2],
+  ['adde', 2],
+  ['addesh', 2],
+  ['adesh', 2],
+  ['2adde', 2],
+  ['2addesh', 2],
+  ['shu', 2],
+  ['sho', 2],
+  ['shou', 2],
+  ['chou', 2],
+  ['kifak', 2],
+  ['kifik', 2],
+  ['kifkon', 2],
+  ['marhaba', 2],
+  ['mar7aba', 2],
+  ['ahla', 2],
+  ['yalla', 2],
+  ['hayda', 2],
+  ['hayde', 2],
+  ['kfar', 2],
+  ['sha7en', 2],
+  ['shahen', 2],
+  ['sam3a', 2],
+  ['mawjoud', 2],
+  ['mawjud', 2],
+  ['metwaffar', 2],
+  ['mtwaffar', 2],
+  ['tawsil', 2],
+  ['twsil', 2],
+  ['ma7al', 2],
+  ['wen', 2],
+  ['wein', 2],
+  ['ar5as', 2],
+  ['arkhas', 2],
+  ['zid', 2],
+  ['zidle', 2],
+  ['zidli', 2],
+  ['difle', 2],
+  ['ktir', 2],
+  ['eza', 2],
+  ['iza', 2],
+  ['fina', 2],
+  ['ma3', 2],
+  ['3al', 2],
+  ['lal', 2],
+  ['bel', 2],
+  ['hala2', 2],
+  ['se3ro', 2],
+  ['sa3ro', 2],
+  ['warjine', 2],
+  ['farjine', 2],
+  ['ehfaz', 2],
+  ['talabiye', 2],
+  ['talabiyti', 2],
+  ['talabeyte', 2],
+  ['wosil', 2],
+  ['e7faz', 2],
+  ['i7faz', 2],
+  ['2aren', 2],
+  ['a2aren', 2],
+  ['fi', 1],
+  ['la', 1],
+  ['el', 1],
+  ['w', 1],
+  ['ya', 1],
+  ['eh', 1],
+  ['tamam', 1],
+  ['merci', 1],
+]);
+
+const ARABIZI_UNIT_PATTERN =
+  /^\d+(?:ghz|mhz|mah|inch|in|pcs|pc|gb|tb|mb|mm|cm|pack|ports?|w|v|hz|mp|fps)$/;
+
+/**
+ * Per-language packs. `phrases` run first (longest first) on the normalized
+ * message, then every remaining token is looked up in `terms`, optionally
+ * after stripping one of `prefixes`. `stopWords` are dropped so they never
+ * leak into catalog queries. Unknown tokens (brands, model numbers) pass
+ * through unchanged.
+ */
+const LANGUAGE_PACKS = {
+  ar: compileLanguagePack({
+    normalize: normalizeArabicText,
+    prefixes: ['وال', 'بال', 'فال', 'كال', 'عال', 'لل', 'ال', 'و', 'ب', 'ل'],
+    phrases: {
+      'السلام عليكم': 'hello',
+      'صباح الخير': 'good morning',
+      'مساء الخير': 'good evening',
+      'اضف الى السله': 'add to cart',
+      'اضافه الى السله': 'add to cart',
+      'ضيف على السله': 'add to cart',
+      'ضيفه على السله': 'add to cart',
+      'حط بالسله': 'add to cart',
+      'حطه بالسله': 'add to cart',
+      'اتمام الشراء': 'go to checkout',
+      'اتمام الطلب': 'go to checkout',
+      'الانتقال الى الدفع': 'go to checkout',
+      'روح عالدفع': 'go to checkout',
+      'افرغ السله': 'clear my cart',
+      'فضي السله': 'clear my cart',
+      'امسح السله': 'clear my cart',
+      'خدمه العملاء': 'customer service',
+      'رقم الهاتف': 'phone number',
+      'رقم التلفون': 'phone number',
+      'الدفع عند الاستلام': 'cash on delivery',
+      'وين محلكم': 'store location',
+      'وين المحل': 'store location',
+      'اين المحل': 'store location',
+      'اين موقعكم': 'store location',
+      'هل عندكم': 'do you have',
+      'هل لديكم': 'do you have',
+      'في عندكم': 'do you have',
+      'ابحث عن': 'looking for',
+      'عم دور على': 'looking for',
+      'حمايه شاشه': 'screen protector',
+      'لزقه شاشه': 'screen protector',
+      'باور بانك': 'powerbank',
+      'كم سعر': 'price',
+      'قديش سعر': 'price',
+      'رقم الطلب': 'order number',
+      'رقم الطلبيه': 'order number',
+      'تتبع الطلب': 'track order',
+      'حاله الطلب': 'order status',
+    },
+    terms: {
+      مرحبا: 'hello',
+      اهلا: 'hello',
+      هلا: 'hello',
+      هاي: 'hello',
+      عندكم: 'do you have',
+      عندك: 'do you have',
+      لديكم: 'do you have',
+      بدي: 'i want',
+      اريد: 'i want',
+      ايفون: 'iphone',
+      ايباد: 'ipad',
+      ماكبوك: 'macbook',
+      ابل: 'apple',
+      سامسونج: 'samsung',
+      سامسونغ: 'samsung',
+      جالكسي: 'galaxy',
+      غالاكسي: 'galaxy',
+      شاومي: 'xiaomi',
+      هواوي: 'huawei',
+      انكر: 'anker',
+      تلفون: 'phone',
+      تليفون: 'phone',
+      هاتف: 'phone',
+      موبايل: 'mobile',
+      جوال: 'mobile',
+      لابتوب: 'laptop',
+      كمبيوتر: 'computer',
+      حاسوب: 'computer',
+      تابلت: 'tablet',
+      كفر: 'case',
+      كفرات: 'case',
+      غطاء: 'case',
+      جراب: 'case',
+      شاحن: 'charger',
+      شواحن: 'charger',
+      شحن: 'charging',
+      كابل: 'cable',
+      كبل: 'cable',
+      سماعه: 'headphones',
+      سماعات: 'headphones',
+      ايربودز: 'airpods',
+      ساعه: 'watch',
+      ماوس: 'mouse',
+      كيبورد: 'keyboard',
+      راوتر: 'router',
+      طابعه: 'printer',
+      سبيكر: 'speaker',
+      سعر: 'price',
+      اسعار: 'price',
+      قديش: 'price',
+      متوفر: 'available',
+      متوفره: 'available',
+      موجود: 'available',
+      موجوده: 'available',
+      مخزون: 'stock',
+      توصيل: 'delivery',
+      دليفري: 'delivery',
+      عنوان: 'address',
+      موقع: 'location',
+      مكان: 'location',
+      محل: 'store',
+      فرع: 'store',
+      معرض: 'showroom',
+      بيروت: 'beirut',
+      سله: 'cart',
+      دفع: 'payment',
+      واتساب: 'whatsapp',
+      واتس: 'whatsapp',
+      رقم: 'number',
+      منتج: 'product',
+      منتجات: 'products',
+      ماركه: 'brand',
+      اسود: 'black',
+      ابيض: 'white',
+      ازرق: 'blue',
+      احمر: 'red',
+      ذهبي: 'gold',
+      فضي: 'silver',
+      ارخص: 'cheapest',
+      اغلى: 'most expensive',
+      خيار: 'option',
+      احفظ: 'save',
+      احفظه: 'save',
+      حفظ: 'save',
+      مفضله: 'wishlist',
+      مفضلات: 'wishlist',
+      قارن: 'compare',
+      قارني: 'compare',
+      مقارنه: 'compare',
+      طلب: 'order',
+      طلبي: 'my order',
+      طلبيه: 'order',
+      طلبيتي: 'my order',
+      طلبيات: 'orders',
+      اوردر: 'order',
+      تتبع: 'track',
+      وصل: 'arrived',
+      وين: 'where',
+      اين: 'where',
+      احذف: 'remove',
+      شيل: 'remove',
+      امسح: 'remove',
+      اول: 'first',
+      ثاني: 'second',
+      تاني: 'second',
+      ثالث: 'third',
+      تالت: 'third',
+      رابع: 'fourth',
+      خامس: 'fifth',
+      نعم: 'yes',
+      ايوه: 'yes',
+      ايه: 'yes',
+      اكيد: 'sure',
+      تمام: 'ok',
+      شكرا: 'thanks',
+      اعرض: 'show',
+      فرجيني: 'show me',
+      ورجيني: 'show me',
+      افتح: 'open',
+      صفحه: 'page',
+      ضيف: 'add',
+      اضف: 'add',
+      حط: 'put',
+    },
+    stopWords: [
+      'في',
+      'من',
+      'على',
+      'الى',
+      'عن',
+      'هل',
+      'مع',
+      'لو',
+      'سمحت',
+      'لوسمحت',
+      'يا',
+      'انا',
+      'هذا',
+      'هذه',
+      'هيدا',
+      'هيدي',
+      'هاد',
+      'شو',
+      'ما',
+      'او',
+      'كيف',
+      'كم',
+      'لي',
+      'الي',
+      'ممكن',
+      'بليز',
+      'و',
+    ],
+  }),
+  fr: compileLanguagePack({
+    normalize: normalizeFrenchText,
+    expand: splitFrenchElisions,
+    prefixes: [],
+    phrases: {
+      'passer a la caisse': 'go to checkout',
+      'passer commande': 'go to checkout',
+      'aller au paiement': 'go to checkout',
+      'service client': 'customer service',
+      'numero de telephone': 'phone number',
+      'paiement a la livraison': 'cash on delivery',
+      'est-ce que vous avez': 'do you have',
+      'avez-vous': 'do you have',
+      'avez vous': 'do you have',
+      'vous avez': 'do you have',
+      'vous auriez': 'do you have',
+      'je cherche': 'looking for',
+      'je voudrais': 'i want',
+      'je veux': 'i want',
+      "j'aimerais": 'i want',
+      "j'ai besoin d'un": 'i need',
+      "j'ai besoin d'une": 'i need',
+      "j'ai besoin de": 'i need',
+      'combien coute': 'price',
+      'combien ca coute': 'price',
+      'ordinateur portable': 'laptop',
+      'telephone portable': 'phone',
+      'protection ecran': 'screen protector',
+      'protege-ecran': 'screen protector',
+      'protege ecran': 'screen protector',
+      'verre trempe': 'screen protector',
+      'batterie externe': 'powerbank',
+      'le moins cher': 'cheapest',
+      'la moins chere': 'cheapest',
+      'moins cher': 'cheapest',
+      'le plus cher': 'most expensive',
+      'la plus chere': 'most expensive',
+      'en stock': 'in stock',
+      'montre-moi': 'show me',
+      'montrez-moi': 'show me',
+      'ou se trouve': 'where is',
+      'ou est': 'where is',
+      'ou en est': 'status of',
+      'suivi de commande': 'track order',
+      'numero de commande': 'order number',
+      'liste de souhaits': 'wishlist',
+      "liste d'envies": 'wishlist',
+    },
+    terms: {
+      bonjour: 'hello',
+      salut: 'hello',
+      coucou: 'hello',
+      bonsoir: 'good evening',
+      ajouter: 'add',
+      ajoute: 'add',
+      ajoutez: 'add',
+      mets: 'put',
+      mettre: 'put',
+      mettez: 'put',
+      au: 'to',
+      dans: 'in',
+      mon: 'my',
+      ma: 'my',
+      mes: 'my',
+      panier: 'cart',
+      caisse: 'checkout',
+      vider: 'clear',
+      vide: 'clear',
+      videz: 'clear',
+      supprimer: 'remove',
+      supprime: 'remove',
+      affiche: 'show',
+      afficher: 'show',
+      liste: 'list',
+      ouvre: 'open',
+      ouvrir: 'open',
+      ouvrez: 'open',
+      recherche: 'search',
+      commande: 'order',
+      commandes: 'orders',
+      suivre: 'track',
+      suivi: 'tracking',
+      statut: 'status',
+      expediee: 'shipped',
+      livree: 'delivered',
+      comparer: 'compare',
+      compare: 'compare',
+      comparez: 'compare',
+      favoris: 'wishlist',
+      enregistre: 'save',
+      enregistrer: 'save',
+      sauvegarde: 'save',
+      sauvegarder: 'save',
+      retire: 'remove',
+      retirer: 'remove',
+      enleve: 'remove',
+      enlever: 'remove',
+      coque: 'case',
+      coques: 'case',
+      etui: 'case',
+      housse: 'sleeve',
+      chargeur: 'charger',
+      chargeurs: 'charger',
+      cable: 'cable',
+      cables: 'cable',
+      ecouteurs: 'earbuds',
+      casque: 'headphones',
+      enceinte: 'speaker',
+      montre: 'watch',
+      telephone: 'phone',
+      portable: 'phone',
+      ordinateur: 'computer',
+      tablette: 'tablet',
+      souris: 'mouse',
+      clavier: 'keyboard',
+      imprimante: 'printer',
+      routeur: 'router',
+      livraison: 'delivery',
+      adresse: 'address',
+      magasin: 'store',
+      boutique: 'store',
+      horaires: 'store hours',
+      ouvert: 'open',
+      prix: 'price',
+      produit: 'product',
+      produits: 'products',
+      article: 'item',
+      articles: 'items',
+      marque: 'brand',
+      noir: 'black',
+      noire: 'black',
+      blanc: 'white',
+      blanche: 'white',
+      bleu: 'blue',
+      rouge: 'red',
+      disponible: 'available',
+      disponibles: 'available',
+      premier: 'first',
+      premiere: 'first',
+      deuxieme: 'second',
+      troisieme: 'third',
+      quatrieme: 'fourth',
+      cinquieme: 'fifth',
+      oui: 'yes',
+      merci: 'thanks',
+      quantite: 'quantity',
+    },
+    stopWords: [
+      'le',
+      'la',
+      'les',
+      'l',
+      'un',
+      'une',
+      'des',
+      'du',
+      'de',
+      'd',
+      'pour',
+      'avec',
+      'et',
+      'ou',
+      'est',
+      'sont',
+      'je',
+      'j',
+      'vous',
+      'nous',
+      'votre',
+      'vos',
+      'ce',
+      'cette',
+      'ces',
+      'c',
+      'svp',
+      'plait',
+      's',
+      'il',
+      'que',
+      'qu',
+      'qui',
+      'quel',
+      'quelle',
+      'combien',
+      'a',
+      'aux',
+      'en',
+      'sur',
+    ],
+  }),
+  arabizi: compileLanguagePack({
+    normalize: normalizeArabiziText,
+    prefixes: ['el-', 'bel', 'lal', '3al', 'el', 'bl', 'l'],
+    phrases: {
+      'fi 3andkon': 'do you have',
+      'fi 3ndkon': 'do you have',
+      'fi 3endkon': 'do you have',
+      'kam se3ro': 'price',
+      'sabah el kheir': 'good morning',
+      'saba7 el 5er': 'good morning',
+      '3al cart': 'to cart',
+      '3a cart': 'to cart',
+      'lal cart': 'to cart',
+      'bl cart': 'in cart',
+      'bel cart': 'in cart',
+      'wen el ma7al': 'store location',
+      'wen ma7alkon': 'store location',
+    },
+    terms: {
+      marhaba: 'hello',
+      mar7aba: 'hello',
+      ahla: 'hello',
+      ahlan: 'hello',
+      hala: 'hello',
+      kifak: 'hello',
+      kifik: 'hello',
+      kifkon: 'hello',
+      salam: 'hello',
+      '3andkon': 'do you have',
+      '3ndkon': 'do you have',
+      '3endkon': 'do you have',
+      '3andak': 'do you have',
+      '3ndak': 'do you have',
+      baddi: 'i want',
+      badde: 'i want',
+      bade: 'i want',
+      beddi: 'i want',
+      bdi: 'i want',
+      adde: 'price',
+      '2adde': 'price',
+      addesh: 'price',
+      adesh: 'price',
+      '2addesh': 'price',
+      '2adesh': 'price',
+      se3ro: 'price',
+      sa3ro: 'price',
+      si3ro: 'price',
+      tawsil: 'delivery',
+      tawseel: 'delivery',
+      twsil: 'delivery',
+      ma7al: 'store',
+      ma7all: 'store',
+      ma7alkon: 'store',
+      mahal: 'store',
+      zid: 'add',
+      zidle: 'add',
+      zidli: 'add',
+      deef: 'add',
+      difle: 'add',
+      difli: 'add',
+      '7ot': 'put',
+      '7ott': 'put',
+      '7otle': 'put',
+      fadde: 'clear',
+      fa22e: 'clear',
+      emsa7: 'clear',
+      shil: 'remove',
+      ehfaz: 'save',
+      e7faz: 'save',
+      i7faz: 'save',
+      '7fazle': 'save',
+      talabiye: 'order',
+      talabeye: 'order',
+      talabiyti: 'my order',
+      talabeyte: 'my order',
+      talabiyte: 'my order',
+      '6alabiye': 'order',
+      '6alabiyti': 'my order',
+      wosil: 'arrived',
+      wesil: 'arrived',
+      '2aren': 'compare',
+      a2aren: 'compare',
+      qaren: 'compare',
+      kfar: 'case',
+      kfarat: 'case',
+      sha7en: 'charger',
+      sha7in: 'charger',
+      shahen: 'charger',
+      sh7en: 'charger',
+      sammee3a: 'headphones',
+      samme3a: 'headphones',
+      sam3a: 'headphones',
+      sam3at: 'headphones',
+      mawjoud: 'available',
+      mawjud: 'available',
+      mwjud: 'available',
+      metwaffar: 'available',
+      mtwaffar: 'available',
+      mitwaffar: 'available',
+      ar5as: 'cheapest',
+      arkhas: 'cheapest',
+      aghla: 'most expensive',
+      a8la: 'most expensive',
+      awwal: 'first',
+      awal: 'first',
+      tene: 'second',
+      tani: 'second',
+      telet: 'third',
+      talet: 'third',
+      rabe3: 'fourth',
+      '5ames': 'fifth',
+      khames: 'fifth',
+      eh: 'yes',
+      ee: 'yes',
+      aywa: 'yes',
+      akid: 'sure',
+      tamam: 'ok',
+      tamem: 'ok',
+      shukran: 'thanks',
+      chokran: 'thanks',
+      merci: 'thanks',
+      warjine: 'show me',
+      warjini: 'show me',
+      farjine: 'show me',
+      farjini: 'show me',
+      fta7: 'open',
+      ifta7: 'open',
+      sa3a: 'watch',
+      se3a: 'watch',
+      tel: 'phone',
+      telefon: 'phone',
+      telephone: 'phone',
+      ra2em: 'number',
+      ra2am: 'number',
+      ra2ma: 'number',
+      ra2mo: 'number',
+      wen: 'where',
+      wein: 'where',
+    },
+    stopWords: [
+      'fi',
+      'shu',
+      'sho',
+      'shou',
+      'chou',
+      'hal',
+      'ya',
+      'w',
+      'aw',
+      'ma3',
+      '3a',
+      '3al',
+      'el',
+      'l',
+      'bel',
+      'bl',
+      'eza',
+      'iza',
+      'bi',
+      'law',
+      'sama7t',
+      'sam7t',
+      'ktir',
+      'hayda',
+      'hayde',
+      'hek',
+      'la',
+      'ana',
+      'enta',
+      'ente',
+      'inta',
+      'inte',
+      'kamen',
+      'kmn',
+    ],
+  }),
+};
+
+const LOCALIZED_REPLIES = {
+  greeting: {
+    en: 'Hi! How can I help with Pixel Zones products, delivery, location, or customer service details?',
+    ar: 'أهلاً! كيف يمكنني مساعدتك بخصوص منتجات Pixel Zones أو التوصيل أو موقع المتجر أو خدمة العملاء؟',
+    fr: 'Bonjour ! Comment puis-je vous aider avec les produits Pixel Zones, la livraison, notre adresse ou le service client ?',
+    arabizi:
+      'Ahla w sahla! Kif fina nse3dak b products Pixel Zones, el delivery, location el ma7al aw customer service?',
+  },
+  outOfScope: {
+    en: 'I can only help with Pixel Zones products, delivery, location, and customer service details.',
+    ar: 'يمكنني المساعدة فقط بخصوص منتجات Pixel Zones والتوصيل والموقع وخدمة العملاء.',
+    fr: 'Je peux seulement vous aider avec les produits Pixel Zones, la livraison, notre adresse et le service client.',
+    arabizi:
+      'Fina nse3dak bas b products Pixel Zones, el delivery, el location w customer service.',
+  },
+  unavailable: {
+    en: 'Store assistant is temporarily unavailable. Please contact us on WhatsApp: +961 81 539 339.',
+    ar: 'مساعد المتجر غير متاح حالياً. يرجى التواصل معنا عبر واتساب: +961 81 539 339.',
+    fr: 'L’assistant de la boutique est temporairement indisponible. Contactez-nous sur WhatsApp : +961 81 539 339.',
+    arabizi:
+      'El store assistant mish mitwaffar hala2. Please ehkina 3al WhatsApp: +961 81 539 339.',
+  },
+  productNotFound: {
+    en: 'I could not find a matching product in the Pixel Zones catalog right now. Please try another keyword or contact us on WhatsApp: +961 81 539 339.',
+    ar: 'لم أجد منتجاً مطابقاً في كتالوج Pixel Zones حالياً. جرّب كلمة بحث أخرى أو تواصل معنا عبر واتساب: +961 81 539 339.',
+    fr: 'Je ne trouve aucun produit correspondant dans le catalogue Pixel Zones pour le moment. Essayez un autre mot-clé ou contactez-nous sur WhatsApp : +961 81 539 339.',
+    arabizi:
+      'Ma la2ayna product mtabe2 bel catalog Pixel Zones hala2. Jarreb kelme tenye aw ehkina 3al WhatsApp: +961 81 539 339.',
+  },
+  sessionLimit: {
+    en: 'You have reached today’s message limit for the store assistant. Please try again tomorrow or contact us on WhatsApp: +961 81 539 339.',
+    ar: 'لقد وصلت إلى الحد اليومي للرسائل مع مساعد المتجر. يرجى المحاولة غداً أو التواصل معنا عبر واتساب: +961 81 539 339.',
+    fr: 'Vous avez atteint la limite de messages du jour pour l’assistant. Réessayez demain ou contactez-nous sur WhatsApp : +961 81 539 339.',
+    arabizi:
+      'Wselt lal limit taba3 el messages lyom. Jarreb bokra aw ehkina 3al WhatsApp: +961 81 539 339.',
+  },
+  ipLimit: {
+    en: 'Too many assistant messages are coming from your network right now. Please try again later or contact us on WhatsApp: +961 81 539 339.',
+    ar: 'هناك رسائل كثيرة من شبكتك حالياً. يرجى المحاولة لاحقاً أو التواصل معنا عبر واتساب: +961 81 539 339.',
+    fr: 'Trop de messages proviennent de votre réseau en ce moment. Réessayez plus tard ou contactez-nous sur WhatsApp : +961 81 539 339.',
+    arabizi:
+      'Fi messages ktir 3am tije men el network taba3ak hala2. Jarreb ba3d shway aw ehkina 3al WhatsApp: +961 81 539 339.',
+  },
+  emptyMessage: {
+    en: 'Please type your question first.',
+    ar: 'يرجى كتابة سؤالك أولاً.',
+    fr: 'Veuillez d’abord écrire votre question.',
+    arabizi: 'Ktob so2alak awal please.',
+  },
+  missingProductList: {
+    en: 'I could not find the previous product list in this conversation. Please ask me to list products again first.',
+    ar: 'لم أجد قائمة المنتجات السابقة في هذه المحادثة. اطلب مني عرض المنتجات مرة أخرى أولاً.',
+    fr: 'Je ne retrouve pas la liste de produits précédente dans cette conversation. Demandez-moi d’abord d’afficher à nouveau les produits.',
+    arabizi:
+      'Ma la2et el list el 2adime bhal conversation. Otlob menne e3red el products marra tenye.',
+  },
+  missingOption: {
+    en: 'I could not find option #{index} in the last list.',
+    ar: 'لم أجد الخيار رقم {index} في القائمة الأخيرة.',
+    fr: 'Je ne trouve pas l’option n°{index} dans la dernière liste.',
+    arabizi: 'Ma la2et option #{index} bel list el akhira.',
+  },
+  clearingCart: {
+    en: 'Clearing your cart now.',
+    ar: 'جارٍ إفراغ سلتك الآن.',
+    fr: 'Je vide votre panier.',
+    arabizi: '3am fadde el cart hala2.',
+  },
+  openingSearch: {
+    en: 'Opening search results for "{term}".',
+    ar: 'جارٍ فتح نتائج البحث عن "{term}".',
+    fr: 'J’ouvre les résultats de recherche pour « {term} ».',
+    arabizi: '3am efta7 search results la "{term}".',
+  },
+  noPurchasableVariant: {
+    en: 'I found a matching product, but I could not determine a purchasable variant yet.',
+    ar: 'وجدت منتجاً مطابقاً، لكن لم أتمكن من تحديد نسخة قابلة للشراء بعد.',
+    fr: 'J’ai trouvé un produit correspondant, mais je n’arrive pas encore à déterminer une variante disponible à l’achat.',
+    arabizi:
+      'La2et product mtabe2, bas ma 2deret 7added variant fik teshtrih ba3d.',
+  },
+  outOfStock: {
+    en: '{title} is currently out of stock, so I can’t add it to cart right now.',
+    ar: '{title} غير متوفر حالياً، لذلك لا يمكنني إضافته إلى السلة الآن.',
+    fr: '{title} est en rupture de stock, je ne peux donc pas l’ajouter au panier pour le moment.',
+    arabizi: '{title} mish mawjoud bel stock hala2, fa ma fine zido 3al cart.',
+  },
+  addingAndCheckout: {
+    en: 'Adding {quantity} × {title} and taking you to checkout.',
+    ar: 'جارٍ إضافة {quantity} × {title} ونقلك إلى صفحة الدفع.',
+    fr: 'J’ajoute {quantity} × {title} et je vous emmène au paiement.',
+    arabizi: '3am zid {quantity} × {title} w wadik 3al checkout.',
+  },
+  adding: {
+    en: 'Adding {quantity} × {title} to your cart now.',
+    ar: 'جارٍ إضافة {quantity} × {title} إلى سلتك الآن.',
+    fr: 'J’ajoute {quantity} × {title} à votre panier.',
+    arabizi: '3am zid {quantity} × {title} 3al cart.',
+  },
+  checkout: {
+    en: 'Taking you to checkout.',
+    ar: 'جارٍ نقلك إلى صفحة الدفع.',
+    fr: 'Je vous emmène au paiement.',
+    arabizi: '3am wadik 3al checkout.',
+  },
+  savingToWishlist: {
+    en: 'Saving {title} to your wishlist.',
+    ar: 'جارٍ حفظ {title} في قائمة المفضلة.',
+    fr: 'J’ajoute {title} à votre liste de souhaits.',
+    arabizi: '3am ehfaz {title} bel wishlist.',
+  },
+  removingFromWishlist: {
+    en: 'Removing {title} from your wishlist.',
+    ar: 'جارٍ إزالة {title} من قائمة المفضلة.',
+    fr: 'Je retire {title} de votre liste de souhaits.',
+    arabizi: '3am shil {title} men el wishlist.',
+  },
+  comparing: {
+    en: 'Here is a side-by-side comparison of {titles}.',
+    ar: 'إليك مقارنة جنباً إلى جنب بين {titles}.',
+    fr: 'Voici une comparaison côte à côte de {titles}.',
+    arabizi: 'Hayde moqarane bayn {titles}.',
+  },
+  compareNeedsTwo: {
+    en: 'Pick at least two options from the last list to compare, for example "compare 1 and 3".',
+    ar: 'اختر خيارين على الأقل من القائمة الأخيرة للمقارنة، مثلاً "قارن 1 و 3".',
+    fr: 'Choisissez au moins deux options de la dernière liste à comparer, par exemple « compare 1 et 3 ».',
+    arabizi:
+      'Na22e tnen options 3al a2al men el list el akhira, masalan "compare 1 w 3".',
+  },
+  orderLookupHelp: {
+    en: 'I can check your order status. Please send your order number (for example #1234) with the email or phone number used at checkout, or sign in to your account.',
+    ar: 'فيني شوف حالة طلبك. ابعتلي رقم الطلب (مثلاً #1234) مع الإيميل أو رقم الهاتف يلي استعملته وقت الطلب، أو سجّل دخول على حسابك.',
+    fr: 'Je peux vérifier le statut de votre commande. Envoyez le numéro de commande (par exemple #1234) avec l’e-mail ou le numéro de téléphone utilisé lors de la commande, ou connectez-vous à votre compte.',
+    arabizi:
+      'Fini shouf status el order. Ba3etle ra2em el order (masalan #1234) ma3 el email aw ra2em el tel li sta3malto, aw 3mol sign in 3a account-ak.',
+  },
+  openingProduct: {
+    en: 'Opening the product page for {title}.',
+    ar: 'جارٍ فتح صفحة المنتج {title}.',
+    fr: 'J’ouvre la page produit de {title}.',
+    arabizi: '3am efta7 page {title}.',
+  },
+};
+
+/**
+ * Picks the language of the message, falling back to the most recent user
+ * message with a clear signal, so short follow-ups ("15 pro", "ok") keep
+ * the conversation's language.
+ *
+ * @param {string} message
+ * @param {{history?: Array<{role: string, content: string}>}} [options]
+ * @returns {ChatLanguage}
+ */
+export function detectChatLanguage(message, {history = []} = {}) {
+  const direct = detectLanguageSignal(message);
+  if (direct) return direct;
+
+  for (let index = history.length - 1; index >= 0; index -= 1) {
+    const item = history[index];
+    if (item?.role !== 'user') continue;
+    const language = detectLanguageSignal(item?.content);
+    if (language) return language;
+  }
+
+  return DEFAULT_CHAT_LANGUAGE;
+}
+
+/**
+ * Rewrites a message into the English intent and catalog vocabulary used by
+ * `intents.js`. English messages are returned unchanged.
+ */
+export function canonicalizeChatMessage(message, language) {
+  const text = sanitizeText(message);
+  const pack = LANGUAGE_PACKS[language];
+  if (!text || !pack) return text;
+
+  let canonical = pack.normalize(text);
+  for (const rule of pack.phraseRules) {
+    canonical = canonical.replace(rule.pattern, `$1${rule.replacement}`);
+  }
+
+  return sanitizeText(
+    pack
+      .expand(canonical)
+      .split(' ')
+      .map((token) => translateToken(token, pack))
+      .join(' '),
+  );
+}
+
+export function canonicalizeChatHistory(history, fallbackLanguage) {
+  if (!Array.isArray(history)) return [];
+
+  return history.map((item) => {
+    if (item?.role !== 'user') return item;
+    const language = detectLanguageSignal(item.content) || fallbackLanguage;
+    return {...item, content: canonicalizeChatMessage(item.content, language)};
+  });
+}
+
+/**
+ * Translates a free-form catalog query (for example one written by the
+ * model in the shopper's language) into English product terms.
+ */
+export function translateCatalogQuery(query) {
+  const language = detectLanguageSignal(query);
+  return language ? canonicalizeChatMessage(query, language) : query;
+}
+
+export function getChatLanguageName(language) {
+  return LANGUAGE_NAMES[language] || LANGUAGE_NAMES[DEFAULT_CHAT_LANGUAGE];
+}
+
+export function getLocalizedChatReply(key, language, params = {}) {
+  const variants = LOCALIZED_REPLIES[key];
+  if (!variants) return '';
+
+  const template = variants[language] || variants[DEFAULT_CHAT_LANGUAGE];
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? String(params[name]) : match,
+  );
+}
+
+function detectLanguageSignal(message) {
+  const text = sanitizeText(message);
+  if (!text) return '';
+  if (ARABIC_SCRIPT_PATTERN.test(text)) return 'ar';
+
+  const lower = text.toLowerCase();
+  const tokens = foldAccents(lower)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  const scores = {
+    arabizi: 0,
+    fr: FRENCH_ACCENT_PATTERN.test(lower) ? 1 : 0,
+    en: 0,
+  };
+
+  tokens.forEach((token) => {
+    if (ENGLISH_SIGNAL_WORDS.has(token)) scores.en += 1;
+    scores.fr += FRENCH_SIGNAL_WORDS.get(token) || 0;
+    scores.arabizi +=
+      ARABIZI_SIGNAL_WORDS.get(token) || (looksLikeArabiziToken(token) ? 1 : 0);
+  });
+
+  let detected = '';
+  for (const language of LANGUAGE_TIE_ORDER) {
+    if (scores[language] < SIGNAL_THRESHOLD) continue;
+    if (!detected || scores[language] > scores[detected]) {
+      detected = language;
+    }
+  }
+
+  return detected;
+}
+
+// Arabizi spells Arabic sounds with digits (3 = ع, 7 = ح, 2 = ء, 5 = خ),
+// e.g. "sha7en" or "hala2". Model numbers ("a55", "s24") and units ("5ghz")
+// are excluded.
+function looksLikeArabiziToken(token) {
+  if (!/^[a-z]*[235789][a-z]*$/.test(token)) return false;
+  if (ARABIZI_UNIT_PATTERN.test(token)) return false;
+
+  const letters = token.replace(/\d/g, '');
+  if (letters.length < 2) return false;
+  if (/^[a-z]+\d$/.test(token)) return /[aeiou]$/.test(letters);
+  return true;
+}
+
+function compileLanguagePack({
+  normalize,
+  expand = (text) => text,
+  prefixes,
+  phrases,
+  terms,
+  stopWords,
+}) {
+  const phraseRules = Object.entries(phrases)
+    .map(([phrase, replacement]) => [normalize(phrase), replacement])
+    .sort(([left], [right]) => right.length - left.length)
+    .map(([phrase, replacement]) => ({
+      pattern: new RegExp(
+        `(^|[^\\p{L}\\p{N}])${escapeRegExp(phrase)}(?=$|[^\\p{L}\\p{N}])`,
+        'gu',
+      ),
+      replacement,
+    }));
+
+  return {
+    normalize,
+    expand,
+    prefixes: prefixes.map(normalize),
+    phraseRules,
+    terms: new Map(
+      Object.entries(terms).map(([term, value]) => [normalize(term), value]),
+    ),
+    stopWords: new Set(stopWords.map(normalize)),
+  };
+}
+
+function translateToken(token, pack) {
+  const [, lead, core, trail] =
+    token.match(/^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}]*)$/u) || [];
+  if (!core) return token;
+
+  const translated = lookupPackTerm(core, pack);
+  if (translated === null) return token;
+  if (!translated) return '';
+  return `${lead}${translated}${trail}`;
+}
+
+function lookupPackTerm(core, pack) {
+  if (pack.stopWords.has(core)) return '';
+  if (pack.terms.has(core)) return pack.terms.get(core);
+
+  for (const prefix of pack.prefixes) {
+    if (!core.startsWith(prefix) || core.length - prefix.length < 2) continue;
+    const rest = core.slice(prefix.length);
+    if (pack.terms.has(rest)) return pack.terms.get(rest);
+    if (pack.stopWords.has(rest)) return '';
+  }
+
+  return null;
+}
+
+function normalizeArabicText(text) {
+  return text
+    .replace(/[ً-ٰٟـ]/g, '')
+    .replace(/[أإآ]/g, 'ا')
+    .replace(/ة/g, 'ه')
+    .replace(/ى/g, 'ي')
+    .replace(/ؤ/g, 'و')
+    .replace(/ئ/g, 'ي')
+    .replace(/[\u0660-\u0669]/g, (digit) =>
+      String(digit.charCodeAt(0) - 0x0660),
+    )
+    .replace(/[\u06F0-\u06F9]/g, (digit) =>
+      String(digit.charCodeAt(0) - 0x06f0),
+    )
+    .replace(/؟/g, '?')
+    .replace(/،/g, ',')
+    .toLowerCase();
+}
+
+function normalizeFrenchText(text) {
+  return foldAccents(text.toLowerCase()).replace(/[’`]/g, "'");
+}
+
+// Runs after phrase rules so "j'ai besoin d'un" can still match as a whole.
+function splitFrenchElisions(text) {
+  return text.replace(/\b(c|d|j|l|m|n|s|t|qu)'(?=\p{L})/gu, '$1 ');
+}
+
+function normalizeArabiziText(text) {
+  return text.toLowerCase().replace(/[’`]/g, "'");
+}
+
+function foldAccents(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '');
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function sanitizeText(value) {
+  if (typeof value !== 'string') return '';
+  return value.replace(/\s+/g, ' ').trim().slice(0, 500);
+}
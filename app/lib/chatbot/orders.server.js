@@ -0,0 +1,253 @@
+import {CUSTOMER_ORDERS_QUERY} from '../../graphql/customer-account/CustomerOrdersQuery.js';
+import {createAdminGraphqlClient} from '../adminApi.server.js';
+import {buildOrderSearchQuery} from '../orderFilters.js';
+
+const MAX_CUSTOMER_ORDERS = 3;
+const MIN_PHONE_DIGITS = 7;
+
+/**
+ * Looks up order status for the store assistant.
+ *
+ * Signed-in customers are answered from their own Customer Account orders.
+ * Guests must give the order number plus the email or phone on the order;
+ * the Admin API lookup only returns status fields once that contact matches,
+ * and a wrong contact reads exactly like an unknown order number.
+ */
+export async function lookupChatbotOrder(
+  context,
+  {orderNumber = '', email = '', phone = ''} = {},
+) {
+  const name = normalizeOrderNumber(orderNumber);
+  const contact = {
+    email: normalizeEmail(email),
+    phone: normalizePhoneDigits(phone),
+  };
+
+  const isLoggedIn = await Promise.resolve(
+    context.customerAccount?.isLoggedIn?.(),
+  ).catch(() => false);
+
+  if (isLoggedIn) {
+    const orders = await fetchCustomerAccountOrders(context, name);
+    if (orders.length || !name || !hasGuestContact(contact)) {
+      return {
+        ok: true,
+        source: 'customer_account',
+        signed_in: true,
+        orders,
+        ...(orders.length
+          ? {}
+          : {message: name ? 'Order not found.' : 'No orders yet.'}),
+      };
+    }
+  }
+
+  if (!name || !hasGuestContact(contact)) {
+    return {
+      ok: false,
+      needs_verification: true,
+      error:
+        'Ask the shopper for their order number and the email or phone number used at checkout, or suggest signing in.',
+    };
+  }
+
+  const orders = await fetchAdminOrdersByName(context.env, name);
+  const order = orders.find((candidate) =>
+    orderMatchesContact(candidate, contact),
+  );
+
+  if (!order) {
+    return {
+      ok: false,
+      error:
+        'No order matches that order number and contact detail. Ask the shopper to double-check both.',
+    };
+  }
+
+  return {
+    ok: true,
+    source: 'order_lookup',
+    signed_in: false,
+    orders: [serializeAdminOrder(order)],
+  };
+}
+
+async function fetchCustomerAccountOrders(context, name) {
+  const {customerAccount} = context;
+  const query = name ? buildOrderSearchQuery({name}) : undefined;
+  const {data, errors} = await customerAccount.query(CUSTOMER_ORDERS_QUERY, {
+    variables: {
+      first: name ? 1 : MAX_CUSTOMER_ORDERS,
+      query,
+      language: customerAccount.i18n.language,
+    },
+  });
+
+  if (errors?.length) {
+    throw new Error(errors[0].message || 'Order lookup failed.');
+  }
+
+  const nodes = data?.customer?.orders?.nodes;
+  return (Array.isArray(nodes) ? nodes : []).map((order) => ({
+    order_number: `#${order.number}`,
+    confirmation_number: order.confirmationNumber || '',
+    processed_at: order.processedAt || '',
+    financial_status: order.financialStatus || '',
+    fulfillment_status: order.fulfillmentStatus || '',
+    shipment_status: order.fulfillments?.nodes?.[0]?.status || '',
+    total: formatOrderTotal(order.totalPrice),
+    order_url: order.id ? `/account/orders/${btoa(order.id)}` : '',
+  }));
+}
+
+async function fetchAdminOrdersByName(env, name) {
+  const adminGraphql = createAdminGraphqlClient(env);
+  if (!adminGraphql) {
+    throw new Error(
+      'Guest order lookup is not configured. Add SHOPIFY_ADMIN_API_ACCESS_TOKEN with read_orders access.',
+    );
+  }
+
+  const data = await adminGraphql(CHATBOT_ORDER_LOOKUP_QUERY, {
+    query: buildOrderSearchQuery({name}),
+  });
+  const nodes = data?.orders?.nodes;
+  return Array.isArray(nodes) ? nodes : [];
+}
+
+function orderMatchesContact(order, contact) {
+  if (contact.email) {
+    const emails = [
+      order?.email,
+      order?.customer?.defaultEmailAddress?.emailAddress,
+    ]
+      .map(normalizeEmail)
+      .filter(Boolean);
+    if (emails.includes(contact.email)) return true;
+  }
+
+  if (contact.phone) {
+    const phones = [
+      order?.phone,
+      order?.customer?.defaultPhoneNumber?.phoneNumber,
+      order?.shippingAddress?.phone,
+      order?.billingAddress?.phone,
+    ]
+      .map(normalizePhoneDigits)
+      .filter(Boolean);
+    if (phones.some((phone) => phonesMatch(phone, contact.phone))) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Compares the trailing digits so "+961 81 539 339", "81539339" and
+ * "081539339" all match the same stored number.
+ */
+function phonesMatch(stored, provided) {
+  const length = Math.min(stored.length, provided.length, 8);
+  if (length < MIN_PHONE_DIGITS) return false;
+  return stored.slice(-length) === provided.slice(-length);
+}
+
+function serializeAdminOrder(order) {
+  const fulfillments = Array.isArray(order?.fulfillments)
+    ? order.fulfillments
+    : [];
+
+  return {
+    order_number: order.name || '',
+    processed_at: order.processedAt || '',
+    cancelled: Boolean(order.cancelledAt),
+    financial_status: order.displayFinancialStatus || '',
+    fulfillment_status: order.displayFulfillmentStatus || '',
+    shipments: fulfillments.map((fulfillment) => ({
+      status: fulfillment?.displayStatus || fulfillment?.status || '',
+      estimated_delivery_at: fulfillment?.estimatedDeliveryAt || '',
+      tracking: (fulfillment?.trackingInfo || [])
+        .filter((info) => info?.number || info?.url)
+        .map((info) => ({
+          company: info.company || '',
+          number: info.number || '',
+          url: info.url || '',
+        })),
+    })),
+    total: formatOrderTotal(order.totalPriceSet?.shopMoney),
+    order_url: order.statusPageUrl || '',
+  };
+}
+
+function hasGuestContact(contact) {
+  return Boolean(contact.email || contact.phone.length >= MIN_PHONE_DIGITS);
+}
+
+function normalizeOrderNumber(value) {
+  const match = String(value || '').match(/\d{3,10}/);
+  return match ? match[0] : '';
+}
+
+function normalizeEmail(value) {
+  const email = String(value || '')
+    .trim()
+    .toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : '';
+}
+
+function normalizePhoneDigits(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+function formatOrderTotal(money) {
+  const amount = Number(money?.amount);
+  if (!Number.isFinite(amount)) return '';
+  return `${amount.toFixed(2)} ${money.currencyCode || ''}`.trim();
+}
+
+// Admin API document; left untagged so storefront codegen skips it.
+const CHATBOT_ORDER_LOOKUP_QUERY = `
+  query ChatbotOrderLookup($query: String!) {
+    orders(first: 5, query: $query) {
+      nodes {
+        name
+        email
+        phone
+        processedAt
+        cancelledAt
+        displayFinancialStatus
+        displayFulfillmentStatus
+        statusPageUrl
+        totalPriceSet {
+          shopMoney {
+            amount
+            currencyCode
+          }
+        }
+        customer {
+          defaultEmailAddress {
+            emailAddress
+          }
+          defaultPhoneNumber {
+            phoneNumber
+          }
+        }
+        shippingAddress {
+          phone
+        }
+        billingAddress {
+          phone
+        }
+        fulfillments(first: 5) {
+          status
+          displayStatus
+          estimatedDeliveryAt
+          trackingInfo(first: 3) {
+            company
+            number
+            url
+          }
+        }
+      }
+    }
+  }
+`;
@@ -0,0 +1,710 @@
+export const CHATBOT_PROVIDER_OPENAI = 'openai';
+export const CHATBOT_PROVIDER_OPENAI_COMPATIBLE = 'openai-compatible';
+export const CHATBOT_PROVIDER_MOCK = 'mock';
+
+const OPENAI_API_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_REPLY_MODELS = ['gpt-5.4-mini', 'gpt-5-mini'];
+const DEFAULT_TOOL_MODEL = 'gpt-5.4-mini';
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+const REPLY_TIMEOUT_MS = 20000;
+const REPLY_MAX_ATTEMPTS = 2;
+const MOCK_MESSAGE_PLACEHOLDER = '{{message}}';
+const MOCK_FALLBACK_REPLY = 'Mock assistant reply.';
+
+const DEFAULT_MOCK_SCRIPT = {
+  steps: [
+    {
+      toolCalls: [
+        {
+          name: 'search_store_catalog',
+          arguments: {query: MOCK_MESSAGE_PLACEHOLDER},
+        },
+      ],
+    },
+    {text: 'Here are the closest matches from the Pixel Zones catalog.'},
+  ],
+  reply: `Mock reply for: ${MOCK_MESSAGE_PLACEHOLDER}`,
+};
+
+/**
+ * Resolves the LLM backend for the store assistant from env.
+ * `CHATBOT_PROVIDER` selects `openai` (default), `openai-compatible`
+ * (a self-hosted endpoint speaking the Responses API at
+ * `CHATBOT_API_BASE_URL`) or `mock` (scripted, no network).
+ * Returns null when the selected provider is not configured.
+ */
+export async function resolveChatbotProvider(hydrogenEnv, nodeEnv) {
+  const providerName =
+    sanitizeEnvText(
+      (await getNonEmptyEnvValue(hydrogenEnv, 'CHATBOT_PROVIDER')) ||
+        (await getNonEmptyEnvValue(nodeEnv, 'CHATBOT_PROVIDER')),
+    ).toLowerCase() || CHATBOT_PROVIDER_OPENAI;
+
+  const replyModels = parseModelList(
+    await getNonEmptyEnvValue(hydrogenEnv, 'CHATBOT_REPLY_MODELS'),
+  );
+  const toolModel =
+    sanitizeEnvText(
+      (await getNonEmptyEnvValue(hydrogenEnv, 'CHATBOT_TOOL_MODEL')) ||
+        (await getNonEmptyEnvValue(hydrogenEnv, 'OPENAI_CHATBOT_MODEL')),
+    ) || '';
+
+  if (providerName === CHATBOT_PROVIDER_MOCK) {
+    return createMockChatbotProvider({
+      script: parseMockScript(
+        await getNonEmptyEnvValue(hydrogenEnv, 'CHATBOT_MOCK_SCRIPT'),
+      ),
+    });
+  }
+
+  if (providerName === CHATBOT_PROVIDER_OPENAI_COMPATIBLE) {
+    const baseUrl = normalizeBaseUrl(
+      (await getNonEmptyEnvValue(hydrogenEnv, 'CHATBOT_API_BASE_URL')) ||
+        (await getNonEmptyEnvValue(nodeEnv, 'CHATBOT_API_BASE_URL')),
+    );
+    if (!baseUrl) {
+      console.warn(
+        '[chatbot] CHATBOT_PROVIDER=openai-compatible requires CHATBOT_API_BASE_URL.',
+      );
+      return null;
+    }
+
+    const apiKey =
+      (await getNonEmptyEnvValue(hydrogenEnv, 'CHATBOT_API_KEY')) ||
+      (await getNonEmptyEnvValue(nodeEnv, 'CHATBOT_API_KEY'));
+
+    return createOpenAiChatbotProvider({
+      name: CHATBOT_PROVIDER_OPENAI_COMPATIBLE,
+      apiKey,
+      baseUrl,
+      replyModels,
+      toolModel,
+    });
+  }
+
+  if (providerName !== CHATBOT_PROVIDER_OPENAI) {
+    console.warn(
+      `[chatbot] Unknown CHATBOT_PROVIDER "${providerName}". Falling back to OpenAI.`,
+    );
+  }
+
+  const apiKey = await resolveOpenAiApiKey(hydrogenEnv, nodeEnv);
+  if (!apiKey) {
+    const availableCandidates = listOpenAiEnvKeyNames(hydrogenEnv).join(', ');
+    const openAiBindingDebug = describeEnvBinding(hydrogenEnv?.OPENAI_API_KEY);
+    console.warn(
+      `[chatbot] Missing OpenAI key in Hydrogen env. Detected OPENAI-like keys: ${
+        availableCandidates || 'none'
+      }. OPENAI_API_KEY binding debug: ${openAiBindingDebug}`,
+    );
+    return null;
+  }
+
+  return createOpenAiChatbotProvider({
+    name: CHATBOT_PROVIDER_OPENAI,
+    apiKey,
+    baseUrl: OPENAI_API_BASE_URL,
+    replyModels,
+    toolModel,
+  });
+}
+
+/**
+ * Talks to any endpoint that implements the OpenAI Responses API.
+ */
+export function createOpenAiChatbotProvider({
+  name = CHATBOT_PROVIDER_OPENAI,
+  apiKey = '',
+  baseUrl = OPENAI_API_BASE_URL,
+  replyModels = [],
+  toolModel = '',
+  fetchImpl = fetch,
+} = {}) {
+  const endpoint = `${normalizeBaseUrl(baseUrl) || OPENAI_API_BASE_URL}/responses`;
+  const models = replyModels.length ? replyModels : DEFAULT_REPLY_MODELS;
+  const resolvedToolModel = toolModel || models[0] || DEFAULT_TOOL_MODEL;
+
+  function buildHeaders() {
+    return {
+      ...(apiKey ? {Authorization: `Bearer ${apiKey}`} : {}),
+      'Content-Type': 'application/json',
+    };
+  }
+
+  /**
+   * One tool-loop request. With `onDelta` the response is streamed: text
+   * deltas are forwarded as they arrive and the completed response body is
+   * returned, the same shape as a non-streamed call.
+   */
+  async function createResponse(payload, {onDelta} = {}) {
+    const response = await fetchImpl(endpoint, {
+      method: 'POST',
+      headers: buildHeaders(),
+      body: JSON.stringify({
+        model: resolvedToolModel,
+        ...payload,
+        ...(onDelta ? {stream: true} : {}),
+      }),
+    });
+
+    if (response.ok && onDelta) {
+      return readStreamedResponse(response, onDelta);
+    }
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      const message =
+        data?.error?.message ||
+        `${name} chat request failed (${response.status}).`;
+      throw new Error(message);
+    }
+
+    return data;
+  }
+
+  async function generateReply({input, maxOutputTokens, onDelta}) {
+    let streamedText = '';
+    const handleDelta = (text) => {
+      streamedText += text;
+      onDelta(text);
+    };
+
+    for (const model of models) {
+      for (let attempt = 1; attempt <= REPLY_MAX_ATTEMPTS; attempt += 1) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(
+          () => controller.abort(),
+          REPLY_TIMEOUT_MS,
+        );
+
+        try {
+          const response = await fetchImpl(endpoint, {
+            method: 'POST',
+            headers: buildHeaders(),
+            body: JSON.stringify({
+              model,
+              input,
+              max_output_tokens: maxOutputTokens,
+              ...(onDelta ? {stream: true} : {}),
+            }),
+            signal: controller.signal,
+          });
+
+          if (response.ok) {
+            const reply = onDelta
+              ? await readStreamedOutputText(response, handleDelta)
+              : extractOutputText(await response.json());
+            if (reply) return reply;
+
+            console.error(
+              `${name} chat request returned empty output (model=${model}, attempt=${attempt}).`,
+            );
+            break;
+          }
+
+          const failureBody = await response.text().catch(() => '');
+          console.error(
+            `${name} chat request failed (model=${model}, attempt=${attempt}):`,
+            response.status,
+            failureBody,
+          );
+
+          const isRetryableStatus = RETRYABLE_STATUS.has(response.status);
+          if (isRetryableStatus && attempt < REPLY_MAX_ATTEMPTS) {
+            await sleep(250 * attempt);
+            continue;
+          }
+
+          break;
+        } catch (error) {
+          const isAbortError = error?.name === 'AbortError';
+          console.error(
+            `${name} chat request crashed (model=${model}, attempt=${attempt}):`,
+            isAbortError ? 'timeout' : error,
+          );
+
+          // Text already sent to the shopper cannot be retracted; keep it.
+          if (streamedText) return streamedText.trim();
+
+          if (attempt < REPLY_MAX_ATTEMPTS) {
+            await sleep(250 * attempt);
+            continue;
+          }
+        } finally {
+          clearTimeout(timeoutId);
+        }
+      }
+    }
+
+    return '';
+  }
+
+  return {name, createResponse, generateReply};
+}
+
+/**
+ * Deterministic provider that plays back scripted tool calls and replies.
+ * Each tool loop starts at the first step; every follow-up request that
+ * carries `previous_response_id` advances one step. `{{message}}` inside a
+ * step is replaced with the latest user message.
+ */
+export function createMockChatbotProvider({script = DEFAULT_MOCK_SCRIPT} = {}) {
+  const steps = Array.isArray(script?.steps) ? script.steps : [];
+  const replyTemplate =
+    typeof script?.reply === 'string' ? script.reply : MOCK_FALLBACK_REPLY;
+  const stepByResponseId = new Map();
+  const calls = [];
+  let responseCounter = 0;
+  let callCounter = 0;
+
+  async function createResponse(payload, {onDelta} = {}) {
+    calls.push({type: 'response', payload});
+
+    const previousStep = payload?.previous_response_id
+      ? stepByResponseId.get(payload.previous_response_id)
+      : undefined;
+    const stepIndex = previousStep === undefined ? 0 : previousStep.index + 1;
+    const message =
+      previousStep?.message ?? extractLatestUserMessage(payload?.input);
+    const step = steps[stepIndex] || {text: MOCK_FALLBACK_REPLY};
+
+    responseCounter += 1;
+    const id = `mock-response-${responseCounter}`;
+    stepByResponseId.set(id, {index: stepIndex, message});
+
+    const toolCalls = Array.isArray(step.toolCalls) ? step.toolCalls : [];
+    if (toolCalls.length) {
+      return {
+        id,
+        output: toolCalls.map((toolCall) => {
+          callCounter += 1;
+          return {
+            type: 'function_call',
+            call_id: `mock-call-${callCounter}`,
+            name: toolCall.name,
+            arguments: JSON.stringify(
+              fillMockPlaceholders(toolCall.arguments || {}, message),
+            ),
+          };
+        }),
+      };
+    }
+
+    const text = fillMockPlaceholders(
+      String(step.text || MOCK_FALLBACK_REPLY),
+      message,
+    );
+    if (onDelta) {
+      text.split(/(?<=\s)/).forEach((chunk) => onDelta(chunk));
+    }
+
+    return buildMockTextResponse(id, text);
+  }
+
+  async function generateReply({input, onDelta}) {
+    calls.push({type: 'reply', payload: {input}});
+    const reply = fillMockPlaceholders(
+      replyTemplate,
+      extractLatestUserMessage(input),
+    );
+
+    if (onDelta) {
+      reply.split(/(?<=\s)/).forEach((chunk) => onDelta(chunk));
+    }
+
+    return reply;
+  }
+
+  return {name: CHATBOT_PROVIDER_MOCK, calls, createResponse, generateReply};
+}
+
+export function extractOutputText(responseBody) {
+  if (
+    typeof responseBody?.output_text === 'string' &&
+    responseBody.output_text.trim()
+  ) {
+    return responseBody.output_text.trim();
+  }
+
+  const texts = [];
+  const output = Array.isArray(responseBody?.output) ? responseBody.output : [];
+
+  output.forEach((item) => {
+    if (!Array.isArray(item?.content)) return;
+    item.content.forEach((contentItem) => {
+      if (
+        contentItem?.type === 'output_text' &&
+        typeof contentItem?.text === 'string'
+      ) {
+        texts.push(contentItem.text);
+      }
+    });
+  });
+
+  return texts.join('\n').trim();
+}
+
+/**
+ * Reads a Responses API event stream, forwarding each text delta and
+ * returning the full reply once the stream ends.
+ */
+export async function readStreamedOutputText(response, onDelta) {
+  if (!response.body) {
+    return extractOutputText(await response.json().catch(() => null));
+  }
+
+  let text = '';
+  let completedText = '';
+
+  await readResponseEvents(response.body, (event) => {
+    if (
+      event?.type === 'response.output_text.delta' &&
+      typeof event.delta === 'string'
+    ) {
+      text += event.delta;
+      onDelta(event.delta);
+      return;
+    }
+
+    if (event?.type === 'response.completed') {
+      completedText = extractOutputText(event.response);
+    }
+  });
+
+  return (text || completedText).trim();
+}
+
+/**
+ * Reads a streamed tool-loop response: forwards text deltas and returns the
+ * body of the `response.completed` event, which carries any function calls.
+ */
+export async function readStreamedResponse(response, onDelta) {
+  if (!response.body) return response.json();
+
+  let completed = null;
+  let failure = '';
+
+  await readResponseEvents(response.body, (event) => {
+    if (
+      event?.type === 'response.output_text.delta' &&
+      typeof event.delta === 'string'
+    ) {
+      onDelta(event.delta);
+      return;
+    }
+
+    if (event?.type === 'response.completed') {
+      completed = event.response;
+    } else if (event?.type === 'response.failed') {
+      failure = event.response?.error?.message || 'Chat response failed.';
+    } else if (event?.type === 'error') {
+      failure = event.message || 'Chat response failed.';
+    }
+  });
+
+  if (!completed) {
+    throw new Error(failure || 'Chat response stream ended early.');
+  }
+
+  return completed;
+}
+
+/**
+ * Parses a server-sent event stream and calls `handleEvent` with the JSON
+ * payload of each event.
+ * @param {ReadableStream<Uint8Array>} body
+ * @param {(event: any) => void} handleEvent
+ */
+async function readResponseEvents(body, handleEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const parseEvent = (rawEvent) => {
+    const dataLines = rawEvent
+      .split('\n')
+      .filter((line) => line.startsWith('data:'))
+      .map((line) => line.slice(5).trim());
+    if (!dataLines.length) return;
+
+    let event = null;
+    try {
+      event = JSON.parse(dataLines.join('\n'));
+    } catch {
+      return;
+    }
+    handleEvent(event);
+  };
+
+  for (;;) {
+    const {done, value} = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, {stream: true}).replace(/\r\n/g, '\n');
+    let separatorIndex = buffer.indexOf('\n\n');
+    while (separatorIndex !== -1) {
+      parseEvent(buffer.slice(0, separatorIndex));
+      buffer = buffer.slice(separatorIndex + 2);
+      separatorIndex = buffer.indexOf('\n\n');
+    }
+  }
+
+  if (buffer.trim()) parseEvent(buffer);
+}
+
+export function getFunctionCalls(responseBody) {
+  if (!Array.isArray(responseBody?.output)) return [];
+  return responseBody.output.filter((item) => item?.type === 'function_call');
+}
+
+function buildMockTextResponse(id, text) {
+  return {
+    id,
+    output_text: text,
+    output: [
+      {
+        type: 'message',
+        role: 'assistant',
+        content: [{type: 'output_text', text}],
+      },
+    ],
+  };
+}
+
+function fillMockPlaceholders(value, message) {
+  if (typeof value === 'string') {
+    return value.split(MOCK_MESSAGE_PLACEHOLDER).join(message || '');
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => fillMockPlaceholders(item, message));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, nested]) => [
+        key,
+        fillMockPlaceholders(nested, message),
+      ]),
+    );
+  }
+
+  return value;
+}
+
+function extractLatestUserMessage(input) {
+  if (typeof input === 'string') {
+    const userLines = input
+      .split(/\n{2,}/)
+      .filter((line) => line.startsWith('User: '));
+    return sanitizeEnvText(
+      (userLines[userLines.length - 1] || '').replace(/^User:\s*/, ''),
+    );
+  }
+
+  if (Array.isArray(input)) {
+    for (let index = input.length - 1; index >= 0; index -= 1) {
+      if (input[index]?.role === 'user') {
+        return sanitizeEnvText(input[index]?.content);
+      }
+    }
+  }
+
+  return '';
+}
+
+function parseMockScript(rawValue) {
+  if (!rawValue) return DEFAULT_MOCK_SCRIPT;
+
+  try {
+    const parsed = JSON.parse(rawValue);
+    if (Array.isArray(parsed)) {
+      return {...DEFAULT_MOCK_SCRIPT, steps: parsed};
+    }
+    if (parsed && typeof parsed === 'object') {
+      return {...DEFAULT_MOCK_SCRIPT, ...parsed};
+    }
+  } catch {
+    console.warn(
+      '[chatbot] CHATBOT_MOCK_SCRIPT is not valid JSON. Using default script.',
+    );
+  }
+
+  return DEFAULT_MOCK_SCRIPT;
+}
+
+function parseModelList(rawValue) {
+  return String(rawValue || '')
+    .split(',')
+    .map((model) => model.trim())
+    .filter(Boolean);
+}
+
+function normalizeBaseUrl(value) {
+  const raw = sanitizeEnvText(value);
+  if (!raw) return '';
+  return raw.replace(/\/+$/, '');
+}
+
+function sanitizeEnvText(value) {
+  if (typeof value !== 'string') return '';
+  return value.replace(/\s+/g, ' ').trim().slice(0, 500);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function resolveOpenAiApiKey(hydrogenEnv, nodeEnv) {
+  const explicitKeyNames = [
+    'OPENAI_API_KEY',
+    'PRIVATE_OPENAI_API_KEY',
+    'OPENAI_KEY',
+    'OPEN_AI_API_KEY',
+    'OPENAI_API_TOKEN',
+    'PRIVATE_OPENAI_API_TOKEN',
+    'OPENAI_TOKEN',
+  ];
+
+  for (const keyName of explicitKeyNames) {
+    const fromHydrogen = await getNonEmptyEnvValue(hydrogenEnv, keyName);
+    if (fromHydrogen) return fromHydrogen;
+    const fromNode = await getNonEmptyEnvValue(nodeEnv, keyName);
+    if (fromNode) return fromNode;
+  }
+
+  const heuristicKey = await findHeuristicOpenAiKey(hydrogenEnv);
+  if (heuristicKey) return heuristicKey;
+
+  return findHeuristicOpenAiKey(nodeEnv);
+}
+
+async function getNonEmptyEnvValue(envObject, key) {
+  return normalizeEnvSecretValue(envObject?.[key]);
+}
+
+async function findHeuristicOpenAiKey(envObject) {
+  if (!envObject || typeof envObject !== 'object') return '';
+
+  for (const [key, value] of Object.entries(envObject)) {
+    const upperKey = key.toUpperCase();
+    const looksLikeOpenAiKey =
+      upperKey.includes('OPENAI') &&
+      (upperKey.includes('KEY') ||
+        upperKey.includes('TOKEN') ||
+        upperKey.includes('SECRET'));
+
+    if (!looksLikeOpenAiKey) continue;
+
+    const normalized = await normalizeEnvSecretValue(value);
+    if (normalized) return normalized;
+  }
+
+  return '';
+}
+
+function listOpenAiEnvKeyNames(envObject) {
+  if (!envObject || typeof envObject !== 'object') return [];
+
+  return Object.keys(envObject).filter((key) => {
+    const upperKey = key.toUpperCase();
+    return (
+      upperKey.includes('OPENAI') &&
+      (upperKey.includes('KEY') ||
+        upperKey.includes('TOKEN') ||
+        upperKey.includes('SECRET'))
+    );
+  });
+}
+
+async function normalizeEnvSecretValue(rawValue, depth = 0) {
+  if (depth > 3) return '';
+
+  if (typeof rawValue === 'string') {
+    const normalized = rawValue.trim();
+    return normalized || '';
+  }
+
+  if (rawValue == null) return '';
+
+  if (typeof rawValue === 'number' || typeof rawValue === 'boolean') {
+    return String(rawValue).trim();
+  }
+
+  if (typeof rawValue === 'function') {
+    try {
+      const result = rawValue();
+      return normalizeEnvSecretValue(result, depth + 1);
+    } catch {
+      return '';
+    }
+  }
+
+  if (isPromiseLike(rawValue)) {
+    try {
+      const resolved = await rawValue;
+      return normalizeEnvSecretValue(resolved, depth + 1);
+    } catch {
+      return '';
+    }
+  }
+
+  if (typeof rawValue === 'object') {
+    const wrappedKeys = ['value', 'secret', 'token', 'key', 'apiKey'];
+    for (const wrappedKey of wrappedKeys) {
+      const nested = rawValue?.[wrappedKey];
+      const normalizedNested = await normalizeEnvSecretValue(nested, depth + 1);
+      if (normalizedNested) return normalizedNested;
+    }
+
+    const toStringValue =
+      typeof rawValue.toString === 'function' ? String(rawValue).trim() : '';
+    if (toStringValue && toStringValue !== '[object Object]') {
+      return toStringValue;
+    }
+
+    // Some runtime wrappers expose the value on symbol keys.
+    const symbols = Object.getOwnPropertySymbols(rawValue);
+    for (const symbolKey of symbols) {
+      const symbolValue = rawValue[symbolKey];
+      const normalizedSymbolValue = await normalizeEnvSecretValue(
+        symbolValue,
+        depth + 1,
+      );
+      if (normalizedSymbolValue) return normalizedSymbolValue;
+    }
+  }
+
+  return '';
+}
+
+function isPromiseLike(value) {
+  return Boolean(value && typeof value.then === 'function');
+}
+
+function describeEnvBinding(rawValue) {
+  const type = rawValue === null ? 'null' : typeof rawValue;
+
+  if (type !== 'object' && type !== 'function') {
+    const safeLength =
+      type === 'string' ? rawValue.length : String(rawValue ?? '').length;
+    return `type=${type}, length=${safeLength}`;
+  }
+
+  const constructorName = rawValue?.constructor?.name || 'Unknown';
+  let keys = [];
+  try {
+    keys = Object.keys(rawValue).slice(0, 10);
+  } catch {
+    keys = [];
+  }
+
+  let symbolsCount = 0;
+  try {
+    symbolsCount = Object.getOwnPropertySymbols(rawValue).length;
+  } catch {
+    symbolsCount = 0;
+  }
+
+  return `type=${type}, ctor=${constructorName}, keys=[${keys.join(',')}], symbols=${symbolsCount}`;
+}
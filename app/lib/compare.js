@@ -0,0 +1,208 @@
+// Compare set kept in a cookie like the wishlist, so the /compare loader can
+// read it. Entries are product handles, optionally pinned to a variant as
+// "handle:<numeric variant id>" so two variants of one product can sit side
+// by side.
+const COMPARE_COOKIE_KEY = 'pz_compare';
+const COMPARE_EVENT = 'pz:compare-updated';
+const COMPARE_MAX_AGE_SECONDS = 60 * 60 * 24 * 30;
+const COMPARE_MAX_ITEMS = 4;
+const VARIANT_GID_PREFIX = 'gid://shopify/ProductVariant/';
+
+export {
+  COMPARE_COOKIE_KEY,
+  COMPARE_EVENT,
+  COMPARE_MAX_AGE_SECONDS,
+  COMPARE_MAX_ITEMS,
+};
+
+/**
+ * @param {string} handle
+ * @param {string | null} [variantId] ProductVariant gid
+ */
+export function toCompareEntry(handle, variantId) {
+  const normalizedHandle = normalizeHandle(handle);
+  const variantNumber = String(variantId || '')
+    .replace(VARIANT_GID_PREFIX, '')
+    .split('?')[0];
+
+  return normalizedHandle && /^\d+$/.test(variantNumber)
+    ? `${normalizedHandle}:${variantNumber}`
+    : normalizedHandle;
+}
+
+/**
+ * @param {string} entry
+ * @return {{handle: string; variantId: string | null}}
+ */
+export function parseCompareEntry(entry) {
+  const [handle, variantNumber] = String(entry || '').split(':');
+
+  return {
+    handle: normalizeHandle(handle),
+    variantId: /^\d+$/.test(variantNumber || '')
+      ? `${VARIANT_GID_PREFIX}${variantNumber}`
+      : null,
+  };
+}
+
+export function getCompareFromCookieHeader(cookieHeader) {
+  if (!cookieHeader) return [];
+  const cookieValue = readCookieValue(cookieHeader, COMPARE_COOKIE_KEY);
+  return parseCompareValue(cookieValue);
+}
+
+export function getCompareFromDocumentCookie() {
+  if (typeof document === 'undefined') return [];
+  return getCompareFromCookieHeader(document.cookie || '');
+}
+
+export function setCompareInDocumentCookie(entries) {
+  if (typeof document === 'undefined') return normalizeCompare(entries);
+
+  const normalized = normalizeCompare(entries);
+  const value = encodeURIComponent(JSON.stringify(normalized));
+  const expires = new Date(
+    Date.now() + COMPARE_MAX_AGE_SECONDS * 1000,
+  ).toUTCString();
+
+  document.cookie = `${COMPARE_COOKIE_KEY}=${value}; path=/; max-age=${COMPARE_MAX_AGE_SECONDS}; expires=${expires}; SameSite=Lax`;
+
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(
+      new CustomEvent(COMPARE_EVENT, {
+        detail: normalized,
+      }),
+    );
+  }
+
+  return normalized;
+}
+
+/**
+ * Adds or removes an exact entry. Adding to a full set leaves it unchanged.
+ * @param {string} entry
+ */
+export function toggleCompareEntry(entry) {
+  const normalizedEntry = normalizeEntry(entry);
+  const compare = getCompareFromDocumentCookie();
+  if (!normalizedEntry) return compare;
+
+  if (compare.includes(normalizedEntry)) {
+    return setCompareInDocumentCookie(
+      compare.filter((value) => value !== normalizedEntry),
+    );
+  }
+
+  if (compare.length >= COMPARE_MAX_ITEMS) return compare;
+
+  return setCompareInDocumentCookie([...compare, normalizedEntry]);
+}
+
+/**
+ * Removes every entry for a product, whichever variant it was pinned to.
+ * @param {string} handle
+ */
+export function removeCompareProduct(handle) {
+  const normalizedHandle = normalizeHandle(handle);
+  const compare = getCompareFromDocumentCookie();
+  const remaining = compare.filter(
+    (entry) => parseCompareEntry(entry).handle !== normalizedHandle,
+  );
+  if (remaining.length === compare.length) return compare;
+
+  return setCompareInDocumentCookie(remaining);
+}
+
+/**
+ * Adds products after the entries already in the set, skipping any the set
+ * holds in some variant, until it is full.
+ * @param {string[]} handles
+ */
+export function addCompareProducts(handles) {
+  const compare = getCompareFromDocumentCookie();
+  const inSet = new Set(
+    compare.map((entry) => parseCompareEntry(entry).handle),
+  );
+  const added = [];
+
+  handles.forEach((value) => {
+    const handle = normalizeHandle(value);
+    if (!handle || inSet.has(handle)) return;
+    inSet.add(handle);
+    added.push(toCompareEntry(handle));
+  });
+
+  if (!added.length || compare.length >= COMPARE_MAX_ITEMS) return compare;
+
+  return setCompareInDocumentCookie([...compare, ...added]);
+}
+
+export function subscribeToCompareChanges(callback) {
+  if (typeof window === 'undefined') return () => {};
+
+  const handler = (event) => {
+    if (Array.isArray(event?.detail)) {
+      callback(normalizeCompare(event.detail));
+      return;
+    }
+
+    callback(getCompareFromDocumentCookie());
+  };
+
+  window.addEventListener(COMPARE_EVENT, handler);
+
+  return () => {
+    window.removeEventListener(COMPARE_EVENT, handler);
+  };
+}
+
+function parseCompareValue(value) {
+  if (!value) return [];
+
+  try {
+    const parsed = JSON.parse(decodeURIComponent(value));
+    return normalizeCompare(parsed);
+  } catch {
+    return [];
+  }
+}
+
+function normalizeCompare(value) {
+  if (!Array.isArray(value)) return [];
+
+  const uniqueEntries = [];
+  const seen = new Set();
+
+  value.forEach((item) => {
+    const entry = normalizeEntry(item);
+    if (!entry || seen.has(entry)) return;
+    seen.add(entry);
+    uniqueEntries.push(entry);
+  });
+
+  return uniqueEntries.slice(0, COMPARE_MAX_ITEMS);
+}
+
+function normalizeEntry(value) {
+  if (typeof value !== 'string') return '';
+
+  const {handle, variantId} = parseCompareEntry(value);
+  return toCompareEntry(handle, variantId);
+}
+
+function normalizeHandle(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function readCookieValue(cookieHeader, key) {
+  const parts = cookieHeader.split(';');
+
+  for (const part of parts) {
+    const [rawName, ...rawValue] = part.split('=');
+    if (!rawName) continue;
+    if (rawName.trim() !== key) continue;
+    return rawValue.join('=').trim();
+  }
+
+  return '';
+}
@@ -0,0 +1,58 @@
+import {STORE_HOURS} from '~/lib/storeHoursConfig';
+
+const DELIVERY_REGION_STORAGE_KEY = 'pz:delivery-region';
+const DELIVERY_REGION_EVENT = 'pz:delivery-region-updated';
+
+/**
+ * The delivery area the shopper picked on this device, shared by the
+ * product page and the cart. Falls back to the configured default region.
+ */
+export function getDeliveryRegion() {
+  if (typeof window === 'undefined') return STORE_HOURS.delivery.defaultRegion;
+
+  try {
+    return normalizeRegion(
+      window.localStorage.getItem(DELIVERY_REGION_STORAGE_KEY),
+    );
+  } catch {
+    return STORE_HOURS.delivery.defaultRegion;
+  }
+}
+
+/**
+ * @param {string} region
+ */
+export function setDeliveryRegion(region) {
+  const normalized = normalizeRegion(region);
+  if (typeof window === 'undefined') return normalized;
+
+  try {
+    window.localStorage.setItem(DELIVERY_REGION_STORAGE_KEY, normalized);
+  } catch {
+    // Storage can be unavailable; the choice then lasts for this page only.
+  }
+
+  window.dispatchEvent(
+    new CustomEvent(DELIVERY_REGION_EVENT, {detail: normalized}),
+  );
+
+  return normalized;
+}
+
+/**
+ * @param {(region: string) => void} listener
+ */
+export function subscribeToDeliveryRegion(listener) {
+  if (typeof window === 'undefined') return () => {};
+
+  const handleUpdate = (event) => listener(normalizeRegion(event.detail));
+  window.addEventListener(DELIVERY_REGION_EVENT, handleUpdate);
+  return () => window.removeEventListener(DELIVERY_REGION_EVENT, handleUpdate);
+}
+
+function normalizeRegion(value) {
+  const region = String(value || '');
+  return Object.hasOwn(STORE_HOURS.delivery.regions, region)
+    ? region
+    : STORE_HOURS.delivery.defaultRegion;
+}
@@ -0,0 +1,233 @@
+import {FEED_FIELD_SOURCES} from '~/lib/feeds/items';
+
+export const FEED_FORMATS = ['xml', 'csv', 'tsv', 'json'];
+
+const XML_FIELD_NAME_PATTERN = /^(?:g:)?[A-Za-z_][\w.-]*$/;
+
+const DEFAULT_EXCLUDE_RULES = {
+  tags: [],
+  vendors: [],
+  zeroPrice: true,
+  unavailable: false,
+};
+
+const GOOGLE_SHOPPING_FIELDS = {
+  'g:id': 'id',
+  title: 'title',
+  description: 'description',
+  link: 'link',
+  'g:image_link': 'image_link',
+  'g:availability': 'availability',
+  'g:condition': {value: 'new'},
+  'g:price': 'price',
+  'g:sale_price': 'sale_price',
+  'g:brand': 'brand',
+  'g:item_group_id': 'item_group_id',
+  'g:color': 'color',
+  'g:size': 'size',
+  'g:gtin': 'gtin',
+  'g:mpn': 'mpn',
+  'g:identifier_exists': 'identifier_exists',
+};
+
+/**
+ * Built-in feed channels, served at `/feeds/<channel>.<format>`.
+ *
+ * `fields` maps each output column (or XML element) to a source from
+ * `FEED_FIELD_SOURCES`, or to a fixed `{value}`. `exclude` drops products by
+ * tag, vendor, zero price ("Call for price" items) or availability.
+ * Extra channels and overrides can be supplied without a deploy through the
+ * `FEED_CHANNELS` env var (see `resolveFeedChannels`).
+ */
+const BUILT_IN_FEED_CHANNELS = {
+  google: {
+    title: 'Pixel Zones Google Shopping Feed',
+    description: 'Product feed for Google Merchant Center',
+    format: 'xml',
+    fields: {
+      ...GOOGLE_SHOPPING_FIELDS,
+      'g:product_review_average': 'product_review_average',
+      'g:product_review_count': 'product_review_count',
+    },
+  },
+  meta: {
+    title: 'Pixel Zones Meta Catalog Feed',
+    description: 'Product feed for Meta Catalog',
+    format: 'xml',
+    fields: GOOGLE_SHOPPING_FIELDS,
+  },
+  'google-local-inventory': {
+    title: 'Pixel Zones Google Local Inventory Feed',
+    description: 'Store inventory for the Beirut showroom',
+    format: 'tsv',
+    fields: {
+      store_code: 'store_code',
+      id: 'id',
+      availability: 'availability',
+      price: 'price',
+      sale_price: 'sale_price',
+      pickup_method: {value: 'buy'},
+      pickup_sla: {value: 'same day'},
+    },
+  },
+  tiktok: {
+    title: 'Pixel Zones TikTok Catalog Feed',
+    description: 'Product feed for TikTok Shop catalog',
+    format: 'csv',
+    fields: {
+      sku_id: 'id',
+      title: 'title',
+      description: 'description',
+      availability: 'availability',
+      condition: {value: 'new'},
+      price: 'price',
+      sale_price: 'sale_price',
+      link: 'link',
+      image_link: 'image_link',
+      brand: 'brand',
+      item_group_id: 'item_group_id',
+      color: 'color',
+      size: 'size',
+      gtin: 'gtin',
+      mpn: 'mpn',
+      product_type: 'product_type',
+    },
+  },
+  pinterest: {
+    title: 'Pixel Zones Pinterest Catalog Feed',
+    description: 'Product feed for Pinterest catalogs',
+    format: 'tsv',
+    fields: {
+      id: 'id',
+      title: 'title',
+      description: 'description',
+      link: 'link',
+      image_link: 'image_link',
+      price: 'price',
+      sale_price: 'sale_price',
+      availability: 'availability',
+      brand: 'brand',
+      condition: {value: 'new'},
+      item_group_id: 'item_group_id',
+      color: 'color',
+      size: 'size',
+      gtin: 'gtin',
+      mpn: 'mpn',
+      product_type: 'product_type',
+    },
+    exclude: {unavailable: true},
+  },
+};
+
+/**
+ * Returns the channel config for `/feeds/<channel>.<format>`, or null when
+ * the channel is unknown or is not published in that format.
+ * @param {string} channel
+ * @param {string} format
+ * @param {Record<string, unknown>} [env]
+ */
+export function getFeedChannel(channel, format, env) {
+  const config = resolveFeedChannels(env)[String(channel || '').toLowerCase()];
+  if (!config || config.format !== format) return null;
+  return config;
+}
+
+/**
+ * Merges the built-in channels with `FEED_CHANNELS`, a JSON object keyed by
+ * channel name. An entry may `extends` another channel and override any of
+ * `format`, `title`, `description`, `fields`, `exclude` or `storeCode`;
+ * `"fields"` replaces the parent mapping, `"exclude"` is merged into it.
+ * Invalid entries are skipped with a warning so one typo cannot take down
+ * the other feeds.
+ * @param {Record<string, unknown>} [env]
+ */
+export function resolveFeedChannels(env) {
+  const channels = {};
+  Object.entries(BUILT_IN_FEED_CHANNELS).forEach(([name, config]) => {
+    channels[name] = normalizeChannelConfig(name, config, env);
+  });
+
+  const overrides = parseChannelOverrides(env?.FEED_CHANNELS);
+  Object.entries(overrides).forEach(([rawName, override]) => {
+    const name = rawName.toLowerCase();
+    const parent = channels[override?.extends] || channels[name] || {};
+    const config = {
+      ...parent,
+      ...override,
+      exclude: {...parent.exclude, ...override?.exclude},
+    };
+    const error = validateChannelConfig(config);
+    if (error) {
+      console.warn(`[feeds] Ignoring FEED_CHANNELS.${rawName}: ${error}`);
+      return;
+    }
+    channels[name] = normalizeChannelConfig(name, config, env);
+  });
+
+  return channels;
+}
+
+function normalizeChannelConfig(name, config, env) {
+  return {
+    name,
+    title: config.title || `Pixel Zones ${name} feed`,
+    description: config.description || '',
+    format: config.format,
+    fields: config.fields,
+    storeCode:
+      config.storeCode || env?.FEED_LOCAL_STORE_CODE || 'pixel-zones-beirut',
+    exclude: {
+      ...DEFAULT_EXCLUDE_RULES,
+      ...config.exclude,
+      tags: normalizeList(config.exclude?.tags),
+      vendors: normalizeList(config.exclude?.vendors),
+    },
+  };
+}
+
+function validateChannelConfig(config) {
+  if (!FEED_FORMATS.includes(config.format)) {
+    return `format must be one of ${FEED_FORMATS.join(', ')}.`;
+  }
+
+  if (!config.fields || typeof config.fields !== 'object') {
+    return 'fields must map output names to sources.';
+  }
+
+  for (const [name, source] of Object.entries(config.fields)) {
+    if (config.format === 'xml' && !XML_FIELD_NAME_PATTERN.test(name)) {
+      return `field "${name}" is not a valid XML element name.`;
+    }
+    const isFixedValue =
+      source && typeof source === 'object' && 'value' in source;
+    if (!isFixedValue && !FEED_FIELD_SOURCES.includes(source)) {
+      return `field "${name}" uses unknown source "${String(source)}".`;
+    }
+  }
+
+  return '';
+}
+
+function parseChannelOverrides(value) {
+  if (!value) return {};
+
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+      ? parsed
+      : {};
+  } catch {
+    console.warn('[feeds] FEED_CHANNELS is not valid JSON; ignoring it.');
+    return {};
+  }
+}
+
+function normalizeList(value) {
+  return (Array.isArray(value) ? value : [])
+    .map((entry) =>
+      String(entry || '')
+        .trim()
+        .toLowerCase(),
+    )
+    .filter(Boolean);
+}
@@ -0,0 +1,126 @@
+import {getFeedChannel} from '~/lib/feeds/channels';
+import {FEED_CONTENT_TYPES, serializeFeed} from '~/lib/feeds/formats';
+import {buildFeedItems} from '~/lib/feeds/items';
+
+// Each product carries up to 100 variants, so pages stay small enough for
+// the Storefront API query cost limit.
+const FEED_PAGE_SIZE = 50;
+
+/**
+ * Shared loader for the `feeds.$channel[.<format>]` routes.
+ * @param {{params: {channel?: string}; context: {storefront: Storefront; env: Env}}} args
+ * @param {'xml' | 'csv' | 'tsv' | 'json'} format
+ */
+export async function loadChannelFeed({params, context}, format) {
+  const channel = getFeedChannel(params.channel, format, context.env);
+  if (!channel) {
+    throw new Response('Feed not found', {status: 404});
+  }
+
+  const products = await fetchAllFeedProducts(context.storefront);
+  const body = serializeFeed(channel, buildFeedItems(products, channel));
+
+  return new Response(body, {
+    status: 200,
+    headers: {
+      'Content-Type': FEED_CONTENT_TYPES[format],
+      'Cache-Control': `max-age=${60 * 60}, stale-while-revalidate=${60 * 60 * 24}`,
+    },
+  });
+}
+
+/**
+ * @param {Storefront} storefront
+ */
+async function fetchAllFeedProducts(storefront) {
+  /** @type {Array<FeedProduct>} */
+  const products = [];
+  let hasNextPage = true;
+  let after = null;
+
+  while (hasNextPage) {
+    const {products: page} = await storefront.query(FEED_PRODUCTS_QUERY, {
+      variables: {
+        first: FEED_PAGE_SIZE,
+        after,
+      },
+      cache: storefront.CacheLong(),
+    });
+
+    const nodes = page?.nodes || [];
+    products.push(...nodes);
+
+    hasNextPage = Boolean(page?.pageInfo?.hasNextPage);
+    after = page?.pageInfo?.endCursor || null;
+
+    if (!hasNextPage || !after) break;
+  }
+
+  return products;
+}
+
+const FEED_PRODUCTS_QUERY = `#graphql
+  query FeedProducts(
+    $first: Int!
+    $after: String
+    $country: CountryCode
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    products(first: $first, after: $after, sortKey: UPDATED_AT) {
+      nodes {
+        id
+        handle
+        title
+        description
+        vendor
+        productType
+        tags
+        rating: metafield(namespace: "reviews", key: "rating") {
+          value
+        }
+        ratingCount: metafield(namespace: "reviews", key: "rating_count") {
+          value
+        }
+        featuredImage {
+          url
+          altText
+        }
+        seo {
+          description
+        }
+        variants(first: 100) {
+          nodes {
+            id
+            title
+            sku
+            barcode
+            availableForSale
+            selectedOptions {
+              name
+              value
+            }
+            price {
+              amount
+              currencyCode
+            }
+            compareAtPrice {
+              amount
+              currencyCode
+            }
+            image {
+              url
+              altText
+            }
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+/** @typedef {import('@shopify/hydrogen').Storefront} Storefront */
+/** @typedef {import('~/lib/feeds/items').FeedProduct} FeedProduct */
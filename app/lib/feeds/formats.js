@@ -0,0 +1,83 @@
+import {CANONICAL_ORIGIN} from '~/lib/canonical';
+
+export const FEED_CONTENT_TYPES = {
+  xml: 'application/xml; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  tsv: 'text/tab-separated-values; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+/**
+ * Serializes feed rows in the channel's format. XML is an RSS 2.0 document
+ * with the Google (`g:`) namespace; CSV/TSV put the field names in a header
+ * row; JSON wraps the rows with the channel title.
+ * @param {FeedChannel} channel
+ * @param {Array<Record<string, string>>} rows
+ */
+export function serializeFeed(channel, rows) {
+  switch (channel.format) {
+    case 'csv':
+      return serializeDelimited(channel, rows, ',', escapeCsvValue);
+    case 'tsv':
+      return serializeDelimited(channel, rows, '\t', escapeTsvValue);
+    case 'json':
+      return JSON.stringify({
+        title: channel.title,
+        link: CANONICAL_ORIGIN,
+        description: channel.description,
+        items: rows,
+      });
+    default:
+      return serializeRss(channel, rows);
+  }
+}
+
+function serializeRss(channel, rows) {
+  const itemsXml = rows
+    .map((row) => {
+      const fieldsXml = Object.entries(row)
+        .filter(([, value]) => value !== '')
+        .map(([name, value]) => `      <${name}>${escapeXml(value)}</${name}>`)
+        .join('\n');
+      return `    <item>\n${fieldsXml}\n    </item>`;
+    })
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">
+  <channel>
+    <title>${escapeXml(channel.title)}</title>
+    <link>${CANONICAL_ORIGIN}</link>
+    <description>${escapeXml(channel.description)}</description>
+${itemsXml}
+  </channel>
+</rss>`;
+}
+
+function serializeDelimited(channel, rows, delimiter, escapeValue) {
+  const header = Object.keys(channel.fields);
+  const lines = rows.map((row) =>
+    header.map((name) => escapeValue(row[name] ?? '')).join(delimiter),
+  );
+  return [header.map(escapeValue).join(delimiter), ...lines].join('\n');
+}
+
+function escapeCsvValue(value) {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeTsvValue(value) {
+  return String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+}
+
+function escapeXml(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/** @typedef {import('~/lib/feeds/items').FeedChannel} FeedChannel */
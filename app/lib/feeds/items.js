@@ -0,0 +1,168 @@
+import {canonicalUrl} from '~/lib/canonical';
+import {isZeroPrice} from '~/lib/pricing';
+import {getProductRating} from '~/lib/reviews/rating.js';
+import {getVariantUrl} from '~/lib/variants';
+
+const DEFAULT_VARIANT_TITLE = 'Default Title';
+const COLOR_OPTION_PATTERN = /^(colou?r|couleur|اللون)$/i;
+const SIZE_OPTION_PATTERN = /^(size|taille|المقاس)$/i;
+const GTIN_PATTERN = /^(\d{8}|\d{12,14})$/;
+
+/**
+ * Values a channel can map into its fields. Each resolver receives the
+ * product, the variant the item describes and the channel config.
+ */
+const FEED_FIELD_RESOLVERS = {
+  id: ({product, variant}) => {
+    const productId = parseResourceId(product.id) || product.handle;
+    const variantId =
+      parseResourceId(variant.id) || variant.sku || `${productId}-default`;
+    return variant.sku || `${productId}-${variantId}`;
+  },
+  item_group_id: ({product}) =>
+    String(parseResourceId(product.id) || product.handle),
+  title: ({product, variant}) =>
+    isDefaultVariant(variant)
+      ? product.title || ''
+      : `${product.title} - ${variant.title}`,
+  description: ({product}) =>
+    compactWhitespace(product.seo?.description || product.description || ''),
+  link: ({product, variant}) =>
+    canonicalUrl(
+      getVariantUrl({
+        handle: product.handle,
+        pathname: '',
+        searchParams: new URLSearchParams(),
+        selectedOptions: isDefaultVariant(variant)
+          ? []
+          : variant.selectedOptions,
+      }),
+    ),
+  image_link: ({product, variant}) =>
+    variant.image?.url || product.featuredImage?.url || '',
+  availability: ({variant}) =>
+    variant.availableForSale ? 'in stock' : 'out of stock',
+  // With a higher compare-at price, `price` is the regular (compare-at)
+  // price and `sale_price` what the shopper actually pays.
+  price: ({variant}) =>
+    isOnSale(variant)
+      ? formatFeedPrice(
+          variant.compareAtPrice.amount,
+          variant.price.currencyCode,
+        )
+      : formatFeedPrice(variant.price.amount, variant.price.currencyCode),
+  sale_price: ({variant}) =>
+    isOnSale(variant)
+      ? formatFeedPrice(variant.price.amount, variant.price.currencyCode)
+      : '',
+  brand: ({product}) => product.vendor || 'Pixel Zones',
+  color: ({variant}) => getOptionValue(variant, COLOR_OPTION_PATTERN),
+  size: ({variant}) => getOptionValue(variant, SIZE_OPTION_PATTERN),
+  gtin: ({variant}) => getGtin(variant),
+  mpn: ({variant}) => variant.sku || '',
+  identifier_exists: ({variant}) =>
+    getGtin(variant) || variant.sku ? 'yes' : 'no',
+  product_type: ({product}) => product.productType || '',
+  // Average of approved reviews, empty (and so omitted) without any.
+  product_review_average: ({product}) =>
+    getProductRating(product)?.ratingValue.toFixed(1) || '',
+  product_review_count: ({product}) =>
+    getProductRating(product)?.reviewCount || '',
+  store_code: ({channel}) => channel.storeCode,
+};
+
+export const FEED_FIELD_SOURCES = Object.keys(FEED_FIELD_RESOLVERS);
+
+/**
+ * Maps products to flat feed rows (`{[fieldName]: string}`) in the channel's
+ * field order, one row per variant, after applying its exclusion rules.
+ * Variants of one product share `item_group_id`.
+ * @param {Array<FeedProduct>} products
+ * @param {FeedChannel} channel
+ */
+export function buildFeedItems(products, channel) {
+  return products.flatMap((product) =>
+    (product?.variants?.nodes || [])
+      .filter((variant) => isFeedEligible({product, variant}, channel.exclude))
+      .map((variant) => buildFeedRow({product, variant, channel})),
+  );
+}
+
+function buildFeedRow({product, variant, channel}) {
+  const row = {};
+  Object.entries(channel.fields).forEach(([name, source]) => {
+    const value =
+      typeof source === 'string'
+        ? FEED_FIELD_RESOLVERS[source]({product, variant, channel})
+        : source.value;
+    row[name] = value == null ? '' : String(value);
+  });
+  return row;
+}
+
+function isFeedEligible({product, variant}, rules) {
+  if (!variant?.price?.amount || !variant?.price?.currencyCode) return false;
+  if (!product?.handle) return false;
+  if (rules.zeroPrice && isZeroPrice(variant.price)) return false;
+  if (rules.unavailable && !variant.availableForSale) return false;
+
+  if (
+    rules.vendors.length &&
+    rules.vendors.includes(String(product.vendor || '').toLowerCase())
+  ) {
+    return false;
+  }
+
+  if (rules.tags.length) {
+    const tags = (product.tags || []).map((tag) => tag.toLowerCase());
+    if (tags.some((tag) => rules.tags.includes(tag))) return false;
+  }
+
+  return true;
+}
+
+function isDefaultVariant(variant) {
+  return !variant.title || variant.title === DEFAULT_VARIANT_TITLE;
+}
+
+function isOnSale(variant) {
+  return (
+    Boolean(variant.compareAtPrice?.amount) &&
+    Number(variant.compareAtPrice.amount) > Number(variant.price.amount)
+  );
+}
+
+function getOptionValue(variant, namePattern) {
+  const option = (variant.selectedOptions || []).find((entry) =>
+    namePattern.test(String(entry?.name || '').trim()),
+  );
+  return option?.value || '';
+}
+
+function getGtin(variant) {
+  const barcode = String(variant.barcode || '').replace(/[\s-]/g, '');
+  return GTIN_PATTERN.test(barcode) ? barcode : '';
+}
+
+function parseResourceId(gid) {
+  if (!gid) return '';
+  const parts = gid.split('/');
+  return parts[parts.length - 1] || '';
+}
+
+function formatFeedPrice(amount, currencyCode) {
+  const numeric = Number(amount);
+  const formatted = Number.isFinite(numeric) ? numeric.toFixed(2) : '0.00';
+  return `${formatted} ${currencyCode}`;
+}
+
+function compactWhitespace(value) {
+  return String(value || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * @typedef {import('storefrontapi.generated').FeedProductsQuery['products']['nodes'][number]} FeedProduct
+ * @typedef {ReturnType<typeof import('~/lib/feeds/channels').getFeedChannel>} FeedChannel
+ */
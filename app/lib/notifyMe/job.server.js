@@ -0,0 +1,205 @@
+import {canonicalUrl} from '~/lib/canonical';
+import {getVariantUrl} from '~/lib/variants';
+import {NOTIFY_ME_BACK_IN_STOCK, isNotificationDue} from './subscription.js';
+
+const VARIANT_BATCH_SIZE = 100;
+const DEFAULT_VARIANT_TITLE = 'Default Title';
+
+/**
+ * Checks every variant with subscribers against the Storefront API and
+ * sends the notifications that are due. Sent subscriptions are removed, as
+ * are those for variants that no longer exist; failed sends stay for the
+ * next run. With `dryRun` nothing is sent or removed.
+ * @param {{
+ *   storefront: {query: Function; CacheNone: Function};
+ *   store: import('./store.server').NotifyMeStore;
+ *   sender: import('./senders.server').NotifyMeSender;
+ *   dryRun?: boolean;
+ * }}
+ */
+export async function runNotifyMeJob({
+  storefront,
+  store,
+  sender,
+  dryRun = false,
+}) {
+  const summary = {
+    sender: sender.name,
+    dryRun,
+    variantsChecked: 0,
+    due: 0,
+    sent: 0,
+    failed: 0,
+    removed: 0,
+  };
+  const variantIds = await store.listVariantIds();
+
+  for (let index = 0; index < variantIds.length; index += VARIANT_BATCH_SIZE) {
+    const ids = variantIds.slice(index, index + VARIANT_BATCH_SIZE);
+    const {nodes} = await storefront.query(NOTIFY_ME_VARIANTS_QUERY, {
+      variables: {ids},
+      cache: storefront.CacheNone(),
+    });
+
+    for (const [position, variantId] of ids.entries()) {
+      const variant = nodes?.[position] || null;
+      const subscriptions = await store.listByVariant(variantId);
+      const doneIds = [];
+      summary.variantsChecked += 1;
+
+      if (!variant?.id) {
+        doneIds.push(...subscriptions.map((subscription) => subscription.id));
+      }
+
+      for (const subscription of variant?.id ? subscriptions : []) {
+        if (!isNotificationDue(subscription, variant)) continue;
+        summary.due += 1;
+        if (dryRun) continue;
+
+        try {
+          await sender.send(buildNotifyMeNotification(subscription, variant));
+          summary.sent += 1;
+          doneIds.push(subscription.id);
+        } catch (error) {
+          summary.failed += 1;
+          console.error('[notify-me] Failed to send notification:', error);
+        }
+      }
+
+      if (doneIds.length && !dryRun) {
+        await store.remove(variantId, doneIds);
+        summary.removed += doneIds.length;
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * @param {import('./subscription.js').NotifyMeSubscription} subscription
+ * @param {NotifyMeJobVariant} variant
+ * @return {import('./senders.server').NotifyMeNotification}
+ */
+export function buildNotifyMeNotification(subscription, variant) {
+  const {name, url} = describeVariant(variant);
+  const price = variant.price
+    ? `${Number(variant.price.amount).toFixed(2)} ${variant.price.currencyCode}`
+    : '';
+  const message =
+    subscription.kind === NOTIFY_ME_BACK_IN_STOCK
+      ? `Good news: ${name} is back in stock at Pixel Zones. ${url}`
+      : `Price update: ${name} is now ${price} at Pixel Zones. ${url}`;
+
+  return {
+    type: 'alert',
+    kind: subscription.kind,
+    channel: subscription.channel,
+    contact: subscription.contact,
+    subscriptionId: subscription.id,
+    message,
+    product: {
+      title: variant.product.title,
+      handle: variant.product.handle,
+      url,
+    },
+    variant: {id: variant.id, title: variant.title, price: variant.price},
+  };
+}
+
+/**
+ * The message asking a new signup's contact to confirm the alert. Nothing
+ * else is sent to a contact until they follow `confirmUrl`.
+ * @param {Omit<import('./subscription.js').NotifyMeSubscription, 'id'>} subscription
+ * @param {NotifyMeJobVariant} variant
+ * @param {string} confirmUrl
+ * @return {import('./senders.server').NotifyMeNotification}
+ */
+export function buildNotifyMeConfirmation(subscription, variant, confirmUrl) {
+  const {name, url} = describeVariant(variant);
+  const alert =
+    subscription.kind === NOTIFY_ME_BACK_IN_STOCK
+      ? 'when it is back in stock'
+      : 'when its price drops';
+
+  return {
+    type: 'confirmation',
+    kind: subscription.kind,
+    channel: subscription.channel,
+    contact: subscription.contact,
+    subscriptionId: '',
+    message: `Confirm your Pixel Zones alert for ${name} and we will message you ${alert}: ${confirmUrl} (ignore this if you did not ask for it).`,
+    confirmUrl,
+    product: {
+      title: variant.product.title,
+      handle: variant.product.handle,
+      url,
+    },
+    variant: {id: variant.id, title: variant.title, price: variant.price},
+  };
+}
+
+/**
+ * @param {NotifyMeJobVariant} variant
+ */
+function describeVariant(variant) {
+  const isDefaultVariant =
+    !variant.title || variant.title === DEFAULT_VARIANT_TITLE;
+  const name = isDefaultVariant
+    ? variant.product.title
+    : `${variant.product.title} (${variant.title})`;
+  const url = canonicalUrl(
+    getVariantUrl({
+      handle: variant.product.handle,
+      pathname: '',
+      searchParams: new URLSearchParams(),
+      selectedOptions: isDefaultVariant ? [] : variant.selectedOptions,
+    }),
+  );
+
+  return {name, url};
+}
+
+export const NOTIFY_ME_VARIANT_FRAGMENT = `#graphql
+  fragment NotifyMeVariant on ProductVariant {
+    id
+    title
+    availableForSale
+    selectedOptions {
+      name
+      value
+    }
+    price {
+      amount
+      currencyCode
+    }
+    product {
+      title
+      handle
+    }
+  }
+`;
+
+const NOTIFY_ME_VARIANTS_QUERY = `#graphql
+  query NotifyMeVariants(
+    $ids: [ID!]!
+    $country: CountryCode
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    nodes(ids: $ids) {
+      ...NotifyMeVariant
+    }
+  }
+  ${NOTIFY_ME_VARIANT_FRAGMENT}
+`;
+
+/**
+ * @typedef {{
+ *   id: string;
+ *   title: string;
+ *   availableForSale: boolean;
+ *   selectedOptions: Array<{name: string; value: string}>;
+ *   price: {amount: string; currencyCode: string};
+ *   product: {title: string; handle: string};
+ * }} NotifyMeJobVariant
+ */
@@ -0,0 +1,158 @@
+import {redactContactDetails} from '~/lib/chatbot/analytics.server';
+
+export const NOTIFY_ME_SENDER_WEBHOOK = 'webhook';
+export const NOTIFY_ME_SENDER_LOG = 'log';
+export const NOTIFY_ME_SENDER_MOCK = 'mock';
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Which sender `NOTIFY_ME_SENDER` selects: `webhook` (POSTs each
+ * notification to `NOTIFY_ME_WEBHOOK_URL`, e.g. an email/WhatsApp
+ * automation), `log` (console only) or `mock` (recorded in memory, no
+ * network). Defaults to `webhook` when a URL is set. `log` and `mock` reach
+ * nobody, so they are only used in development; anywhere else a missing
+ * webhook means no sender ('') and alerts stay switched off.
+ * @param {Record<string, any>} env
+ * @param {{isDevelopment?: boolean}} [options]
+ * @return {string}
+ */
+export function getNotifyMeSenderName(
+  env,
+  {isDevelopment = process.env.NODE_ENV === 'development'} = {},
+) {
+  const webhookUrl = String(env?.NOTIFY_ME_WEBHOOK_URL || '').trim();
+  const requested = String(env?.NOTIFY_ME_SENDER || '')
+    .trim()
+    .toLowerCase();
+
+  if (!requested || requested === NOTIFY_ME_SENDER_WEBHOOK) {
+    if (webhookUrl) return NOTIFY_ME_SENDER_WEBHOOK;
+    return isDevelopment ? NOTIFY_ME_SENDER_LOG : '';
+  }
+
+  if (
+    requested === NOTIFY_ME_SENDER_LOG ||
+    requested === NOTIFY_ME_SENDER_MOCK
+  ) {
+    return isDevelopment ? requested : '';
+  }
+
+  return '';
+}
+
+/**
+ * The sender picked by `getNotifyMeSenderName`, or null when there is none;
+ * callers must then keep subscriptions rather than drop them.
+ * @param {Record<string, any>} env
+ * @param {{isDevelopment?: boolean}} [options]
+ * @return {NotifyMeSender | null}
+ */
+export function resolveNotifyMeSender(env, options) {
+  const senderName = getNotifyMeSenderName(env, options);
+
+  if (senderName === NOTIFY_ME_SENDER_WEBHOOK) {
+    return createWebhookNotifyMeSender({
+      url: String(env.NOTIFY_ME_WEBHOOK_URL).trim(),
+      secret: String(env?.NOTIFY_ME_WEBHOOK_SECRET || '').trim(),
+    });
+  }
+
+  if (senderName === NOTIFY_ME_SENDER_MOCK) return createMockNotifyMeSender();
+  if (senderName === NOTIFY_ME_SENDER_LOG) return createLogNotifyMeSender();
+
+  console.error(
+    '[notify-me] No notification sender is configured; set NOTIFY_ME_WEBHOOK_URL.',
+  );
+  return null;
+}
+
+/**
+ * @param {{url: string; secret?: string; fetchImpl?: typeof fetch}}
+ * @return {NotifyMeSender}
+ */
+export function createWebhookNotifyMeSender({url, secret = '', fetchImpl}) {
+  const doFetch = fetchImpl || fetch;
+
+  return {
+    name: NOTIFY_ME_SENDER_WEBHOOK,
+    async send(notification) {
+      const response = await doFetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(secret ? {Authorization: `Bearer ${secret}`} : {}),
+        },
+        body: JSON.stringify(notification),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Notification webhook answered ${response.status}.`);
+      }
+    },
+  };
+}
+
+/**
+ * Writes each notification to the log with the contact redacted, for local
+ * development. Nothing reaches the shopper.
+ * @return {NotifyMeSender}
+ */
+export function createLogNotifyMeSender() {
+  return {
+    name: NOTIFY_ME_SENDER_LOG,
+    async send(notification) {
+      console.warn(
+        `[notify-me] ${notification.type} (${notification.kind}) for ${redactContactDetails(
+          notification.contact,
+        )}: ${notification.message}`,
+      );
+    },
+  };
+}
+
+/**
+ * Records notifications in `sent` instead of delivering them. `fail` makes
+ * `send` throw for the matching notifications.
+ * @param {{fail?: (notification: NotifyMeNotification) => boolean}} [options]
+ * @return {NotifyMeSender & {sent: NotifyMeNotification[]}}
+ */
+export function createMockNotifyMeSender({fail} = {}) {
+  const sent = [];
+
+  return {
+    name: NOTIFY_ME_SENDER_MOCK,
+    sent,
+    async send(notification) {
+      if (fail?.(notification)) {
+        throw new Error('Mock sender failure.');
+      }
+      sent.push(notification);
+    },
+  };
+}
+
+/**
+ * `confirmation` asks the contact to confirm a signup through `confirmUrl`;
+ * `alert` is the back-in-stock or price notification itself.
+ * @typedef {{
+ *   type: 'confirmation' | 'alert';
+ *   kind: import('./subscription.js').NotifyMeKind;
+ *   channel: 'email' | 'phone';
+ *   contact: string;
+ *   subscriptionId: string;
+ *   message: string;
+ *   confirmUrl?: string;
+ *   product: {title: string; handle: string; url: string};
+ *   variant: {
+ *     id: string;
+ *     title: string;
+ *     price: {amount: string; currencyCode: string} | null;
+ *   };
+ * }} NotifyMeNotification
+ * @typedef {{
+ *   name: string;
+ *   send(notification: NotifyMeNotification): Promise<void>;
+ * }} NotifyMeSender
+ */
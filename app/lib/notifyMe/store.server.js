@@ -0,0 +1,178 @@
+import {
+  createMemoryChatbotBackend,
+  listBackendKeys,
+} from '~/lib/chatbot/conversationStore.server';
+
+const SUBSCRIPTION_KEY_PREFIX = 'notify:subscription:';
+const PENDING_KEY_PREFIX = 'notify:pending:';
+const PENDING_TTL_SECONDS = 60 * 60 * 48;
+const VARIANT_GID_PREFIX = 'gid://shopify/ProductVariant/';
+
+let sharedMemoryBackend = null;
+
+/**
+ * Uses `NOTIFY_ME_KV`, else the `CHATBOT_KV` binding (different key prefix),
+ * else a per-isolate memory backend for local development.
+ * @param {Record<string, any>} env
+ */
+export function resolveNotifyMeStore(env) {
+  const kvBinding = [env?.NOTIFY_ME_KV, env?.CHATBOT_KV].find(
+    (binding) =>
+      binding &&
+      typeof binding.get === 'function' &&
+      typeof binding.put === 'function' &&
+      typeof binding.delete === 'function' &&
+      typeof binding.list === 'function',
+  );
+
+  if (!kvBinding && !sharedMemoryBackend) {
+    sharedMemoryBackend = createMemoryChatbotBackend();
+  }
+
+  return createNotifyMeStore({backend: kvBinding || sharedMemoryBackend});
+}
+
+/**
+ * One key per subscription, `notify:subscription:<variant>:<id>`, so
+ * signups and the job never rewrite a shared document; the job finds the
+ * variants someone is waiting on by listing the prefix. Subscription ids
+ * are derived from the alert kind and a hash of the contact, which makes a
+ * repeated signup overwrite the same key. Signups wait under a random
+ * confirmation token (`notify:pending:<token>`, kept 48 hours) until the
+ * contact confirms them. Any backend with the KV `get`/`put`/`delete`/`list`
+ * shape works as the adapter.
+ * @param {{
+ *   backend: {
+ *     get(key: string): Promise<string | null>;
+ *     put(
+ *       key: string,
+ *       value: string,
+ *       options?: {expirationTtl?: number},
+ *     ): Promise<void>;
+ *     delete(key: string): Promise<void>;
+ *     list: Function;
+ *   };
+ * }}
+ * @return {NotifyMeStore}
+ */
+export function createNotifyMeStore({backend}) {
+  async function readJson(key) {
+    try {
+      const raw = await backend.get(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  const getVariantPrefix = (variantId) =>
+    `${SUBSCRIPTION_KEY_PREFIX}${String(variantId).split('/').pop()}:`;
+  const getSubscriptionKey = async ({variantId, kind, contact}) => {
+    const contactHash = await hashNotifyMeContact(contact);
+    return `${getVariantPrefix(variantId)}${kind}-${contactHash}`;
+  };
+  const isValidToken = (token) =>
+    typeof token === 'string' && /^[\w-]{16,64}$/.test(token);
+
+  return {
+    async add(subscription) {
+      const key = await getSubscriptionKey(subscription);
+      const existing = await readJson(key);
+      if (existing) return {subscription: existing, created: false};
+
+      const created = {...subscription, id: key.split(':').pop()};
+      await backend.put(key, JSON.stringify(created));
+      return {subscription: created, created: true};
+    },
+
+    async has(signup) {
+      return Boolean(await readJson(await getSubscriptionKey(signup)));
+    },
+
+    async addPending(subscription) {
+      const token = crypto.randomUUID();
+      await backend.put(
+        `${PENDING_KEY_PREFIX}${token}`,
+        JSON.stringify(subscription),
+        {expirationTtl: PENDING_TTL_SECONDS},
+      );
+      return {token};
+    },
+
+    async getPending(token) {
+      return isValidToken(token)
+        ? readJson(`${PENDING_KEY_PREFIX}${token}`)
+        : null;
+    },
+
+    async confirm(token) {
+      const pending = await this.getPending(token);
+      if (!pending) return null;
+
+      const result = await this.add(pending);
+      await backend.delete(`${PENDING_KEY_PREFIX}${token}`);
+      return result;
+    },
+
+    async listVariantIds() {
+      const names = await listBackendKeys(backend, SUBSCRIPTION_KEY_PREFIX);
+      const variantNumbers = names.map(
+        (name) => name.slice(SUBSCRIPTION_KEY_PREFIX.length).split(':')[0],
+      );
+      return [...new Set(variantNumbers)].map(
+        (number) => `${VARIANT_GID_PREFIX}${number}`,
+      );
+    },
+
+    async listByVariant(variantId) {
+      const names = await listBackendKeys(backend, getVariantPrefix(variantId));
+      const subscriptions = await Promise.all(names.map(readJson));
+      return subscriptions.filter(Boolean);
+    },
+
+    async remove(variantId, ids) {
+      const prefix = getVariantPrefix(variantId);
+      await Promise.all(ids.map((id) => backend.delete(`${prefix}${id}`)));
+    },
+  };
+}
+
+/**
+ * Hex SHA-256 (first 128 bits) of a normalized contact, so keys never hold
+ * an address or phone number.
+ * @param {string} contact
+ */
+export async function hashNotifyMeContact(contact) {
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(contact),
+  );
+  return Array.from(new Uint8Array(digest))
+    .slice(0, 16)
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * @typedef {import('./subscription.js').NotifyMeSubscription} NotifyMeSubscription
+ * @typedef {{
+ *   add(
+ *     subscription: Omit<NotifyMeSubscription, 'id'>,
+ *   ): Promise<{subscription: NotifyMeSubscription; created: boolean}>;
+ *   has(
+ *     signup: Pick<NotifyMeSubscription, 'variantId' | 'kind' | 'contact'>,
+ *   ): Promise<boolean>;
+ *   addPending(
+ *     subscription: Omit<NotifyMeSubscription, 'id'>,
+ *   ): Promise<{token: string}>;
+ *   getPending(
+ *     token: string,
+ *   ): Promise<Omit<NotifyMeSubscription, 'id'> | null>;
+ *   confirm(
+ *     token: string,
+ *   ): Promise<{subscription: NotifyMeSubscription; created: boolean} | null>;
+ *   listVariantIds(): Promise<string[]>;
+ *   listByVariant(variantId: string): Promise<NotifyMeSubscription[]>;
+ *   remove(variantId: string, ids: string[]): Promise<void>;
+ * }} NotifyMeStore
+ */
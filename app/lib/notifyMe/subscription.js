@@ -0,0 +1,116 @@
+import {isZeroPrice} from '~/lib/pricing';
+
+export const NOTIFY_ME_BACK_IN_STOCK = 'back_in_stock';
+export const NOTIFY_ME_PRICE_DROP = 'price_drop';
+export const NOTIFY_ME_KINDS = [NOTIFY_ME_BACK_IN_STOCK, NOTIFY_ME_PRICE_DROP];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?\d{7,15}$/;
+const MAX_CONTACT_LENGTH = 120;
+
+/**
+ * Which alert the product page offers for a variant: back in stock while it
+ * is sold out, otherwise a price alert ("Call for price" variants notify
+ * once they are priced).
+ * @param {NotifyMeVariant | null | undefined} variant
+ * @return {NotifyMeKind | null}
+ */
+export function getNotifyMeKind(variant) {
+  if (!variant?.id) return null;
+  if (!variant.availableForSale) return NOTIFY_ME_BACK_IN_STOCK;
+  return NOTIFY_ME_PRICE_DROP;
+}
+
+/**
+ * Validates a signup form: `kind`, `variantId` and `contact` (an email
+ * address or a phone number).
+ * @param {FormData} formData
+ * @return {{signup: NotifyMeSignup; errors?: undefined} | {signup?: undefined; errors: Record<string, string>}}
+ */
+export function parseNotifyMeSignup(formData) {
+  const read = (name) => String(formData.get(name) ?? '').trim();
+  const kind = read('kind');
+  const variantId = read('variantId');
+
+  if (
+    !NOTIFY_ME_KINDS.includes(kind) ||
+    !variantId.startsWith('gid://shopify/ProductVariant/')
+  ) {
+    return {errors: {form: 'This product option could not be found.'}};
+  }
+
+  const contact = normalizeContact(read('contact'));
+  if (!contact) {
+    return {errors: {contact: 'Enter an email address or phone number.'}};
+  }
+
+  return {
+    signup: {
+      kind: /** @type {NotifyMeKind} */ (kind),
+      variantId,
+      ...contact,
+    },
+  };
+}
+
+/**
+ * `{contact, channel}` for an email address (lowercased) or a phone number
+ * (digits with an optional leading +), or null.
+ * @param {string} value
+ * @return {{contact: string; channel: 'email' | 'phone'} | null}
+ */
+export function normalizeContact(value) {
+  const text = String(value || '').trim();
+  if (!text || text.length > MAX_CONTACT_LENGTH) return null;
+
+  if (text.includes('@')) {
+    const email = text.toLowerCase();
+    return EMAIL_PATTERN.test(email)
+      ? {contact: email, channel: 'email'}
+      : null;
+  }
+
+  const phone = text.replace(/[\s().-]/g, '').replace(/^00/, '+');
+  return PHONE_PATTERN.test(phone) ? {contact: phone, channel: 'phone'} : null;
+}
+
+/**
+ * Whether the variant now meets the subscription: back in stock once it is
+ * available to buy; a price drop once it has a real price below the one at
+ * signup (any price, for a "Call for price" signup).
+ * @param {Pick<NotifyMeSubscription, 'kind' | 'priceAtSignup'>} subscription
+ * @param {NotifyMeVariant} variant
+ */
+export function isNotificationDue(subscription, variant) {
+  if (subscription.kind === NOTIFY_ME_BACK_IN_STOCK) {
+    return Boolean(variant.availableForSale);
+  }
+
+  if (!variant.price?.amount || isZeroPrice(variant.price)) return false;
+
+  const previous = Number.parseFloat(subscription.priceAtSignup || '');
+  if (!Number.isFinite(previous) || previous === 0) return true;
+
+  return Number.parseFloat(variant.price.amount) < previous;
+}
+
+/**
+ * @typedef {'back_in_stock' | 'price_drop'} NotifyMeKind
+ * @typedef {{
+ *   id: string;
+ *   availableForSale?: boolean;
+ *   price?: {amount: string; currencyCode: string} | null;
+ * }} NotifyMeVariant
+ * @typedef {{
+ *   kind: NotifyMeKind;
+ *   variantId: string;
+ *   contact: string;
+ *   channel: 'email' | 'phone';
+ * }} NotifyMeSignup
+ * @typedef {NotifyMeSignup & {
+ *   id: string;
+ *   productHandle: string;
+ *   priceAtSignup: string | null;
+ *   createdAt: string;
+ * }} NotifyMeSubscription
+ */
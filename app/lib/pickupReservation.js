@@ -0,0 +1,103 @@
+import {normalizeAttributeInputs} from '~/lib/checkoutStamp';
+
+export const PICKUP_RESERVATION_ACTION = 'CustomPickupReservation';
+
+// Cart attributes staff see on the order; the reserved line also carries
+// `Pickup location` so mixed carts show which items wait at a branch.
+export const PICKUP_LOCATION_ATTRIBUTE_KEY = 'Pickup location';
+export const PICKUP_LOCATION_ID_ATTRIBUTE_KEY = 'Pickup location ID';
+export const PICKUP_READY_ATTRIBUTE_KEY = 'Pickup ready';
+
+const PICKUP_ATTRIBUTE_KEYS = [
+  PICKUP_LOCATION_ATTRIBUTE_KEY,
+  PICKUP_LOCATION_ID_ATTRIBUTE_KEY,
+  PICKUP_READY_ATTRIBUTE_KEY,
+];
+
+/**
+ * CartForm input reserving `quantity` of a variant at a branch. The cart
+ * action re-checks the branch's stock before adding the line.
+ * @param {{merchandiseId: string; quantity?: number; locationId: string}}
+ */
+export function buildPickupReservationFormInput({
+  merchandiseId,
+  quantity = 1,
+  locationId,
+}) {
+  return {
+    action: PICKUP_RESERVATION_ACTION,
+    inputs: {
+      lines: [{merchandiseId, quantity}],
+      locationId,
+    },
+  };
+}
+
+/**
+ * Replaces any previous pickup attributes with `location`'s, keeping the
+ * cart's other attributes.
+ * @param {Array<{key: string; value?: string | null}> | null | undefined} attributes
+ * @param {{location: {id: string; name: string}; pickUpTime?: string | null}}
+ */
+export function mergePickupAttributes(attributes, {location, pickUpTime}) {
+  return normalizeAttributeInputs([
+    ...normalizeAttributeInputs(attributes).filter(
+      ({key}) => !PICKUP_ATTRIBUTE_KEYS.includes(key),
+    ),
+    {key: PICKUP_LOCATION_ATTRIBUTE_KEY, value: location.name},
+    {key: PICKUP_LOCATION_ID_ATTRIBUTE_KEY, value: location.id},
+    {key: PICKUP_READY_ATTRIBUTE_KEY, value: pickUpTime},
+  ]);
+}
+
+/**
+ * Why `cart` cannot take a reservation at `locationId`, or an empty string
+ * when it can. A cart is picked up at one branch as a whole, so it must not
+ * already be reserved at another branch or hold lines for delivery.
+ * @param {{
+ *   attributes?: Array<{key: string; value?: string | null}> | null;
+ *   lines?: {nodes?: Array<{attributes?: Array<{key: string}> | null}>};
+ * } | null | undefined} cart
+ * @param {string} locationId
+ */
+export function getPickupReservationConflict(cart, locationId) {
+  const values = new Map(
+    normalizeAttributeInputs(cart?.attributes).map(({key, value}) => [
+      key,
+      value,
+    ]),
+  );
+  const reservedAt = values.get(PICKUP_LOCATION_ID_ATTRIBUTE_KEY);
+  if (reservedAt && reservedAt !== locationId) {
+    return `Your cart is already reserved for pickup at ${
+      values.get(PICKUP_LOCATION_ATTRIBUTE_KEY) || 'another branch'
+    }. Reserve this item there, or check out that order first.`;
+  }
+
+  const hasDeliveryLines = (cart?.lines?.nodes || []).some(
+    (line) =>
+      !(line.attributes || []).some(
+        ({key}) => key === PICKUP_LOCATION_ATTRIBUTE_KEY,
+      ),
+  );
+  if (hasDeliveryLines) {
+    return 'Your cart has items for delivery. Check out or remove them before reserving an item for pickup.';
+  }
+
+  return '';
+}
+
+/**
+ * The branch a cart is reserved at, read back from its attributes.
+ * @param {Array<{key: string; value?: string | null}> | null | undefined} attributes
+ * @return {{location: string; readyBy: string | null} | null}
+ */
+export function getCartPickupReservation(attributes) {
+  const values = new Map(
+    normalizeAttributeInputs(attributes).map(({key, value}) => [key, value]),
+  );
+  const location = values.get(PICKUP_LOCATION_ATTRIBUTE_KEY);
+  if (!location) return null;
+
+  return {location, readyBy: values.get(PICKUP_READY_ATTRIBUTE_KEY) || null};
+}
@@ -0,0 +1,161 @@
+import {createAdminGraphqlClient} from './adminApi.server.js';
+import {createMemoryChatbotBackend} from './chatbot/conversationStore.server.js';
+
+const MAX_ADMIN_VARIANTS = 5;
+const GTIN_LENGTHS = new Set([8, 12, 13, 14]);
+const SKU_PATTERN = /^[a-z0-9][a-z0-9._/-]{3,39}$/i;
+const SKU_SEPARATOR_PATTERN = /[._/-]/;
+// Model names spell out words ("galaxy-s24u"); SKU segments are short codes.
+const MAX_SKU_LETTER_RUN = 4;
+const LOOKUP_TTL_SECONDS = 60 * 15;
+
+let sharedMemoryBackend = null;
+
+/**
+ * Recognizes a pasted SKU, EAN, UPC or GTIN: a single token of 5 to 40
+ * characters with a separator that mixes letters and digits in short runs
+ * ("SM-G991B", "MGN63AM/A"), or a barcode of 8, 12, 13 or 14 digits with a
+ * valid check digit. Spaces inside a barcode ("0 12345 67890 5") are
+ * ignored. Model names such as "s24", "iphone15" or "galaxy-s24u" are left
+ * to full-text search.
+ * @param {string} term
+ * @return {null | {kind: 'barcode' | 'sku'; code: string}}
+ */
+export function getProductCodeQuery(term) {
+  const value = String(term || '').trim();
+  if (!value) return null;
+
+  const digits = value.replace(/\s+/g, '');
+  if (
+    /^\d+$/.test(digits) &&
+    GTIN_LENGTHS.has(digits.length) &&
+    hasValidGtinCheckDigit(digits)
+  ) {
+    return {kind: 'barcode', code: digits};
+  }
+
+  if (/\s/.test(value) || value.length < 5 || !SKU_PATTERN.test(value)) {
+    return null;
+  }
+  if (!SKU_SEPARATOR_PATTERN.test(value)) return null;
+  if (!/\d/.test(value) || !/[a-z]/i.test(value)) return null;
+
+  const longestLetterRun = Math.max(
+    ...(value.match(/[a-z]+/gi) || []).map((run) => run.length),
+  );
+  if (longestLetterRun > MAX_SKU_LETTER_RUN) return null;
+
+  return {kind: 'sku', code: value};
+}
+
+/**
+ * Compares a variant's SKU and barcode with a code, ignoring case and the
+ * separators people drop when typing ("smg991b" matches "SM-G991B").
+ * @param {{sku?: string | null; barcode?: string | null}} variant
+ * @param {string} code
+ */
+export function matchesProductCode(variant, code) {
+  const target = compactCode(code);
+  if (!target) return false;
+
+  return [variant?.sku, variant?.barcode].some(
+    (value) => value && compactCode(value) === target,
+  );
+}
+
+/**
+ * Exact SKU or barcode lookup through the Admin API, which indexes both
+ * fields. Results, including misses, are cached per code for 15 minutes in
+ * the `CHATBOT_KV` binding (or per isolate), so repeated searches for a code
+ * do not each cost an Admin call. Returns the matching variant ids, or null
+ * when no Admin API token is configured so the caller can rely on Storefront
+ * search alone.
+ * @param {Record<string, string | undefined>} env
+ * @param {string} code
+ * @return {Promise<string[] | null>}
+ */
+export async function findVariantIdsByProductCode(env, code) {
+  const adminGraphql = createAdminGraphqlClient(env);
+  if (!adminGraphql) return null;
+
+  const cache = resolveLookupCache(env);
+  const cacheKey = `productcode:${code.toLowerCase()}`;
+  try {
+    const cached = JSON.parse((await cache.get(cacheKey)) || 'null');
+    if (Array.isArray(cached)) return cached;
+  } catch {
+    // Look the code up again below.
+  }
+
+  const quoted = `"${code.replace(/["\\]/g, '\\$&')}"`;
+  const data = await adminGraphql(VARIANTS_BY_PRODUCT_CODE_QUERY, {
+    first: MAX_ADMIN_VARIANTS,
+    query: `sku:${quoted} OR barcode:${quoted}`,
+  });
+
+  const nodes = data?.productVariants?.nodes;
+  const variantIds = Array.isArray(nodes)
+    ? nodes
+        .filter((variant) => variant?.id && matchesProductCode(variant, code))
+        .map((variant) => variant.id)
+    : [];
+
+  await cache
+    .put(cacheKey, JSON.stringify(variantIds), {
+      expirationTtl: LOOKUP_TTL_SECONDS,
+    })
+    .catch((error) => {
+      console.warn('[search] Failed to cache product code lookup:', error);
+    });
+
+  return variantIds;
+}
+
+function resolveLookupCache(env) {
+  const kvBinding = env?.CHATBOT_KV;
+  const hasKvBinding =
+    kvBinding &&
+    typeof kvBinding.get === 'function' &&
+    typeof kvBinding.put === 'function';
+
+  if (!hasKvBinding && !sharedMemoryBackend) {
+    sharedMemoryBackend = createMemoryChatbotBackend();
+  }
+
+  return hasKvBinding ? kvBinding : sharedMemoryBackend;
+}
+
+function compactCode(value) {
+  return String(value || '')
+    .replace(/[\s._/-]+/g, '')
+    .toLowerCase();
+}
+
+/**
+ * GS1 check digit: weights 3 and 1 alternate from the rightmost data digit.
+ * @param {string} digits
+ */
+function hasValidGtinCheckDigit(digits) {
+  const body = digits.slice(0, -1);
+  let sum = 0;
+
+  for (let index = 0; index < body.length; index += 1) {
+    const digit = Number(body[body.length - 1 - index]);
+    sum += index % 2 === 0 ? digit * 3 : digit;
+  }
+
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+// Admin API query, sent with a plain fetch; kept out of Storefront codegen.
+const VARIANTS_BY_PRODUCT_CODE_QUERY = `
+  query VariantsByProductCode($first: Int!, $query: String!) {
+    productVariants(first: $first, query: $query) {
+      nodes {
+        id
+        sku
+        barcode
+      }
+    }
+  }
+`;
@@ -0,0 +1,223 @@
+// Product metafields shown as spec rows on /compare, in display order. Rows
+// only appear when at least one compared product has a value, so keys the
+// catalog doesn't use yet cost nothing.
+export const COMPARE_SPEC_METAFIELDS = [
+  {namespace: 'custom', key: 'compatibility', label: 'Compatibility'},
+  {namespace: 'custom', key: 'connectivity', label: 'Connectivity'},
+  {namespace: 'custom', key: 'capacity', label: 'Capacity'},
+  {namespace: 'custom', key: 'battery', label: 'Battery'},
+  {namespace: 'custom', key: 'screen_size', label: 'Screen size'},
+  {namespace: 'custom', key: 'material', label: 'Material'},
+  {namespace: 'custom', key: 'dimensions', label: 'Dimensions'},
+  {namespace: 'custom', key: 'weight', label: 'Weight'},
+  {namespace: 'custom', key: 'warranty', label: 'Warranty'},
+];
+
+const UNIT_LABELS = {
+  MILLIMETERS: 'mm',
+  CENTIMETERS: 'cm',
+  METERS: 'm',
+  INCHES: 'in',
+  FEET: 'ft',
+  GRAMS: 'g',
+  KILOGRAMS: 'kg',
+  OUNCES: 'oz',
+  POUNDS: 'lb',
+  MILLILITERS: 'ml',
+  LITERS: 'L',
+};
+
+/**
+ * Storefront `metafields(identifiers:)` input for the spec rows.
+ */
+export function getCompareSpecIdentifiers() {
+  return COMPARE_SPEC_METAFIELDS.map(({namespace, key}) => ({namespace, key}));
+}
+
+/**
+ * Comparison table rows for the compared items, in column order. Each row
+ * holds one display string per item and `isDifferent` when those strings
+ * disagree, which the page highlights and can filter on.
+ * @param {Array<ComparisonItem>} items
+ * @return {Array<ComparisonRow>}
+ */
+export function buildComparisonRows(items) {
+  const optionNames = [];
+  items.forEach(({product}) => {
+    (product.options || []).forEach(({name}) => {
+      if (name && name !== 'Title' && !optionNames.includes(name)) {
+        optionNames.push(name);
+      }
+    });
+  });
+
+  const rows = [
+    createRow(
+      'price',
+      'Price',
+      items.map(({variant}) => formatPrice(variant?.price)),
+    ),
+    createRow(
+      'availability',
+      'Availability',
+      items.map(({variant}) =>
+        variant?.availableForSale ? 'In stock' : 'Sold out',
+      ),
+    ),
+    createRow(
+      'vendor',
+      'Brand',
+      items.map(({product}) => product.vendor || ''),
+    ),
+    ...optionNames.map((name) =>
+      createRow(
+        `option:${name}`,
+        name,
+        items.map(
+          ({variant}) =>
+            variant?.selectedOptions?.find((option) => option.name === name)
+              ?.value || '',
+        ),
+        items.map(
+          ({product}) =>
+            product.options
+              ?.find((option) => option.name === name)
+              ?.optionValues.map((value) => value.name) ?? [],
+        ),
+      ),
+    ),
+    createRow(
+      'sku',
+      'SKU',
+      items.map(({variant}) => variant?.sku || ''),
+    ),
+    ...COMPARE_SPEC_METAFIELDS.map(({namespace, key, label}) =>
+      createRow(
+        `spec:${namespace}.${key}`,
+        label,
+        items.map(({product}) =>
+          formatMetafieldValue(
+            product.specs?.find(
+              (metafield) =>
+                metafield?.namespace === namespace && metafield?.key === key,
+            ),
+          ),
+        ),
+      ),
+    ),
+  ];
+
+  return rows.filter((row) => row.values.some(Boolean));
+}
+
+/**
+ * Display text for a metafield value: lists joined with commas, measurements
+ * with their unit and rich text flattened. Reference types return "".
+ * @param {{type: string; value: string} | null | undefined} metafield
+ */
+export function formatMetafieldValue(metafield) {
+  if (!metafield?.value) return '';
+
+  const {type, value} = metafield;
+  if (type.endsWith('_reference')) return '';
+
+  if (type.startsWith('list.')) {
+    const scalarType = type.slice('list.'.length);
+    const values = parseJson(value);
+    if (!Array.isArray(values)) return value;
+
+    return values
+      .map((entry) =>
+        formatMetafieldValue({
+          type: scalarType,
+          value: typeof entry === 'string' ? entry : JSON.stringify(entry),
+        }),
+      )
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  switch (type) {
+    case 'boolean':
+      return value === 'true' ? 'Yes' : 'No';
+    case 'dimension':
+    case 'weight':
+    case 'volume': {
+      const measurement = parseJson(value);
+      if (!measurement) return value;
+      return `${measurement.value} ${
+        UNIT_LABELS[measurement.unit] || String(measurement.unit).toLowerCase()
+      }`;
+    }
+    case 'rating': {
+      const rating = parseJson(value);
+      return rating ? `${rating.value}/${rating.scale_max}` : value;
+    }
+    case 'rich_text_field':
+      return collectRichText(parseJson(value)).trim();
+    default:
+      return value.trim();
+  }
+}
+
+function createRow(key, label, values, choices) {
+  const distinct = new Set(values.map((value) => value.toLowerCase()));
+
+  return {
+    key,
+    label,
+    values,
+    ...(choices ? {choices} : {}),
+    isDifferent: values.length > 1 && distinct.size > 1,
+  };
+}
+
+function formatPrice(price) {
+  const amount = Number.parseFloat(price?.amount || '');
+  if (!Number.isFinite(amount)) return '';
+
+  return `${amount.toFixed(2)} ${price.currencyCode}`;
+}
+
+function collectRichText(node) {
+  if (!node || typeof node !== 'object') return '';
+  if (node.type === 'text') return node.value || '';
+
+  const separator = node.type === 'paragraph' || node.type === 'list-item';
+  const text = (node.children || []).map(collectRichText).join('');
+  return separator ? `${text} ` : text;
+}
+
+function parseJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @typedef {{
+ *   entry: string;
+ *   product: {
+ *     handle: string;
+ *     title: string;
+ *     vendor?: string | null;
+ *     options?: Array<{name: string; optionValues: Array<{name: string}>}>;
+ *     specs?: Array<{namespace: string; key: string; type: string; value: string} | null>;
+ *   };
+ *   variant: {
+ *     price?: {amount: string; currencyCode: string} | null;
+ *     availableForSale?: boolean;
+ *     sku?: string | null;
+ *     selectedOptions?: Array<{name: string; value: string}>;
+ *   } | null;
+ * }} ComparisonItem
+ * @typedef {{
+ *   key: string;
+ *   label: string;
+ *   values: string[];
+ *   choices?: string[][];
+ *   isDifferent: boolean;
+ * }} ComparisonRow
+ */
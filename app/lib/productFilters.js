@@ -0,0 +1,113 @@
+/**
+ * Storefront `ProductFilter` inputs travel in the URL as repeated `filter`
+ * params holding JSON, e.g. `filter={"productVendor":"Anker"}`. Collection
+ * and search pages share this format so filter links stay interchangeable.
+ */
+
+/**
+ * Reads every `filter` param into its Storefront input and the canonical
+ * serialized string used to compare selected values.
+ * @param {URLSearchParams} searchParams
+ */
+export function getSelectedFilters(searchParams) {
+  const entries = searchParams
+    .getAll('filter')
+    .map(normalizeFilterParam)
+    .filter(Boolean);
+
+  return {
+    selectedFilterValues: entries.map(({serialized}) => serialized),
+    selectedFilters: entries.map(({input}) => input),
+  };
+}
+
+/**
+ * Accepts a filter param that is JSON-encoded once or twice. Returns null
+ * for anything but an object.
+ * @param {string} rawValue
+ */
+export function normalizeFilterParam(rawValue) {
+  const firstPass = parseJsonMaybe(rawValue);
+  const candidate =
+    typeof firstPass === 'string' ? parseJsonMaybe(firstPass) : firstPass;
+
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return null;
+  }
+
+  return {
+    input: candidate,
+    serialized: JSON.stringify(candidate),
+  };
+}
+
+/**
+ * Serializes a `Filter.values[].input` (a JSON string from the API) or a
+ * filter object the same way `normalizeFilterParam` does.
+ * @param {string | Record<string, unknown>} input
+ */
+export function serializeFilterInput(input) {
+  if (typeof input === 'string') {
+    const normalized = normalizeFilterParam(input);
+    return normalized ? normalized.serialized : input;
+  }
+
+  return JSON.stringify(input);
+}
+
+/**
+ * URL for toggling one filter value on the current page, resetting
+ * pagination.
+ * @param {{
+ *   location: {pathname: string; search: string};
+ *   sort: string;
+ *   selectedFilterValues: string[];
+ *   valueInput: string;
+ *   isActive: boolean;
+ * }}
+ */
+export function buildFilterUrl({
+  location,
+  sort,
+  selectedFilterValues,
+  valueInput,
+  isActive,
+}) {
+  const nextValues = isActive
+    ? selectedFilterValues.filter((value) => value !== valueInput)
+    : [...selectedFilterValues, valueInput];
+
+  return buildFilterValuesUrl({location, sort, filterValues: nextValues});
+}
+
+/**
+ * URL for the current page with `filterValues` as the complete filter set.
+ * @param {{
+ *   location: {pathname: string; search: string};
+ *   sort: string;
+ *   filterValues: string[];
+ * }}
+ */
+export function buildFilterValuesUrl({location, sort, filterValues}) {
+  const params = new URLSearchParams(location.search);
+
+  params.delete('filter');
+  filterValues.forEach((value) => {
+    params.append('filter', value);
+  });
+  params.set('sort', sort);
+  params.delete('page');
+  params.delete('cursor');
+  params.delete('direction');
+
+  const query = params.toString();
+  return query ? `${location.pathname}?${query}` : location.pathname;
+}
+
+function parseJsonMaybe(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
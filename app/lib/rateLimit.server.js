@@ -0,0 +1,71 @@
+import {createMemoryChatbotBackend} from '~/lib/chatbot/conversationStore.server';
+
+// KV rejects expirations shorter than a minute.
+const MIN_TTL_SECONDS = 60;
+
+let sharedMemoryBackend = null;
+
+/**
+ * Rate limiter on the `CHATBOT_KV` binding (`ratelimit:` prefix), or a
+ * per-isolate memory backend when there is none.
+ * @param {Record<string, any>} env
+ * @param {{name: string; limit: number; windowSeconds: number}} options
+ */
+export function resolveRateLimiter(env, options) {
+  const kvBinding = env?.CHATBOT_KV;
+  const hasKvBinding =
+    kvBinding &&
+    typeof kvBinding.get === 'function' &&
+    typeof kvBinding.put === 'function';
+
+  if (!hasKvBinding && !sharedMemoryBackend) {
+    sharedMemoryBackend = createMemoryChatbotBackend();
+  }
+
+  return createRateLimiter({
+    backend: hasKvBinding ? kvBinding : sharedMemoryBackend,
+    ...options,
+  });
+}
+
+/**
+ * Fixed-window counter per client. Like the chatbot quotas the counters are
+ * not atomic, so a burst can overshoot by a few requests; this keeps scripted
+ * traffic out, it is not exact accounting.
+ * @param {{
+ *   backend: {
+ *     get(key: string): Promise<string | null>;
+ *     put(key: string, value: string, options?: {expirationTtl?: number}): Promise<void>;
+ *   };
+ *   name: string;
+ *   limit: number;
+ *   windowSeconds: number;
+ *   now?: () => number;
+ * }}
+ */
+export function createRateLimiter({
+  backend,
+  name,
+  limit,
+  windowSeconds,
+  now = () => Date.now(),
+}) {
+  return {
+    /**
+     * Counts one request for the client; false once it is over the limit
+     * for the current window (the rejected request is not counted).
+     * @param {string} clientId
+     */
+    async consume(clientId) {
+      const window = Math.floor(now() / (windowSeconds * 1000));
+      const key = `ratelimit:${name}:${clientId || 'unknown'}:${window}`;
+      const used = Number(await backend.get(key)) || 0;
+      if (used >= limit) return false;
+
+      await backend.put(key, String(used + 1), {
+        expirationTtl: Math.max(MIN_TTL_SECONDS, windowSeconds),
+      });
+      return true;
+    },
+  };
+}
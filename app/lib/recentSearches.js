@@ -0,0 +1,80 @@
+const RECENT_SEARCHES_STORAGE_KEY = 'pz:recent-searches';
+const RECENT_SEARCHES_EVENT = 'pz:recent-searches-updated';
+const MAX_RECENT_SEARCHES = 8;
+const MAX_RECENT_SEARCH_LENGTH = 80;
+
+export {RECENT_SEARCHES_EVENT};
+
+/**
+ * Searches submitted on this device, newest first. Kept in localStorage only;
+ * nothing is sent to the server.
+ * @return {string[]}
+ */
+export function getRecentSearches() {
+  if (typeof window === 'undefined') return [];
+
+  try {
+    const parsed = JSON.parse(
+      window.localStorage.getItem(RECENT_SEARCHES_STORAGE_KEY) || '[]',
+    );
+    return normalizeRecentSearches(parsed);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Moves `term` to the front, dropping a case-insensitive duplicate.
+ * @param {unknown} term
+ */
+export function addRecentSearch(term) {
+  const normalizedTerm = normalizeTerm(term);
+  if (!normalizedTerm) return getRecentSearches();
+
+  const key = normalizedTerm.toLowerCase();
+  return saveRecentSearches([
+    normalizedTerm,
+    ...getRecentSearches().filter((value) => value.toLowerCase() !== key),
+  ]);
+}
+
+export function clearRecentSearches() {
+  return saveRecentSearches([]);
+}
+
+function saveRecentSearches(terms) {
+  const normalized = normalizeRecentSearches(terms);
+  if (typeof window === 'undefined') return normalized;
+
+  try {
+    if (normalized.length) {
+      window.localStorage.setItem(
+        RECENT_SEARCHES_STORAGE_KEY,
+        JSON.stringify(normalized),
+      );
+    } else {
+      window.localStorage.removeItem(RECENT_SEARCHES_STORAGE_KEY);
+    }
+  } catch {
+    // Private browsing can refuse storage; recent searches are optional.
+  }
+
+  window.dispatchEvent(
+    new CustomEvent(RECENT_SEARCHES_EVENT, {detail: normalized}),
+  );
+
+  return normalized;
+}
+
+function normalizeRecentSearches(value) {
+  if (!Array.isArray(value)) return [];
+
+  return value.map(normalizeTerm).filter(Boolean).slice(0, MAX_RECENT_SEARCHES);
+}
+
+function normalizeTerm(value) {
+  return String(value || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_RECENT_SEARCH_LENGTH);
+}
@@ -0,0 +1,93 @@
+// Published ratings live in Shopify's standard product metafields
+// `reviews.rating` (a rating JSON value) and `reviews.rating_count`, which
+// moderation keeps in sync. Cards, structured data and feeds read them from
+// Storefront queries as `rating` and `ratingCount` aliases.
+
+export const RATING_SCALE_MIN = 1;
+export const RATING_SCALE_MAX = 5;
+
+/**
+ * The product's published rating, or null when it has no approved reviews.
+ * @param {RatedProduct | null | undefined} product
+ * @return {RatingAggregate | null}
+ */
+export function getProductRating(product) {
+  const reviewCount = Number.parseInt(product?.ratingCount?.value || '', 10);
+  if (!Number.isFinite(reviewCount) || reviewCount < 1) return null;
+
+  let rating = null;
+  try {
+    rating = JSON.parse(product?.rating?.value || 'null');
+  } catch {
+    return null;
+  }
+
+  const ratingValue = Number.parseFloat(rating?.value);
+  if (!Number.isFinite(ratingValue)) return null;
+
+  return {
+    ratingValue: roundRating(ratingValue),
+    reviewCount,
+    bestRating: Number.parseFloat(rating.scale_max) || RATING_SCALE_MAX,
+    worstRating: Number.parseFloat(rating.scale_min) || RATING_SCALE_MIN,
+  };
+}
+
+/**
+ * Average of the given star ratings, rounded to one decimal.
+ * @param {Array<{rating?: number | null}>} reviews
+ * @return {RatingAggregate | null}
+ */
+export function computeRatingAggregate(reviews) {
+  const ratings = reviews
+    .map((review) => Number(review?.rating))
+    .filter(
+      (rating) =>
+        Number.isInteger(rating) &&
+        rating >= RATING_SCALE_MIN &&
+        rating <= RATING_SCALE_MAX,
+    );
+  if (!ratings.length) return null;
+
+  const total = ratings.reduce((sum, rating) => sum + rating, 0);
+
+  return {
+    ratingValue: roundRating(total / ratings.length),
+    reviewCount: ratings.length,
+    bestRating: RATING_SCALE_MAX,
+    worstRating: RATING_SCALE_MIN,
+  };
+}
+
+/**
+ * `reviews.rating` / `reviews.rating_count` metafield inputs for an
+ * aggregate. A product without approved reviews gets a zero count.
+ * @param {RatingAggregate | null} aggregate
+ */
+export function toRatingMetafieldValues(aggregate) {
+  return {
+    rating: JSON.stringify({
+      value: (aggregate?.ratingValue ?? RATING_SCALE_MIN).toFixed(1),
+      scale_min: RATING_SCALE_MIN.toFixed(1),
+      scale_max: RATING_SCALE_MAX.toFixed(1),
+    }),
+    ratingCount: String(aggregate?.reviewCount ?? 0),
+  };
+}
+
+function roundRating(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * @typedef {{
+ *   rating?: {value?: string | null} | null;
+ *   ratingCount?: {value?: string | null} | null;
+ * }} RatedProduct
+ * @typedef {{
+ *   ratingValue: number;
+ *   reviewCount: number;
+ *   bestRating: number;
+ *   worstRating: number;
+ * }} RatingAggregate
+ */
@@ -0,0 +1,254 @@
+import {createAdminGraphqlClient} from '~/lib/adminApi.server';
+import {requireChatbotAdminPage} from '~/lib/chatbot/analytics.server';
+import {computeRatingAggregate, toRatingMetafieldValues} from './rating.js';
+import {resolveReviewsAdapter, resolveReviewsBackend} from './store.server';
+
+export const REVIEW_DECISIONS = ['approve', 'reject'];
+
+const PUBLISHED_KEY_PREFIX = 'reviews:published:';
+// Moderation refreshes a product's snapshot right away; the TTL only bounds
+// how long edits made directly in the Shopify admin take to show.
+const PUBLISHED_TTL_SECONDS = 60 * 60 * 6;
+
+/**
+ * Reviews service for the configured storage adapter. Rating metafields are
+ * only synced when an Admin API token is set; without one, cards and feeds
+ * simply show no rating.
+ * @param {Record<string, any>} env
+ */
+export function resolveProductReviews(env) {
+  return createProductReviews({
+    adapter: resolveReviewsAdapter(env),
+    adminGraphql: createAdminGraphqlClient(env),
+    cache: resolveReviewsBackend(env),
+  });
+}
+
+/**
+ * Every submission starts as `pending`; shoppers only ever see approved
+ * reviews, and questions once staff have answered them. Product pages read
+ * a published snapshot per product from `cache`, so a page view only lists
+ * the adapter's entries when the snapshot is missing or expired.
+ * @param {{
+ *   adapter: import('./store.server').ReviewsAdapter;
+ *   adminGraphql?: import('~/lib/adminApi.server').AdminGraphqlClient | null;
+ *   cache: {
+ *     get(key: string): Promise<string | null>;
+ *     put(key: string, value: string, options?: {expirationTtl?: number}): Promise<void>;
+ *   };
+ *   now?: () => number;
+ * }}
+ */
+export function createProductReviews({
+  adapter,
+  adminGraphql = null,
+  cache,
+  now = () => Date.now(),
+}) {
+  const getPublishedKey = (productId) =>
+    `${PUBLISHED_KEY_PREFIX}${String(productId).split('/').pop()}`;
+
+  /**
+   * Builds and caches the snapshot. `changed` is an entry that was just
+   * moderated: listings can lag behind a write, so it replaces whatever the
+   * adapter returned for its id.
+   * @param {string} productId
+   * @param {import('./store.server').ReviewEntry | null} [changed]
+   * @return {Promise<PublishedReviews>}
+   */
+  async function refreshPublished(productId, changed = null) {
+    let entries = await adapter.listApproved(productId);
+    if (changed) {
+      entries = entries.filter((entry) => entry.id !== changed.id);
+      if (changed.status === 'approved') entries.push(changed);
+    }
+
+    const published = toPublishedReviews(entries);
+    try {
+      await cache.put(getPublishedKey(productId), JSON.stringify(published), {
+        expirationTtl: PUBLISHED_TTL_SECONDS,
+      });
+    } catch (error) {
+      console.warn('[reviews] Failed to cache published reviews:', error);
+    }
+
+    return published;
+  }
+
+  async function syncRatingMetafields(productId, aggregate) {
+    if (!adminGraphql) return;
+
+    const values = toRatingMetafieldValues(aggregate);
+    const data = await adminGraphql(RATING_METAFIELDS_SET_MUTATION, {
+      metafields: [
+        {
+          ownerId: productId,
+          namespace: 'reviews',
+          key: 'rating',
+          type: 'rating',
+          value: values.rating,
+        },
+        {
+          ownerId: productId,
+          namespace: 'reviews',
+          key: 'rating_count',
+          type: 'number_integer',
+          value: values.ratingCount,
+        },
+      ],
+    });
+    const userErrors = data?.metafieldsSet?.userErrors || [];
+    if (userErrors.length) {
+      throw new Error(userErrors.map((error) => error.message).join(' '));
+    }
+  }
+
+  return {
+    /**
+     * @param {string} productId
+     * @return {Promise<PublishedReviews>}
+     */
+    async getPublished(productId) {
+      try {
+        const cached = await cache.get(getPublishedKey(productId));
+        if (cached) return JSON.parse(cached);
+      } catch {
+        // Fall through and rebuild the snapshot.
+      }
+
+      return refreshPublished(productId);
+    },
+
+    /**
+     * @param {import('./submission.js').ReviewSubmission} submission
+     */
+    async submit(submission) {
+      return adapter.create({
+        ...submission,
+        status: 'pending',
+        answer: '',
+        createdAt: new Date(now()).toISOString(),
+        moderatedAt: '',
+      });
+    },
+
+    async listQueue() {
+      return (await adapter.listPending()).sort((a, b) =>
+        a.createdAt.localeCompare(b.createdAt),
+      );
+    },
+
+    /**
+     * Approves or rejects a pending entry. Approving a question requires the
+     * answer shown beneath it. The product's published snapshot is rebuilt,
+     * and for reviews its rating metafields are synced from the same
+     * aggregate.
+     * @param {{
+     *   id: string;
+     *   productId: string;
+     *   decision: 'approve' | 'reject';
+     *   answer?: string;
+     * }}
+     */
+    async moderate({id, productId, decision, answer = ''}) {
+      const entry = await adapter.update(
+        {id, productId},
+        {
+          status: decision === 'approve' ? 'approved' : 'rejected',
+          answer: answer.trim(),
+          moderatedAt: new Date(now()).toISOString(),
+        },
+      );
+
+      if (!entry) return entry;
+
+      const published = await refreshPublished(productId, entry);
+      if (entry.kind === 'review') {
+        await syncRatingMetafields(productId, published.aggregate);
+      }
+
+      return entry;
+    },
+  };
+}
+
+/**
+ * Moderation uses the same staff token and sign-in as the chatbot and search
+ * dashboards.
+ * @param {Parameters<typeof requireChatbotAdminPage>[0]} options
+ */
+export function requireReviewsAdmin(options) {
+  return requireChatbotAdminPage(options);
+}
+
+/**
+ * @param {import('./store.server').ReviewEntry[]} entries approved entries
+ * @return {PublishedReviews}
+ */
+function toPublishedReviews(entries) {
+  const sorted = [...entries].sort((a, b) =>
+    b.createdAt.localeCompare(a.createdAt),
+  );
+  const reviews = sorted.filter((entry) => entry.kind === 'review');
+
+  return {
+    aggregate: computeRatingAggregate(reviews),
+    reviews: reviews.map(toPublishedEntry),
+    questions: sorted
+      .filter((entry) => entry.kind === 'question' && entry.answer)
+      .map(toPublishedEntry),
+  };
+}
+
+/**
+ * Drops the author's email and shortens the name to "First L." before an
+ * entry leaves the server.
+ * @param {import('./store.server').ReviewEntry} entry
+ * @return {PublishedReviewEntry}
+ */
+function toPublishedEntry(entry) {
+  const [firstName = '', ...rest] = entry.authorName.trim().split(/\s+/);
+  const lastInitial = rest.length ? ` ${rest[rest.length - 1][0]}.` : '';
+
+  return {
+    id: entry.id,
+    kind: entry.kind,
+    rating: entry.rating,
+    title: entry.title,
+    body: entry.body,
+    answer: entry.answer,
+    authorName: `${firstName}${lastInitial}` || 'Customer',
+    createdAt: entry.createdAt,
+  };
+}
+
+// Admin API mutation, sent with a plain fetch; kept out of Storefront
+// codegen.
+const RATING_METAFIELDS_SET_MUTATION = `
+  mutation ReviewRatingMetafieldsSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * @typedef {{
+ *   id: string;
+ *   kind: 'review' | 'question';
+ *   rating: number | null;
+ *   title: string;
+ *   body: string;
+ *   answer: string;
+ *   authorName: string;
+ *   createdAt: string;
+ * }} PublishedReviewEntry
+ * @typedef {{
+ *   aggregate: import('./rating.js').RatingAggregate | null;
+ *   reviews: PublishedReviewEntry[];
+ *   questions: PublishedReviewEntry[];
+ * }} PublishedReviews
+ */
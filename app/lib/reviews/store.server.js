@@ -0,0 +1,357 @@
+import {createAdminGraphqlClient} from '~/lib/adminApi.server';
+import {
+  createMemoryChatbotBackend,
+  listBackendKeys,
+} from '~/lib/chatbot/conversationStore.server';
+
+export const REVIEW_METAOBJECT_TYPE = 'product_review';
+const ENTRY_KEY_PREFIX = 'reviews:entry:';
+const PENDING_KEY_PREFIX = 'reviews:pending:';
+const METAOBJECT_PAGE_SIZE = 100;
+// Upper bound on pages read per listing, as a guard on Admin API cost.
+const MAX_METAOBJECT_PAGES = 50;
+// Metaobject field keys for each entry property.
+const METAOBJECT_FIELDS = {
+  kind: 'kind',
+  productId: 'product_id',
+  status: 'status',
+  rating: 'rating',
+  title: 'title',
+  body: 'body',
+  authorName: 'author_name',
+  authorEmail: 'author_email',
+  answer: 'answer',
+  createdAt: 'created_at',
+  moderatedAt: 'moderated_at',
+};
+
+let sharedMemoryBackend = null;
+
+/**
+ * Storage for reviews and questions:
+ *
+ * - `REVIEWS_STORAGE=metaobject` with an Admin API token: `product_review`
+ *   metaobjects, so staff can also see and edit entries in the Shopify admin
+ * - a `REVIEWS_KV` (or `CHATBOT_KV`) binding, one key per entry
+ * - otherwise a memory store shared by this isolate, for local development;
+ *   entries are lost on restart
+ * @param {Record<string, any>} env
+ * @return {ReviewsAdapter}
+ */
+export function resolveReviewsAdapter(env) {
+  const adminGraphql = createAdminGraphqlClient(env);
+  if (env?.REVIEWS_STORAGE === 'metaobject' && adminGraphql) {
+    return createMetaobjectReviewsAdapter({adminGraphql});
+  }
+
+  return createKvReviewsAdapter({backend: resolveReviewsBackend(env)});
+}
+
+/**
+ * The `REVIEWS_KV` (or `CHATBOT_KV`) binding, else a memory backend shared
+ * by this isolate. Besides KV-stored entries it holds the published
+ * snapshots product pages read, whichever adapter stores the entries.
+ * @param {Record<string, any>} env
+ */
+export function resolveReviewsBackend(env) {
+  const kvBinding = [env?.REVIEWS_KV, env?.CHATBOT_KV].find(
+    (binding) =>
+      binding &&
+      typeof binding.get === 'function' &&
+      typeof binding.put === 'function' &&
+      typeof binding.delete === 'function' &&
+      typeof binding.list === 'function',
+  );
+
+  if (!kvBinding && !sharedMemoryBackend) {
+    sharedMemoryBackend = createMemoryChatbotBackend();
+  }
+
+  return kvBinding || sharedMemoryBackend;
+}
+
+/**
+ * Adapter over a KV-shaped backend. Every entry is its own key,
+ * `reviews:entry:<product>:<id>`, and pending entries also get an empty
+ * `reviews:pending:<product>:<id>` marker, so submissions never rewrite a
+ * shared document; listings walk the prefix.
+ * @param {{
+ *   backend: {
+ *     get(key: string): Promise<string | null>;
+ *     put(key: string, value: string): Promise<void>;
+ *     delete(key: string): Promise<void>;
+ *     list: Function;
+ *   };
+ * }}
+ * @return {ReviewsAdapter}
+ */
+export function createKvReviewsAdapter({backend}) {
+  async function readEntry(key) {
+    try {
+      const raw = await backend.get(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  const getProductKey = (productId) => String(productId).split('/').pop();
+  const getEntryKey = (productId, id) =>
+    `${ENTRY_KEY_PREFIX}${getProductKey(productId)}:${id}`;
+  const getPendingKey = (productId, id) =>
+    `${PENDING_KEY_PREFIX}${getProductKey(productId)}:${id}`;
+
+  return {
+    async listApproved(productId) {
+      const names = await listBackendKeys(
+        backend,
+        `${ENTRY_KEY_PREFIX}${getProductKey(productId)}:`,
+      );
+      const entries = await Promise.all(names.map(readEntry));
+      return entries.filter((entry) => entry?.status === 'approved');
+    },
+
+    async listPending() {
+      const names = await listBackendKeys(backend, PENDING_KEY_PREFIX);
+      const entries = await Promise.all(
+        names.map((name) =>
+          readEntry(
+            `${ENTRY_KEY_PREFIX}${name.slice(PENDING_KEY_PREFIX.length)}`,
+          ),
+        ),
+      );
+      return entries.filter((entry) => entry?.status === 'pending');
+    },
+
+    async create(entry) {
+      const created = {...entry, id: crypto.randomUUID()};
+      await backend.put(
+        getEntryKey(entry.productId, created.id),
+        JSON.stringify(created),
+      );
+      await backend.put(getPendingKey(entry.productId, created.id), '');
+      return created;
+    },
+
+    async update({id, productId}, patch) {
+      const key = getEntryKey(productId, id);
+      const entry = await readEntry(key);
+      if (!entry) return null;
+
+      const updated = {...entry, ...patch};
+      await backend.put(key, JSON.stringify(updated));
+      if (updated.status !== 'pending') {
+        await backend.delete(getPendingKey(productId, id));
+      }
+
+      return updated;
+    },
+  };
+}
+
+/**
+ * Adapter over `product_review` metaobjects through the Admin API. The
+ * definition needs the fields in `METAOBJECT_FIELDS` (single-line text,
+ * except `rating` as an integer and `body`/`answer` as multi-line text),
+ * with `product_id` and `status` filterable. Listings filter by status in
+ * the query and follow every page.
+ * @param {{adminGraphql: AdminGraphqlClient}}
+ * @return {ReviewsAdapter}
+ */
+export function createMetaobjectReviewsAdapter({adminGraphql}) {
+  async function listMetaobjects(query) {
+    const entries = [];
+    let after = null;
+
+    for (let page = 0; page < MAX_METAOBJECT_PAGES; page += 1) {
+      const data = await adminGraphql(REVIEW_METAOBJECTS_QUERY, {
+        type: REVIEW_METAOBJECT_TYPE,
+        first: METAOBJECT_PAGE_SIZE,
+        after,
+        query,
+      });
+      const connection = data?.metaobjects;
+      entries.push(...(connection?.nodes || []).map(fromMetaobject));
+
+      if (!connection?.pageInfo?.hasNextPage) return entries;
+      after = connection.pageInfo.endCursor;
+    }
+
+    console.warn(
+      `[reviews] Stopped listing "${query}" after ${MAX_METAOBJECT_PAGES} pages.`,
+    );
+    return entries;
+  }
+
+  return {
+    async listApproved(productId) {
+      const entries = await listMetaobjects(
+        `fields.${METAOBJECT_FIELDS.productId}:${quoteSearchValue(
+          productId,
+        )} AND fields.${METAOBJECT_FIELDS.status}:approved`,
+      );
+      // Filterable fields are matched by the search index, so re-check.
+      return entries.filter(
+        (entry) => entry.productId === productId && entry.status === 'approved',
+      );
+    },
+
+    async listPending() {
+      const entries = await listMetaobjects(
+        `fields.${METAOBJECT_FIELDS.status}:pending`,
+      );
+      return entries.filter((entry) => entry.status === 'pending');
+    },
+
+    async create(entry) {
+      const data = await adminGraphql(REVIEW_METAOBJECT_CREATE_MUTATION, {
+        metaobject: {
+          type: REVIEW_METAOBJECT_TYPE,
+          fields: toMetaobjectFields(entry),
+        },
+      });
+      const result = data?.metaobjectCreate;
+      assertNoUserErrors(result?.userErrors);
+      return fromMetaobject(result.metaobject);
+    },
+
+    async update({id}, patch) {
+      const data = await adminGraphql(REVIEW_METAOBJECT_UPDATE_MUTATION, {
+        id,
+        metaobject: {fields: toMetaobjectFields(patch)},
+      });
+      const result = data?.metaobjectUpdate;
+      assertNoUserErrors(result?.userErrors);
+      return result?.metaobject ? fromMetaobject(result.metaobject) : null;
+    },
+  };
+}
+
+function toMetaobjectFields(entry) {
+  return Object.entries(METAOBJECT_FIELDS)
+    .filter(([property]) => entry[property] != null && entry[property] !== '')
+    .map(([property, key]) => ({key, value: String(entry[property])}));
+}
+
+function fromMetaobject(metaobject) {
+  const values = Object.fromEntries(
+    (metaobject?.fields || []).map((field) => [field.key, field.value]),
+  );
+  const entry = {id: metaobject.id};
+
+  Object.entries(METAOBJECT_FIELDS).forEach(([property, key]) => {
+    entry[property] = values[key] ?? '';
+  });
+  entry.rating = entry.rating ? Number(entry.rating) : null;
+
+  return /** @type {ReviewEntry} */ (entry);
+}
+
+function assertNoUserErrors(userErrors) {
+  if (userErrors?.length) {
+    throw new Error(userErrors.map((error) => error.message).join(' '));
+  }
+}
+
+function quoteSearchValue(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+// Admin API operations, sent with a plain fetch; kept out of Storefront
+// codegen.
+const REVIEW_METAOBJECT_FRAGMENT = `
+  fragment ReviewMetaobject on Metaobject {
+    id
+    fields {
+      key
+      value
+    }
+  }
+`;
+
+const REVIEW_METAOBJECTS_QUERY = `
+  query ReviewMetaobjects(
+    $type: String!
+    $first: Int!
+    $after: String
+    $query: String
+  ) {
+    metaobjects(
+      type: $type
+      first: $first
+      after: $after
+      query: $query
+      sortKey: "updated_at"
+      reverse: true
+    ) {
+      nodes {
+        ...ReviewMetaobject
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+  ${REVIEW_METAOBJECT_FRAGMENT}
+`;
+
+const REVIEW_METAOBJECT_CREATE_MUTATION = `
+  mutation ReviewMetaobjectCreate($metaobject: MetaobjectCreateInput!) {
+    metaobjectCreate(metaobject: $metaobject) {
+      metaobject {
+        ...ReviewMetaobject
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+  ${REVIEW_METAOBJECT_FRAGMENT}
+`;
+
+const REVIEW_METAOBJECT_UPDATE_MUTATION = `
+  mutation ReviewMetaobjectUpdate(
+    $id: ID!
+    $metaobject: MetaobjectUpdateInput!
+  ) {
+    metaobjectUpdate(id: $id, metaobject: $metaobject) {
+      metaobject {
+        ...ReviewMetaobject
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+  ${REVIEW_METAOBJECT_FRAGMENT}
+`;
+
+/** @typedef {import('~/lib/adminApi.server').AdminGraphqlClient} AdminGraphqlClient */
+/**
+ * @typedef {{
+ *   id: string;
+ *   kind: 'review' | 'question';
+ *   productId: string;
+ *   status: 'pending' | 'approved' | 'rejected';
+ *   rating: number | null;
+ *   title: string;
+ *   body: string;
+ *   authorName: string;
+ *   authorEmail: string;
+ *   answer: string;
+ *   createdAt: string;
+ *   moderatedAt: string;
+ * }} ReviewEntry
+ * @typedef {{
+ *   listApproved(productId: string): Promise<ReviewEntry[]>;
+ *   listPending(): Promise<ReviewEntry[]>;
+ *   create(entry: Omit<ReviewEntry, 'id'>): Promise<ReviewEntry>;
+ *   update(
+ *     target: {id: string; productId: string},
+ *     patch: Partial<ReviewEntry>,
+ *   ): Promise<ReviewEntry | null>;
+ * }} ReviewsAdapter
+ */
@@ -0,0 +1,104 @@
+import {RATING_SCALE_MAX, RATING_SCALE_MIN} from './rating.js';
+
+export const REVIEW_KINDS = ['review', 'question'];
+
+// Shared by the product page form (as `maxLength`) and server validation.
+export const REVIEW_LIMITS = {
+  name: 60,
+  email: 120,
+  title: 120,
+  body: 2000,
+  minBody: 10,
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Hidden field real shoppers never fill in.
+export const REVIEW_HONEYPOT_FIELD = 'website';
+
+/**
+ * Validates a review or question form. Returns the cleaned submission, or
+ * per-field messages to show next to the inputs.
+ * @param {FormData} formData
+ * @return {{submission: ReviewSubmission; errors?: undefined} | {submission?: undefined; errors: Record<string, string>}}
+ */
+export function parseReviewSubmission(formData) {
+  const read = (name) => String(formData.get(name) ?? '').trim();
+  const kind = read('kind');
+  const errors = {};
+
+  if (!REVIEW_KINDS.includes(kind)) {
+    return {errors: {form: 'Unknown submission type.'}};
+  }
+
+  const productId = read('productId');
+  if (!productId.startsWith('gid://shopify/Product/')) {
+    errors.form = 'This product could not be found.';
+  }
+
+  const name = read('name');
+  if (!name) errors.name = 'Enter your name.';
+  else if (name.length > REVIEW_LIMITS.name) errors.name = 'Name is too long.';
+
+  const email = read('email').toLowerCase();
+  if (!EMAIL_PATTERN.test(email) || email.length > REVIEW_LIMITS.email) {
+    errors.email = 'Enter a valid email address.';
+  }
+
+  const title = read('title');
+  if (title.length > REVIEW_LIMITS.title) errors.title = 'Title is too long.';
+
+  const body = read('body');
+  if (body.length < REVIEW_LIMITS.minBody) {
+    errors.body =
+      kind === 'review'
+        ? `Tell us a little more (at least ${REVIEW_LIMITS.minBody} characters).`
+        : `Add a little more detail (at least ${REVIEW_LIMITS.minBody} characters).`;
+  } else if (body.length > REVIEW_LIMITS.body) {
+    errors.body = `Keep it under ${REVIEW_LIMITS.body} characters.`;
+  }
+
+  let rating = null;
+  if (kind === 'review') {
+    rating = Number(read('rating'));
+    if (
+      !Number.isInteger(rating) ||
+      rating < RATING_SCALE_MIN ||
+      rating > RATING_SCALE_MAX
+    ) {
+      errors.rating = 'Choose a star rating.';
+    }
+  }
+
+  if (Object.keys(errors).length) return {errors};
+
+  return {
+    submission: {
+      kind,
+      productId,
+      rating,
+      title,
+      body,
+      authorName: name,
+      authorEmail: email,
+    },
+  };
+}
+
+/**
+ * @param {FormData} formData
+ */
+export function isReviewSpam(formData) {
+  return Boolean(String(formData.get(REVIEW_HONEYPOT_FIELD) ?? '').trim());
+}
+
+/**
+ * @typedef {{
+ *   kind: 'review' | 'question';
+ *   productId: string;
+ *   rating: number | null;
+ *   title: string;
+ *   body: string;
+ *   authorName: string;
+ *   authorEmail: string;
+ * }} ReviewSubmission
+ */
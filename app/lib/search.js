@@ -14,6 +14,44 @@ export function getEmptyPredictiveSearchResult() {
   };
 }
 
+export const SEARCH_SORT_OPTIONS = [
+  {
+    value: 'relevance',
+    label: 'Relevance',
+    sortKey: 'RELEVANCE',
+    reverse: false,
+  },
+  {
+    value: 'price-asc',
+    label: 'Price: Low to High',
+    sortKey: 'PRICE',
+    reverse: false,
+  },
+  {
+    value: 'price-desc',
+    label: 'Price: High to Low',
+    sortKey: 'PRICE',
+    reverse: true,
+  },
+];
+
+/**
+ * Storefront `search` product filters offered on /search, matched by filter
+ * id: brand (vendor), product type, availability and price range.
+ */
+export const SEARCH_FILTER_ID_PATTERN =
+  /^filter\.(p\.vendor|p\.product_type|v\.availability|v\.price)\b/;
+
+/**
+ * @param {string | null} value
+ */
+export function getSearchSortOption(value) {
+  return (
+    SEARCH_SORT_OPTIONS.find((option) => option.value === value) ||
+    SEARCH_SORT_OPTIONS[0]
+  );
+}
+
 /**
  * A utility function that appends tracking parameters to a URL. Tracking parameters are
  * used internally by Shopify to enhance search results and admin dashboards.
@@ -0,0 +1,463 @@
+import {
+  redactContactDetails,
+  requireChatbotAdminPage,
+} from '~/lib/chatbot/analytics.server';
+import {createMemoryChatbotBackend} from '~/lib/chatbot/conversationStore.server';
+import {isKnownSearchTerm, normalizeSearchTerm} from '~/lib/searchDictionary';
+
+const STATS_TTL_SECONDS = 60 * 60 * 24 * 90;
+const MAX_REPORT_DAYS = 31;
+// Counter documents per day; each event updates one picked at random.
+const STATS_SHARDS = 8;
+const MAX_TERMS_PER_DAY = 1000;
+const MAX_TERM_LENGTH = 120;
+const MAX_RULES_PER_EVENT = 10;
+const TOP_QUERY_LIMIT = 50;
+const TRENDING_MIN_SEARCHES = 3;
+const TRENDING_DAY_WEIGHT = 0.7;
+const OTHER_TERMS_KEY = '(other)';
+const RECOVERY_STRATEGIES = new Set([
+  'relaxed',
+  'model',
+  'brand',
+  'brand_collection',
+]);
+export const SEARCH_ANALYTICS_EVENT_TYPES = [
+  'search',
+  'click',
+  'correction_rejected',
+];
+const QUERY_CSV_COLUMNS = [
+  'term',
+  'searches',
+  'zeroResults',
+  'recovered',
+  'corrected',
+  'correctedTo',
+  'correctionsRejected',
+  'clicks',
+  'clickedSearches',
+  'ctr',
+];
+
+let sharedMemoryBackend = null;
+
+/**
+ * Uses `SEARCH_ANALYTICS_KV`, else the `CHATBOT_KV` binding (different key
+ * prefix), else a per-isolate memory backend.
+ */
+export function resolveSearchAnalytics(env) {
+  const kvBinding = [env?.SEARCH_ANALYTICS_KV, env?.CHATBOT_KV].find(
+    (binding) =>
+      binding &&
+      typeof binding.get === 'function' &&
+      typeof binding.put === 'function',
+  );
+
+  if (!kvBinding && !sharedMemoryBackend) {
+    sharedMemoryBackend = createMemoryChatbotBackend();
+  }
+
+  return createSearchAnalytics({backend: kvBinding || sharedMemoryBackend});
+}
+
+/**
+ * Search analytics are kept as counter documents per UTC day rather than raw
+ * events, so a busy day stays a few small KV values. Each day is split over
+ * `STATS_SHARDS` documents that are merged on read: KV takes about one write
+ * per second per key, so a single daily document would drop most events
+ * under load. Counts are keyed by the normalized query the shopper typed.
+ */
+export function createSearchAnalytics({
+  backend,
+  now = () => Date.now(),
+  random = Math.random,
+}) {
+  async function readShard(key) {
+    try {
+      const raw = await backend.get(key);
+      const parsed = raw ? JSON.parse(raw) : null;
+      return parsed && typeof parsed === 'object' ? parsed : createDayStats();
+    } catch {
+      return createDayStats();
+    }
+  }
+
+  async function readDay(dayKey) {
+    const shards = await Promise.all(
+      Array.from({length: STATS_SHARDS}, (_, shard) =>
+        readShard(getStatsKey(dayKey, shard)),
+      ),
+    );
+    return shards.reduce(mergeDayStats, createDayStats());
+  }
+
+  return {
+    /**
+     * Adds one collector event to one of today's shards. Each shard is
+     * still a read-modify-write, so two events landing on the same shard at
+     * once can lose one; the numbers are for trends, not accounting.
+     * @param {SearchAnalyticsEvent} event
+     */
+    async recordEvent(event) {
+      const key = getStatsKey(
+        getDayKey(now()),
+        Math.floor(random() * STATS_SHARDS),
+      );
+      const stats = await readShard(key);
+      applyEvent(stats, event);
+      await backend.put(key, JSON.stringify(stats), {
+        expirationTtl: STATS_TTL_SECONDS,
+      });
+    },
+
+    async listDays({from, to} = {}) {
+      return Promise.all(listDayKeys(from, to, now()).map(readDay));
+    },
+  };
+}
+
+/**
+ * Validates a collector payload. Returns null for anything that is not a
+ * known event with a usable query.
+ * @param {unknown} payload
+ * @return {SearchAnalyticsEvent | null}
+ */
+export function parseSearchAnalyticsEvent(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+
+  const type = String(payload.type || '');
+  if (!SEARCH_ANALYTICS_EVENT_TYPES.includes(type)) return null;
+
+  const term = sanitizeTerm(payload.term);
+  if (!term) return null;
+
+  return {
+    type,
+    term,
+    correctedTerm: sanitizeTerm(payload.correctedTerm),
+    rulesVersion: Number.isInteger(payload.rulesVersion)
+      ? payload.rulesVersion
+      : null,
+    rules: (Array.isArray(payload.rules) ? payload.rules : [])
+      .filter((rule) => typeof rule === 'string' && rule)
+      .slice(0, MAX_RULES_PER_EVENT)
+      .map((rule) => rule.slice(0, MAX_TERM_LENGTH)),
+    productCount: Math.max(0, Math.floor(Number(payload.productCount) || 0)),
+    recoveredBy: RECOVERY_STRATEGIES.has(payload.recoveredBy)
+      ? payload.recoveredBy
+      : '',
+    firstClick: Boolean(payload.firstClick),
+  };
+}
+
+/**
+ * Merges day counters into the dashboard report: top queries, zero-result
+ * queries, spelling corrections with how often the shopper kept them, and
+ * click-through per query.
+ * @param {Array<SearchDayStats>} days
+ */
+export function summarizeSearchAnalytics(days) {
+  const totals = createTotals();
+  const terms = new Map();
+  const rules = {};
+  const rulesVersions = {};
+  const recoveries = {};
+
+  (Array.isArray(days) ? days : []).forEach((day) => {
+    addCounts(totals, day?.totals);
+    addCounts(rules, day?.rules);
+    addCounts(rulesVersions, day?.rulesVersions);
+    addCounts(recoveries, day?.recoveries);
+
+    Object.entries(day?.terms || {}).forEach(([term, counts]) => {
+      const merged = terms.get(term) || {...createTermCounts(), term};
+      addCounts(merged, counts);
+      if (counts.correctedTo) merged.correctedTo = counts.correctedTo;
+      terms.set(term, merged);
+    });
+  });
+
+  const queries = Array.from(terms.values()).map((counts) => ({
+    ...counts,
+    ctr: getClickThroughRate(counts),
+  }));
+  const answeredSearches = totals.searches - totals.zeroResults;
+
+  return {
+    totals: {
+      ...totals,
+      zeroResultRate: ratio(totals.zeroResults, totals.searches),
+      recoveryRate: ratio(totals.recovered, totals.zeroResults),
+      correctionAcceptanceRate: ratio(
+        totals.corrected - totals.correctionsRejected,
+        totals.corrected,
+      ),
+      ctr: ratio(totals.clickedSearches, answeredSearches),
+    },
+    topQueries: sortBy(queries, 'searches').slice(0, TOP_QUERY_LIMIT),
+    zeroResultQueries: sortBy(
+      queries.filter((query) => query.zeroResults > 0),
+      'zeroResults',
+    ).slice(0, TOP_QUERY_LIMIT),
+    corrections: sortBy(
+      queries.filter((query) => query.corrected > 0),
+      'corrected',
+    )
+      .slice(0, TOP_QUERY_LIMIT)
+      .map((query) => ({
+        term: query.term,
+        correctedTo: query.correctedTo,
+        corrected: query.corrected,
+        rejected: query.correctionsRejected,
+        acceptanceRate: ratio(
+          query.corrected - query.correctionsRejected,
+          query.corrected,
+        ),
+      })),
+    recoveries,
+    rules,
+    rulesVersions,
+    queries,
+  };
+}
+
+/**
+ * Queries for the "Trending now" list: searches that found products, with
+ * each day weighted below the one after it so this week's spikes outrank
+ * steady old favourites. Terms need a few searches to qualify, and since the
+ * collector cannot verify result counts, only queries made of catalog
+ * dictionary words are shown, so posted events cannot put arbitrary text on
+ * the storefront.
+ * @param {Array<SearchDayStats>} days Oldest first, as `listDays` returns.
+ * @param {{limit?: number}} [options]
+ * @return {string[]}
+ */
+export function getTrendingSearches(days, {limit = 8} = {}) {
+  const list = Array.isArray(days) ? days : [];
+  const scores = new Map();
+
+  list.forEach((day, index) => {
+    const weight = TRENDING_DAY_WEIGHT ** (list.length - 1 - index);
+    Object.entries(day?.terms || {}).forEach(([term, counts]) => {
+      if (term === OTHER_TERMS_KEY || !isKnownSearchTerm(term)) return;
+      const answered = (counts.searches || 0) - (counts.zeroResults || 0);
+      if (answered <= 0) return;
+      const entry = scores.get(term) || {searches: 0, score: 0};
+      entry.searches += answered;
+      entry.score += answered * weight;
+      scores.set(term, entry);
+    });
+  });
+
+  return Array.from(scores.entries())
+    .filter(([, entry]) => entry.searches >= TRENDING_MIN_SEARCHES)
+    .sort((a, b) => b[1].score - a[1].score || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([term]) => term);
+}
+
+/**
+ * One row per query, sorted by search count.
+ * @param {ReturnType<typeof summarizeSearchAnalytics>} summary
+ */
+export function formatSearchAnalyticsCsv(summary) {
+  const rows = sortBy(summary?.queries || [], 'searches').map((query) =>
+    QUERY_CSV_COLUMNS.map((column) => query[column] ?? ''),
+  );
+
+  return [QUERY_CSV_COLUMNS, ...rows]
+    .map((row) => row.map(escapeCsvValue).join(','))
+    .join('\n');
+}
+
+/**
+ * The dashboard shares the staff token and sign-in of the chatbot analytics
+ * (`CHATBOT_ADMIN_TOKEN`).
+ * @param {Parameters<typeof requireChatbotAdminPage>[0]} options
+ */
+export function requireSearchAnalyticsAdmin(options) {
+  return requireChatbotAdminPage(options);
+}
+
+/**
+ * @param {SearchDayStats} stats
+ * @param {SearchAnalyticsEvent} event
+ */
+function applyEvent(stats, event) {
+  const termKey =
+    Object.hasOwn(stats.terms, event.term) ||
+    Object.keys(stats.terms).length < MAX_TERMS_PER_DAY
+      ? event.term
+      : OTHER_TERMS_KEY;
+  if (!Object.hasOwn(stats.terms, termKey)) {
+    stats.terms[termKey] = createTermCounts();
+  }
+  const counts = stats.terms[termKey];
+  const bump = (key) => {
+    counts[key] += 1;
+    stats.totals[key] += 1;
+  };
+
+  if (event.type === 'search') {
+    bump('searches');
+    if (!event.productCount || event.recoveredBy) bump('zeroResults');
+    if (event.recoveredBy) {
+      bump('recovered');
+      increment(stats.recoveries, event.recoveredBy);
+    }
+    if (event.correctedTerm) {
+      bump('corrected');
+      counts.correctedTo = event.correctedTerm;
+    }
+    if (event.rules.length && event.rulesVersion !== null) {
+      increment(stats.rulesVersions, `v${event.rulesVersion}`);
+    }
+    event.rules.forEach((rule) => increment(stats.rules, rule));
+    return;
+  }
+
+  if (event.type === 'click') {
+    bump('clicks');
+    if (event.firstClick) bump('clickedSearches');
+    return;
+  }
+
+  bump('correctionsRejected');
+}
+
+/**
+ * Adds the counters of `source` to `target`.
+ * @param {SearchDayStats} target
+ * @param {SearchDayStats} source
+ * @return {SearchDayStats}
+ */
+function mergeDayStats(target, source) {
+  addCounts(target.totals, source?.totals);
+  addCounts(target.rules, source?.rules);
+  addCounts(target.rulesVersions, source?.rulesVersions);
+  addCounts(target.recoveries, source?.recoveries);
+
+  Object.entries(source?.terms || {}).forEach(([term, counts]) => {
+    const merged = Object.hasOwn(target.terms, term)
+      ? target.terms[term]
+      : createTermCounts();
+    addCounts(merged, counts);
+    if (counts.correctedTo) merged.correctedTo = counts.correctedTo;
+    target.terms[term] = merged;
+  });
+
+  return target;
+}
+
+function createDayStats() {
+  return {
+    totals: createTotals(),
+    terms: {},
+    rules: {},
+    rulesVersions: {},
+    recoveries: {},
+  };
+}
+
+function createTotals() {
+  return {
+    searches: 0,
+    zeroResults: 0,
+    recovered: 0,
+    corrected: 0,
+    correctionsRejected: 0,
+    clicks: 0,
+    clickedSearches: 0,
+  };
+}
+
+function createTermCounts() {
+  return {...createTotals(), correctedTo: ''};
+}
+
+function getClickThroughRate(counts) {
+  return ratio(counts.clickedSearches, counts.searches - counts.zeroResults);
+}
+
+function sanitizeTerm(value) {
+  if (typeof value !== 'string') return '';
+  return normalizeSearchTerm(redactContactDetails(value)).slice(
+    0,
+    MAX_TERM_LENGTH,
+  );
+}
+
+function addCounts(target, source) {
+  Object.entries(source || {}).forEach(([key, value]) => {
+    if (typeof value === 'number') target[key] = (target[key] || 0) + value;
+  });
+}
+
+function sortBy(list, key) {
+  return [...list].sort(
+    (a, b) => b[key] - a[key] || a.term.localeCompare(b.term),
+  );
+}
+
+function listDayKeys(from, to, timestamp) {
+  const end = parseDay(to) ?? parseDay(getDayKey(timestamp));
+  const start = parseDay(from) ?? end;
+  const keys = [];
+
+  for (
+    let day = Math.max(start, end - (MAX_REPORT_DAYS - 1) * 86400000);
+    day <= end;
+    day += 86400000
+  ) {
+    keys.push(getDayKey(day));
+  }
+
+  return keys;
+}
+
+function parseDay(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return Number.isFinite(time) ? time : null;
+}
+
+function getDayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function getStatsKey(dayKey, shard) {
+  return `search:stats:${dayKey}:${shard}`;
+}
+
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+function ratio(part, total) {
+  return total > 0 ? Math.round((Math.max(0, part) / total) * 1000) / 1000 : 0;
+}
+
+// Queries can start with `+`; those and other formula-like cells get a
+// leading `'`, so a spreadsheet shows them instead of running them.
+function escapeCsvValue(value) {
+  const raw = String(value ?? '');
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @typedef {{
+ *   type: 'search' | 'click' | 'correction_rejected';
+ *   term: string;
+ *   correctedTerm: string;
+ *   rulesVersion: number | null;
+ *   rules: string[];
+ *   productCount: number;
+ *   recoveredBy: string;
+ *   firstClick: boolean;
+ * }} SearchAnalyticsEvent
+ */
+/** @typedef {ReturnType<typeof createDayStats>} SearchDayStats */
@@ -1,5 +1,9 @@
 import MiniSearch from 'minisearch';
-import {SEARCH_TERMS} from './searchTerms.generated.js';
+import {SEARCH_REWRITE_RULES} from './searchRewriteRules.js';
+import {
+  SEARCH_TERM_FREQUENCIES,
+  SEARCH_TERMS,
+} from './searchTerms.generated.js';
 
 const MIN_WORD_LENGTH = 3;
 const MIN_CORRECTION_WORD_LENGTH = 2;
@@ -17,7 +21,6 @@ const SEARCH_ALIASES = new Map(
     cabe: 'cable',
     chager: 'charger',
     chrager: 'charger',
-    cover: 'case',
     galax: 'galaxy',
     huawe: 'huawei',
     huawi: 'huawei',
@@ -66,6 +69,21 @@ export async function getCorrectedSearchTerm({term}) {
   return correctedTerm;
 }
 
+/**
+ * Whether every word of a query is one the catalog dictionary knows (words
+ * shorter than three letters, such as the "c" in "usb c", are skipped).
+ * Used to keep storefront-visible lists free of made-up queries.
+ * @param {string} term
+ */
+export function isKnownSearchTerm(term) {
+  const words = tokenizeSearchText(term).filter(
+    (word) => word.length >= MIN_WORD_LENGTH || /\d/.test(word),
+  );
+  const {words: dictionary} = getCatalogSearchIndex();
+
+  return words.length > 0 && words.every((word) => dictionary.has(word));
+}
+
 /**
  * @param {string} value
  */
@@ -108,14 +126,28 @@ function buildCatalogSearchIndex() {
   for (const alias of SEARCH_ALIASES.values()) {
     addWords(words, alias);
   }
+  // Rewrite rule terms must survive spelling correction to be matched.
+  SEARCH_REWRITE_RULES.synonyms.flat().forEach((term) => addWords(words, term));
+  Object.entries(SEARCH_REWRITE_RULES.expansions).forEach(([key, targets]) => {
+    addWords(words, key);
+    targets.forEach((target) => addWords(words, target));
+  });
+  SEARCH_REWRITE_RULES.phrases.forEach(({match}) => addWords(words, match));
 
-  const documents = Array.from(words).map((term, id) => ({id, term}));
+  const documents = Array.from(words).map((term, id) => ({
+    id,
+    term,
+    frequency: SEARCH_TERM_FREQUENCIES[term] || 1,
+  }));
   const index = new MiniSearch({
     fields: ['term'],
-    storeFields: ['term'],
+    storeFields: ['term', 'frequency'],
     searchOptions: {
       fuzzy: FUZZY_SEARCH_DISTANCE,
       prefix: true,
+      // Among similar candidates, prefer terms the catalog uses often.
+      boostDocument: (id, term, storedFields) =>
+        1 + Math.log10(Number(storedFields?.frequency) || 1),
     },
   });
 
@@ -0,0 +1,4 @@
+// Generated by `npm run build:search-dictionary`.
+// The hash changes with the catalog index, so the file can be cached for good.
+// Empty until the script has written public/search-index.json.
+export const SEARCH_INDEX_URL = '';
@@ -0,0 +1,258 @@
+import {BRANDS} from '~/lib/brands';
+import {normalizeSearchTerm} from '~/lib/searchDictionary';
+
+const MAX_RELAXED_QUERIES = 3;
+const STOP_WORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'best',
+  'buy',
+  'cheap',
+  'for',
+  'new',
+  'of',
+  'original',
+  'price',
+  'the',
+  'with',
+]);
+const COLOR_WORDS = new Set([
+  'beige',
+  'black',
+  'blue',
+  'brown',
+  'clear',
+  'gold',
+  'gray',
+  'green',
+  'grey',
+  'orange',
+  'pink',
+  'purple',
+  'red',
+  'silver',
+  'transparent',
+  'white',
+  'yellow',
+]);
+// Product lines that imply a brand and start a model name.
+const PRODUCT_LINE_BRANDS = {
+  airpods: 'apple',
+  galaxy: 'samsung',
+  ipad: 'apple',
+  iphone: 'apple',
+  macbook: 'apple',
+  pixel: 'google',
+  poco: 'xiaomi',
+  redmi: 'xiaomi',
+};
+const MODEL_SUFFIX_WORDS = new Set([
+  'air',
+  'fe',
+  'lite',
+  'max',
+  'mini',
+  'note',
+  'plus',
+  'pro',
+  'se',
+  'ultra',
+]);
+const TOKEN_WEIGHT = {
+  stop: 0,
+  color: 1,
+  word: 2,
+  number: 3,
+  model: 4,
+  brand: 5,
+};
+
+/**
+ * Fallback queries for a search that returned no products, most specific
+ * first: the term with its least important words dropped one at a time,
+ * then the model on its own, then the brand on its own. Brand and model
+ * words are never dropped while relaxing.
+ *
+ * Also returns the brand the term mentions, whose collection is the last
+ * resort when every query still comes back empty.
+ * @param {string} term
+ * @return {{
+ *   queries: Array<{strategy: SearchRecoveryStrategy; term: string}>;
+ *   brand: (typeof BRANDS)[number] | null;
+ * }}
+ */
+export function getSearchRecoveryPlan(term) {
+  const tokens = normalizeSearchTerm(term).split(' ').filter(Boolean);
+  const {brand, brandIndexes} = findBrand(tokens);
+  const modelIndexes = findModelIndexes(tokens);
+  const weighted = tokens.map((token, index) => ({
+    token,
+    index,
+    weight: brandIndexes.has(index)
+      ? TOKEN_WEIGHT.brand
+      : modelIndexes.has(index)
+        ? TOKEN_WEIGHT.model
+        : getWordWeight(tokens, index),
+  }));
+
+  const queries = [];
+  const seen = new Set([tokens.join(' ')]);
+  const addQuery = (strategy, entries) => {
+    const query = entries.map(({token}) => token).join(' ');
+    if (!query || seen.has(query)) return;
+    seen.add(query);
+    queries.push({strategy, term: query});
+  };
+
+  // Stop words and colors go in a single step; other words one at a time,
+  // leftmost first since the product noun usually comes last.
+  let remaining = weighted.filter(({weight}) => weight > TOKEN_WEIGHT.color);
+  if (remaining.length && remaining.length < weighted.length) {
+    addQuery('relaxed', remaining);
+  }
+  while (
+    queries.length < MAX_RELAXED_QUERIES &&
+    remaining.filter(({weight}) => weight === TOKEN_WEIGHT.word).length &&
+    remaining.length > 1
+  ) {
+    const dropped = remaining.find(({weight}) => weight === TOKEN_WEIGHT.word);
+    remaining = remaining.filter((entry) => entry !== dropped);
+    addQuery('relaxed', remaining);
+  }
+
+  if (modelIndexes.size) {
+    addQuery(
+      'model',
+      weighted.filter(({index}) => modelIndexes.has(index)),
+    );
+  }
+
+  if (brand) {
+    addQuery('brand', [{token: normalizeSearchTerm(brand.name)}]);
+  }
+
+  return {queries, brand};
+}
+
+/**
+ * Writes one structured log line per search that found no products, so
+ * catalog gaps show up in the Oxygen logs.
+ * @param {{
+ *   term: string;
+ *   recovery: null | {strategy: string; searchTerm: string};
+ * }}
+ */
+export function logZeroResultSearch({term, recovery}) {
+  console.warn(
+    '[search] zero results',
+    JSON.stringify({
+      term: normalizeSearchTerm(term),
+      recoveredBy: recovery?.strategy || null,
+      recoveredTerm: recovery?.searchTerm || null,
+    }),
+  );
+}
+
+/**
+ * Finds the brand named in the query, else the brand implied by a product
+ * line word ("iphone" means Apple). Only named brand words are protected
+ * from relaxing; a product line word belongs to the model.
+ * @param {string[]} tokens
+ */
+function findBrand(tokens) {
+  // Multi-word names ("black shark") are tried first so the color "black" is
+  // not read as the start of another match.
+  for (const {brand, words} of getBrandNameTokens()) {
+    for (let index = 0; index + words.length <= tokens.length; index += 1) {
+      if (words.every((word, offset) => tokens[index + offset] === word)) {
+        return {
+          brand,
+          brandIndexes: new Set(words.map((word, offset) => index + offset)),
+        };
+      }
+    }
+  }
+
+  const lineToken = tokens.find((token) => token in PRODUCT_LINE_BRANDS);
+  const lineBrand = lineToken
+    ? BRANDS.find((brand) => brand.handle === PRODUCT_LINE_BRANDS[lineToken])
+    : null;
+
+  return {brand: lineBrand || null, brandIndexes: new Set()};
+}
+
+/**
+ * Model names start with a product line word, a letter-digit token or a
+ * number followed by a suffix, and run through further numbers and
+ * suffixes: "iphone 15 pro max", "s24 ultra", "15 pro". Plain counts such
+ * as the "3" in "3 in 1" are not models.
+ * @param {string[]} tokens
+ */
+function findModelIndexes(tokens) {
+  const indexes = new Set();
+  const continuesModel = (token) =>
+    /\d/.test(token || '') || MODEL_SUFFIX_WORDS.has(token);
+
+  tokens.forEach((token, index) => {
+    const startsModel =
+      token in PRODUCT_LINE_BRANDS ||
+      /[a-z]\d|\d[a-z]/.test(token) ||
+      (/^\d+$/.test(token) && MODEL_SUFFIX_WORDS.has(tokens[index + 1]));
+    if (!startsModel || indexes.has(index)) return;
+
+    let end = index;
+    while (end + 1 < tokens.length && continuesModel(tokens[end + 1])) {
+      end += 1;
+    }
+
+    // A lone product line word ("galaxy case") is not a model.
+    if (end === index && !/\d/.test(token)) return;
+
+    for (let cursor = index; cursor <= end; cursor += 1) {
+      indexes.add(cursor);
+    }
+  });
+
+  return indexes;
+}
+
+/**
+ * @param {string[]} tokens
+ * @param {number} index
+ */
+function getWordWeight(tokens, index) {
+  const token = tokens[index];
+  const isNumber = (value) => /^\d+$/.test(value || '');
+  // Counts such as "3 in 1" outlive the descriptive words around them.
+  if (
+    isNumber(token) ||
+    (token === 'in' &&
+      isNumber(tokens[index - 1]) &&
+      isNumber(tokens[index + 1]))
+  ) {
+    return TOKEN_WEIGHT.number;
+  }
+  if (STOP_WORDS.has(token)) return TOKEN_WEIGHT.stop;
+  if (COLOR_WORDS.has(token)) return TOKEN_WEIGHT.color;
+  return TOKEN_WEIGHT.word;
+}
+
+function getBrandNameTokens() {
+  if (!brandNameTokens) {
+    brandNameTokens = BRANDS.flatMap((brand) =>
+      Array.from(
+        new Set([
+          normalizeSearchTerm(brand.name),
+          normalizeSearchTerm(brand.handle),
+        ]),
+      ).map((name) => ({brand, words: name.split(' ')})),
+    ).sort((a, b) => b.words.length - a.words.length);
+  }
+
+  return brandNameTokens;
+}
+
+let brandNameTokens = null;
+
+/** @typedef {'relaxed' | 'model' | 'brand' | 'brand_collection'} SearchRecoveryStrategy */
@@ -0,0 +1,249 @@
+import {
+  getCorrectedSearchTerm,
+  normalizeSearchTerm,
+} from './searchDictionary.js';
+import {SEARCH_REWRITE_RULES} from './searchRewriteRules.js';
+
+const MODEL_NUMBER_TOKEN = '{n}';
+const MODEL_NUMBER_PATTERN = /^\d{1,2}$/;
+const RULE_PRIORITY = {phrase: 0, synonym: 1, expansion: 1};
+
+/**
+ * Spelling correction followed by the synonym, expansion and phrase rules
+ * from `searchRewriteRules.js`.
+ *
+ * `correctedTerm` is the readable form shown in the search banner, with
+ * phrase rules applied but the shopper's own synonyms kept. `query` ORs in
+ * synonyms, expansions and phrase rewrites next to the shopper's own words
+ * for the Storefront `search` query, e.g. "15 pro max cover" becomes
+ * `("iphone 15 pro max" OR "15 pro max") (case OR cover)`.
+ * `predictiveTerm` uses each group's canonical term instead, as
+ * `predictiveSearch` does not support boolean syntax.
+ * @param {{term: string}} args
+ */
+export async function getSearchRewrite({term}) {
+  const normalizedTerm = normalizeSearchTerm(term);
+  const correctedTerm = normalizedTerm
+    ? await getCorrectedSearchTerm({term: normalizedTerm})
+    : '';
+
+  return rewriteSearchQuery(correctedTerm || normalizedTerm);
+}
+
+/**
+ * Applies the rewrite rules to an already normalized term.
+ * @param {string} normalizedTerm
+ */
+export function rewriteSearchQuery(normalizedTerm) {
+  const tokens = String(normalizedTerm || '')
+    .split(' ')
+    .filter(Boolean);
+  const tokenSet = new Set(tokens);
+  const segments = [];
+  const rules = [];
+  let index = 0;
+
+  while (index < tokens.length) {
+    const match = findRuleMatch(tokens, index, tokenSet);
+    if (!match) {
+      segments.push({
+        text: tokens[index],
+        matchedText: tokens[index],
+        canonical: tokens[index],
+        alternatives: [],
+      });
+      index += 1;
+      continue;
+    }
+
+    segments.push(match.segment);
+    rules.push(match.ruleId);
+    index += match.length;
+  }
+
+  const expandedTerms = Array.from(
+    new Set(
+      segments.flatMap((segment) =>
+        segment.alternatives.filter(
+          (term) => term !== segment.text && term !== segment.matchedText,
+        ),
+      ),
+    ),
+  );
+
+  return {
+    version: SEARCH_REWRITE_RULES.version,
+    correctedTerm: segments.map((segment) => segment.text).join(' '),
+    predictiveTerm: segments.map((segment) => segment.canonical).join(' '),
+    query: segments.map(formatQuerySegment).join(' '),
+    expandedTerms,
+    rules,
+  };
+}
+
+/**
+ * @param {string[]} tokens
+ * @param {number} index
+ * @param {Set<string>} tokenSet
+ */
+function findRuleMatch(tokens, index, tokenSet) {
+  for (const rule of getCompiledRules()) {
+    if (rule.unless.some((word) => tokenSet.has(word))) continue;
+
+    const numbers = matchPattern(rule.pattern, tokens, index);
+    if (!numbers) continue;
+
+    const matchedText = tokens
+      .slice(index, index + rule.pattern.length)
+      .join(' ');
+    const canonical = fillModelNumbers(rule.text, numbers);
+    const isPhrase = rule.kind === 'phrase';
+
+    return {
+      length: rule.pattern.length,
+      ruleId: `${rule.kind}:${rule.source}`,
+      segment: {
+        text: isPhrase ? canonical : matchedText,
+        matchedText,
+        canonical,
+        // A phrase rewrite adds to the shopper's words rather than replacing
+        // them, so products titled "type c cable" still match.
+        alternatives: isPhrase
+          ? Array.from(new Set([canonical, matchedText]))
+          : rule.alternatives,
+      },
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Returns the model numbers captured by `{n}` tokens, or null on no match.
+ * @param {string[]} pattern
+ * @param {string[]} tokens
+ * @param {number} index
+ */
+function matchPattern(pattern, tokens, index) {
+  if (index + pattern.length > tokens.length) return null;
+
+  const numbers = [];
+  for (let offset = 0; offset < pattern.length; offset += 1) {
+    const token = tokens[index + offset];
+    if (pattern[offset] === MODEL_NUMBER_TOKEN) {
+      if (!MODEL_NUMBER_PATTERN.test(token)) return null;
+      numbers.push(token);
+    } else if (pattern[offset] !== token) {
+      return null;
+    }
+  }
+
+  return numbers;
+}
+
+/**
+ * @param {string} text
+ * @param {string[]} numbers
+ */
+function fillModelNumbers(text, numbers) {
+  let next = 0;
+  return text.replace(/\{n\}/g, () => numbers[next++] ?? '');
+}
+
+/**
+ * @param {{text: string; alternatives: string[]}} segment
+ */
+function formatQuerySegment(segment) {
+  if (segment.alternatives.length < 2) return segment.text;
+
+  const terms = segment.alternatives.map((term) =>
+    term.includes(' ') ? `"${term}"` : term,
+  );
+  return `(${terms.join(' OR ')})`;
+}
+
+function getCompiledRules() {
+  if (!compiledRules) {
+    compiledRules = compileRules(SEARCH_REWRITE_RULES);
+  }
+
+  return compiledRules;
+}
+
+/**
+ * Flattens the rule file into one list, phrase rules first and longer
+ * patterns before shorter ones so "usb type c" wins over "type c".
+ * @param {typeof SEARCH_REWRITE_RULES} ruleSet
+ */
+function compileRules(ruleSet) {
+  const rules = [];
+
+  (ruleSet.phrases || []).forEach(({match, replace, unless = []}) => {
+    rules.push({
+      kind: 'phrase',
+      source: match,
+      pattern: toPattern(match),
+      text: replace,
+      alternatives: [],
+      unless: unless.map((word) => normalizeSearchTerm(word)),
+    });
+  });
+
+  (ruleSet.synonyms || []).forEach((group) => {
+    const terms = group.map((term) => normalizeSearchTerm(term));
+    terms.forEach((term) => {
+      rules.push({
+        kind: 'synonym',
+        source: terms[0],
+        pattern: toPattern(term),
+        text: terms[0],
+        alternatives: terms,
+        unless: [],
+      });
+    });
+  });
+
+  Object.entries(ruleSet.expansions || {}).forEach(([key, targets]) => {
+    const term = normalizeSearchTerm(key);
+    const extraTerms = targets.map((target) => normalizeSearchTerm(target));
+    // A key that is also a synonym keeps its group and adds the targets.
+    const synonymRule = rules.find(
+      (rule) => rule.kind === 'synonym' && rule.pattern.join(' ') === term,
+    );
+    if (synonymRule) {
+      synonymRule.alternatives = [...synonymRule.alternatives, ...extraTerms];
+      return;
+    }
+
+    rules.push({
+      kind: 'expansion',
+      source: term,
+      pattern: toPattern(term),
+      text: term,
+      alternatives: [term, ...extraTerms],
+      unless: [],
+    });
+  });
+
+  return rules
+    .filter((rule) => rule.pattern.length)
+    .sort(
+      (a, b) =>
+        RULE_PRIORITY[a.kind] - RULE_PRIORITY[b.kind] ||
+        b.pattern.length - a.pattern.length,
+    );
+}
+
+/**
+ * @param {string} match
+ */
+function toPattern(match) {
+  return String(match || '')
+    .split(/\s+/)
+    .map((token) =>
+      token === MODEL_NUMBER_TOKEN ? token : normalizeSearchTerm(token),
+    )
+    .filter(Boolean);
+}
+
+let compiledRules = null;
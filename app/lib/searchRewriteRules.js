@@ -0,0 +1,76 @@
+// Query rewrite rules applied by `getSearchRewrite` (app/lib/searchRewrite.js)
+// after spelling correction. Terms are written in normalized form (lowercase,
+// no punctuation) except phrase `replace` values, which are used verbatim.
+// Bump `version` whenever the rules change: it is reported with every
+// rewritten search so results can be traced back to the rule set.
+
+// Other brands reuse the "Pro", "Plus" and "Pro Max" model names.
+const NON_IPHONE_MODEL_WORDS = [
+  'iphone',
+  'ipad',
+  'macbook',
+  'galaxy',
+  'samsung',
+  'note',
+  'redmi',
+  'xiaomi',
+  'poco',
+  'pixel',
+  'oneplus',
+  'huawei',
+  'honor',
+  'realme',
+  'oppo',
+  'vivo',
+];
+
+export const SEARCH_REWRITE_RULES = {
+  version: 2,
+
+  // Two-way synonyms: any member matches every member of its group. The first
+  // member is the canonical term shown to the shopper.
+  synonyms: [
+    ['case', 'cover'],
+    ['screen protector', 'tempered glass'],
+    ['power bank', 'portable charger'],
+    ['earbuds', 'earphones'],
+    ['headphones', 'headset'],
+    ['smartwatch', 'smart watch'],
+    ['car mount', 'car holder'],
+    ['charger', 'charging adapter'],
+  ],
+
+  // One-way expansions: the key also matches the listed terms, but searching
+  // for a listed term does not bring back the key.
+  expansions: {
+    earbuds: ['airpods', 'galaxy buds'],
+    'wireless charger': ['magsafe charger'],
+    'phone stand': ['phone holder'],
+    'gaming headset': ['gaming headphones'],
+  },
+
+  // Phrase rules add a rewritten form of the matched words: the search
+  // matches either, and the banner shows the rewrite. `{n}` matches a one or
+  // two digit model number. A rule is skipped when the query already contains
+  // any of the `unless` words.
+  phrases: [
+    {
+      match: '{n} pro max',
+      replace: 'iphone {n} pro max',
+      unless: NON_IPHONE_MODEL_WORDS,
+    },
+    {
+      match: '{n} pro',
+      replace: 'iphone {n} pro',
+      unless: NON_IPHONE_MODEL_WORDS,
+    },
+    {
+      match: '{n} plus',
+      replace: 'iphone {n} plus',
+      unless: NON_IPHONE_MODEL_WORDS,
+    },
+    {match: 'type c', replace: 'usb-c'},
+    {match: 'usb c', replace: 'usb-c'},
+    {match: 'usb type c', replace: 'usb-c'},
+  ],
+};
@@ -4205,3 +4205,6 @@ export const SEARCH_TERMS = [
   "zs393",
   "zte",
 ];
+
+export const SEARCH_TERM_FREQUENCIES = {
+};
@@ -0,0 +1,421 @@
+import {STORE_HOURS} from './storeHoursConfig.js';
+
+const WEEKDAYS = [
+  'sunday',
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+];
+const MONTHS = [
+  'Jan',
+  'Feb',
+  'Mar',
+  'Apr',
+  'May',
+  'Jun',
+  'Jul',
+  'Aug',
+  'Sep',
+  'Oct',
+  'Nov',
+  'Dec',
+];
+const DAY_MS = 86400000;
+// Longest run of closed days searched for the next opening or working day.
+const MAX_LOOKAHEAD_DAYS = 31;
+
+/** @type {Map<string, Intl.DateTimeFormat>} */
+const formatters = new Map();
+
+/**
+ * Whether the showroom is open at `now`, with the time it closes or the
+ * next time it opens. Dates are "YYYY-MM-DD" and times "HH:MM" in the
+ * store's time zone, so the result can be serialized as is.
+ * @param {Date} [now]
+ * @param {StoreHoursConfig} [config]
+ * @return {StoreStatus}
+ */
+export function getStoreStatus(now = new Date(), config = STORE_HOURS) {
+  const local = getLocalTime(now, config.timeZone);
+  const today = getDaySchedule(local.date, config);
+  const current = today.ranges.find(
+    ([open, close]) => local.minutes >= open && local.minutes < close,
+  );
+
+  if (current) {
+    return {
+      isOpen: true,
+      today: local.date,
+      closesAt: formatTime(current[1]),
+      opensOn: null,
+      opensAt: null,
+      reason: today.reason,
+    };
+  }
+
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset += 1) {
+    const date = addDays(local.date, offset);
+    const next = getDaySchedule(date, config).ranges.find(
+      ([open]) => offset > 0 || open > local.minutes,
+    );
+    if (next) {
+      return {
+        isOpen: false,
+        today: local.date,
+        closesAt: null,
+        opensOn: date,
+        opensAt: formatTime(next[0]),
+        reason: today.reason,
+      };
+    }
+  }
+
+  return {
+    isOpen: false,
+    today: local.date,
+    closesAt: null,
+    opensOn: null,
+    opensAt: null,
+    reason: today.reason,
+  };
+}
+
+/**
+ * When an order placed at `now` reaches `region`. Orders confirmed before
+ * the day's cutoff are dispatched the same day; later ones on the next
+ * working day. The region's `minDays`/`maxDays` are counted in working days
+ * from dispatch.
+ * @param {{region?: string; now?: Date; config?: StoreHoursConfig}} [options]
+ * @return {DeliveryPromise}
+ */
+export function getDeliveryPromise({
+  region,
+  now = new Date(),
+  config = STORE_HOURS,
+} = {}) {
+  const {delivery} = config;
+  const regionKey = delivery.regions[region] ? region : delivery.defaultRegion;
+  const regionConfig = delivery.regions[regionKey];
+  const local = getLocalTime(now, config.timeZone);
+  const cutoff = getDispatchCutoff(
+    getDaySchedule(local.date, config),
+    parseTime(delivery.cutoff),
+  );
+  const shipsToday = cutoff != null && local.minutes < cutoff;
+  const dispatchDate = shipsToday
+    ? local.date
+    : findWorkingDay(local.date, 1, config);
+
+  return {
+    region: regionKey,
+    label: regionConfig.label,
+    today: local.date,
+    shipsToday,
+    minutesToCutoff: shipsToday ? cutoff - local.minutes : null,
+    dispatchDate,
+    earliestDate: addWorkingDays(dispatchDate, regionConfig.minDays, config),
+    latestDate: addWorkingDays(dispatchDate, regionConfig.maxDays, config),
+    minDays: regionConfig.minDays,
+    maxDays: regionConfig.maxDays,
+  };
+}
+
+/**
+ * One-line promise for the product page, cart and assistant, e.g. "Order
+ * within 2h 14m for same-day delivery in Beirut".
+ * @param {DeliveryPromise} promise
+ */
+export function formatDeliveryPromise(promise) {
+  const countdown =
+    promise.minutesToCutoff != null
+      ? `Order within ${formatDuration(promise.minutesToCutoff)}`
+      : 'Order now';
+
+  if (promise.maxDays === 0) {
+    return promise.latestDate === promise.today
+      ? `${countdown} for same-day delivery in ${promise.label}`
+      : `${countdown} for delivery in ${promise.label} ${formatRelativeDay(
+          promise.latestDate,
+          promise.today,
+        )}`;
+  }
+
+  const shipping = promise.shipsToday
+    ? 'to ship today'
+    : `to ship ${formatRelativeDay(promise.dispatchDate, promise.today)}`;
+
+  return `${countdown} ${shipping}, for delivery ${promise.label} ${formatRelativeDay(
+    promise.latestDate,
+    promise.today,
+    'by',
+  )}`;
+}
+
+/**
+ * "Open now until 22:00" or "Closed for Christmas, opens tomorrow at 10:00".
+ * @param {StoreStatus} status
+ */
+export function formatStoreStatus(status) {
+  if (status.isOpen) return `Open now until ${status.closesAt}`;
+
+  const closed = status.reason ? `Closed for ${status.reason}` : 'Closed now';
+  if (!status.opensOn) return closed;
+
+  return `${closed}, opens ${formatRelativeDay(
+    status.opensOn,
+    status.today,
+  )} at ${status.opensAt}`;
+}
+
+/**
+ * The usual promise per region, without a countdown, for server-rendered
+ * copy: "Same-day delivery in Beirut, 2-3 working days outside Beirut".
+ * @param {StoreHoursConfig} [config]
+ */
+export function formatDeliveryOverview(config = STORE_HOURS) {
+  const parts = Object.values(config.delivery.regions).map((region) => {
+    if (region.maxDays === 0) return `same-day delivery in ${region.label}`;
+
+    const days =
+      region.minDays === region.maxDays
+        ? `${region.maxDays}`
+        : `${region.minDays}-${region.maxDays}`;
+    return `${days} working day${region.maxDays === 1 ? '' : 's'} ${region.label}`;
+  });
+  const text = parts.join(', ');
+
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * "Every day 10:00-22:00" or one entry per weekday when they differ.
+ * @param {StoreHoursConfig} [config]
+ */
+export function formatWeeklyHours(config = STORE_HOURS) {
+  const days = [...WEEKDAYS.slice(1), WEEKDAYS[0]].map((weekday) => ({
+    weekday,
+    hours: formatRanges(
+      (config.weekly[weekday] || []).map(([open, close]) => [
+        parseTime(open),
+        parseTime(close),
+      ]),
+    ),
+  }));
+
+  if (days.every((day) => day.hours === days[0].hours)) {
+    return `Every day ${days[0].hours}`;
+  }
+
+  return days
+    .map((day) => `${capitalize(day.weekday)} ${day.hours}`)
+    .join(', ');
+}
+
+/**
+ * Showroom hours and the live delivery promise for every region, one line
+ * each, for the assistant's store facts.
+ * @param {Date} [now]
+ * @param {StoreHoursConfig} [config]
+ */
+export function getStoreHoursFacts(now = new Date(), config = STORE_HOURS) {
+  return [
+    `- Showroom hours (${config.timeZone} time): ${formatWeeklyHours(
+      config,
+    )}. ${formatStoreStatus(getStoreStatus(now, config))}.`,
+    ...Object.keys(config.delivery.regions).map(
+      (region) =>
+        `- Delivery right now: ${formatDeliveryPromise(
+          getDeliveryPromise({region, now, config}),
+        )}.`,
+    ),
+  ];
+}
+
+/**
+ * Hours for a pickup location: the showroom config with the branch's
+ * `locations` entry, matched by location ID first and then by name.
+ * @param {{id?: string; name?: string} | null | undefined} location
+ * @param {StoreHoursConfig} [config]
+ * @return {StoreHoursConfig}
+ */
+export function getLocationHoursConfig(location, config = STORE_HOURS) {
+  const overrides = config.locations || {};
+  const override =
+    (location?.id && overrides[location.id]) ||
+    (location?.name && overrides[location.name.trim()]);
+
+  return override ? {...config, ...override} : config;
+}
+
+/**
+ * Opening ranges for a "YYYY-MM-DD" date after closures and holidays, in
+ * minutes since midnight. `reason` names the closure or holiday.
+ * @param {string} date
+ * @param {StoreHoursConfig} [config]
+ * @return {{ranges: Array<[number, number]>; reason: string | null}}
+ */
+export function getDaySchedule(date, config = STORE_HOURS) {
+  const closure = (config.closures || []).find(
+    (entry) => entry.from <= date && date <= (entry.to || entry.from),
+  );
+  if (closure) {
+    return {
+      ranges: toRanges(closure.hours || []),
+      reason: closure.reason || null,
+    };
+  }
+
+  const holiday = (config.holidays || []).find(
+    (entry) => entry.date === date || entry.date === date.slice(5),
+  );
+  if (holiday) return {ranges: [], reason: holiday.name || null};
+
+  return {
+    ranges: toRanges(config.weekly[getWeekday(date)] || []),
+    reason: null,
+  };
+}
+
+function getDispatchCutoff(schedule, cutoff) {
+  if (!schedule.ranges.length) return null;
+
+  const lastClose = Math.max(...schedule.ranges.map(([, close]) => close));
+  return Math.min(cutoff, lastClose);
+}
+
+function findWorkingDay(date, fromOffset, config) {
+  for (let offset = fromOffset; offset <= MAX_LOOKAHEAD_DAYS; offset += 1) {
+    const candidate = addDays(date, offset);
+    if (getDaySchedule(candidate, config).ranges.length) return candidate;
+  }
+
+  return addDays(date, fromOffset);
+}
+
+function addWorkingDays(date, count, config) {
+  let result = date;
+  for (let index = 0; index < count; index += 1) {
+    result = findWorkingDay(result, 1, config);
+  }
+  return result;
+}
+
+function getLocalTime(now, timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    });
+    formatters.set(timeZone, formatter);
+  }
+
+  const parts = Object.fromEntries(
+    formatter.formatToParts(now).map((part) => [part.type, part.value]),
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+function formatRelativeDay(date, today, preposition = 'on') {
+  const days = Math.round((toUtcTime(date) - toUtcTime(today)) / DAY_MS);
+  if (days === 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  if (days > 1 && days < 7) {
+    return `${preposition} ${capitalize(getWeekday(date))}`;
+  }
+
+  const [, month, day] = date.split('-').map(Number);
+  return `${preposition} ${day} ${MONTHS[month - 1]}`;
+}
+
+function formatDuration(minutes) {
+  const total = Math.max(1, minutes);
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+
+  if (!hours) return `${rest}m`;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+}
+
+function formatRanges(ranges) {
+  if (!ranges.length) return 'closed';
+
+  return ranges
+    .map(([open, close]) => `${formatTime(open)}-${formatTime(close)}`)
+    .join(', ');
+}
+
+function toRanges(hours) {
+  return hours
+    .map(([open, close]) => [parseTime(open), parseTime(close)])
+    .filter(([open, close]) => close > open)
+    .sort((a, b) => a[0] - b[0]);
+}
+
+function parseTime(value) {
+  const [hours, minutes] = String(value || '0:0')
+    .split(':')
+    .map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+}
+
+function formatTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(
+    2,
+    '0',
+  )}`;
+}
+
+function addDays(date, days) {
+  return new Date(toUtcTime(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function getWeekday(date) {
+  return WEEKDAYS[new Date(toUtcTime(date)).getUTCDay()];
+}
+
+function toUtcTime(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+/**
+ * @typedef {import('./storeHoursConfig.js').StoreHoursConfig} StoreHoursConfig
+ * @typedef {{
+ *   isOpen: boolean;
+ *   today: string;
+ *   closesAt: string | null;
+ *   opensOn: string | null;
+ *   opensAt: string | null;
+ *   reason: string | null;
+ * }} StoreStatus
+ * @typedef {{
+ *   region: string;
+ *   label: string;
+ *   today: string;
+ *   shipsToday: boolean;
+ *   minutesToCutoff: number | null;
+ *   dispatchDate: string;
+ *   earliestDate: string;
+ *   latestDate: string;
+ *   minDays: number;
+ *   maxDays: number;
+ * }} DeliveryPromise
+ */
@@ -0,0 +1,77 @@
+// Opening hours and delivery rules read by `app/lib/storeHours.js`. Times are
+// "HH:MM" wall-clock times in `timeZone`; dates are "YYYY-MM-DD" in the same
+// zone.
+//
+// - `weekly`: opening ranges per weekday. An empty list closes the day; a
+//   range may close at "24:00".
+// - `holidays`: days the showroom is closed. "MM-DD" repeats every year,
+//   "YYYY-MM-DD" applies once, e.g. {date: '12-25', name: 'Christmas'}.
+// - `closures`: special hours over a date range, e.g. stock-taking or a
+//   shortened Eid schedule: {from: '2026-08-03', to: '2026-08-04',
+//   hours: [['10:00', '14:00']], reason: 'Stock-taking'}. `hours: []` closes
+//   the showroom. Closures win over holidays, holidays over `weekly`.
+// - `locations`: per-branch overrides of `weekly`, `holidays` or `closures`,
+//   keyed by the Shopify location name or ID shown in the store availability
+//   list, e.g. {'Dbayeh': {weekly: {...}}}. Branches without an entry keep
+//   the showroom hours.
+//
+// Delivery counts working days, i.e. days with opening hours after holidays
+// and closures are applied, since orders are dispatched from the showroom.
+
+/** @type {Array<[string, string]>} */
+const EVERY_DAY = [['10:00', '22:00']];
+
+/** @type {StoreHoursConfig} */
+export const STORE_HOURS = {
+  timeZone: 'Asia/Beirut',
+
+  weekly: {
+    monday: EVERY_DAY,
+    tuesday: EVERY_DAY,
+    wednesday: EVERY_DAY,
+    thursday: EVERY_DAY,
+    friday: EVERY_DAY,
+    saturday: EVERY_DAY,
+    sunday: EVERY_DAY,
+  },
+
+  holidays: [],
+
+  closures: [],
+
+  locations: {},
+
+  delivery: {
+    // Orders confirmed before the cutoff leave the showroom the same day.
+    // A day's closing time applies instead when it is earlier.
+    cutoff: '18:00',
+    defaultRegion: 'beirut',
+    regions: {
+      beirut: {label: 'Beirut', minDays: 0, maxDays: 0},
+      lebanon: {label: 'outside Beirut', minDays: 2, maxDays: 3},
+    },
+  },
+};
+
+/**
+ * @typedef {{
+ *   timeZone: string;
+ *   weekly: Record<string, Array<[string, string]>>;
+ *   holidays: Array<{date: string; name?: string}>;
+ *   closures: Array<{
+ *     from: string;
+ *     to?: string;
+ *     hours?: Array<[string, string]>;
+ *     reason?: string;
+ *   }>;
+ *   locations?: Record<
+ *     string,
+ *     Partial<Pick<StoreHoursConfig, 'weekly' | 'holidays' | 'closures'>>
+ *   >;
+ *   delivery: {
+ *     cutoff: string;
+ *     defaultRegion: string;
+ *     regions: Record<string, {label: string; minDays: number; maxDays: number}>;
+ *   };
+ * }} StoreHoursConfig
+ */
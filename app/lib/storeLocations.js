@@ -0,0 +1,72 @@
+import {getLocationHoursConfig, getStoreStatus} from './storeHours.js';
+
+// Stock at or below this reads "Only N left" in the availability list.
+const LOW_STOCK_THRESHOLD = 3;
+
+/**
+ * Branches listed in a variant's Storefront `storeAvailability`, with their
+ * address, pickup time and opening status at `now` (null until the client
+ * clock starts). Branches holding stock come first. An empty list means the
+ * variant has no pickup locations and callers fall back to the
+ * `custom.availability` metafield.
+ * @param {{storeAvailability?: {nodes?: Array<StoreAvailabilityNode>}} | null | undefined} variant
+ * @param {Date | null} [now]
+ * @return {Array<StoreLocation>}
+ */
+export function getStoreLocations(variant, now = null) {
+  const nodes = variant?.storeAvailability?.nodes ?? [];
+
+  return nodes
+    .filter((node) => node?.location?.id)
+    .map(({available, pickUpTime, quantityAvailable, location}) => ({
+      id: location.id,
+      name: location.name,
+      address: (location.address?.formatted ?? []).filter(Boolean).join(', '),
+      phone: location.address?.phone || null,
+      available: Boolean(available),
+      quantityAvailable: quantityAvailable ?? null,
+      pickUpTime: pickUpTime?.trim() || null,
+      status: now
+        ? getStoreStatus(now, getLocationHoursConfig(location))
+        : null,
+    }))
+    .sort((a, b) => Number(b.available) - Number(a.available));
+}
+
+/**
+ * "In stock", "Only 2 left" or "Out of stock". Quantities are only shown
+ * when low, since untracked inventory reports zero.
+ * @param {Pick<StoreLocation, 'available' | 'quantityAvailable'>} location
+ */
+export function formatLocationStock(location) {
+  if (!location.available) return 'Out of stock';
+
+  const quantity = location.quantityAvailable;
+  if (quantity > 0 && quantity <= LOW_STOCK_THRESHOLD) {
+    return `Only ${quantity} left`;
+  }
+  return 'In stock';
+}
+
+/**
+ * @typedef {{
+ *   available: boolean;
+ *   pickUpTime?: string | null;
+ *   quantityAvailable?: number | null;
+ *   location: {
+ *     id: string;
+ *     name: string;
+ *     address?: {formatted?: string[]; phone?: string | null} | null;
+ *   };
+ * }} StoreAvailabilityNode
+ * @typedef {{
+ *   id: string;
+ *   name: string;
+ *   address: string;
+ *   phone: string | null;
+ *   available: boolean;
+ *   quantityAvailable: number | null;
+ *   pickUpTime: string | null;
+ *   status: import('./storeHours.js').StoreStatus | null;
+ * }} StoreLocation
+ */
@@ -0,0 +1,434 @@
+import {CANONICAL_ORIGIN, canonicalUrl} from './canonical.js';
+import {isZeroPrice} from './pricing.js';
+import {getProductRating} from './reviews/rating.js';
+import {STORE_HOURS} from './storeHoursConfig.js';
+import {getVariantUrl} from './variants.js';
+
+const SCHEMA_CONTEXT = 'https://schema.org';
+const ORGANIZATION_ID = `${CANONICAL_ORIGIN}/#organization`;
+const STORE_ID = `${CANONICAL_ORIGIN}/#store`;
+const DEFAULT_VARIANT_TITLE = 'Default Title';
+const GTIN_PATTERN = /^(\d{8}|\d{12,14})$/;
+const MAX_PRODUCT_IMAGES = 10;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const WEEKDAYS = [
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+  'Sunday',
+];
+
+/**
+ * The Beirut showroom, as listed in the footer and the assistant's store
+ * facts.
+ */
+export const PIXEL_ZONES_STORE = {
+  name: 'Pixel Zones',
+  telephone: '+961 81 539 339',
+  address: {
+    streetAddress: 'Sequoia Building, Sami Al Solh Avenue, Adlieh',
+    addressLocality: 'Beirut',
+    addressCountry: 'LB',
+  },
+  mapUrl: 'https://maps.google.com/?q=Pixel+Zones,+Sami+Solh+Avenu,+Beirut',
+  sameAs: [
+    'https://www.instagram.com/pixel.zones/',
+    'https://www.facebook.com/people/Pixel-Zones/61556339013618/',
+    'https://www.youtube.com/@pixelzones',
+  ],
+};
+
+/**
+ * Meta descriptors rendering each schema as a
+ * `<script type="application/ld+json">` tag. Empty schemas are skipped, so
+ * builders can return null when a page lacks the data.
+ * @param {...(Record<string, unknown> | null | undefined)} schemas
+ */
+export function getJsonLdMeta(...schemas) {
+  return schemas.filter(Boolean).map((schema) => ({
+    'script:ld+json': {'@context': SCHEMA_CONTEXT, ...schema},
+  }));
+}
+
+/**
+ * `Product` with one `Offer` per priced variant: a single offer for
+ * one-variant products, an `AggregateOffer` spanning the variants otherwise.
+ * "Call for price" variants (zero price) are left out of the offers. Products
+ * with approved reviews get an `AggregateRating` from the rating metafields.
+ * @param {StructuredDataProduct} product
+ * @param {{selectedVariant?: StructuredDataVariant | null}} [options]
+ */
+export function getProductJsonLd(product, {selectedVariant} = {}) {
+  if (!product?.handle || !product.title) return null;
+
+  const url = canonicalUrl(`/products/${product.handle}`);
+  const variants = product.offerVariants?.nodes || [];
+  const variant = selectedVariant || variants[0] || null;
+  const offers = variants
+    .filter((entry) => entry?.price?.amount && !isZeroPrice(entry.price))
+    .map((entry) => getOfferJsonLd(product, entry));
+  const images = (product.images?.nodes || [])
+    .map((image) => image?.url)
+    .filter(Boolean)
+    .slice(0, MAX_PRODUCT_IMAGES);
+  const description = compactWhitespace(
+    product.seo?.description || product.description,
+  ).slice(0, MAX_DESCRIPTION_LENGTH);
+
+  return compact({
+    '@type': 'Product',
+    '@id': `${url}#product`,
+    name: product.title,
+    url,
+    description,
+    image: images.length ? images : undefined,
+    sku: variant?.sku || undefined,
+    gtin: getGtin(variant) || undefined,
+    brand: product.vendor
+      ? {'@type': 'Brand', name: product.vendor}
+      : undefined,
+    offers: getOffersJsonLd(offers),
+    aggregateRating: getAggregateRatingJsonLd(product),
+  });
+}
+
+/**
+ * @param {StructuredDataProduct} product
+ */
+function getAggregateRatingJsonLd(product) {
+  const rating = getProductRating(product);
+  if (!rating) return undefined;
+
+  return {
+    '@type': 'AggregateRating',
+    ratingValue: rating.ratingValue,
+    reviewCount: rating.reviewCount,
+    bestRating: rating.bestRating,
+    worstRating: rating.worstRating,
+  };
+}
+
+/**
+ * `BreadcrumbList` from `[{name, url}]`, home first. Relative URLs are
+ * resolved against the canonical origin, and an entry repeating the URL of
+ * the one before it replaces it, so the current page can always be appended
+ * to a menu trail that already ends with it.
+ * @param {Array<{name: string; url: string}>} trail
+ */
+export function getBreadcrumbJsonLd(trail) {
+  const items = [];
+  for (const item of trail || []) {
+    if (!item?.name || !item.url) continue;
+
+    const entry = {name: item.name, url: toAbsoluteUrl(item.url)};
+    if (items.at(-1)?.url === entry.url) {
+      items[items.length - 1] = entry;
+    } else {
+      items.push(entry);
+    }
+  }
+  if (items.length < 2) return null;
+
+  return {
+    '@type': 'BreadcrumbList',
+    itemListElement: items.map((item, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      name: item.name,
+      item: item.url,
+    })),
+  };
+}
+
+/**
+ * Breadcrumb trail to a page through the main menu: Home, then the menu
+ * items above the first item linking to one of `pathnames`, then that item.
+ * Menu items without a page of their own (`#`, the home page) are skipped.
+ * Returns just Home when no menu item matches.
+ * @param {StructuredDataMenu | null | undefined} menu
+ * @param {string[]} pathnames
+ */
+export function getMenuBreadcrumbTrail(menu, pathnames) {
+  const targets = new Set(pathnames.map(normalizePathname).filter(Boolean));
+  const path = findMenuPath(menu?.items || [], targets) || [];
+  const trail = [{name: 'Home', url: '/'}];
+  const seen = new Set(['/']);
+
+  for (const item of path) {
+    const pathname = normalizePathname(item.url);
+    if (!pathname || seen.has(pathname)) continue;
+    seen.add(pathname);
+    trail.push({name: item.title, url: pathname});
+  }
+
+  return trail;
+}
+
+/**
+ * `ItemList` of product URLs for collection and brand pages. `startIndex`
+ * keeps positions continuous across pages.
+ * @param {Array<{handle?: string | null; title?: string | null}>} products
+ * @param {{name?: string; url?: string; startIndex?: number}} [options]
+ */
+export function getItemListJsonLd(products, {name, url, startIndex = 0} = {}) {
+  const items = (products || []).filter((product) => product?.handle);
+  if (!items.length) return null;
+
+  return compact({
+    '@type': 'ItemList',
+    name: name || undefined,
+    url: url ? toAbsoluteUrl(url) : undefined,
+    numberOfItems: items.length,
+    itemListElement: items.map((product, index) => ({
+      '@type': 'ListItem',
+      position: startIndex + index + 1,
+      url: canonicalUrl(`/products/${product.handle}`),
+      name: product.title || undefined,
+    })),
+  });
+}
+
+/**
+ * @param {{logoUrl?: string | null}} [options]
+ */
+export function getOrganizationJsonLd({logoUrl} = {}) {
+  return compact({
+    '@type': 'Organization',
+    '@id': ORGANIZATION_ID,
+    name: PIXEL_ZONES_STORE.name,
+    url: CANONICAL_ORIGIN,
+    logo: logoUrl || undefined,
+    sameAs: PIXEL_ZONES_STORE.sameAs,
+    contactPoint: {
+      '@type': 'ContactPoint',
+      telephone: PIXEL_ZONES_STORE.telephone,
+      contactType: 'customer service',
+      areaServed: 'LB',
+    },
+  });
+}
+
+/**
+ * The Beirut showroom as an `ElectronicsStore`, the `LocalBusiness` subtype
+ * for electronics shops. Opening hours, dated holidays and closures come
+ * from the store hours config.
+ * @param {{imageUrl?: string | null}} [options]
+ */
+export function getLocalBusinessJsonLd({imageUrl} = {}) {
+  return compact({
+    '@type': 'ElectronicsStore',
+    '@id': STORE_ID,
+    name: PIXEL_ZONES_STORE.name,
+    url: CANONICAL_ORIGIN,
+    image: imageUrl || undefined,
+    telephone: PIXEL_ZONES_STORE.telephone,
+    hasMap: PIXEL_ZONES_STORE.mapUrl,
+    parentOrganization: {'@id': ORGANIZATION_ID},
+    address: {'@type': 'PostalAddress', ...PIXEL_ZONES_STORE.address},
+    openingHoursSpecification: getOpeningHoursJsonLd(STORE_HOURS.weekly),
+    specialOpeningHoursSpecification: getSpecialHoursJsonLd(STORE_HOURS),
+  });
+}
+
+// One specification per distinct range, listing the weekdays it applies to.
+function getOpeningHoursJsonLd(weekly) {
+  const specs = new Map();
+
+  for (const weekday of WEEKDAYS) {
+    for (const [opens, closes] of weekly[weekday.toLowerCase()] || []) {
+      const key = `${opens}-${closes}`;
+      if (!specs.has(key)) {
+        specs.set(key, {
+          '@type': 'OpeningHoursSpecification',
+          dayOfWeek: [],
+          opens,
+          closes,
+        });
+      }
+      specs.get(key).dayOfWeek.push(weekday);
+    }
+  }
+
+  return Array.from(specs.values());
+}
+
+// Closures and one-off holidays. Yearly "MM-DD" holidays have no fixed date
+// to publish. Closed days use 00:00-00:00, as search engines expect.
+function getSpecialHoursJsonLd(config) {
+  const closed = [['00:00', '00:00']];
+  const entries = [
+    ...config.closures.map((closure) => ({
+      from: closure.from,
+      to: closure.to || closure.from,
+      hours: closure.hours?.length ? closure.hours : closed,
+    })),
+    ...config.holidays
+      .filter((holiday) => /^\d{4}-/.test(holiday.date))
+      .map((holiday) => ({
+        from: holiday.date,
+        to: holiday.date,
+        hours: closed,
+      })),
+  ];
+  const specs = entries.flatMap(({from, to, hours}) =>
+    hours.map(([opens, closes]) => ({
+      '@type': 'OpeningHoursSpecification',
+      validFrom: from,
+      validThrough: to,
+      opens,
+      closes,
+    })),
+  );
+
+  return specs.length ? specs : undefined;
+}
+
+/**
+ * The header menu from the root loader, for breadcrumbs built in `meta`.
+ * @param {Array<{id: string; data?: unknown}> | undefined} matches
+ * @return {StructuredDataMenu | null}
+ */
+export function getRootMenu(matches) {
+  const rootData =
+    /** @type {{header?: {menu?: StructuredDataMenu}} | undefined} */ (
+      matches?.find((match) => match?.id === 'root')?.data
+    );
+  return rootData?.header?.menu || null;
+}
+
+function getOffersJsonLd(offers) {
+  if (!offers.length) return undefined;
+  if (offers.length === 1) return offers[0];
+
+  const prices = offers.map((offer) => Number(offer.price));
+  return {
+    '@type': 'AggregateOffer',
+    priceCurrency: offers[0].priceCurrency,
+    lowPrice: formatPrice(Math.min(...prices)),
+    highPrice: formatPrice(Math.max(...prices)),
+    offerCount: offers.length,
+    availability: offers.some(
+      (offer) => offer.availability === `${SCHEMA_CONTEXT}/InStock`,
+    )
+      ? `${SCHEMA_CONTEXT}/InStock`
+      : `${SCHEMA_CONTEXT}/OutOfStock`,
+    offers,
+  };
+}
+
+/**
+ * @param {StructuredDataProduct} product
+ * @param {StructuredDataVariant} variant
+ */
+function getOfferJsonLd(product, variant) {
+  const isDefaultVariant =
+    !variant.title || variant.title === DEFAULT_VARIANT_TITLE;
+
+  return compact({
+    '@type': 'Offer',
+    url: canonicalUrl(
+      getVariantUrl({
+        handle: product.handle,
+        pathname: '',
+        searchParams: new URLSearchParams(),
+        selectedOptions: isDefaultVariant ? [] : variant.selectedOptions,
+      }),
+    ),
+    name: isDefaultVariant ? undefined : variant.title,
+    sku: variant.sku || undefined,
+    gtin: getGtin(variant) || undefined,
+    price: formatPrice(variant.price.amount),
+    priceCurrency: variant.price.currencyCode,
+    availability: variant.availableForSale
+      ? `${SCHEMA_CONTEXT}/InStock`
+      : `${SCHEMA_CONTEXT}/OutOfStock`,
+    itemCondition: `${SCHEMA_CONTEXT}/NewCondition`,
+    seller: {'@id': ORGANIZATION_ID},
+  });
+}
+
+function findMenuPath(items, targets) {
+  for (const item of items) {
+    if (!item) continue;
+    if (targets.has(normalizePathname(item.url))) return [item];
+
+    const childPath = findMenuPath(item.items || [], targets);
+    if (childPath) return [item, ...childPath];
+  }
+
+  return null;
+}
+
+// Menu URLs are absolute on the shop domain; only the path identifies the
+// page. Locale prefixes ("/en-lb") and query strings are dropped.
+function normalizePathname(url) {
+  if (!url || url === '#') return '';
+
+  try {
+    const pathname = new URL(url, CANONICAL_ORIGIN).pathname
+      .replace(/^\/[a-z]{2}-[a-z]{2}(?=\/|$)/i, '')
+      .replace(/\/+$/, '')
+      .toLowerCase();
+    return pathname || '/';
+  } catch {
+    return '';
+  }
+}
+
+function toAbsoluteUrl(url) {
+  return new URL(url, CANONICAL_ORIGIN).toString();
+}
+
+function getGtin(variant) {
+  const barcode = String(variant?.barcode || '').replace(/[\s-]/g, '');
+  return GTIN_PATTERN.test(barcode) ? barcode : '';
+}
+
+function formatPrice(amount) {
+  const numeric = Number(amount);
+  return Number.isFinite(numeric) ? numeric.toFixed(2) : '0.00';
+}
+
+function compactWhitespace(value) {
+  return String(value || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Drops undefined and empty-string properties so optional fields are omitted
+// rather than emitted as empty values.
+function compact(schema) {
+  return Object.fromEntries(
+    Object.entries(schema).filter(
+      ([, value]) => value !== undefined && value !== '',
+    ),
+  );
+}
+
+/**
+ * @typedef {{
+ *   id?: string;
+ *   title?: string | null;
+ *   sku?: string | null;
+ *   barcode?: string | null;
+ *   availableForSale?: boolean;
+ *   price?: {amount: string; currencyCode: string} | null;
+ *   selectedOptions?: Array<{name: string; value: string}>;
+ * }} StructuredDataVariant
+ * @typedef {{
+ *   handle: string;
+ *   title: string;
+ *   vendor?: string | null;
+ *   description?: string | null;
+ *   seo?: {description?: string | null} | null;
+ *   images?: {nodes: Array<{url: string}>} | null;
+ *   offerVariants?: {nodes: StructuredDataVariant[]} | null;
+ *   rating?: {value?: string | null} | null;
+ *   ratingCount?: {value?: string | null} | null;
+ * }} StructuredDataProduct
+ * @typedef {{title: string; url?: string | null; items?: StructuredDataMenuItem[]}} StructuredDataMenuItem
+ * @typedef {{items?: StructuredDataMenuItem[]}} StructuredDataMenu
+ */
@@ -1,5 +1,6 @@
 export const CHECKOUT_STARTED_EVENT = 'checkout_started';
 export const SEARCH_SUBMITTED_EVENT = 'search_submitted';
+export const SEARCH_ANALYTICS_ENDPOINT = '/api/search-events';
 
 const WETRACKED_ATTRIBUTION_KEYS = [
   '_kx',
@@ -48,6 +49,39 @@ export function publishSearchSubmitted(publish, payload = {}) {
   });
 }
 
+/**
+ * Sends a /search analytics event to the first-party collector
+ * (`api.search-events.jsx`). Uses a beacon so product clicks are not lost to
+ * the navigation they trigger.
+ */
+export function sendSearchAnalyticsEvent(event) {
+  if (typeof window === 'undefined' || !event?.type) return;
+
+  const body = JSON.stringify(event);
+  try {
+    if (
+      typeof navigator.sendBeacon === 'function' &&
+      navigator.sendBeacon(
+        SEARCH_ANALYTICS_ENDPOINT,
+        new Blob([body], {type: 'application/json'}),
+      )
+    ) {
+      return;
+    }
+  } catch {
+    // Fall through to fetch.
+  }
+
+  fetch(SEARCH_ANALYTICS_ENDPOINT, {
+    method: 'POST',
+    keepalive: true,
+    headers: {'Content-Type': 'application/json'},
+    body,
+  }).catch(() => {
+    // Analytics must never affect the storefront.
+  });
+}
+
 export function withWetrackedParams(url) {
   if (!url || typeof window === 'undefined') return url || '';
 
@@ -57,6 +57,28 @@ export function toggleWishlistHandle(handle) {
   return setWishlistInDocumentCookie([...wishlist, normalizedHandle]);
 }
 
+export function addWishlistHandle(handle) {
+  const normalizedHandle = normalizeHandle(handle);
+  const wishlist = getWishlistFromDocumentCookie();
+  if (!normalizedHandle || wishlist.includes(normalizedHandle)) {
+    return wishlist;
+  }
+
+  return setWishlistInDocumentCookie([...wishlist, normalizedHandle]);
+}
+
+export function removeWishlistHandle(handle) {
+  const normalizedHandle = normalizeHandle(handle);
+  const wishlist = getWishlistFromDocumentCookie();
+  if (!normalizedHandle || !wishlist.includes(normalizedHandle)) {
+    return wishlist;
+  }
+
+  return setWishlistInDocumentCookie(
+    wishlist.filter((value) => value !== normalizedHandle),
+  );
+}
+
 export function subscribeToWishlistChanges(callback) {
   if (typeof window === 'undefined') return () => {};
 
@@ -3,6 +3,11 @@ import {Await, Link, useFetcher, useLoaderData} from 'react-router';
 import {ProductItem} from '~/components/ProductItem';
 import {ArrowIcon} from '~/components/Icons';
 import {BRANDS} from '~/lib/brands';
+import {
+  getJsonLdMeta,
+  getLocalBusinessJsonLd,
+  getOrganizationJsonLd,
+} from '~/lib/structuredData';
 
 const HEADER_MENU_HANDLE = 'new-main-menu';
 const PRODUCT_ROW_INITIAL_COUNT = 6;
@@ -27,8 +32,17 @@ const StoreAssistantHomeSection = lazy(() =>
 /**
  * @type {Route.MetaFunction}
  */
-export const meta = () => {
-  return [{title: 'Pixel Zones | Home'}];
+export const meta = ({matches}) => {
+  const rootData = matches.find((match) => match?.id === 'root')?.data;
+  const logoUrl = rootData?.header?.shop?.brand?.logo?.image?.url || null;
+
+  return [
+    {title: 'Pixel Zones | Home'},
+    ...getJsonLdMeta(
+      getOrganizationJsonLd({logoUrl}),
+      getLocalBusinessJsonLd({imageUrl: logoUrl}),
+    ),
+  ];
 };
 
 /**
@@ -1039,6 +1053,12 @@ const HOME_QUERY = `#graphql
     handle
     title
     vendor
+    rating: metafield(namespace: "reviews", key: "rating") {
+      value
+    }
+    ratingCount: metafield(namespace: "reviews", key: "rating_count") {
+      value
+    }
     featuredImage {
       id
       altText
@@ -1221,6 +1241,12 @@ const MENU_COLLECTION_ROWS_QUERY = `#graphql
     handle
     title
     vendor
+    rating: metafield(namespace: "reviews", key: "rating") {
+      value
+    }
+    ratingCount: metafield(namespace: "reviews", key: "rating_count") {
+      value
+    }
     featuredImage {
       id
       altText
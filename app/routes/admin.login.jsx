@@ -0,0 +1,133 @@
+import {data, Form, redirect, useActionData, useLoaderData} from 'react-router';
+import {
+  endChatbotAdminSession,
+  hasChatbotAdminAccess,
+  startChatbotAdminSession,
+} from '~/lib/chatbot/analytics.server';
+import {getClientIp} from '~/lib/chatbot/conversationStore.server';
+import {resolveRateLimiter} from '~/lib/rateLimit.server';
+
+const NO_STORE_HEADERS = {'Cache-Control': 'private, no-store'};
+const DEFAULT_REDIRECT = '/admin/search-analytics';
+const SIGN_INS_PER_CLIENT_LIMIT = 10;
+const SIGN_INS_WINDOW_SECONDS = 15 * 60;
+
+/**
+ * @type {Route.MetaFunction}
+ */
+export const meta = () => {
+  return [
+    {title: 'Pixel Zones | Staff sign-in'},
+    {name: 'robots', content: 'noindex, nofollow'},
+  ];
+};
+
+export const headers = () => NO_STORE_HEADERS;
+
+/**
+ * Browser sign-in for the staff pages under /admin. Posting
+ * `CHATBOT_ADMIN_TOKEN` keeps a sign-in in the session cookie, which the
+ * dashboards accept alongside the bearer header; `?redirectTo=` names the
+ * page to return to.
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({request, context}) {
+  const redirectTo = getRedirectTo(new URL(request.url).searchParams);
+
+  if (
+    await hasChatbotAdminAccess({
+      request,
+      env: context.env,
+      session: context.session,
+    })
+  ) {
+    throw redirect(redirectTo, {headers: NO_STORE_HEADERS});
+  }
+
+  return data({redirectTo}, {headers: NO_STORE_HEADERS});
+}
+
+/**
+ * @param {Route.ActionArgs}
+ */
+export async function action({request, context}) {
+  const formData = await request.formData();
+
+  if (formData.get('intent') === 'logout') {
+    endChatbotAdminSession(context.session);
+    return redirect('/admin/login', {headers: NO_STORE_HEADERS});
+  }
+
+  const redirectTo = getRedirectTo(formData);
+  const allowed = await resolveRateLimiter(context.env, {
+    name: 'admin-login',
+    limit: SIGN_INS_PER_CLIENT_LIMIT,
+    windowSeconds: SIGN_INS_WINDOW_SECONDS,
+  }).consume(getClientIp(request));
+  if (!allowed) {
+    return data(
+      {error: 'Too many attempts. Please try again later.'},
+      {status: 429, headers: NO_STORE_HEADERS},
+    );
+  }
+
+  const signedIn = await startChatbotAdminSession({
+    token: String(formData.get('token') || ''),
+    env: context.env,
+    session: context.session,
+  });
+  if (!signedIn) {
+    return data(
+      {error: 'That token is not valid.'},
+      {status: 401, headers: NO_STORE_HEADERS},
+    );
+  }
+
+  return redirect(redirectTo, {headers: NO_STORE_HEADERS});
+}
+
+export default function AdminLogin() {
+  /** @type {LoaderReturnData} */
+  const {redirectTo} = useLoaderData();
+  /** @type {ActionReturnData | undefined} */
+  const actionData = useActionData();
+
+  return (
+    <section className="pz-static-page pz-admin-login">
+      <header className="pz-static-page-header">
+        <h1>Staff sign-in</h1>
+      </header>
+
+      <Form method="post" className="pz-admin-login-form">
+        <input type="hidden" name="redirectTo" value={redirectTo} />
+        <label>
+          Admin token
+          <input
+            type="password"
+            name="token"
+            autoComplete="current-password"
+            required
+          />
+        </label>
+        {actionData?.error ? <p role="alert">{actionData.error}</p> : null}
+        <button type="submit">Sign in</button>
+      </Form>
+    </section>
+  );
+}
+
+/**
+ * Only pages under /admin are followed, so the form cannot be used as an
+ * open redirect.
+ * @param {URLSearchParams | FormData} params
+ */
+function getRedirectTo(params) {
+  const value = String(params.get('redirectTo') || '');
+  return /^\/admin\/(?!\/)/.test(value) && !value.startsWith('/admin/login')
+    ? value
+    : DEFAULT_REDIRECT;
+}
+
+/** @typedef {import('./+types/admin.login').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof action>} ActionReturnData */
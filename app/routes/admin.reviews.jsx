@@ -0,0 +1,166 @@
+import {data, Form, useActionData, useLoaderData} from 'react-router';
+import {
+  requireReviewsAdmin,
+  resolveProductReviews,
+  REVIEW_DECISIONS,
+} from '~/lib/reviews/reviews.server';
+
+const NO_STORE_HEADERS = {'Cache-Control': 'private, no-store'};
+
+/**
+ * @type {Route.MetaFunction}
+ */
+export const meta = () => {
+  return [
+    {title: 'Pixel Zones | Review moderation'},
+    {name: 'robots', content: 'noindex, nofollow'},
+  ];
+};
+
+export const headers = () => NO_STORE_HEADERS;
+
+/**
+ * Moderation queue for product reviews and questions, authorized with
+ * `CHATBOT_ADMIN_TOKEN` as a bearer token or a sign-in from /admin/login.
+ * Oldest first.
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({request, context}) {
+  await requireReviewsAdmin({
+    request,
+    env: context.env,
+    session: context.session,
+  });
+
+  const queue = await resolveProductReviews(context.env).listQueue();
+
+  return data({queue}, {headers: NO_STORE_HEADERS});
+}
+
+/**
+ * @param {Route.ActionArgs}
+ */
+export async function action({request, context}) {
+  await requireReviewsAdmin({
+    request,
+    env: context.env,
+    session: context.session,
+  });
+
+  const formData = await request.formData();
+  const id = String(formData.get('id') || '');
+  const productId = String(formData.get('productId') || '');
+  const kind = String(formData.get('kind') || '');
+  const decision = String(formData.get('decision') || '');
+  const answer = String(formData.get('answer') || '').trim();
+
+  if (!id || !productId || !REVIEW_DECISIONS.includes(decision)) {
+    return data(
+      {id, error: 'Unknown moderation action.'},
+      {status: 400, headers: NO_STORE_HEADERS},
+    );
+  }
+
+  if (kind === 'question' && decision === 'approve' && !answer) {
+    return data(
+      {id, error: 'Write an answer before publishing a question.'},
+      {status: 400, headers: NO_STORE_HEADERS},
+    );
+  }
+
+  try {
+    const entry = await resolveProductReviews(context.env).moderate({
+      id,
+      productId,
+      decision: /** @type {'approve' | 'reject'} */ (decision),
+      answer,
+    });
+    if (!entry) {
+      return data(
+        {id, error: 'This entry no longer exists.'},
+        {status: 404, headers: NO_STORE_HEADERS},
+      );
+    }
+  } catch (error) {
+    console.error('[reviews] Failed to moderate entry:', error);
+    return data(
+      {id, error: 'Saving failed. Try again.'},
+      {status: 502, headers: NO_STORE_HEADERS},
+    );
+  }
+
+  return data({id, error: null}, {headers: NO_STORE_HEADERS});
+}
+
+export default function ReviewModeration() {
+  /** @type {LoaderReturnData} */
+  const {queue} = useLoaderData();
+  /** @type {ActionReturnData | undefined} */
+  const actionData = useActionData();
+
+  return (
+    <section className="pz-static-page pz-review-moderation">
+      <header className="pz-static-page-header">
+        <h1>Review moderation</h1>
+        <Form method="post" action="/admin/login">
+          <button type="submit" name="intent" value="logout">
+            Sign out
+          </button>
+        </Form>
+        <p>
+          {queue.length
+            ? `${queue.length} waiting for review`
+            : 'Nothing waiting for review.'}
+        </p>
+      </header>
+
+      <ol className="pz-review-moderation-list">
+        {queue.map((entry) => (
+          <li key={entry.id} className="pz-review-moderation-item">
+            <p className="pz-review-moderation-meta">
+              <strong>
+                {entry.kind === 'question'
+                  ? 'Question'
+                  : `${entry.rating}/5 review`}
+              </strong>{' '}
+              from {entry.authorName} &lt;{entry.authorEmail}&gt; on{' '}
+              <code>{entry.productId.split('/').pop()}</code> ·{' '}
+              {new Date(entry.createdAt).toLocaleString('en-GB')}
+            </p>
+            {entry.title ? <h2>{entry.title}</h2> : null}
+            <p className="pz-review-moderation-body">{entry.body}</p>
+
+            <Form method="post">
+              <input type="hidden" name="id" value={entry.id} />
+              <input type="hidden" name="productId" value={entry.productId} />
+              <input type="hidden" name="kind" value={entry.kind} />
+              <label>
+                {entry.kind === 'question'
+                  ? 'Answer (required to publish)'
+                  : 'Store reply (optional)'}
+                <textarea name="answer" rows={3} />
+              </label>
+              {actionData?.id === entry.id && actionData.error ? (
+                <p className="pz-review-error" role="alert">
+                  {actionData.error}
+                </p>
+              ) : null}
+              <div className="pz-review-moderation-actions">
+                <button type="submit" name="decision" value="approve">
+                  {entry.kind === 'question' ? 'Answer & publish' : 'Approve'}
+                </button>
+                <button type="submit" name="decision" value="reject">
+                  Reject
+                </button>
+              </div>
+            </Form>
+          </li>
+        ))}
+      </ol>
+    </section>
+  );
+}
+
+/** @typedef {import('./+types/admin.reviews').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof action>} ActionReturnData */
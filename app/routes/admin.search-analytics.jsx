@@ -0,0 +1,205 @@
+import {data, Form, useLoaderData, useLocation} from 'react-router';
+import {
+  formatSearchAnalyticsCsv,
+  requireSearchAnalyticsAdmin,
+  resolveSearchAnalytics,
+  summarizeSearchAnalytics,
+} from '~/lib/searchAnalytics.server';
+
+const NO_STORE_HEADERS = {'Cache-Control': 'private, no-store'};
+
+/**
+ * @type {Route.MetaFunction}
+ */
+export const meta = () => {
+  return [
+    {title: 'Pixel Zones | Search analytics'},
+    {name: 'robots', content: 'noindex, nofollow'},
+  ];
+};
+
+export const headers = () => NO_STORE_HEADERS;
+
+/**
+ * Staff dashboard for /search, authorized with `CHATBOT_ADMIN_TOKEN` as a
+ * bearer token or a sign-in from /admin/login, where browsers without one
+ * are sent.
+ *
+ * - `?from=YYYY-MM-DD&to=YYYY-MM-DD` selects UTC days (default: today, max 31)
+ * - `format=json` returns the report, `format=csv` one row per query
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({request, context}) {
+  await requireSearchAnalyticsAdmin({
+    request,
+    env: context.env,
+    session: context.session,
+  });
+
+  const url = new URL(request.url);
+  const from = url.searchParams.get('from') || undefined;
+  const to = url.searchParams.get('to') || undefined;
+  const format = (url.searchParams.get('format') || '').toLowerCase();
+  const days = await resolveSearchAnalytics(context.env).listDays({from, to});
+  const summary = summarizeSearchAnalytics(days);
+
+  if (format === 'csv') {
+    return new Response(formatSearchAnalyticsCsv(summary), {
+      headers: {
+        ...NO_STORE_HEADERS,
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="search-analytics-${
+          from || 'today'
+        }.csv"`,
+      },
+    });
+  }
+
+  const report = {from: from || null, to: to || null, ...summary};
+  if (format === 'json') {
+    return Response.json(report, {headers: NO_STORE_HEADERS});
+  }
+
+  return data(report, {headers: NO_STORE_HEADERS});
+}
+
+export default function SearchAnalyticsDashboard() {
+  /** @type {LoaderReturnData} */
+  const {from, to, totals, topQueries, zeroResultQueries, corrections} =
+    useLoaderData();
+  const location = useLocation();
+  const params = new URLSearchParams(location.search);
+  params.set('format', 'csv');
+
+  return (
+    <section className="pz-static-page pz-search-analytics">
+      <header className="pz-static-page-header">
+        <h1>Search analytics</h1>
+        <Form method="post" action="/admin/login">
+          <button type="submit" name="intent" value="logout">
+            Sign out
+          </button>
+        </Form>
+      </header>
+
+      <Form method="get" className="pz-search-analytics-range">
+        <label>
+          From
+          <input type="date" name="from" defaultValue={from || ''} />
+        </label>
+        <label>
+          To
+          <input type="date" name="to" defaultValue={to || ''} />
+        </label>
+        <button type="submit">Show</button>
+        <a href={`${location.pathname}?${params}`} download>
+          Export CSV
+        </a>
+      </Form>
+
+      <dl className="pz-search-analytics-totals">
+        <div>
+          <dt>Searches</dt>
+          <dd>{totals.searches}</dd>
+        </div>
+        <div>
+          <dt>Zero-result rate</dt>
+          <dd>{formatPercent(totals.zeroResultRate)}</dd>
+        </div>
+        <div>
+          <dt>Recovered</dt>
+          <dd>{formatPercent(totals.recoveryRate)}</dd>
+        </div>
+        <div>
+          <dt>Corrections kept</dt>
+          <dd>{formatPercent(totals.correctionAcceptanceRate)}</dd>
+        </div>
+        <div>
+          <dt>Click-through</dt>
+          <dd>{formatPercent(totals.ctr)}</dd>
+        </div>
+      </dl>
+
+      <div className="pz-static-page-content">
+        <h2>Top queries</h2>
+        <AnalyticsTable
+          rows={topQueries}
+          columns={[
+            ['term', 'Query'],
+            ['searches', 'Searches'],
+            ['zeroResults', 'Zero results'],
+            ['clicks', 'Clicks'],
+            ['ctr', 'CTR'],
+          ]}
+        />
+
+        <h2>Zero-result queries</h2>
+        <AnalyticsTable
+          rows={zeroResultQueries}
+          columns={[
+            ['term', 'Query'],
+            ['zeroResults', 'Zero results'],
+            ['recovered', 'Recovered'],
+            ['searches', 'Searches'],
+          ]}
+        />
+
+        <h2>Spelling corrections</h2>
+        <AnalyticsTable
+          rows={corrections}
+          columns={[
+            ['term', 'Typed'],
+            ['correctedTo', 'Corrected to'],
+            ['corrected', 'Shown'],
+            ['rejected', 'Rejected'],
+            ['acceptanceRate', 'Kept'],
+          ]}
+        />
+      </div>
+    </section>
+  );
+}
+
+/**
+ * @param {{
+ *   rows: Array<Record<string, string | number>>;
+ *   columns: Array<[string, string]>;
+ * }}
+ */
+function AnalyticsTable({rows, columns}) {
+  if (!rows.length) return <p>No searches in this range.</p>;
+
+  return (
+    <table className="pz-search-analytics-table">
+      <thead>
+        <tr>
+          {columns.map(([key, label]) => (
+            <th key={key} scope="col">
+              {label}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr key={row.term}>
+            {columns.map(([key]) => (
+              <td key={key}>
+                {key === 'ctr' || key === 'acceptanceRate'
+                  ? formatPercent(row[key])
+                  : row[key]}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function formatPercent(value) {
+  return `${Math.round((Number(value) || 0) * 1000) / 10}%`;
+}
+
+/** @typedef {import('./+types/admin.search-analytics').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -0,0 +1,73 @@
+import {data} from 'react-router';
+import {
+  formatChatbotTranscriptsCsv,
+  formatChatbotTranscriptsJsonl,
+  isChatbotAdminRequest,
+  resolveChatbotAnalytics,
+  summarizeChatbotStats,
+} from '~/lib/chatbot/analytics.server';
+
+/**
+ * Store assistant analytics for staff, authorized with `CHATBOT_ADMIN_TOKEN`.
+ *
+ * - `?from=YYYY-MM-DD&to=YYYY-MM-DD` selects UTC days (default: today, max 31)
+ * - `format=json` (default) returns aggregates
+ * - `format=csv` / `format=jsonl` download redacted turn transcripts, one
+ *   page at a time: when more turns remain, the `X-Next-Cursor` header
+ *   holds the value to pass as `cursor` for the next page
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({request, context}) {
+  if (!isChatbotAdminRequest(request, context.env)) {
+    return data(
+      {error: 'unauthorized'},
+      {
+        status: 401,
+        headers: {
+          'Cache-Control': 'private, no-store',
+          'WWW-Authenticate': 'Bearer',
+        },
+      },
+    );
+  }
+
+  const url = new URL(request.url);
+  const from = url.searchParams.get('from') || undefined;
+  const to = url.searchParams.get('to') || undefined;
+  const format = (url.searchParams.get('format') || 'json').toLowerCase();
+  const analytics = resolveChatbotAnalytics(context.env);
+
+  if (format === 'csv' || format === 'jsonl') {
+    const isCsv = format === 'csv';
+    const {events, cursor} = await analytics.listTranscripts({
+      from,
+      to,
+      cursor: url.searchParams.get('cursor'),
+    });
+    return new Response(
+      isCsv
+        ? formatChatbotTranscriptsCsv(events)
+        : formatChatbotTranscriptsJsonl(events),
+      {
+        headers: {
+          'Content-Type': isCsv
+            ? 'text/csv; charset=utf-8'
+            : 'application/x-ndjson; charset=utf-8',
+          'Content-Disposition': `attachment; filename="chatbot-transcripts-${
+            from || 'today'
+          }.${format}"`,
+          'Cache-Control': 'private, no-store',
+          ...(cursor ? {'X-Next-Cursor': cursor} : {}),
+        },
+      },
+    );
+  }
+
+  const days = await analytics.listDays({from, to});
+  return data(
+    {from: from || null, to: to || null, ...summarizeChatbotStats(days)},
+    {headers: {'Cache-Control': 'private, no-store'}},
+  );
+}
+
+/** @typedef {import('./+types/api.chatbot-analytics').Route} Route */
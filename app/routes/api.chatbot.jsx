@@ -1,23 +1,74 @@
 import {data} from 'react-router';
 import {CALL_FOR_PRICE_LABEL} from '~/lib/pricing';
+import {getStoreHoursFacts} from '~/lib/storeHours';
+import {
+  extractOutputText,
+  getFunctionCalls,
+  resolveChatbotProvider,
+} from '~/lib/chatbot/providers.server';
+import {
+  getChatbotSessionId,
+  getClientIp,
+  resolveChatbotConversationStore,
+} from '~/lib/chatbot/conversationStore.server';
+import {lookupChatbotOrder} from '~/lib/chatbot/orders.server';
+import {
+  createChatbotTurnTrace,
+  resolveChatbotAnalytics,
+} from '~/lib/chatbot/analytics.server';
+import {
+  buildProductSearchQueries,
+  buildSearchSeedMessages,
+  extractProductLookupTerm,
+  extractReferencedOptionIndex,
+  extractReferencedOptionIndexes,
+  extractRequestedProductCount,
+  extractRequestedQuantity,
+  extractSearchPageNavigationTerm,
+  extractOrderNumber,
+  extractSearchTerms,
+  filterProductsByCatalogFamily,
+  getAgentSelectionPreference,
+  getCatalogIntentProfile,
+  getPrimaryChatIntent,
+  getRequestedCatalogFamily,
+  getWishlistIntent,
+  hasRecentProductIntent,
+  isAccessoryProduct,
+  isAddToCartIntent,
+  isCatalogListRequest,
+  isCheckoutIntent,
+  isClearCartIntent,
+  isCompareIntent,
+  isFollowUpMessage,
+  isGreeting,
+  isOrderStatusFollowUp,
+  isOrderStatusIntent,
+  isProductPageNavigationIntent,
+  isStoreScopedQuestion,
+  isStoreServiceIntent,
+  normalizeAgentQuantity,
+  normalizeCatalogSearchQuery,
+  rankProductsForMessage,
+  shouldFetchProductsFromShopify,
+  shouldIncludeProductsInResponse,
+  shouldRejectClearlyOffTopicRequest,
+} from '~/lib/chatbot/intents';
+import {
+  canonicalizeChatHistory,
+  canonicalizeChatMessage,
+  detectChatLanguage,
+  getChatLanguageName,
+  getLocalizedChatReply,
+  translateCatalogQuery,
+} from '~/lib/chatbot/languages';
 
-const OUT_OF_SCOPE_REPLY =
-  'I can only help with Pixel Zones products, delivery, location, and customer service details.';
-const UNAVAILABLE_REPLY =
-  'Store assistant is temporarily unavailable. Please contact us on WhatsApp: +961 81 539 339.';
-const PRODUCT_NOT_FOUND_REPLY =
-  'I could not find a matching product in the Pixel Zones catalog right now. Please try another keyword or contact us on WhatsApp: +961 81 539 339.';
-const GREETING_REPLY =
-  'Hi! How can I help with Pixel Zones products, delivery, location, or customer service details?';
-const OPENAI_CHAT_MODELS = ['gpt-5.4-mini', 'gpt-5-mini'];
-const OPENAI_RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
-const MAX_AGENT_QUANTITY = 10;
 const SHOPIFY_MCP_TOOL_SEARCH_CATALOG = 'search_shop_catalog';
 const SHOPIFY_MCP_TOOL_POLICIES_AND_FAQS = 'search_shop_policies_and_faqs';
 const SHOPIFY_MCP_TIMEOUT_MS = 12000;
 const SHOPIFY_MCP_MAX_RESULTS = 30;
 const MAX_TOOL_ROUNDS = 6;
-const TOOL_MODEL_DEFAULT = 'gpt-5.4-mini';
+const MAX_COMPARED_PRODUCTS = 4;
 
 const STORE_TOOL_DEFINITIONS = [
   {
@@ -65,6 +116,22 @@ const STORE_TOOL_DEFINITIONS = [
       required: [],
     },
   },
+  {
+    type: 'function',
+    name: 'lookup_order',
+    description:
+      'Look up the status of a Pixel Zones order. Signed-in shoppers need no details; guests must give the order number plus the email or phone used at checkout.',
+    parameters: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        order_number: {type: 'string'},
+        email: {type: 'string'},
+        phone: {type: 'string'},
+      },
+      required: [],
+    },
+  },
   {
     type: 'function',
     name: 'get_cart_summary',
@@ -79,222 +146,22 @@ const STORE_TOOL_DEFINITIONS = [
   },
 ];
 
-const STORE_SCOPE_KEYWORDS = [
-  'pixel zones',
-  'store',
-  'location',
-  'address',
-  'showroom',
-  'beirut',
-  'delivery',
-  'shipping',
-  'cash on delivery',
-  'cod',
-  'customer service',
-  'support',
-  'contact',
-  'phone',
-  'number',
-  'whatsapp',
-  'available',
-  'availability',
-  'stock',
-  'in stock',
-  'product',
-  'item',
-  'brand',
-  'price',
-  'order',
-  'checkout',
-  'cart',
-  'basket',
-  'bag',
-];
-
-const STORE_SERVICE_KEYWORDS = [
-  'location',
-  'address',
-  'showroom',
-  'beirut',
-  'delivery',
-  'shipping',
-  'cash on delivery',
-  'cod',
-  'customer service',
-  'support',
-  'contact',
-  'whatsapp',
-  'phone number',
-  'store hours',
-  'open',
-  'close',
-];
-
-const PRODUCT_HINT_KEYWORDS = [
-  'product',
-  'products',
-  'item',
-  'items',
-  'iphone',
-  'phone',
-  'smartphone',
-  'mobile',
-  'computer',
-  'desktop',
-  'pc',
-  'laptop',
-  'tablet',
-  'airpods',
-  'case',
-  'charger',
-  'cable',
-  'powerbank',
-  'router',
-  'headphone',
-  'headphones',
-  'headset',
-  'speaker',
-  'brand',
-  'brands',
-  'price',
-  'prices',
-  'stock',
-  'available',
-  'availability',
-  'sell',
-  'carry',
-];
-
-const PRODUCT_LOOKUP_PATTERNS = [
-  /\b(do you have|do u have|can i get|can you find|find|search for|looking for|i need|i want)\b/i,
-  /\b(available|in stock|stock)\b/i,
-];
-
-const GREETING_PATTERNS = [
-  /^(hi|hello|hey|hiya|yo)\b/i,
-  /^(good\s(morning|afternoon|evening))\b/i,
-];
-
-const MODEL_HINT_WORDS = [
-  'pro',
-  'max',
-  'plus',
-  'ultra',
-  'mini',
-  'se',
-  'air',
-  'note',
-  'fe',
-];
-
-const DEVICE_INTENT_KEYWORDS = [
-  'iphone',
-  'phone',
-  'smartphone',
-  'mobile',
-  'galaxy',
-  'ipad',
-  'tablet',
-  'laptop',
-  'computer',
-  'desktop',
-  'pc',
-  'notebook',
-  'macbook',
-  'watch',
-  'airpods',
-];
-
-const ACCESSORY_KEYWORDS = [
-  'case',
-  'cover',
-  'protector',
-  'screen protector',
-  'charger',
-  'cable',
-  'adapter',
-  'powerbank',
-  'mount',
-  'holder',
-  'skin',
-  'strap',
-  'briefcase',
-  'tote',
-  'backpack',
-  'bag',
-  'sleeve',
-  'stand',
-  'mouse',
-  'keyboard',
-  'printer',
-  'router',
-  'headphone',
-  'headphones',
-  'headset',
-  'speaker',
-];
-
-const CONTEXT_CARRY_TOKENS = [
-  'apple',
-  'iphone',
-  'samsung',
-  'galaxy',
-  'google',
-  'pixel',
-  'xiaomi',
-  'huawei',
-  'oppo',
-  'oneplus',
-  'ipad',
-  'macbook',
-  'airpods',
-];
+/**
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({request, context}) {
+  const conversationStore = resolveChatbotConversationStore(context.env);
+  const sessionId = getChatbotSessionId(context.session);
+  const [conversation, usage] = await Promise.all([
+    conversationStore.getConversation(sessionId),
+    conversationStore.getUsage({sessionId, ip: getClientIp(request)}),
+  ]);
 
-const FOLLOW_UP_ONLY_MESSAGES = new Set([
-  'yes',
-  'yeah',
-  'yep',
-  'ok',
-  'okay',
-  'sure',
-  'please',
-  'link',
-  'url',
-  'details',
-  'more',
-]);
-
-const PRODUCT_STOP_WORDS = new Set([
-  'a',
-  'an',
-  'and',
-  'any',
-  'are',
-  'can',
-  'do',
-  'for',
-  'from',
-  'have',
-  'i',
-  'in',
-  'is',
-  'it',
-  'me',
-  'my',
-  'of',
-  'on',
-  'or',
-  'please',
-  'show',
-  'that',
-  'the',
-  'this',
-  'to',
-  'we',
-  'with',
-  'you',
-  'your',
-]);
+  return data(
+    {messages: conversation.messages, usage},
+    {headers: {'Cache-Control': 'private, no-store'}},
+  );
+}
 
 /**
  * @param {Route.ActionArgs}
@@ -316,52 +183,270 @@ export async function action({request, context}) {
     return handleAgentActionRequest({context, agentActionRequest});
   }
 
+  const conversationStore = resolveChatbotConversationStore(context.env);
+  const analytics = resolveChatbotAnalytics(context.env);
+  const sessionId = getChatbotSessionId(context.session, {create: true});
   const message = sanitizeText(payload?.message);
-  if (!message) {
-    return data({reply: 'Please type your question first.'});
+  const language = detectChatLanguage(message);
+  const trace = createChatbotTurnTrace();
+  let usage = null;
+
+  // Analytics and conversation writes run after the response is sent, via
+  // waitUntil, so KV latency never delays a reply.
+  const recordTurn = (result) => {
+    if (!message) return;
+    context.waitUntil(
+      analytics
+        .recordTurn({trace, sessionId, message, result})
+        .catch((error) => {
+          console.error('[chatbot] Failed to record analytics event:', error);
+        }),
+    );
+  };
+
+  if (message) {
+    const quota = await conversationStore.consumeQuota({
+      sessionId,
+      ip: getClientIp(request),
+    });
+    if (!quota.allowed) {
+      const response = buildRateLimitResponse(quota, language);
+      trace.language = language;
+      trace.intent = getPrimaryChatIntent(
+        canonicalizeChatMessage(message, language),
+      );
+      trace.fallbackReason = 'rate_limited';
+      recordTurn(response.data);
+      return response;
+    }
+    usage = {
+      limit: quota.limit,
+      used: quota.used,
+      remaining: quota.remaining,
+      resetAt: quota.resetAt,
+    };
+  }
+
+  const storedConversation = await conversationStore.getConversation(sessionId);
+  const resolveArgs = {
+    context,
+    payload,
+    fallbackHistory: storedConversation.messages,
+    trace,
+  };
+  const persistTurn = (result) => {
+    recordTurn(result);
+    if (!message || !result?.reply) return;
+    context.waitUntil(
+      conversationStore
+        .appendMessages(sessionId, [
+          {role: 'user', content: message},
+          {role: 'assistant', content: result.reply, products: result.products},
+        ])
+        .catch((error) => {
+          console.error('[chatbot] Failed to persist conversation:', error);
+        }),
+    );
+  };
+
+  if (wantsEventStream(request)) {
+    return streamChatbotReply({
+      resolveArgs,
+      persistTurn,
+      recordTurn,
+      usage,
+      language,
+    });
+  }
+
+  const result = await resolveChatbotReply(resolveArgs);
+  persistTurn(result);
+  return data({...result, ...(usage ? {usage} : {})});
+}
+
+function buildRateLimitResponse(quota, language) {
+  const retryAfterSeconds = Math.max(
+    1,
+    Math.ceil((Date.parse(quota.resetAt) - Date.now()) / 1000),
+  );
+
+  return data(
+    {
+      reply: getLocalizedChatReply(
+        quota.scope === 'ip' ? 'ipLimit' : 'sessionLimit',
+        language,
+      ),
+      error: 'rate_limited',
+      scope: quota.scope,
+      usage: {
+        limit: quota.limit,
+        used: quota.used,
+        remaining: 0,
+        resetAt: quota.resetAt,
+      },
+      products: [],
+      actions: [],
+    },
+    {status: 429, headers: {'Retry-After': String(retryAfterSeconds)}},
+  );
+}
+
+function wantsEventStream(request) {
+  return (request.headers.get('Accept') || '').includes('text/event-stream');
+}
+
+function streamChatbotReply({
+  resolveArgs,
+  persistTurn,
+  recordTurn,
+  usage,
+  language,
+}) {
+  const encoder = new TextEncoder();
+  // Set once the shopper disconnects or the stream is closed; later events
+  // are dropped instead of throwing on the closed controller.
+  let closed = false;
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event, body) => {
+        if (closed) return;
+        try {
+          controller.enqueue(
+            encoder.encode(
+              `event: ${event}\ndata: ${JSON.stringify(body)}\n\n`,
+            ),
+          );
+        } catch {
+          closed = true;
+        }
+      };
+
+      try {
+        const {actions = [], ...result} = await resolveChatbotReply({
+          ...resolveArgs,
+          onDelta: (text) => send('delta', {text}),
+          onReset: () => send('reset', {}),
+          onProducts: (products) =>
+            send('products', {products: serializeChatbotProducts(products)}),
+        });
+
+        if (actions.length) {
+          send('actions', {actions});
+        }
+        send('done', {...result, ...(usage ? {usage} : {})});
+        persistTurn({...result, actions});
+      } catch (error) {
+        console.error('[chatbot] Streaming reply failed:', error);
+        const fallback = {
+          reply: getLocalizedChatReply('unavailable', language),
+          products: [],
+        };
+        send('done', fallback);
+        resolveArgs.trace.fallbackReason = 'stream_failed';
+        recordTurn(fallback);
+      } finally {
+        if (!closed) {
+          closed = true;
+          controller.close();
+        }
+      }
+    },
+    cancel() {
+      closed = true;
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+    },
+  });
+}
+
+async function resolveChatbotReply({
+  context,
+  payload,
+  fallbackHistory = [],
+  onDelta,
+  onReset,
+  onProducts,
+  trace = createChatbotTurnTrace(),
+}) {
+  const rawMessage = sanitizeText(payload?.message);
+  if (!rawMessage) {
+    trace.fallbackReason = 'empty_message';
+    return {reply: getLocalizedChatReply('emptyMessage', 'en')};
   }
   const pageContext = normalizePageContext(payload?.pageContext);
   const currentProductHandle = detectCurrentProductHandle(pageContext);
 
-  const apiKey = await resolveOpenAiApiKey(context.env, process.env);
+  const conversationHistory = normalizeHistory(
+    Array.isArray(payload?.history) && payload.history.length
+      ? payload.history
+      : fallbackHistory,
+  );
+  // Intent heuristics and catalog lookups run on English-canonical text;
+  // the model still sees the shopper's own words and replies in kind.
+  const language = detectChatLanguage(rawMessage, {
+    history: conversationHistory,
+  });
+  const message = canonicalizeChatMessage(rawMessage, language);
+  const history = canonicalizeChatHistory(conversationHistory, language);
+  trace.language = language;
+  trace.intent = getPrimaryChatIntent(message, history);
 
-  if (!apiKey) {
-    const availableCandidates = listOpenAiEnvKeyNames(context.env).join(', ');
-    const openAiBindingDebug = describeEnvBinding(context.env?.OPENAI_API_KEY);
-    console.warn(
-      `[chatbot] Missing OpenAI key in Hydrogen env. Detected OPENAI-like keys: ${
-        availableCandidates || 'none'
-      }. OPENAI_API_KEY binding debug: ${openAiBindingDebug}`,
-    );
-    return data({reply: UNAVAILABLE_REPLY, actions: []});
+  const provider = await resolveChatbotProvider(context.env, process.env);
+  if (!provider) {
+    trace.fallbackReason = 'provider_unavailable';
+    return {reply: getLocalizedChatReply('unavailable', language), actions: []};
   }
+  trace.provider = provider.name;
 
-  const history = normalizeHistory(payload?.history);
   const recentProducts = normalizeRecentProducts(payload?.recentProducts);
   if (isGreeting(message) && !hasRecentProductIntent(history)) {
-    return data({reply: GREETING_REPLY});
+    return {reply: getLocalizedChatReply('greeting', language)};
+  }
+
+  if (isCompareIntent(message) && recentProducts.length) {
+    const comparisonReply = await buildProductComparisonReply({
+      context,
+      message,
+      recentProducts,
+      language,
+    });
+    if (!comparisonReply.comparison) {
+      trace.fallbackReason = 'comparison_unresolved';
+    }
+    return comparisonReply;
   }
 
   const referencedOptionIndex = extractReferencedOptionIndex(message);
-  const isExplicitOptionAddIntent =
-    isAddToCartIntent(message) && referencedOptionIndex !== null;
+  const wishlistIntent = getWishlistIntent(message);
+  const isExplicitOptionIntent =
+    (isAddToCartIntent(message) || Boolean(wishlistIntent)) &&
+    referencedOptionIndex !== null;
 
-  if (isExplicitOptionAddIntent && !recentProducts.length) {
-    return data({
-      reply:
-        'I could not find the previous product list in this conversation. Please ask me to list products again first.',
+  if (isExplicitOptionIntent && !recentProducts.length) {
+    trace.fallbackReason = 'missing_product_list';
+    return {
+      reply: getLocalizedChatReply('missingProductList', language),
       actions: [],
-    });
+    };
   }
 
   if (
-    isExplicitOptionAddIntent &&
+    isExplicitOptionIntent &&
     referencedOptionIndex >= recentProducts.length
   ) {
-    return data({
-      reply: `I could not find option #${referencedOptionIndex + 1} in the last list.`,
+    trace.fallbackReason = 'missing_option';
+    return {
+      reply: getLocalizedChatReply('missingOption', language, {
+        index: referencedOptionIndex + 1,
+      }),
       actions: [],
-    });
+    };
   }
 
   if (
@@ -370,35 +455,46 @@ export async function action({request, context}) {
       currentProductHandle,
     })
   ) {
-    return data({reply: OUT_OF_SCOPE_REPLY, products: [], actions: []});
+    trace.fallbackReason = 'out_of_scope';
+    return {
+      reply: getLocalizedChatReply('outOfScope', language),
+      products: [],
+      actions: [],
+    };
   }
 
   const productLookupTerm = extractProductLookupTerm(message, history);
   const isListRequest = isCatalogListRequest(message);
   const shouldLookupProducts =
-    !isExplicitOptionAddIntent &&
-    shouldFetchProductsFromShopify(message, history);
+    !isExplicitOptionIntent && shouldFetchProductsFromShopify(message, history);
   const isLikelyProductIntent = shouldLookupProducts;
 
   let contextualProducts = recentProducts;
   let toolReply = '';
   let toolBasedProducts = [];
   let usedFallbackProductLookup = false;
+  let streamedToolText = false;
 
-  if (!isExplicitOptionAddIntent) {
+  if (!isExplicitOptionIntent) {
     try {
       const toolResult = await runStoreToolLoop({
-        apiKey,
-        model:
-          sanitizeText(context?.env?.OPENAI_CHATBOT_MODEL) ||
-          TOOL_MODEL_DEFAULT,
-        messages: [...history, {role: 'user', content: message}],
+        provider,
+        messages: [...conversationHistory, {role: 'user', content: rawMessage}],
         toolContext: {
           context,
           message,
           history,
+          language,
           pageContext,
           currentProductHandle,
+          onDelta:
+            onDelta &&
+            ((text) => {
+              streamedToolText = true;
+              onDelta(text);
+            }),
+          onProducts,
+          trace,
         },
       });
 
@@ -406,9 +502,21 @@ export async function action({request, context}) {
       toolBasedProducts = toolResult.ui.products || [];
     } catch (error) {
       console.error('Chatbot tool loop failed:', error);
+      trace.fallbackReason = 'tool_loop_failed';
     }
   }
 
+  const isOrderStatusQuestion =
+    isOrderStatusIntent(message) || isOrderStatusFollowUp(message, history);
+  if (isOrderStatusQuestion && !toolReply) {
+    trace.fallbackReason = 'order_lookup_unanswered';
+    return {
+      reply: getLocalizedChatReply('orderLookupHelp', language),
+      products: [],
+      actions: [],
+    };
+  }
+
   if (toolBasedProducts.length) {
     contextualProducts = toolBasedProducts;
   } else if (shouldLookupProducts) {
@@ -424,6 +532,21 @@ export async function action({request, context}) {
     usedFallbackProductLookup = contextualProducts.length > 0;
   }
 
+  if (
+    wishlistIntent &&
+    referencedOptionIndex === null &&
+    currentProductHandle &&
+    /\b(this|it)\b/i.test(message)
+  ) {
+    const details = await getProductDetailsTool(
+      {handle: currentProductHandle},
+      {context},
+    );
+    if (details.ok) contextualProducts = [details.product];
+  }
+
+  trace.productHits = contextualProducts.length;
+
   let policyContext = '';
   if (isStoreServiceIntent(message)) {
     policyContext = await fetchStorePoliciesContext(
@@ -439,168 +562,115 @@ export async function action({request, context}) {
     isLikelyProductIntent,
   });
   if (!inScope) {
-    return data({reply: OUT_OF_SCOPE_REPLY});
+    trace.fallbackReason = 'out_of_scope';
+    return {reply: getLocalizedChatReply('outOfScope', language)};
   }
 
   if (shouldLookupProducts && !contextualProducts.length) {
-    return data({reply: PRODUCT_NOT_FOUND_REPLY, products: []});
+    trace.fallbackReason = 'product_not_found';
+    return {
+      reply: getLocalizedChatReply('productNotFound', language),
+      products: [],
+    };
   }
 
   const agentPlan = buildAgentPlan({
     message,
     products: contextualProducts,
     referencedOptionIndex,
+    wishlistIntent,
+    language,
   });
   const shouldAttachProducts = shouldIncludeProductsInResponse({
     message,
     shouldLookupProducts,
     isListRequest,
-    isExplicitOptionAddIntent,
+    isExplicitOptionIntent,
   });
   if (agentPlan.actions.length) {
-    return data({
+    return {
       reply: agentPlan.reply,
       products: shouldAttachProducts
         ? serializeChatbotProducts(contextualProducts)
         : [],
       actions: agentPlan.actions,
-    });
+    };
   }
 
   if (toolReply && !(shouldLookupProducts && usedFallbackProductLookup)) {
-    return data({
+    return {
       reply: toolReply,
       products: shouldAttachProducts
         ? serializeChatbotProducts(contextualProducts)
         : [],
       actions: [],
-    });
+    };
   }
 
   const productContext = shouldLookupProducts
     ? formatProductContext(contextualProducts)
     : '';
   const maxOutputTokens = isListRequest ? 700 : 320;
-  const openAiInput = buildOpenAiInput({
-    history,
-    message,
+  const replyInput = buildReplyInput({
+    history: conversationHistory,
+    message: rawMessage,
+    language,
     productContext,
     policyContext,
     includeProductContext: shouldLookupProducts,
     includePolicyContext: Boolean(policyContext),
   });
 
+  // The tool loop's text was already streamed but is being replaced.
+  if (streamedToolText) onReset?.();
+
   try {
-    const reply = await getOpenAiReplyWithRetry({
-      apiKey,
-      openAiInput,
+    const reply = await provider.generateReply({
+      input: replyInput,
       maxOutputTokens,
+      onDelta,
     });
 
     if (!reply) {
-      return data({reply: UNAVAILABLE_REPLY});
+      trace.fallbackReason = 'empty_reply';
+      return {reply: getLocalizedChatReply('unavailable', language)};
     }
 
-    return data({
+    return {
       reply,
       products: shouldAttachProducts
         ? serializeChatbotProducts(contextualProducts)
         : [],
       actions: [],
-    });
+    };
   } catch (error) {
-    console.error('OpenAI chat request crashed:', error);
-    return data({reply: UNAVAILABLE_REPLY});
-  }
-}
-
-async function getOpenAiReplyWithRetry({apiKey, openAiInput, maxOutputTokens}) {
-  for (const model of OPENAI_CHAT_MODELS) {
-    const maxAttempts = 2;
-
-    for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
-      try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 20000);
-
-        const response = await fetch('https://api.openai.com/v1/responses', {
-          method: 'POST',
-          headers: {
-            Authorization: `Bearer ${apiKey}`,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            model,
-            input: openAiInput,
-            max_output_tokens: maxOutputTokens,
-          }),
-          signal: controller.signal,
-        });
-
-        clearTimeout(timeoutId);
-
-        if (response.ok) {
-          const result = await response.json();
-          const reply = extractOutputText(result);
-          if (reply) return reply;
-
-          console.error(
-            `OpenAI chat request returned empty output (model=${model}, attempt=${attempt}).`,
-          );
-          break;
-        }
-
-        const failureBody = await response.text().catch(() => '');
-        console.error(
-          `OpenAI chat request failed (model=${model}, attempt=${attempt}):`,
-          response.status,
-          failureBody,
-        );
-
-        const isRetryableStatus = OPENAI_RETRYABLE_STATUS.has(response.status);
-        if (isRetryableStatus && attempt < maxAttempts) {
-          await sleep(250 * attempt);
-          continue;
-        }
-
-        break;
-      } catch (error) {
-        const isAbortError = error?.name === 'AbortError';
-        console.error(
-          `OpenAI chat request crashed (model=${model}, attempt=${attempt}):`,
-          isAbortError ? 'timeout' : error,
-        );
-
-        if (attempt < maxAttempts) {
-          await sleep(250 * attempt);
-          continue;
-        }
-      }
-    }
+    console.error(`[chatbot] ${provider.name} reply crashed:`, error);
+    trace.fallbackReason = 'reply_failed';
+    return {reply: getLocalizedChatReply('unavailable', language)};
   }
-
-  return '';
-}
-
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-async function runStoreToolLoop({apiKey, model, messages, toolContext}) {
-  const uiState = createToolUiState();
+async function runStoreToolLoop({provider, messages, toolContext}) {
+  const uiState = createToolUiState(toolContext?.onProducts);
   const instructions = buildToolInstructions({
     pageContext: toolContext?.pageContext,
     currentProductHandle: toolContext?.currentProductHandle,
+    language: toolContext?.language,
   });
   const conversation = serializeConversationForTools(messages);
 
-  let response = await createOpenAiResponse(apiKey, {
-    model,
-    instructions,
-    input: conversation,
-    tools: STORE_TOOL_DEFINITIONS,
-    max_output_tokens: 900,
-  });
+  // Every round streams, since only the response decides whether it is the
+  // last one; rounds that call tools carry no text to forward.
+  const streamOptions = {onDelta: toolContext?.onDelta};
+  let response = await provider.createResponse(
+    {
+      instructions,
+      input: conversation,
+      tools: STORE_TOOL_DEFINITIONS,
+      max_output_tokens: 900,
+    },
+    streamOptions,
+  );
 
   for (let round = 0; round < MAX_TOOL_ROUNDS; round += 1) {
     const functionCalls = getFunctionCalls(response);
@@ -614,6 +684,7 @@ async function runStoreToolLoop({apiKey, model, messages, toolContext}) {
     const toolOutputs = [];
     for (const call of functionCalls) {
       const args = safeParseJson(call.arguments) || {};
+      const startedAt = Date.now();
       const output = await runStoreToolByName(
         call.name,
         args,
@@ -626,6 +697,11 @@ async function runStoreToolLoop({apiKey, model, messages, toolContext}) {
             : 'Tool execution failed unexpectedly.',
       }));
 
+      toolContext?.trace?.toolCalls.push({
+        name: call.name,
+        ok: Boolean(output?.ok),
+        latencyMs: Date.now() - startedAt,
+      });
       updateToolUiState(uiState, call.name, output);
 
       toolOutputs.push({
@@ -635,47 +711,24 @@ async function runStoreToolLoop({apiKey, model, messages, toolContext}) {
       });
     }
 
-    response = await createOpenAiResponse(apiKey, {
-      model,
-      previous_response_id: response.id,
-      input: toolOutputs,
-      tools: STORE_TOOL_DEFINITIONS,
-      max_output_tokens: 900,
-    });
+    response = await provider.createResponse(
+      {
+        previous_response_id: response.id,
+        input: toolOutputs,
+        tools: STORE_TOOL_DEFINITIONS,
+        max_output_tokens: 900,
+      },
+      streamOptions,
+    );
   }
 
   throw new Error('The chatbot exceeded its tool-call limit.');
 }
 
-async function createOpenAiResponse(apiKey, payload) {
-  const response = await fetch('https://api.openai.com/v1/responses', {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(payload),
-  });
-
-  const data = await response.json().catch(() => null);
-  if (!response.ok) {
-    const message =
-      data?.error?.message ||
-      `OpenAI chat request failed (${response.status}).`;
-    throw new Error(message);
-  }
-
-  return data;
-}
-
-function getFunctionCalls(openaiResponse) {
-  if (!Array.isArray(openaiResponse?.output)) return [];
-  return openaiResponse.output.filter((item) => item?.type === 'function_call');
-}
-
-function createToolUiState() {
+function createToolUiState(onProducts) {
   return {
     products: new Map(),
+    onProducts,
   };
 }
 
@@ -695,12 +748,17 @@ function updateToolUiState(state, toolName, output) {
 function registerToolProducts(state, products) {
   if (!Array.isArray(products)) return;
 
+  const previousSize = state.products.size;
   products.forEach((product) => {
     if (!product || typeof product !== 'object') return;
     const key = getMcpProductDedupKey(product);
     if (!key) return;
     state.products.set(key, product);
   });
+
+  if (state.onProducts && state.products.size !== previousSize) {
+    state.onProducts(finalizeToolUiState(state).products);
+  }
 }
 
 function finalizeToolUiState(state) {
@@ -712,7 +770,11 @@ function finalizeToolUiState(state) {
   };
 }
 
-function buildToolInstructions({pageContext, currentProductHandle} = {}) {
+function buildToolInstructions({
+  pageContext,
+  currentProductHandle,
+  language = 'en',
+} = {}) {
   const currentPageLine = pageContext?.pathname
     ? `Current page: ${pageContext.pathname}.`
     : '';
@@ -724,16 +786,20 @@ function buildToolInstructions({pageContext, currentProductHandle} = {}) {
     'You are the Pixel Zones storefront assistant.',
     'Always use tools for factual store data (catalog, policies, cart, product details).',
     'Never invent product availability, price, policy, or cart details.',
-    `If user asks anything unrelated to store shopping/support, reply exactly: "${OUT_OF_SCOPE_REPLY}"`,
+    `If user asks anything unrelated to store shopping/support, reply exactly: "${getLocalizedChatReply('outOfScope', language)}"`,
     'When user asks for products, always call search_store_catalog first.',
+    'Write search_store_catalog queries in English product terms (translate Arabic, French, or Arabizi words; keep brand and model names as written).',
     'When user asks policy/delivery/customer-service questions, call search_store_policies.',
     'If the user is on a product page and asks about this product, use get_product_details for that exact product handle.',
+    'For order status questions, call lookup_order. If it needs verification, ask for the order number and the email or phone used at checkout; never guess order details.',
     'Keep responses concise and helpful.',
+    `Reply in ${getChatLanguageName(language)}, the language the shopper is using.`,
     'Store facts:',
     '- Store: Pixel Zones',
     '- Location: Beirut, Adlieh, Sami Al Solh Avenue, Sequoia Building',
     '- Customer service / WhatsApp: +961 81 539 339',
-    '- Delivery: Same-day in Beirut (when possible), 2-3 working days outside Beirut, cash on delivery, delivery all over Lebanon.',
+    '- Delivery: Cash on delivery, delivery all over Lebanon.',
+    ...getStoreHoursFacts(),
     currentPageLine,
     productHandleLine,
   ].join(' ');
@@ -758,6 +824,8 @@ async function runStoreToolByName(name, args, toolContext) {
       return searchStorePoliciesTool(args, toolContext);
     case 'get_product_details':
       return getProductDetailsTool(args, toolContext);
+    case 'lookup_order':
+      return lookupOrderTool(args, toolContext);
     case 'get_cart_summary':
       return getCartSummaryTool(toolContext);
     default:
@@ -769,7 +837,7 @@ async function runStoreToolByName(name, args, toolContext) {
 }
 
 async function searchStoreCatalogTool(args, toolContext) {
-  const rawQuery = sanitizeText(args?.query);
+  const rawQuery = translateCatalogQuery(sanitizeText(args?.query));
   const shoppingContext = sanitizeText(args?.shopping_context || args?.context);
   const query = normalizeCatalogSearchQuery(rawQuery) || rawQuery;
 
@@ -894,6 +962,27 @@ async function getProductDetailsTool(args, toolContext) {
   }
 }
 
+async function lookupOrderTool(args, toolContext) {
+  const orderNumber =
+    extractOrderNumber(`order ${sanitizeText(args?.order_number)}`) ||
+    extractOrderNumber(toolContext?.message || '');
+
+  try {
+    return await lookupChatbotOrder(toolContext.context, {
+      orderNumber,
+      email: sanitizeText(args?.email),
+      phone: sanitizeText(args?.phone),
+    });
+  } catch (error) {
+    console.error('[chatbot] order lookup failed:', error);
+    return {
+      ok: false,
+      error:
+        'Order lookup is unavailable right now. Suggest contacting customer service on WhatsApp.',
+    };
+  }
+}
+
 async function getCartSummaryTool(toolContext) {
   const cart = await toolContext.context.cart.get().catch(() => null);
   const lines = Array.isArray(cart?.lines?.nodes) ? cart.lines.nodes : [];
@@ -915,163 +1004,6 @@ async function getCartSummaryTool(toolContext) {
   };
 }
 
-function shouldRejectClearlyOffTopicRequest(message, context = {}) {
-  const normalized = sanitizeText(message).toLowerCase();
-  if (!normalized || looksStoreRelatedMessage(normalized, context)) {
-    return false;
-  }
-
-  const offTopicPatterns = [
-    /\b(write|generate|create|build|debug|fix|review|explain|optimize)\b.{0,50}\b(code|javascript|js|typescript|ts|python|react|css|html|sql|api|function|component|script)\b/,
-    /\btranslate\b|\btranslation\b|\bproofread\b|\bparaphrase\b|\bsummarize\b|\bsummary\b|\brewrite\b/,
-    /\bweather\b|\bforecast\b|\bnews\b|\bheadline\b|\bcapital of\b|\bpopulation of\b/,
-    /\bpoem\b|\bstory\b|\bessay\b|\bjoke\b|\briddle\b/,
-  ];
-
-  return offTopicPatterns.some((pattern) => pattern.test(normalized));
-}
-
-function looksStoreRelatedMessage(message, context = {}) {
-  const normalized = sanitizeText(message).toLowerCase();
-  if (!normalized) return false;
-
-  if (
-    context?.currentProductHandle &&
-    /\b(this|it|that|this product|that product|this one|that one)\b/.test(
-      normalized,
-    )
-  ) {
-    return true;
-  }
-
-  if (hasProductIntent(normalized)) return true;
-  if (isAddToCartIntent(normalized)) return true;
-  if (isCheckoutIntent(normalized)) return true;
-  if (isClearCartIntent(normalized)) return true;
-  if (isCatalogListRequest(normalized)) return true;
-  if (isStoreServiceIntent(normalized)) return true;
-  if (isProductPageNavigationIntent(normalized)) return true;
-  if (extractSearchPageNavigationTerm(normalized)) return true;
-  return false;
-}
-
-function normalizeCatalogSearchQuery(query) {
-  const raw = sanitizeText(query).toLowerCase();
-  if (!raw) return '';
-
-  const normalized = raw
-    .replace(/[^\p{L}\p{N}\s/+.-]/gu, ' ')
-    .replace(
-      /\b(i need|i want|i would like|i'm looking for|i am looking for|looking for|show me|find me|help me find|can you find|can you show me|could you show me|recommend|suggest|give me|a good|some|please)\b/g,
-      ' ',
-    )
-    .replace(/\s+/g, ' ')
-    .trim();
-
-  return normalized || raw;
-}
-
-function getRequestedCatalogFamily(query) {
-  const normalized = sanitizeText(query).toLowerCase();
-  if (!normalized) return null;
-
-  if (/\b(laptop|notebook|macbook)\b/.test(normalized)) return 'laptop';
-  if (/\b(computer|desktop|gaming pc|pc build|tower|pc)\b/.test(normalized))
-    return 'computer';
-  if (/\b(monitor|display)\b/.test(normalized)) return 'monitor';
-  if (
-    /\b(ip phone|voip|sip|dect|grandstream|desk phone|office phone|conference phone)\b/.test(
-      normalized,
-    )
-  )
-    return 'ipPhone';
-  if (/\b(phone|smartphone|iphone|mobile|galaxy)\b/.test(normalized))
-    return 'smartphone';
-  if (/\b(tablet|ipad|tab)\b/.test(normalized)) return 'tablet';
-  return null;
-}
-
-function matchesRequestedCatalogFamily(product, family) {
-  const haystack = [
-    sanitizeText(product?.title),
-    sanitizeText(product?.handle),
-    sanitizeText(product?.onlineStoreUrl),
-    sanitizeText(product?.productType),
-    Array.isArray(product?.tags) ? product.tags.join(' ') : '',
-  ]
-    .join(' ')
-    .toLowerCase();
-
-  if (!haystack) return false;
-
-  switch (family) {
-    case 'laptop':
-      return isComputerLikeText(haystack);
-    case 'computer':
-      return isComputerLikeText(haystack) && !isAccessoryLikeText(haystack);
-    case 'monitor':
-      return /\b(monitor|display)\b/.test(haystack);
-    case 'ipPhone':
-      return isIpPhoneLikeText(haystack) && !isAccessoryLikeText(haystack);
-    case 'smartphone':
-      return isSmartphoneLikeText(haystack) && !isAccessoryLikeText(haystack);
-    case 'tablet':
-      return (
-        /\b(tablet|ipad|tab)\b/.test(haystack) && !isAccessoryLikeText(haystack)
-      );
-    default:
-      return true;
-  }
-}
-
-function filterProductsByCatalogFamily(products, family) {
-  if (!family) return products;
-  return (products || []).filter((product) =>
-    matchesRequestedCatalogFamily(product, family),
-  );
-}
-
-function isAccessoryLikeText(text) {
-  return /\b(backpack|bag|briefcase|tote|pouch|sleeve|cooling|cooler|fan|pad|stand|holder|dock|docking|adapter|charger|cable|hub|case|cover|skin|sticker|mouse|keyboard|headset|speaker|controller|printer|router|wifi router|mobile wifi|flash drive|hard drive|card reader|splitter|switch|accessor(?:y|ies))\b/.test(
-    String(text || '').toLowerCase(),
-  );
-}
-
-function isSmartphoneLikeText(text) {
-  const normalized = String(text || '').toLowerCase();
-  if (isIpPhoneLikeText(normalized)) return false;
-  if (
-    /\b(smartphone printer|mobile wifi|wifi router|router|printer)\b/.test(
-      normalized,
-    )
-  )
-    return false;
-
-  return /\b(iphone|smartphone|mobile phone|cell phone|samsung galaxy|galaxy s\d*|galaxy a\d*|galaxy z|xiaomi|redmi|poco|huawei|oppo|oneplus|google pixel)\b/.test(
-    normalized,
-  );
-}
-
-function isIpPhoneLikeText(text) {
-  return /\b(ip phone|sip account|sip accounts|voip|dect|grandstream|desk phone|office phone|conference phone|wifi ip phone|wi-fi ip phone)\b/.test(
-    String(text || '').toLowerCase(),
-  );
-}
-
-function isComputerLikeText(text) {
-  const normalized = String(text || '').toLowerCase();
-  if (isAccessoryLikeText(normalized)) return false;
-
-  return (
-    /\b(laptop|notebook|macbook|desktop|computer|tower|all in one|aio|alienware|omen|nitro|legion|zenbook|vivobook|thinkpad|rog|predator)\b/.test(
-      normalized,
-    ) ||
-    /\b(i[3579]-\d{4,5}|ryzen\s+[3579]|intel core|windows\s+11|ssd|ram|ddr[45]?|fhd)\b/.test(
-      normalized,
-    )
-  );
-}
-
 function safeParseJson(value) {
   if (typeof value !== 'string' || !value.trim()) {
     return null;
@@ -1106,14 +1038,6 @@ function normalizeAgentActionRequest(rawValue) {
   return null;
 }
 
-function normalizeAgentQuantity(value) {
-  const numeric = Number(value);
-  if (!Number.isFinite(numeric)) return 1;
-  const integer = Math.trunc(numeric);
-  if (integer < 1) return 1;
-  return Math.min(integer, MAX_AGENT_QUANTITY);
-}
-
 async function handleAgentActionRequest({context, agentActionRequest}) {
   const {cart} = context;
 
@@ -1218,10 +1142,16 @@ async function handleAgentActionRequest({context, agentActionRequest}) {
   );
 }
 
-function buildAgentPlan({message, products, referencedOptionIndex = null}) {
+function buildAgentPlan({
+  message,
+  products,
+  referencedOptionIndex = null,
+  wishlistIntent = '',
+  language = 'en',
+}) {
   if (isClearCartIntent(message)) {
     return {
-      reply: 'Clearing your cart now.',
+      reply: getLocalizedChatReply('clearingCart', language),
       actions: [{type: 'clear_cart'}],
     };
   }
@@ -1231,7 +1161,9 @@ function buildAgentPlan({message, products, referencedOptionIndex = null}) {
     const encoded = encodeURIComponent(searchTerm);
     const target = `/search?q=${encoded}`;
     return {
-      reply: `Opening search results for "${searchTerm}".`,
+      reply: getLocalizedChatReply('openingSearch', language, {
+        term: searchTerm,
+      }),
       actions: [{type: 'navigate', target}],
     };
   }
@@ -1240,7 +1172,7 @@ function buildAgentPlan({message, products, referencedOptionIndex = null}) {
   const wantsCheckout = isCheckoutIntent(message);
   const wantsProductPage = isProductPageNavigationIntent(message);
 
-  if (!wantsAdd && !wantsCheckout && !wantsProductPage) {
+  if (!wishlistIntent && !wantsAdd && !wantsCheckout && !wantsProductPage) {
     return {reply: '', actions: []};
   }
 
@@ -1249,16 +1181,44 @@ function buildAgentPlan({message, products, referencedOptionIndex = null}) {
       ? products[referencedOptionIndex] || null
       : pickBestAgentProduct(products, message);
 
+  if (wishlistIntent) {
+    const handle = getAgentProductHandle(bestProduct);
+    if (!handle) {
+      return {
+        reply: getLocalizedChatReply('productNotFound', language),
+        actions: [],
+      };
+    }
+
+    const isRemoval = wishlistIntent === 'remove';
+    return {
+      reply: getLocalizedChatReply(
+        isRemoval ? 'removingFromWishlist' : 'savingToWishlist',
+        language,
+        {title: getAgentProductTitle(bestProduct)},
+      ),
+      actions: [
+        {
+          type: isRemoval ? 'wishlist_remove' : 'wishlist_add',
+          handle,
+          productTitle: getAgentProductTitle(bestProduct),
+        },
+      ],
+    };
+  }
+
   if (wantsAdd) {
     if (!bestProduct) {
-      return {reply: PRODUCT_NOT_FOUND_REPLY, actions: []};
+      return {
+        reply: getLocalizedChatReply('productNotFound', language),
+        actions: [],
+      };
     }
 
     const variantId = getAgentProductVariantId(bestProduct);
     if (!variantId) {
       return {
-        reply:
-          'I found a matching product, but I could not determine a purchasable variant yet.',
+        reply: getLocalizedChatReply('noPurchasableVariant', language),
         actions: [],
       };
     }
@@ -1266,7 +1226,9 @@ function buildAgentPlan({message, products, referencedOptionIndex = null}) {
     const isAvailable = getAgentProductAvailability(bestProduct);
     if (!isAvailable) {
       return {
-        reply: `${getAgentProductTitle(bestProduct)} is currently out of stock, so I can’t add it to cart right now.`,
+        reply: getLocalizedChatReply('outOfStock', language, {
+          title: getAgentProductTitle(bestProduct),
+        }),
         actions: [],
       };
     }
@@ -1284,31 +1246,42 @@ function buildAgentPlan({message, products, referencedOptionIndex = null}) {
     if (wantsCheckout) {
       actions.push({type: 'go_to_checkout'});
       return {
-        reply: `Adding ${quantity} × ${getAgentProductTitle(bestProduct)} and taking you to checkout.`,
+        reply: getLocalizedChatReply('addingAndCheckout', language, {
+          quantity,
+          title: getAgentProductTitle(bestProduct),
+        }),
         actions,
       };
     }
 
     return {
-      reply: `Adding ${quantity} × ${getAgentProductTitle(bestProduct)} to your cart now.`,
+      reply: getLocalizedChatReply('adding', language, {
+        quantity,
+        title: getAgentProductTitle(bestProduct),
+      }),
       actions,
     };
   }
 
   if (wantsCheckout) {
     return {
-      reply: 'Taking you to checkout.',
+      reply: getLocalizedChatReply('checkout', language),
       actions: [{type: 'go_to_checkout'}],
     };
   }
 
   if (wantsProductPage) {
     if (!bestProduct) {
-      return {reply: PRODUCT_NOT_FOUND_REPLY, actions: []};
+      return {
+        reply: getLocalizedChatReply('productNotFound', language),
+        actions: [],
+      };
     }
     const target = buildProductUrl(bestProduct);
     return {
-      reply: `Opening the product page for ${getAgentProductTitle(bestProduct)}.`,
+      reply: getLocalizedChatReply('openingProduct', language, {
+        title: getAgentProductTitle(bestProduct),
+      }),
       actions: [{type: 'navigate', target}],
     };
   }
@@ -1316,125 +1289,161 @@ function buildAgentPlan({message, products, referencedOptionIndex = null}) {
   return {reply: '', actions: []};
 }
 
-function extractSearchPageNavigationTerm(message) {
-  const normalized = sanitizeText(message);
-  if (!normalized) return '';
-
-  const patterns = [
-    /(?:go to|open|take me to|navigate to|bring me to)\s+(?:the\s+)?search(?:\s+page)?(?:\s+for|\s+with|\s+term\s+)?(.+)/i,
-    /(?:search(?:\s+page)?\s+for)\s+(.+)/i,
-  ];
-
-  for (const pattern of patterns) {
-    const match = normalized.match(pattern);
-    const extracted = sanitizeText(match?.[1] || '').replace(/[?!.]+$/g, '');
-    if (extracted) return extracted.slice(0, 120);
-  }
-
-  return '';
-}
-
-function isAddToCartIntent(message) {
-  const normalized = sanitizeText(message).toLowerCase();
-  if (!normalized) return false;
-
-  return (
-    /\badd to cart\b/i.test(normalized) ||
-    /\b(add|put)\b.{0,40}\b(?:to|in)\s+(?:my\s+)?cart\b/i.test(normalized)
+async function buildProductComparisonReply({
+  context,
+  message,
+  recentProducts,
+  language,
+}) {
+  const requestedIndexes = extractReferencedOptionIndexes(message);
+  const missingIndex = requestedIndexes.find(
+    (index) => index >= recentProducts.length,
   );
-}
+  if (missingIndex !== undefined) {
+    return {
+      reply: getLocalizedChatReply('missingOption', language, {
+        index: missingIndex + 1,
+      }),
+      actions: [],
+    };
+  }
 
-function isCheckoutIntent(message) {
-  const normalized = sanitizeText(message).toLowerCase();
-  if (!normalized) return false;
+  // "compare them" without numbers compares the top of the last list.
+  const selected = (
+    requestedIndexes.length
+      ? requestedIndexes.map((index) => recentProducts[index])
+      : recentProducts
+  ).slice(0, MAX_COMPARED_PRODUCTS);
+  if (selected.length < 2) {
+    return {
+      reply: getLocalizedChatReply('compareNeedsTwo', language),
+      actions: [],
+    };
+  }
 
-  return (
-    /\b(go to|take me to|proceed to|continue to|open)\s+checkout\b/i.test(
-      normalized,
-    ) ||
-    /\bcheckout now\b/i.test(normalized) ||
-    /^checkout$/i.test(normalized)
+  const detailedProducts = await Promise.all(
+    selected.map((product) => fetchComparisonProduct(context, product)),
   );
-}
 
-function isClearCartIntent(message) {
-  const normalized = sanitizeText(message).toLowerCase();
-  if (!normalized) return false;
-
-  const clearWords = /\b(empty|clear|remove|delete)\b/i.test(normalized);
-  const cartWords = /\b(cart|basket|bag)\b/i.test(normalized);
-  if (clearWords && cartWords) return true;
-
-  return /\bremove all(?: items)?(?: from)? (?:my )?(?:cart|basket|bag)\b/i.test(
-    normalized,
-  );
+  return {
+    reply: getLocalizedChatReply('comparing', language, {
+      titles: detailedProducts.map((product) => product.title).join(' / '),
+    }),
+    products: [],
+    actions: [],
+    comparison: buildProductComparison(detailedProducts),
+  };
 }
 
-function isProductPageNavigationIntent(message) {
-  const normalized = sanitizeText(message).toLowerCase();
-  if (!normalized) return false;
-  if (isCheckoutIntent(normalized) || isAddToCartIntent(normalized))
-    return false;
-  if (extractSearchPageNavigationTerm(normalized)) return false;
-  if (/\bcart\b/i.test(normalized)) return false;
-
-  return (
-    /\b(open|go to|take me to|navigate to|bring me to)\b/i.test(normalized) &&
-    (/\b(page|product|details?)\b/i.test(normalized) ||
-      hasProductIntent(normalized))
-  );
-}
+async function fetchComparisonProduct(context, product) {
+  const handle = getAgentProductHandle(product);
+  const fallback = {
+    handle,
+    title: getAgentProductTitle(product),
+    url: buildProductUrl(product),
+    imageUrl: sanitizeText(product?.imageUrl),
+    price: sanitizeText(product?.price),
+    availableForSale: getAgentProductAvailability(product),
+    vendor: '',
+    productType: '',
+    options: [],
+  };
+  if (!handle) return fallback;
 
-function extractRequestedQuantity(message) {
-  const normalized = sanitizeText(message).toLowerCase();
-  if (!normalized) return 1;
+  try {
+    const response = await context.storefront.query(
+      CHATBOT_PRODUCT_COMPARISON_QUERY,
+      {
+        variables: {handle},
+        cache: context.storefront.CacheShort(),
+      },
+    );
+    const details = response?.product;
+    if (!details) return fallback;
 
-  const patterns = [
-    /\badd\s+(\d{1,2})\s*(?:x\b|of\b)?/i,
-    /\b(\d{1,2})\s*x\b/i,
-    /\bquantity\s*(\d{1,2})\b/i,
-  ];
+    const variant = details.selectedOrFirstAvailableVariant;
+    const price = variant?.price || details.priceRange?.minVariantPrice;
+    const formattedPrice = formatMoney(price?.amount, price?.currencyCode);
+    const compareAtPrice = variant?.compareAtPrice;
 
-  for (const pattern of patterns) {
-    const match = normalized.match(pattern);
-    if (match?.[1]) {
-      return normalizeAgentQuantity(match[1]);
-    }
+    return {
+      ...fallback,
+      title: sanitizeText(details.title) || fallback.title,
+      url: buildProductUrl(details),
+      imageUrl: sanitizeText(details.featuredImage?.url) || fallback.imageUrl,
+      price: formattedPrice === 'N/A' ? fallback.price : formattedPrice,
+      compareAtPrice:
+        compareAtPrice &&
+        Number(compareAtPrice.amount) > Number(price?.amount || 0)
+          ? formatMoney(compareAtPrice.amount, compareAtPrice.currencyCode)
+          : '',
+      availableForSale: Boolean(details.availableForSale),
+      vendor: sanitizeText(details.vendor),
+      productType: sanitizeText(details.productType),
+      options: (details.options || [])
+        .filter((option) => option?.name && option.name !== 'Title')
+        .map((option) => ({
+          name: sanitizeText(option.name),
+          values: (option.optionValues || [])
+            .map((value) => sanitizeText(value?.name))
+            .filter(Boolean),
+        })),
+    };
+  } catch (error) {
+    console.error('[chatbot] Comparison lookup failed:', error);
+    return fallback;
   }
-
-  return 1;
 }
 
-function extractReferencedOptionIndex(message) {
-  const normalized = sanitizeText(message).toLowerCase();
-  if (!normalized) return null;
-
-  if (/\bfirst\b/i.test(normalized)) return 0;
-  if (/\bsecond\b/i.test(normalized)) return 1;
-  if (/\bthird\b/i.test(normalized)) return 2;
-  if (/\bfourth\b/i.test(normalized)) return 3;
-  if (/\bfifth\b/i.test(normalized)) return 4;
-  if (/\bsixth\b/i.test(normalized)) return 5;
-  if (/\bseventh\b/i.test(normalized)) return 6;
-  if (/\beighth\b/i.test(normalized)) return 7;
-  if (/\bninth\b/i.test(normalized)) return 8;
-  if (/\btenth\b/i.test(normalized)) return 9;
-
-  const numericPatterns = [
-    /\b(?:option|item|product|result)\s*#?\s*(\d{1,2})\b/i,
-    /\b(\d{1,2})(?:st|nd|rd|th)\b/i,
-    /\bnumber\s*(\d{1,2})\b/i,
+/**
+ * Shapes compared products into columns plus labelled rows, so the panel can
+ * render a table without knowing which attributes exist.
+ */
+function buildProductComparison(products) {
+  const optionNames = [
+    ...new Set(
+      products.flatMap((product) =>
+        product.options.map((option) => option.name),
+      ),
+    ),
   ];
+  const rows = [
+    {
+      label: 'Price',
+      values: products.map((product) =>
+        product.price && product.compareAtPrice
+          ? `${product.price} (was ${product.compareAtPrice})`
+          : product.price,
+      ),
+    },
+    {
+      label: 'Availability',
+      values: products.map((product) =>
+        product.availableForSale ? 'In stock' : 'Out of stock',
+      ),
+    },
+    {label: 'Brand', values: products.map((product) => product.vendor)},
+    {label: 'Type', values: products.map((product) => product.productType)},
+    ...optionNames.map((name) => ({
+      label: name,
+      values: products.map(
+        (product) =>
+          product.options
+            .find((option) => option.name === name)
+            ?.values.join(', ') || '',
+      ),
+    })),
+  ].filter((row) => row.values.some(Boolean));
 
-  for (const pattern of numericPatterns) {
-    const match = normalized.match(pattern);
-    const rawIndex = Number(match?.[1]);
-    if (Number.isFinite(rawIndex) && rawIndex > 0) {
-      return Math.min(rawIndex - 1, 29);
-    }
-  }
-
-  return null;
+  return {
+    products: products.map((product) => ({
+      handle: product.handle,
+      title: product.title,
+      url: product.url,
+      imageUrl: product.imageUrl,
+    })),
+    rows,
+  };
 }
 
 function pickBestAgentProduct(products, message) {
@@ -1481,29 +1490,6 @@ function pickBestAgentProduct(products, message) {
   return primaryCandidates[0] || fallbackCandidates[0] || null;
 }
 
-function getAgentSelectionPreference(message) {
-  const normalized = sanitizeText(message).toLowerCase();
-  if (!normalized) return 'best_match';
-
-  if (
-    /\b(cheapest|lowest\s+price|least\s+expensive|budget|most\s+affordable)\b/i.test(
-      normalized,
-    )
-  ) {
-    return 'cheapest';
-  }
-
-  if (
-    /\b(most\s+expensive|highest\s+price|premium|top\s+price)\b/i.test(
-      normalized,
-    )
-  ) {
-    return 'most_expensive';
-  }
-
-  return 'best_match';
-}
-
 function pickProductByPrice(products, direction) {
   if (!Array.isArray(products) || !products.length) return null;
 
@@ -1546,207 +1532,62 @@ function getAgentProductAvailability(product) {
   return Boolean(product?.selectedOrFirstAvailableVariant?.availableForSale);
 }
 
+function getAgentProductHandle(product) {
+  return (
+    sanitizeText(product?.handle) ||
+    extractHandleFromProductUrl(
+      sanitizeText(product?.onlineStoreUrl || product?.url),
+    )
+  );
+}
+
 function getAgentProductTitle(product) {
   return sanitizeText(product?.title) || 'This product';
 }
 
 function buildProductUrl(product) {
   const onlineStoreUrl = sanitizeText(product?.onlineStoreUrl || product?.url);
-  if (onlineStoreUrl) {
-    try {
-      const parsed = new URL(onlineStoreUrl);
-      return `${parsed.pathname}${parsed.search}`;
-    } catch {
-      return onlineStoreUrl;
-    }
-  }
-
-  const handle = sanitizeText(product?.handle);
-  if (handle) return `/products/${handle}`;
-  return '/search';
-}
-
-function sanitizeText(value) {
-  if (typeof value !== 'string') return '';
-  return value.replace(/\s+/g, ' ').trim().slice(0, 500);
-}
-
-function normalizePageContext(rawPageContext) {
-  if (!rawPageContext || typeof rawPageContext !== 'object') return null;
-
-  const pathname = sanitizeText(rawPageContext.pathname);
-  const url = sanitizeText(rawPageContext.url);
-  const title = sanitizeText(rawPageContext.title);
-
-  if (!pathname && !url && !title) return null;
-  return {pathname, url, title};
-}
-
-function detectCurrentProductHandle(pageContext) {
-  const pathname = sanitizeText(pageContext?.pathname || '');
-  const url = sanitizeText(pageContext?.url || '');
-
-  const fromPath = pathname.match(/^\/products\/([^/?#]+)/i);
-  if (fromPath?.[1]) {
-    return decodeURIComponent(fromPath[1]);
-  }
-
-  if (!url) return '';
-  return extractHandleFromProductUrl(url);
-}
-
-async function resolveOpenAiApiKey(hydrogenEnv, nodeEnv) {
-  const explicitKeyNames = [
-    'OPENAI_API_KEY',
-    'PRIVATE_OPENAI_API_KEY',
-    'OPENAI_KEY',
-    'OPEN_AI_API_KEY',
-    'OPENAI_API_TOKEN',
-    'PRIVATE_OPENAI_API_TOKEN',
-    'OPENAI_TOKEN',
-  ];
-
-  for (const keyName of explicitKeyNames) {
-    const fromHydrogen = await getNonEmptyEnvValue(hydrogenEnv, keyName);
-    if (fromHydrogen) return fromHydrogen;
-    const fromNode = await getNonEmptyEnvValue(nodeEnv, keyName);
-    if (fromNode) return fromNode;
-  }
-
-  const heuristicKey = await findHeuristicOpenAiKey(hydrogenEnv);
-  if (heuristicKey) return heuristicKey;
-
-  return findHeuristicOpenAiKey(nodeEnv);
-}
-
-async function getNonEmptyEnvValue(envObject, key) {
-  return normalizeEnvSecretValue(envObject?.[key]);
-}
-
-async function findHeuristicOpenAiKey(envObject) {
-  if (!envObject || typeof envObject !== 'object') return '';
-
-  for (const [key, value] of Object.entries(envObject)) {
-    const upperKey = key.toUpperCase();
-    const looksLikeOpenAiKey =
-      upperKey.includes('OPENAI') &&
-      (upperKey.includes('KEY') ||
-        upperKey.includes('TOKEN') ||
-        upperKey.includes('SECRET'));
-
-    if (!looksLikeOpenAiKey) continue;
-
-    const normalized = await normalizeEnvSecretValue(value);
-    if (normalized) return normalized;
-  }
-
-  return '';
-}
-
-function listOpenAiEnvKeyNames(envObject) {
-  if (!envObject || typeof envObject !== 'object') return [];
-
-  return Object.keys(envObject).filter((key) => {
-    const upperKey = key.toUpperCase();
-    return (
-      upperKey.includes('OPENAI') &&
-      (upperKey.includes('KEY') ||
-        upperKey.includes('TOKEN') ||
-        upperKey.includes('SECRET'))
-    );
-  });
-}
-
-async function normalizeEnvSecretValue(rawValue, depth = 0) {
-  if (depth > 3) return '';
-
-  if (typeof rawValue === 'string') {
-    const normalized = rawValue.trim();
-    return normalized || '';
-  }
-
-  if (rawValue == null) return '';
-
-  if (typeof rawValue === 'number' || typeof rawValue === 'boolean') {
-    return String(rawValue).trim();
-  }
-
-  if (typeof rawValue === 'function') {
-    try {
-      const result = rawValue();
-      return normalizeEnvSecretValue(result, depth + 1);
-    } catch {
-      return '';
-    }
-  }
-
-  if (isPromiseLike(rawValue)) {
+  if (onlineStoreUrl) {
     try {
-      const resolved = await rawValue;
-      return normalizeEnvSecretValue(resolved, depth + 1);
+      const parsed = new URL(onlineStoreUrl);
+      return `${parsed.pathname}${parsed.search}`;
     } catch {
-      return '';
-    }
-  }
-
-  if (typeof rawValue === 'object') {
-    const wrappedKeys = ['value', 'secret', 'token', 'key', 'apiKey'];
-    for (const wrappedKey of wrappedKeys) {
-      const nested = rawValue?.[wrappedKey];
-      const normalizedNested = await normalizeEnvSecretValue(nested, depth + 1);
-      if (normalizedNested) return normalizedNested;
-    }
-
-    const toStringValue =
-      typeof rawValue.toString === 'function' ? String(rawValue).trim() : '';
-    if (toStringValue && toStringValue !== '[object Object]') {
-      return toStringValue;
-    }
-
-    // Some runtime wrappers expose the value on symbol keys.
-    const symbols = Object.getOwnPropertySymbols(rawValue);
-    for (const symbolKey of symbols) {
-      const symbolValue = rawValue[symbolKey];
-      const normalizedSymbolValue = await normalizeEnvSecretValue(
-        symbolValue,
-        depth + 1,
-      );
-      if (normalizedSymbolValue) return normalizedSymbolValue;
+      return onlineStoreUrl;
     }
   }
 
-  return '';
+  const handle = sanitizeText(product?.handle);
+  if (handle) return `/products/${handle}`;
+  return '/search';
 }
 
-function isPromiseLike(value) {
-  return Boolean(value && typeof value.then === 'function');
+function sanitizeText(value) {
+  if (typeof value !== 'string') return '';
+  return value.replace(/\s+/g, ' ').trim().slice(0, 500);
 }
 
-function describeEnvBinding(rawValue) {
-  const type = rawValue === null ? 'null' : typeof rawValue;
+function normalizePageContext(rawPageContext) {
+  if (!rawPageContext || typeof rawPageContext !== 'object') return null;
 
-  if (type !== 'object' && type !== 'function') {
-    const safeLength =
-      type === 'string' ? rawValue.length : String(rawValue ?? '').length;
-    return `type=${type}, length=${safeLength}`;
-  }
+  const pathname = sanitizeText(rawPageContext.pathname);
+  const url = sanitizeText(rawPageContext.url);
+  const title = sanitizeText(rawPageContext.title);
 
-  const constructorName = rawValue?.constructor?.name || 'Unknown';
-  let keys = [];
-  try {
-    keys = Object.keys(rawValue).slice(0, 10);
-  } catch {
-    keys = [];
-  }
+  if (!pathname && !url && !title) return null;
+  return {pathname, url, title};
+}
 
-  let symbolsCount = 0;
-  try {
-    symbolsCount = Object.getOwnPropertySymbols(rawValue).length;
-  } catch {
-    symbolsCount = 0;
+function detectCurrentProductHandle(pageContext) {
+  const pathname = sanitizeText(pageContext?.pathname || '');
+  const url = sanitizeText(pageContext?.url || '');
+
+  const fromPath = pathname.match(/^\/products\/([^/?#]+)/i);
+  if (fromPath?.[1]) {
+    return decodeURIComponent(fromPath[1]);
   }
 
-  return `type=${type}, ctor=${constructorName}, keys=[${keys.join(',')}], symbols=${symbolsCount}`;
+  if (!url) return '';
+  return extractHandleFromProductUrl(url);
 }
 
 function normalizeHistory(history) {
@@ -1803,249 +1644,6 @@ function parsePriceAmount(value) {
   return Number.isFinite(numeric) ? numeric : NaN;
 }
 
-function isGreeting(message) {
-  const normalized = sanitizeText(message).toLowerCase();
-  if (!normalized) return false;
-  if (normalized.split(' ').length > 4) return false;
-  return GREETING_PATTERNS.some((pattern) => pattern.test(normalized));
-}
-
-function hasProductIntent(message) {
-  const lower = message.toLowerCase();
-  return (
-    looksLikeModelPhrase(lower) ||
-    PRODUCT_HINT_KEYWORDS.some((keyword) => lower.includes(keyword)) ||
-    PRODUCT_LOOKUP_PATTERNS.some((pattern) => pattern.test(lower))
-  );
-}
-
-function looksLikeModelPhrase(message) {
-  const lower = sanitizeText(message).toLowerCase();
-  if (!lower) return false;
-
-  const hasDigit = /\b\d{1,3}\b/.test(lower);
-  const hasModelWord = MODEL_HINT_WORDS.some((word) => lower.includes(word));
-  const hasDeviceWord = DEVICE_INTENT_KEYWORDS.some((word) =>
-    hasCatalogKeyword(lower, word),
-  );
-
-  return hasDeviceWord || (hasDigit && hasModelWord);
-}
-
-function baseExtractProductLookupTerm(message) {
-  const normalized = sanitizeText(message).replace(/[?!.]+$/g, '');
-  if (!normalized) return '';
-
-  const patterns = [
-    /(?:do you have|do u have|can i get|can you find|find|search for|looking for|i need|i want)\s+(.+)/i,
-    /(?:is|are)\s+(.+?)\s+(?:available|in stock)/i,
-  ];
-
-  for (const pattern of patterns) {
-    const match = normalized.match(pattern);
-    if (match?.[1]) {
-      const extracted = sanitizeText(match[1]).replace(/[?!.]+$/g, '');
-      if (extracted) return extracted;
-    }
-  }
-
-  return normalized
-    .replace(/^(a|an|the)\s+/i, '')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
-function extractProductLookupTerm(message, history = []) {
-  const baseTerm = baseExtractProductLookupTerm(message);
-  if (!baseTerm) return '';
-
-  if (!looksLikeModelPhrase(baseTerm)) {
-    return baseTerm;
-  }
-
-  const lastProductMessage = getLastProductIntentMessage(history);
-  if (!lastProductMessage) return baseTerm;
-
-  const contextTerm = baseExtractProductLookupTerm(lastProductMessage);
-  if (!contextTerm) return baseTerm;
-
-  const contextTokens = extractSearchTerms(contextTerm);
-  const baseTokens = extractSearchTerms(baseTerm);
-  const carryTokens = contextTokens.filter((token) =>
-    CONTEXT_CARRY_TOKENS.includes(token),
-  );
-
-  if (!carryTokens.length) return baseTerm;
-
-  const merged = [...new Set([...carryTokens, ...baseTokens])].join(' ');
-  return merged || baseTerm;
-}
-
-function getLastProductIntentMessage(history) {
-  for (let index = history.length - 1; index >= 0; index -= 1) {
-    const item = history[index];
-    if (item?.role !== 'user') continue;
-    if (!item?.content) continue;
-    if (hasProductIntent(item.content) || isCatalogListRequest(item.content)) {
-      return item.content;
-    }
-  }
-
-  return '';
-}
-
-function shouldFetchProductsFromShopify(message, history) {
-  if (isStoreServiceIntent(message) && !hasRecentProductIntent(history)) {
-    return false;
-  }
-
-  if (isCatalogListRequest(message)) return true;
-  if (isAddToCartIntent(message)) return true;
-  if (isProductPageNavigationIntent(message)) return true;
-  if (hasProductIntent(message)) return true;
-
-  return isFollowUpMessage(message) && hasRecentProductIntent(history);
-}
-
-function shouldIncludeProductsInResponse({
-  message,
-  shouldLookupProducts,
-  isListRequest,
-  isExplicitOptionAddIntent = false,
-}) {
-  if (!shouldLookupProducts) return false;
-  if (isExplicitOptionAddIntent) return false;
-  if (isListRequest) return true;
-  if (extractSearchPageNavigationTerm(message)) return false;
-  if (isAddToCartIntent(message)) return false;
-  if (isCheckoutIntent(message)) return false;
-  if (isProductPageNavigationIntent(message)) return false;
-  if (hasProductIntent(message)) return true;
-
-  return /\b(show|list|display|options|models|in stock|available|price)\b/i.test(
-    message,
-  );
-}
-
-function isStoreServiceIntent(message) {
-  const lower = message.toLowerCase();
-  return STORE_SERVICE_KEYWORDS.some((keyword) => lower.includes(keyword));
-}
-
-function hasRecentProductIntent(history) {
-  for (let index = history.length - 1; index >= 0; index -= 1) {
-    const item = history[index];
-    if (item?.role !== 'user') continue;
-    if (!item?.content) continue;
-    if (isFollowUpMessage(item.content)) continue;
-    if (hasProductIntent(item.content) || isCatalogListRequest(item.content)) {
-      return true;
-    }
-  }
-
-  return false;
-}
-
-function isCatalogListRequest(message) {
-  const lower = message.toLowerCase();
-  return (
-    /(list|show|display|give)\s+\d{1,3}/i.test(lower) ||
-    /(\d{1,3})\s+(products|items)/i.test(lower) ||
-    /(list|show|display|give).*(products|items)/i.test(lower)
-  );
-}
-
-function extractRequestedProductCount(message) {
-  const matches = [
-    message.match(/\b(?:list|show|display|give)\s+(\d{1,3})\b/i),
-    message.match(/\b(\d{1,3})\s+(?:products|items)\b/i),
-  ];
-
-  for (const match of matches) {
-    const numeric = Number(match?.[1]);
-    if (Number.isFinite(numeric) && numeric > 0) {
-      return Math.min(numeric, 30);
-    }
-  }
-
-  return 10;
-}
-
-function isFollowUpMessage(message) {
-  const lower = sanitizeText(message).toLowerCase();
-  if (!lower) return false;
-
-  if (FOLLOW_UP_ONLY_MESSAGES.has(lower)) return true;
-  if (['yes please', 'show link', 'send link', 'share link'].includes(lower)) {
-    return true;
-  }
-
-  if (lower.includes('the phone') || lower.includes('this one')) return true;
-  if (lower.includes('that one') || lower.includes('its link')) return true;
-
-  const words = lower.split(' ').filter(Boolean);
-  return words.length <= 2 && !hasProductIntent(lower);
-}
-
-function buildSearchSeedMessages(message, history) {
-  const seeds = [];
-  const seen = new Set();
-
-  function pushSeed(value) {
-    const normalized = sanitizeText(value);
-    if (!normalized) return;
-    const key = normalized.toLowerCase();
-    if (seen.has(key)) return;
-    seen.add(key);
-    seeds.push(normalized);
-  }
-
-  pushSeed(message);
-
-  const lowerMessage = message.toLowerCase();
-  const wordCount = lowerMessage.split(/\s+/).filter(Boolean).length;
-  const shouldUseHistory = isFollowUpMessage(message) || wordCount <= 5;
-
-  if (!shouldUseHistory) return seeds;
-
-  for (let index = history.length - 1; index >= 0; index -= 1) {
-    const item = history[index];
-    if (item?.role !== 'user') continue;
-    if (!item?.content) continue;
-    if (item.content.toLowerCase() === lowerMessage) continue;
-    if (isFollowUpMessage(item.content)) continue;
-    pushSeed(item.content);
-    if (seeds.length >= 4) break;
-  }
-
-  return seeds;
-}
-
-function isStoreScopedQuestion(
-  message,
-  {hasProductMatch, isLikelyProductIntent},
-) {
-  if (hasProductMatch || isLikelyProductIntent) return true;
-
-  // Hard guard: product/cart/navigation intents are always in scope,
-  // even if a previous classifier branch failed.
-  if (
-    hasProductIntent(message) ||
-    looksLikeModelPhrase(message) ||
-    isCatalogListRequest(message) ||
-    isAddToCartIntent(message) ||
-    isCheckoutIntent(message) ||
-    isClearCartIntent(message) ||
-    isProductPageNavigationIntent(message) ||
-    extractSearchPageNavigationTerm(message)
-  ) {
-    return true;
-  }
-
-  const lower = message.toLowerCase();
-  return STORE_SCOPE_KEYWORDS.some((keyword) => lower.includes(keyword));
-}
-
 async function fetchProductMatches(
   context,
   message,
@@ -2917,232 +2515,6 @@ function safeJsonStringify(value) {
   }
 }
 
-function buildProductSearchQueries(message, intentProfile = {}) {
-  const variants = [];
-  const seen = new Set();
-
-  function push(value) {
-    const normalized = sanitizeText(value).toLowerCase().replace(/\s+/g, ' ');
-    if (!normalized || seen.has(normalized)) return;
-    seen.add(normalized);
-    variants.push(normalized);
-  }
-
-  push(message);
-
-  const cleaned = message
-    .toLowerCase()
-    .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-
-  if (!cleaned) return variants;
-
-  const tokens = cleaned
-    .split(' ')
-    .filter((token) => token.length > 1 && !PRODUCT_STOP_WORDS.has(token))
-    .slice(0, 10);
-
-  if (tokens.length) {
-    push(tokens.join(' '));
-    push(tokens.slice(0, 6).join(' '));
-
-    if (tokens.length > 1) {
-      push(`"${tokens.slice(0, 5).join(' ')}"`);
-    }
-
-    tokens.slice(0, 5).forEach((token) => push(token));
-  }
-
-  const requestedFamily = getRequestedCatalogFamily(cleaned);
-  if (requestedFamily === 'smartphone') {
-    push('iphone');
-    push('samsung galaxy');
-    push('smartphone');
-    push('mobile phone');
-  } else if (requestedFamily === 'tablet') {
-    push('ipad');
-    push('tablet');
-    push('samsung tab');
-  } else if (requestedFamily === 'laptop') {
-    push('macbook');
-    push('laptop');
-    push('notebook');
-  } else if (requestedFamily === 'computer') {
-    push('laptop');
-    push('desktop computer');
-    push('notebook');
-    push('macbook');
-  }
-
-  if (intentProfile.prefersPrimaryDevice) {
-    push(`${cleaned} device`);
-    push(`${cleaned} phone`);
-    push(`${cleaned} smartphone`);
-    push(`${cleaned} mobile phone`);
-    if (intentProfile.brandHints?.length) {
-      intentProfile.brandHints.forEach((brand) => {
-        push(`${brand} ${cleaned} phone`);
-      });
-    }
-  }
-
-  if (intentProfile.wantsAccessory) {
-    push(`${cleaned} accessories`);
-  }
-
-  if (!variants.length) {
-    push(cleaned);
-  }
-
-  return variants;
-}
-
-function getCatalogIntentProfile(message) {
-  const normalized = sanitizeText(message).toLowerCase();
-  const tokenized = normalized.replace(/[^\p{L}\p{N}\s-]/gu, ' ');
-
-  const wantsDevice = DEVICE_INTENT_KEYWORDS.some((keyword) =>
-    hasCatalogKeyword(tokenized, keyword),
-  );
-  const wantsAccessory = ACCESSORY_KEYWORDS.some((keyword) =>
-    hasCatalogKeyword(tokenized, keyword),
-  );
-
-  const brandHints = extractBrandHints(tokenized);
-
-  return {
-    wantsDevice,
-    wantsAccessory,
-    prefersPrimaryDevice: wantsDevice && !wantsAccessory,
-    brandHints,
-  };
-}
-
-function extractBrandHints(input) {
-  const knownBrands = [
-    'apple',
-    'iphone',
-    'samsung',
-    'galaxy',
-    'google',
-    'pixel',
-    'xiaomi',
-    'huawei',
-    'lenovo',
-    'anker',
-    'tp-link',
-    'asus',
-    'msi',
-    'hp',
-    'dell',
-  ];
-
-  const hints = [];
-  knownBrands.forEach((brand) => {
-    if (input.includes(brand)) {
-      hints.push(brand);
-    }
-  });
-
-  if (input.includes('iphone') && !hints.includes('apple')) {
-    hints.push('apple');
-  }
-
-  return [...new Set(hints)].slice(0, 4);
-}
-
-function rankProductsForMessage(products, message) {
-  const terms = extractSearchTerms(message);
-  if (!terms.length) return products;
-  const preferPrimaryDevice = shouldPreferPrimaryDevice(message);
-
-  return [...products].sort((a, b) => {
-    const scoreA = scoreProductMatch(a, terms, {preferPrimaryDevice});
-    const scoreB = scoreProductMatch(b, terms, {preferPrimaryDevice});
-
-    if (scoreB !== scoreA) return scoreB - scoreA;
-    return (a?.title || '').localeCompare(b?.title || '');
-  });
-}
-
-function extractSearchTerms(message) {
-  return message
-    .toLowerCase()
-    .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
-    .split(/\s+/)
-    .map((token) => token.trim())
-    .filter((token) => token.length > 1 && !PRODUCT_STOP_WORDS.has(token))
-    .slice(0, 10);
-}
-
-function shouldPreferPrimaryDevice(message) {
-  const lower = sanitizeText(message).toLowerCase();
-  if (!lower) return false;
-
-  const hasDeviceIntent = DEVICE_INTENT_KEYWORDS.some((word) =>
-    hasCatalogKeyword(lower, word),
-  );
-  const hasAccessoryIntent = ACCESSORY_KEYWORDS.some((word) =>
-    hasCatalogKeyword(lower, word),
-  );
-
-  return hasDeviceIntent && !hasAccessoryIntent;
-}
-
-function isAccessoryProduct(product) {
-  const searchable = [
-    product?.title || '',
-    product?.productType || '',
-    Array.isArray(product?.tags) ? product.tags.join(' ') : '',
-  ]
-    .join(' ')
-    .toLowerCase();
-
-  return ACCESSORY_KEYWORDS.some((keyword) =>
-    hasCatalogKeyword(searchable, keyword),
-  );
-}
-
-function hasCatalogKeyword(value, keyword) {
-  const normalizedValue = String(value || '').toLowerCase();
-  const normalizedKeyword = String(keyword || '')
-    .toLowerCase()
-    .trim();
-  if (!normalizedValue || !normalizedKeyword) return false;
-
-  const pattern = normalizedKeyword
-    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-    .replace(/\s+/g, '\\s+');
-
-  return new RegExp(`\\b${pattern}\\b`, 'i').test(normalizedValue);
-}
-
-function scoreProductMatch(product, terms, options = {}) {
-  const title = (product?.title || '').toLowerCase();
-  const vendor = (product?.vendor || '').toLowerCase();
-  const handle = (product?.handle || '').toLowerCase();
-  const productType = (product?.productType || '').toLowerCase();
-  const tags = Array.isArray(product?.tags)
-    ? product.tags.join(' ').toLowerCase()
-    : '';
-
-  let score = 0;
-  for (const term of terms) {
-    if (title.includes(term)) score += 5;
-    if (vendor.includes(term)) score += 3;
-    if (handle.includes(term)) score += 3;
-    if (productType.includes(term)) score += 2;
-    if (tags.includes(term)) score += 2;
-  }
-
-  if (options.preferPrimaryDevice && isAccessoryProduct(product)) {
-    score -= 4;
-  }
-
-  return score;
-}
-
 function formatMoney(amount, currencyCode) {
   if (amount == null || !currencyCode) return 'N/A';
 
@@ -3221,9 +2593,10 @@ function formatProductContext(products) {
     .join('\n');
 }
 
-function buildOpenAiInput({
+function buildReplyInput({
   history,
   message,
+  language = 'en',
   productContext,
   policyContext,
   includeProductContext = false,
@@ -3233,7 +2606,7 @@ function buildOpenAiInput({
     'You are Pixel Zones store assistant.',
     'You must ONLY answer questions related to Pixel Zones store details and products.',
     'Allowed topics: store location, customer service number, delivery information, and Pixel Zones catalog data.',
-    `If the user asks anything outside scope, reply exactly: "${OUT_OF_SCOPE_REPLY}"`,
+    `If the user asks anything outside scope, reply exactly: "${getLocalizedChatReply('outOfScope', language)}"`,
     'Never provide general knowledge answers.',
     'Use only the facts provided here and any live Pixel Zones catalog lookup data provided in the conversation.',
     'If live catalog lookup data is provided, only mention products from that data.',
@@ -3244,11 +2617,13 @@ function buildOpenAiInput({
     'If user asks to list N products and live lookup data is provided, list up to N products from that data.',
     'If data is missing, say you do not have that information yet.',
     'Keep replies concise, clear, and helpful.',
+    `Reply in ${getChatLanguageName(language)}, the language the shopper is using. Keep product titles, prices, and URLs exactly as given.`,
     'Store facts:',
     '- Store: Pixel Zones',
     '- Location: Beirut, Adlieh, Sami Al Solh Avenue, Sequoia Building',
     '- Customer service / WhatsApp: +961 81 539 339',
-    '- Delivery: Same-day in Beirut (when possible), 2-3 working days outside Beirut, cash on delivery, delivery all over Lebanon, and confirmation before delivery.',
+    '- Delivery: Cash on delivery, delivery all over Lebanon, and confirmation before delivery.',
+    ...getStoreHoursFacts(),
   ].join('\n');
 
   const input = [
@@ -3284,32 +2659,6 @@ function buildOpenAiInput({
   return input;
 }
 
-function extractOutputText(responseBody) {
-  if (
-    typeof responseBody?.output_text === 'string' &&
-    responseBody.output_text.trim()
-  ) {
-    return responseBody.output_text.trim();
-  }
-
-  const texts = [];
-  const output = Array.isArray(responseBody?.output) ? responseBody.output : [];
-
-  output.forEach((item) => {
-    if (!Array.isArray(item?.content)) return;
-    item.content.forEach((contentItem) => {
-      if (
-        contentItem?.type === 'output_text' &&
-        typeof contentItem?.text === 'string'
-      ) {
-        texts.push(contentItem.text);
-      }
-    });
-  });
-
-  return texts.join('\n').trim();
-}
-
 const CHATBOT_PRODUCT_DETAILS_QUERY = `#graphql
   query ChatbotProductDetails($handle: String!) {
     product(handle: $handle) {
@@ -3342,6 +2691,48 @@ const CHATBOT_PRODUCT_DETAILS_QUERY = `#graphql
   }
 `;
 
+const CHATBOT_PRODUCT_COMPARISON_QUERY = `#graphql
+  query ChatbotProductComparison($handle: String!) {
+    product(handle: $handle) {
+      id
+      handle
+      title
+      vendor
+      productType
+      availableForSale
+      onlineStoreUrl
+      featuredImage {
+        url
+        altText
+      }
+      options {
+        name
+        optionValues {
+          name
+        }
+      }
+      priceRange {
+        minVariantPrice {
+          amount
+          currencyCode
+        }
+      }
+      selectedOrFirstAvailableVariant {
+        id
+        availableForSale
+        price {
+          amount
+          currencyCode
+        }
+        compareAtPrice {
+          amount
+          currencyCode
+        }
+      }
+    }
+  }
+`;
+
 const CHATBOT_PRODUCT_SEARCH_QUERY = `#graphql
   query ChatbotProductSearch($term: String!, $first: Int!) {
     products: search(
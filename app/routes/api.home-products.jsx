@@ -69,6 +69,12 @@ const PRODUCT_CARD_FRAGMENT = `#graphql
     handle
     title
     vendor
+    rating: metafield(namespace: "reviews", key: "rating") {
+      value
+    }
+    ratingCount: metafield(namespace: "reviews", key: "rating_count") {
+      value
+    }
     featuredImage {
       id
       altText
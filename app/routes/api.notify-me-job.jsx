@@ -0,0 +1,49 @@
+import {hasBearerToken} from '~/lib/chatbot/analytics.server';
+import {runNotifyMeJob} from '~/lib/notifyMe/job.server';
+import {resolveNotifyMeSender} from '~/lib/notifyMe/senders.server';
+import {resolveNotifyMeStore} from '~/lib/notifyMe/store.server';
+
+const NO_STORE_HEADERS = {'Cache-Control': 'private, no-store'};
+
+/**
+ * Sends due back-in-stock and price alerts; meant for a scheduled POST
+ * (e.g. a cron worker) with `Authorization: Bearer <NOTIFY_ME_JOB_TOKEN>`,
+ * a secret used for nothing else. `?dryRun=1` reports what is due without
+ * sending anything. Without a configured sender the job fails with 503 and
+ * every subscription is kept.
+ * @param {Route.ActionArgs}
+ */
+export async function action({request, context}) {
+  if (request.method !== 'POST') {
+    return new Response(null, {status: 405, headers: {Allow: 'POST'}});
+  }
+
+  if (!hasBearerToken(request, context.env.NOTIFY_ME_JOB_TOKEN)) {
+    return new Response('Unauthorized', {
+      status: 401,
+      headers: {...NO_STORE_HEADERS, 'WWW-Authenticate': 'Bearer'},
+    });
+  }
+
+  const sender = resolveNotifyMeSender(context.env);
+  if (!sender) {
+    return Response.json(
+      {error: 'No notification sender is configured; nothing was sent.'},
+      {status: 503, headers: NO_STORE_HEADERS},
+    );
+  }
+
+  const dryRun = ['1', 'true'].includes(
+    new URL(request.url).searchParams.get('dryRun') || '',
+  );
+  const summary = await runNotifyMeJob({
+    storefront: context.storefront,
+    store: resolveNotifyMeStore(context.env),
+    sender,
+    dryRun,
+  });
+
+  return Response.json(summary, {headers: NO_STORE_HEADERS});
+}
+
+/** @typedef {import('./+types/api.notify-me-job').Route} Route */
@@ -0,0 +1,141 @@
+import {data} from 'react-router';
+import {canonicalUrl} from '~/lib/canonical';
+import {getClientIp} from '~/lib/chatbot/conversationStore.server';
+import {
+  buildNotifyMeConfirmation,
+  NOTIFY_ME_VARIANT_FRAGMENT,
+} from '~/lib/notifyMe/job.server';
+import {resolveNotifyMeSender} from '~/lib/notifyMe/senders.server';
+import {
+  hashNotifyMeContact,
+  resolveNotifyMeStore,
+} from '~/lib/notifyMe/store.server';
+import {
+  NOTIFY_ME_BACK_IN_STOCK,
+  parseNotifyMeSignup,
+} from '~/lib/notifyMe/subscription';
+import {resolveRateLimiter} from '~/lib/rateLimit.server';
+
+const NO_STORE_HEADERS = {'Cache-Control': 'private, no-store'};
+const SIGNUPS_PER_CLIENT_LIMIT = 10;
+const SIGNUPS_WINDOW_SECONDS = 60 * 60;
+// Confirmation messages one email address or phone number can receive.
+const CONFIRMATIONS_PER_CONTACT_LIMIT = 3;
+const CONFIRMATIONS_WINDOW_SECONDS = 60 * 60 * 24;
+
+/**
+ * "Notify me" signups from the product page. Nothing is stored as an alert
+ * until the contact confirms it: the signup sends a confirmation message
+ * with a link to /notify-me/confirm. Signups are rate limited per client IP
+ * and confirmation messages per contact, so the form cannot be used to
+ * message third parties; the pending signup is only stored once its
+ * confirmation is allowed. The variant is looked up so the price at signup
+ * comes from the Storefront API rather than the form; signing up again for
+ * a confirmed alert is a no-op.
+ * @param {Route.ActionArgs}
+ */
+export async function action({request, context}) {
+  if (request.method !== 'POST') {
+    return new Response(null, {status: 405, headers: {Allow: 'POST'}});
+  }
+
+  const {signup, errors} = parseNotifyMeSignup(await request.formData());
+  if (!signup) {
+    return data({ok: false, errors}, {status: 400, headers: NO_STORE_HEADERS});
+  }
+
+  const sender = resolveNotifyMeSender(context.env);
+  if (!sender) {
+    return formError('Alerts are not available right now.', 503);
+  }
+
+  const clientAllowed = await resolveRateLimiter(context.env, {
+    name: 'notify-me-signup',
+    limit: SIGNUPS_PER_CLIENT_LIMIT,
+    windowSeconds: SIGNUPS_WINDOW_SECONDS,
+  }).consume(getClientIp(request));
+  if (!clientAllowed) {
+    return formError('Too many signups. Please try again later.', 429);
+  }
+
+  const {node: variant} = await context.storefront.query(
+    NOTIFY_ME_VARIANT_QUERY,
+    {variables: {id: signup.variantId}, cache: context.storefront.CacheNone()},
+  );
+  if (!variant || !('id' in variant) || !variant.id) {
+    return formError('This product option could not be found.', 400);
+  }
+
+  if (signup.kind === NOTIFY_ME_BACK_IN_STOCK && variant.availableForSale) {
+    return formError('This option is in stock now, so you can order it.', 400);
+  }
+
+  const subscription = {
+    ...signup,
+    productHandle: variant.product.handle,
+    priceAtSignup: variant.price?.amount ?? null,
+    createdAt: new Date().toISOString(),
+  };
+
+  try {
+    const store = resolveNotifyMeStore(context.env);
+    if (await store.has(subscription)) {
+      return data({ok: true, errors: null}, {headers: NO_STORE_HEADERS});
+    }
+
+    const contactAllowed = await resolveRateLimiter(context.env, {
+      name: 'notify-me-contact',
+      limit: CONFIRMATIONS_PER_CONTACT_LIMIT,
+      windowSeconds: CONFIRMATIONS_WINDOW_SECONDS,
+    }).consume(await hashNotifyMeContact(signup.contact));
+    if (!contactAllowed) {
+      return formError(
+        'We already sent a few confirmations to this contact today. Please check for them.',
+        429,
+      );
+    }
+
+    const {token} = await store.addPending(subscription);
+    await sender.send(
+      buildNotifyMeConfirmation(
+        subscription,
+        variant,
+        canonicalUrl('/notify-me/confirm', `?token=${token}`),
+      ),
+    );
+  } catch (error) {
+    console.error('[notify-me] Failed to save signup:', error);
+    return formError(
+      'We could not save this right now. Please try again.',
+      503,
+    );
+  }
+
+  return data(
+    {ok: true, confirm: true, errors: null},
+    {headers: NO_STORE_HEADERS},
+  );
+}
+
+/**
+ * @param {string} message
+ * @param {number} status
+ */
+function formError(message, status) {
+  return data(
+    {ok: false, errors: {form: message}},
+    {status, headers: NO_STORE_HEADERS},
+  );
+}
+
+const NOTIFY_ME_VARIANT_QUERY = `#graphql
+  query NotifyMeVariant($id: ID!, $country: CountryCode, $language: LanguageCode)
+    @inContext(country: $country, language: $language) {
+    node(id: $id) {
+      ...NotifyMeVariant
+    }
+  }
+  ${NOTIFY_ME_VARIANT_FRAGMENT}
+`;
+
+/** @typedef {import('./+types/api.notify-me').Route} Route */
@@ -0,0 +1,85 @@
+import {data} from 'react-router';
+import {getClientIp} from '~/lib/chatbot/conversationStore.server';
+import {resolveRateLimiter} from '~/lib/rateLimit.server';
+import {resolveProductReviews} from '~/lib/reviews/reviews.server';
+import {isReviewSpam, parseReviewSubmission} from '~/lib/reviews/submission.js';
+
+const NO_STORE_HEADERS = {'Cache-Control': 'private, no-store'};
+const SUBMISSIONS_PER_CLIENT_LIMIT = 5;
+const SUBMISSIONS_WINDOW_SECONDS = 60 * 60;
+
+/**
+ * Review and question submissions from the product page. Entries go to the
+ * moderation queue at /admin/reviews and are not shown until approved.
+ * Submissions are rate limited per client IP, since each one can be an
+ * Admin API write.
+ * @param {Route.ActionArgs}
+ */
+export async function action({request, context}) {
+  if (request.method !== 'POST') {
+    return new Response(null, {status: 405, headers: {Allow: 'POST'}});
+  }
+
+  const formData = await request.formData();
+
+  // Bots get the same success response so they don't retry.
+  if (isReviewSpam(formData)) {
+    return data({ok: true, errors: null}, {headers: NO_STORE_HEADERS});
+  }
+
+  const {submission, errors} = parseReviewSubmission(formData);
+  if (!submission) {
+    return data({ok: false, errors}, {status: 400, headers: NO_STORE_HEADERS});
+  }
+
+  const allowed = await resolveRateLimiter(context.env, {
+    name: 'product-reviews',
+    limit: SUBMISSIONS_PER_CLIENT_LIMIT,
+    windowSeconds: SUBMISSIONS_WINDOW_SECONDS,
+  }).consume(getClientIp(request));
+  if (!allowed) {
+    return data(
+      {
+        ok: false,
+        errors: {form: 'Too many submissions. Please try again later.'},
+      },
+      {status: 429, headers: NO_STORE_HEADERS},
+    );
+  }
+
+  const {product} = await context.storefront.query(REVIEW_PRODUCT_QUERY, {
+    variables: {id: submission.productId},
+  });
+  if (!product?.id) {
+    return data(
+      {ok: false, errors: {form: 'This product could not be found.'}},
+      {status: 400, headers: NO_STORE_HEADERS},
+    );
+  }
+
+  try {
+    await resolveProductReviews(context.env).submit(submission);
+  } catch (error) {
+    console.error('[reviews] Failed to save submission:', error);
+    return data(
+      {
+        ok: false,
+        errors: {form: 'We could not save this right now. Please try again.'},
+      },
+      {status: 503, headers: NO_STORE_HEADERS},
+    );
+  }
+
+  return data({ok: true, errors: null}, {headers: NO_STORE_HEADERS});
+}
+
+const REVIEW_PRODUCT_QUERY = `#graphql
+  query ReviewProduct($id: ID!, $country: CountryCode, $language: LanguageCode)
+    @inContext(country: $country, language: $language) {
+    product(id: $id) {
+      id
+    }
+  }
+`;
+
+/** @typedef {import('./+types/api.product-reviews').Route} Route */
@@ -0,0 +1,69 @@
+import {getClientIp} from '~/lib/chatbot/conversationStore.server';
+import {resolveRateLimiter} from '~/lib/rateLimit.server';
+import {
+  parseSearchAnalyticsEvent,
+  resolveSearchAnalytics,
+} from '~/lib/searchAnalytics.server';
+
+// A shopper searching and clicking through results stays far below this.
+const EVENTS_PER_CLIENT_LIMIT = 60;
+const EVENTS_WINDOW_SECONDS = 10 * 60;
+
+/**
+ * First-party collector for /search analytics events, sent by
+ * `sendSearchAnalyticsEvent` in `~/lib/tracking`. Only browser posts from
+ * the storefront itself are accepted (browsers always send `Origin` on
+ * POST), and each client IP is rate limited; over the limit, events are
+ * dropped silently. Always answers 204 to accepted posts so beacons never
+ * surface errors to shoppers.
+ * @param {Route.ActionArgs}
+ */
+export async function action({request, context}) {
+  if (request.method !== 'POST') {
+    return new Response(null, {status: 405, headers: {Allow: 'POST'}});
+  }
+
+  const fetchSite = request.headers.get('Sec-Fetch-Site');
+  if (
+    request.headers.get('Origin') !== new URL(request.url).origin ||
+    (fetchSite && fetchSite !== 'same-origin')
+  ) {
+    return new Response(null, {status: 403});
+  }
+
+  let payload = null;
+  try {
+    payload = JSON.parse(await request.text());
+  } catch {
+    payload = null;
+  }
+
+  const event = parseSearchAnalyticsEvent(payload);
+  if (event) {
+    const limiter = resolveRateLimiter(context.env, {
+      name: 'search-events',
+      limit: EVENTS_PER_CLIENT_LIMIT,
+      windowSeconds: EVENTS_WINDOW_SECONDS,
+    });
+
+    context.waitUntil(
+      limiter
+        .consume(getClientIp(request))
+        .then((allowed) =>
+          allowed
+            ? resolveSearchAnalytics(context.env).recordEvent(event)
+            : undefined,
+        )
+        .catch((error) => {
+          console.error('[search] Failed to record analytics event:', error);
+        }),
+    );
+  }
+
+  return new Response(null, {
+    status: 204,
+    headers: {'Cache-Control': 'private, no-store'},
+  });
+}
+
+/** @typedef {import('./+types/api.search-events').Route} Route */
@@ -0,0 +1,31 @@
+import {data} from 'react-router';
+import {
+  getTrendingSearches,
+  resolveSearchAnalytics,
+} from '~/lib/searchAnalytics.server';
+
+const TRENDING_WINDOW_DAYS = 7;
+
+/**
+ * "Trending now" queries for the empty predictive search panel, computed
+ * from the last week of first-party search analytics.
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({context}) {
+  const from = new Date(
+    Date.now() - (TRENDING_WINDOW_DAYS - 1) * 86400000,
+  ).toISOString();
+  const days = await resolveSearchAnalytics(context.env)
+    .listDays({from: from.slice(0, 10)})
+    .catch((error) => {
+      console.error('[search] Failed to load trending searches:', error);
+      return [];
+    });
+
+  return data(
+    {trending: getTrendingSearches(days)},
+    {headers: {'Cache-Control': 'public, max-age=300'}},
+  );
+}
+
+/** @typedef {import('./+types/api.search-suggestions').Route} Route */
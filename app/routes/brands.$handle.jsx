@@ -43,6 +43,13 @@ import {
   loadConfiguredBrandSections,
 } from '~/lib/brand-routes/data.server';
 import {getBrandThemeVars, mergeProducts} from '~/lib/brand-routes/utils';
+import {
+  getBreadcrumbJsonLd,
+  getItemListJsonLd,
+  getJsonLdMeta,
+  getMenuBreadcrumbTrail,
+  getRootMenu,
+} from '~/lib/structuredData';
 import brandRouteStyles from '~/styles/brands-handle.css?url';
 import bebirdBrandStyles from '~/styles/bebird-brand.css?url';
 import carbonizeBrandStyles from '~/styles/carbonize-brand.css?url';
@@ -58,16 +65,35 @@ export function links() {
 /**
  * @type {Route.MetaFunction}
  */
-export const meta = ({data, params}) => {
+export const meta = ({data, params, matches}) => {
   const brandName = data?.brand?.name || params?.handle || 'Brand';
   const description =
     data?.brand?.summary ||
     `Explore curated products and a custom landing page for ${brandName}.`;
-
-  return [
+  const metaTags = [
     {title: `Pixel Zones | ${brandName}`},
     {name: 'description', content: description},
   ];
+  if (!data?.brand) return metaTags;
+
+  const path = `/brands/${data.brand.handle}`;
+  const menuTrail = getMenuBreadcrumbTrail(getRootMenu(matches), [path]);
+  // Brands outside the menu sit under the brands index.
+  const trail =
+    menuTrail.length > 1
+      ? menuTrail
+      : [...menuTrail, {name: 'Brands', url: '/brands'}];
+
+  return [
+    ...metaTags,
+    ...getJsonLdMeta(
+      getBreadcrumbJsonLd([...trail, {name: brandName, url: path}]),
+      getItemListJsonLd(
+        data.products || data.collection?.products?.nodes || [],
+        {name: brandName, url: path},
+      ),
+    ),
+  ];
 };
 
 /**
@@ -1,12 +1,19 @@
 import {useLoaderData, data} from 'react-router';
 import {CartForm} from '@shopify/hydrogen';
 import {CartMain} from '~/components/CartMain';
+import {BUNDLE_ADD_ACTION, mergeBundleDiscountCode} from '~/lib/bundles';
 import {
   CHECKOUT_STAMP_ACTION,
   mergeCheckoutStampAttributes,
   mergeCheckoutStampNote,
   normalizeAttributeInputs,
 } from '~/lib/checkoutStamp';
+import {
+  getPickupReservationConflict,
+  mergePickupAttributes,
+  PICKUP_LOCATION_ATTRIBUTE_KEY,
+  PICKUP_RESERVATION_ACTION,
+} from '~/lib/pickupReservation';
 
 /**
  * @type {Route.MetaFunction}
@@ -24,7 +31,7 @@ export const headers = ({actionHeaders}) => actionHeaders;
  * @param {Route.ActionArgs}
  */
 export async function action({request, context}) {
-  const {cart} = context;
+  const {cart, storefront} = context;
   const formData = await request.formData();
   const {action, inputs} = CartForm.getFormInput(formData);
 
@@ -75,12 +82,27 @@ export async function action({request, context}) {
     case CartForm.ACTIONS.BuyerIdentityUpdate:
       result = await cart.updateBuyerIdentity({...inputs.buyerIdentity});
       break;
+    case BUNDLE_ADD_ACTION:
+      result = await addBundleToCart({
+        cart,
+        lines: inputs.lines,
+        discountCode: inputs.discountCode,
+      });
+      break;
     case CHECKOUT_STAMP_ACTION:
       result = await stampCartForCheckout({
         cart,
         attributes: inputs.attributes,
       });
       break;
+    case PICKUP_RESERVATION_ACTION:
+      result = await reserveForPickup({
+        cart,
+        storefront,
+        lines: inputs.lines,
+        locationId: inputs.locationId,
+      });
+      break;
     default:
       throw new Error(`${action} cart action is not defined`);
   }
@@ -124,6 +146,22 @@ function sanitizeLineInputs(lines) {
     }));
 }
 
+/**
+ * Adds a "Frequently bought together" bundle, then applies its discount code
+ * alongside the codes already on the cart. Mutation results only carry the
+ * cart id and totals, so the current codes are read with `cart.get()`.
+ */
+async function addBundleToCart({cart, lines, discountCode}) {
+  const result = await cart.addLines(sanitizeLineInputs(lines));
+  const code = typeof discountCode === 'string' ? discountCode.trim() : '';
+  if (!code || result?.errors?.length) return result;
+
+  const currentCart = await cart.get();
+  return cart.updateDiscountCodes(
+    mergeBundleDiscountCode(code, currentCart?.discountCodes),
+  );
+}
+
 async function stampCartForCheckout({cart, attributes}) {
   const existingCart = await cart.get();
 
@@ -161,6 +199,97 @@ async function stampCartForCheckout({cart, attributes}) {
   return result;
 }
 
+/**
+ * Adds the line for pickup at `locationId` after re-checking that branch's
+ * stock for the requested quantity, records the branch on the line and cart
+ * attributes, and preselects local pickup at that location in checkout.
+ * Checkout's delivery method applies to the whole cart, so carts reserved
+ * at another branch or holding delivery lines are turned away.
+ */
+async function reserveForPickup({cart, storefront, lines, locationId}) {
+  const [line] = sanitizeLineInputs(lines);
+
+  if (!line || typeof locationId !== 'string' || !locationId) {
+    return {
+      cart: null,
+      errors: [{message: 'Choose a branch to reserve this item at.'}],
+      warnings: [],
+    };
+  }
+  if (!Number.isInteger(line.quantity) || line.quantity < 1) {
+    return {
+      cart: null,
+      errors: [{message: 'Choose how many to reserve.'}],
+      warnings: [],
+    };
+  }
+
+  const existingCart = await cart.get();
+  const conflict = getPickupReservationConflict(existingCart, locationId);
+  if (conflict) {
+    return {cart: null, errors: [{message: conflict}], warnings: []};
+  }
+
+  const {node} = await storefront.query(PICKUP_AVAILABILITY_QUERY, {
+    variables: {variantId: line.merchandiseId},
+    cache: storefront.CacheNone(),
+  });
+  const availability = node?.storeAvailability?.nodes.find(
+    (entry) => entry.location.id === locationId,
+  );
+  // Units of this variant the cart already holds for the branch.
+  const reservedQuantity = (existingCart?.lines?.nodes || [])
+    .filter((cartLine) => cartLine.merchandise?.id === line.merchandiseId)
+    .reduce((sum, cartLine) => sum + cartLine.quantity, 0);
+  // Untracked inventory reports zero, so only a positive count caps the
+  // quantity; otherwise `available` decides.
+  const isCounted = availability?.quantityAvailable > 0;
+  const remaining = !availability?.available
+    ? 0
+    : isCounted
+      ? availability.quantityAvailable - reservedQuantity
+      : Infinity;
+
+  if (remaining < line.quantity) {
+    const branchName = availability?.location.name || 'This branch';
+    return {
+      cart: null,
+      errors: [
+        {
+          message:
+            remaining > 0
+              ? `${branchName} only has ${remaining} more of this item in stock.`
+              : `${branchName} no longer has this item in stock.`,
+        },
+      ],
+      warnings: [],
+    };
+  }
+
+  const {location, pickUpTime} = availability;
+  let result = await cart.addLines([
+    {
+      ...line,
+      attributes: [
+        ...(line.attributes || []),
+        {key: PICKUP_LOCATION_ATTRIBUTE_KEY, value: location.name},
+      ],
+    },
+  ]);
+  if (result?.errors?.length) return result;
+
+  result = await cart.updateAttributes(
+    mergePickupAttributes(existingCart?.attributes, {location, pickUpTime}),
+  );
+  if (result?.errors?.length) return result;
+
+  return await cart.updateBuyerIdentity({
+    preferences: {
+      delivery: {deliveryMethod: ['PICK_UP'], pickupHandle: [location.id]},
+    },
+  });
+}
+
 function areAttributesEqual(left, right) {
   const normalizedLeft = normalizeAttributeInputs(left);
   const normalizedRight = normalizeAttributeInputs(right);
@@ -196,6 +325,30 @@ export default function CartRoute() {
   );
 }
 
+const PICKUP_AVAILABILITY_QUERY = `#graphql
+  query PickupAvailability(
+    $variantId: ID!
+    $country: CountryCode
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    node(id: $variantId) {
+      ... on ProductVariant {
+        storeAvailability(first: 10) {
+          nodes {
+            available
+            pickUpTime
+            quantityAvailable
+            location {
+              id
+              name
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
 /** @typedef {import('react-router').HeadersFunction} HeadersFunction */
 /** @typedef {import('./+types/cart').Route} Route */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -10,13 +10,47 @@ import {useEffect, useMemo, useState} from 'react';
 import {Analytics} from '@shopify/hydrogen';
 import {ProductItem} from '~/components/ProductItem';
 import {ArrowIcon} from '~/components/Icons';
+import {
+  buildFilterUrl,
+  getSelectedFilters,
+  serializeFilterInput,
+} from '~/lib/productFilters';
 import {redirectIfHandleIsLocalized} from '~/lib/redirect';
+import {
+  getBreadcrumbJsonLd,
+  getItemListJsonLd,
+  getJsonLdMeta,
+  getMenuBreadcrumbTrail,
+  getRootMenu,
+} from '~/lib/structuredData';
 
 /**
  * @type {Route.MetaFunction}
  */
-export const meta = ({data}) => {
-  return [{title: `Pixel Zones | ${data?.collection?.title ?? 'Collection'}`}];
+export const meta = ({data, matches}) => {
+  const collection = data?.collection;
+  const metaTags = [
+    {title: `Pixel Zones | ${collection?.title ?? 'Collection'}`},
+  ];
+  if (!collection) return metaTags;
+
+  const path = `/collections/${collection.handle}`;
+  const currentPage = data.pagination?.currentPage || 1;
+
+  return [
+    ...metaTags,
+    ...getJsonLdMeta(
+      getBreadcrumbJsonLd([
+        ...getMenuBreadcrumbTrail(getRootMenu(matches), [path]),
+        {name: collection.title, url: path},
+      ]),
+      getItemListJsonLd(collection.products?.nodes, {
+        name: collection.title,
+        url: currentPage > 1 ? `${path}?page=${currentPage}` : path,
+        startIndex: (currentPage - 1) * PRODUCTS_PER_PAGE,
+      }),
+    ),
+  ];
 };
 
 const SORT_OPTIONS = [
@@ -54,14 +88,9 @@ export async function loader({context, params, request}) {
   const {handle} = params;
   const {storefront} = context;
   const url = new URL(request.url);
-  const parsedFilterEntries = url.searchParams
-    .getAll('filter')
-    .map(normalizeFilterParam)
-    .filter(Boolean);
-  const selectedFilterValues = parsedFilterEntries.map(
-    ({serialized}) => serialized,
+  const {selectedFilterValues, selectedFilters} = getSelectedFilters(
+    url.searchParams,
   );
-  const selectedFilters = parsedFilterEntries.map(({input}) => input);
 
   const sortParam = url.searchParams.get('sort') || 'new-to-old';
   const selectedSort =
@@ -489,30 +518,6 @@ export default function CollectionRoute() {
   );
 }
 
-function buildFilterUrl({
-  location,
-  sort,
-  selectedFilterValues,
-  valueInput,
-  isActive,
-}) {
-  const params = new URLSearchParams(location.search);
-  const nextValues = isActive
-    ? selectedFilterValues.filter((value) => value !== valueInput)
-    : [...selectedFilterValues, valueInput];
-
-  params.delete('filter');
-  nextValues.forEach((value) => {
-    params.append('filter', value);
-  });
-  params.set('sort', sort);
-  params.delete('page');
-  params.delete('cursor');
-  params.delete('direction');
-
-  return buildPathWithParams(location.pathname, params);
-}
-
 function getRequestedPage(value) {
   const parsed = Number(value || 1);
   if (!Number.isInteger(parsed)) return 1;
@@ -525,38 +530,6 @@ function buildPathWithParams(pathname, params) {
   return query ? `${pathname}?${query}` : pathname;
 }
 
-function parseJsonMaybe(value) {
-  try {
-    return JSON.parse(value);
-  } catch {
-    return null;
-  }
-}
-
-function normalizeFilterParam(rawValue) {
-  const firstPass = parseJsonMaybe(rawValue);
-  const candidate =
-    typeof firstPass === 'string' ? parseJsonMaybe(firstPass) : firstPass;
-
-  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
-    return null;
-  }
-
-  return {
-    input: candidate,
-    serialized: JSON.stringify(candidate),
-  };
-}
-
-function serializeFilterInput(input) {
-  if (typeof input === 'string') {
-    const normalized = normalizeFilterParam(input);
-    return normalized ? normalized.serialized : input;
-  }
-
-  return JSON.stringify(input);
-}
-
 function getMenuCollectionItems(items) {
   const results = [];
 
@@ -848,6 +821,12 @@ const COLLECTION_QUERY = `#graphql
     handle
     title
     vendor
+    rating: metafield(namespace: "reviews", key: "rating") {
+      value
+    }
+    ratingCount: metafield(namespace: "reviews", key: "rating_count") {
+      value
+    }
     featuredImage {
       id
       altText
@@ -139,6 +139,12 @@ const COLLECTION_ITEM_FRAGMENT = `#graphql
     handle
     title
     vendor
+    rating: metafield(namespace: "reviews", key: "rating") {
+      value
+    }
+    ratingCount: metafield(namespace: "reviews", key: "rating_count") {
+      value
+    }
     featuredImage {
       id
       altText
@@ -0,0 +1,384 @@
+import {useState} from 'react';
+import {Link, useLoaderData, useLocation, useRevalidator} from 'react-router';
+import {AddToCartButton} from '~/components/AddToCartButton';
+import {AskForPriceLink} from '~/components/AskForPriceLink';
+import {useAside} from '~/components/Aside';
+import {ProductPrice} from '~/components/ProductPrice';
+import {useCompare} from '~/hooks/useCompare';
+import {getCompareFromCookieHeader, parseCompareEntry} from '~/lib/compare';
+import {isZeroPrice} from '~/lib/pricing';
+import {
+  buildComparisonRows,
+  getCompareSpecIdentifiers,
+} from '~/lib/productComparison';
+import {getVariantUrl} from '~/lib/variants';
+
+/**
+ * @type {Route.MetaFunction}
+ */
+export const meta = () => {
+  return [
+    {title: 'Pixel Zones | Compare Products'},
+    {name: 'robots', content: 'noindex, follow'},
+  ];
+};
+
+/**
+ * @param {Route.LoaderArgs} args
+ */
+export async function loader({context, request}) {
+  const entries = getCompareFromCookieHeader(request.headers.get('Cookie'));
+
+  if (!entries.length) {
+    return {items: []};
+  }
+
+  const specIdentifiers = getCompareSpecIdentifiers();
+  const items = await Promise.all(
+    entries.map(async (entry) => {
+      const {handle, variantId} = parseCompareEntry(entry);
+
+      try {
+        const {product} = await context.storefront.query(
+          COMPARE_PRODUCT_QUERY,
+          {
+            cache: context.storefront.CacheShort(),
+            variables: {handle, specIdentifiers},
+          },
+        );
+        if (!product) return null;
+
+        const variant =
+          (variantId &&
+            product.variants.nodes.find(({id}) => id === variantId)) ||
+          product.selectedOrFirstAvailableVariant;
+
+        return {entry, product, variant};
+      } catch {
+        return null;
+      }
+    }),
+  );
+
+  return {items: items.filter(Boolean)};
+}
+
+export default function ComparePage() {
+  /** @type {LoaderReturnData} */
+  const {items} = useLoaderData();
+  const {pathname} = useLocation();
+  const {revalidate} = useRevalidator();
+  const {toggleEntry, replaceEntries} = useCompare();
+  const {open} = useAside();
+  const [showDifferencesOnly, setShowDifferencesOnly] = useState(false);
+
+  const rows = buildComparisonRows(items);
+  const visibleRows = showDifferencesOnly
+    ? rows.filter((row) => row.isDifferent)
+    : rows;
+
+  const removeItem = (entry) => {
+    toggleEntry(entry);
+    revalidate();
+  };
+
+  return (
+    <div className="pz-page pz-compare-page">
+      <section className="pz-home-section">
+        <div className="pz-shell">
+          <div className="pz-section-head">
+            <div>
+              <p className="pz-kicker">Side By Side</p>
+              <h2>Compare Products</h2>
+            </div>
+            <Link
+              to="/collections/all"
+              className="pz-inline-link"
+              prefetch="intent"
+            >
+              Continue Shopping
+            </Link>
+          </div>
+
+          {items.length ? (
+            <>
+              <div className="pz-compare-toolbar">
+                <label className="pz-compare-differences">
+                  <input
+                    type="checkbox"
+                    checked={showDifferencesOnly}
+                    onChange={(event) =>
+                      setShowDifferencesOnly(event.target.checked)
+                    }
+                    disabled={items.length < 2}
+                  />
+                  Show differences only
+                </label>
+                <button
+                  type="button"
+                  className="pz-inline-link pz-compare-clear"
+                  onClick={() => {
+                    replaceEntries([]);
+                    revalidate();
+                  }}
+                >
+                  Clear all
+                </button>
+              </div>
+
+              <div className="pz-compare-table-wrap">
+                <table className="pz-compare-table">
+                  <thead>
+                    <tr>
+                      <th scope="col">
+                        <span className="sr-only">Product</span>
+                      </th>
+                      {items.map(({entry, product, variant}) => {
+                        const image = variant?.image || product.featuredImage;
+
+                        return (
+                          <th key={entry} scope="col">
+                            <div className="pz-compare-product">
+                              <button
+                                type="button"
+                                className="pz-compare-remove"
+                                onClick={() => removeItem(entry)}
+                                aria-label={`Remove ${product.title} from comparison`}
+                              >
+                                ×
+                              </button>
+                              <Link
+                                to={getVariantUrl({
+                                  handle: product.handle,
+                                  pathname,
+                                  searchParams: new URLSearchParams(),
+                                  selectedOptions: variant?.selectedOptions,
+                                })}
+                                prefetch="intent"
+                              >
+                                {image?.url ? (
+                                  <img
+                                    src={withImageWidth(image.url, 240)}
+                                    alt={image.altText || product.title}
+                                    loading="lazy"
+                                    width={120}
+                                    height={120}
+                                  />
+                                ) : (
+                                  <div
+                                    className="pz-image-placeholder"
+                                    aria-hidden="true"
+                                  />
+                                )}
+                                <span className="pz-compare-product-title">
+                                  {product.title}
+                                </span>
+                              </Link>
+                            </div>
+                          </th>
+                        );
+                      })}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {visibleRows.map((row) => (
+                      <tr
+                        key={row.key}
+                        className={row.isDifferent ? 'is-different' : undefined}
+                      >
+                        <th scope="row">{row.label}</th>
+                        {items.map(({entry, variant}, index) => (
+                          <td key={entry}>
+                            <CompareCell
+                              row={row}
+                              index={index}
+                              variant={variant}
+                            />
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                    {showDifferencesOnly && !visibleRows.length ? (
+                      <tr>
+                        <td colSpan={items.length + 1}>
+                          These products share every listed detail.
+                        </td>
+                      </tr>
+                    ) : null}
+                    <tr className="pz-compare-actions">
+                      <th scope="row">
+                        <span className="sr-only">Buy</span>
+                      </th>
+                      {items.map(({entry, product, variant}) => (
+                        <td key={entry}>
+                          {isZeroPrice(variant?.price) ? (
+                            <AskForPriceLink
+                              className="pz-btn pz-btn-primary"
+                              productHandle={product.handle}
+                            />
+                          ) : variant ? (
+                            <AddToCartButton
+                              disabled={!variant.availableForSale}
+                              onClick={() => open('cart')}
+                              lines={[
+                                {
+                                  merchandiseId: variant.id,
+                                  quantity: 1,
+                                  selectedVariant: variant,
+                                },
+                              ]}
+                              className="pz-btn pz-btn-primary"
+                            >
+                              {variant.availableForSale
+                                ? 'Add to Cart'
+                                : 'Sold out'}
+                            </AddToCartButton>
+                          ) : null}
+                        </td>
+                      ))}
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            </>
+          ) : (
+            <p className="pz-empty">
+              Nothing to compare yet. Tap &quot;Compare&quot; on up to four
+              products to see them side by side.
+            </p>
+          )}
+        </div>
+      </section>
+    </div>
+  );
+}
+
+/**
+ * @param {{
+ *   row: import('~/lib/productComparison').ComparisonRow;
+ *   index: number;
+ *   variant: CompareVariant | null;
+ * }}
+ */
+function CompareCell({row, index, variant}) {
+  const value = row.values[index];
+
+  if (row.key === 'price') {
+    return variant?.price ? (
+      <ProductPrice
+        price={variant.price}
+        compareAtPrice={variant.compareAtPrice}
+      />
+    ) : (
+      '—'
+    );
+  }
+
+  if (row.key === 'availability') {
+    return (
+      <span
+        className={`pz-compare-stock${
+          variant?.availableForSale ? ' is-available' : ''
+        }`}
+      >
+        {value}
+      </span>
+    );
+  }
+
+  const otherChoices = (row.choices?.[index] || []).filter(
+    (choice) => choice !== value,
+  );
+
+  return (
+    <>
+      {value || '—'}
+      {otherChoices.length ? (
+        <span className="pz-compare-choices">
+          Also: {otherChoices.join(', ')}
+        </span>
+      ) : null}
+    </>
+  );
+}
+
+function withImageWidth(url, width) {
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}width=${width}`;
+}
+
+const COMPARE_PRODUCT_QUERY = `#graphql
+  query CompareProduct(
+    $country: CountryCode
+    $language: LanguageCode
+    $handle: String!
+    $specIdentifiers: [HasMetafieldsIdentifier!]!
+  ) @inContext(country: $country, language: $language) {
+    product(handle: $handle) {
+      id
+      handle
+      title
+      vendor
+      featuredImage {
+        id
+        altText
+        url
+        width
+        height
+      }
+      options {
+        name
+        optionValues {
+          name
+        }
+      }
+      specs: metafields(identifiers: $specIdentifiers) {
+        namespace
+        key
+        type
+        value
+      }
+      selectedOrFirstAvailableVariant {
+        ...CompareVariant
+      }
+      variants(first: 100) {
+        nodes {
+          ...CompareVariant
+        }
+      }
+    }
+  }
+
+  fragment CompareMoney on MoneyV2 {
+    amount
+    currencyCode
+  }
+
+  fragment CompareVariant on ProductVariant {
+    id
+    title
+    sku
+    availableForSale
+    image {
+      id
+      altText
+      url
+      width
+      height
+    }
+    selectedOptions {
+      name
+      value
+    }
+    price {
+      ...CompareMoney
+    }
+    compareAtPrice {
+      ...CompareMoney
+    }
+  }
+`;
+
+/** @typedef {import('./+types/compare').Route} Route */
+/** @typedef {import('storefrontapi.generated').CompareVariantFragment} CompareVariant */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
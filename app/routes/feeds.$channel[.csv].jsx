@@ -0,0 +1,11 @@
+import {loadChannelFeed} from '~/lib/feeds/data.server';
+
+/**
+ * Channels published as CSV; see `~/lib/feeds/channels`.
+ * @param {Route.LoaderArgs} args
+ */
+export async function loader(args) {
+  return loadChannelFeed(args, 'csv');
+}
+
+/** @typedef {import('./+types/feeds.$channel[.csv]').Route} Route */
@@ -0,0 +1,11 @@
+import {loadChannelFeed} from '~/lib/feeds/data.server';
+
+/**
+ * Channels published as JSON; see `~/lib/feeds/channels`.
+ * @param {Route.LoaderArgs} args
+ */
+export async function loader(args) {
+  return loadChannelFeed(args, 'json');
+}
+
+/** @typedef {import('./+types/feeds.$channel[.json]').Route} Route */
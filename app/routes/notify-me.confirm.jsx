@@ -0,0 +1,120 @@
+import {data, Form, Link, useActionData, useLoaderData} from 'react-router';
+import {resolveNotifyMeStore} from '~/lib/notifyMe/store.server';
+import {NOTIFY_ME_BACK_IN_STOCK} from '~/lib/notifyMe/subscription';
+
+const NO_STORE_HEADERS = {'Cache-Control': 'private, no-store'};
+
+/**
+ * @type {Route.MetaFunction}
+ */
+export const meta = () => {
+  return [
+    {title: 'Pixel Zones | Confirm Alert'},
+    {name: 'robots', content: 'noindex, nofollow'},
+  ];
+};
+
+/**
+ * Landing page for the link in a "notify me" confirmation message. Opening
+ * the link only shows the signup; the alert is saved when the shopper
+ * presses the button, so link scanners cannot confirm it for them.
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({request, context}) {
+  const token = new URL(request.url).searchParams.get('token') || '';
+  const pending = await resolveNotifyMeStore(context.env).getPending(token);
+
+  return data(
+    {
+      token: pending ? token : '',
+      kind: pending?.kind ?? null,
+      productHandle: pending?.productHandle ?? '',
+    },
+    {headers: NO_STORE_HEADERS},
+  );
+}
+
+/**
+ * @param {Route.ActionArgs}
+ */
+export async function action({request, context}) {
+  const formData = await request.formData();
+  const result = await resolveNotifyMeStore(context.env).confirm(
+    String(formData.get('token') || ''),
+  );
+
+  return data(
+    {
+      confirmed: Boolean(result),
+      productHandle: result?.subscription.productHandle ?? '',
+    },
+    {status: result ? 200 : 400, headers: NO_STORE_HEADERS},
+  );
+}
+
+export default function NotifyMeConfirm() {
+  /** @type {LoaderReturnData} */
+  const {token, kind, productHandle} = useLoaderData();
+  /** @type {ActionReturnData | undefined} */
+  const actionData = useActionData();
+  const handle = actionData?.productHandle || productHandle;
+
+  let content;
+  if (actionData?.confirmed) {
+    content = (
+      <p role="status">
+        Your alert is on. We&apos;ll message you as soon as it changes.
+      </p>
+    );
+  } else if (token && !actionData) {
+    content = (
+      <Form method="post" className="pz-notify-me-confirm">
+        <input type="hidden" name="token" value={token} />
+        <p>
+          {kind === NOTIFY_ME_BACK_IN_STOCK
+            ? 'Confirm that you want a message when this item is back in stock.'
+            : 'Confirm that you want a message when this item gets cheaper.'}
+        </p>
+        <button type="submit" className="pz-btn pz-btn-primary">
+          Confirm alert
+        </button>
+      </Form>
+    );
+  } else {
+    content = (
+      <p role="alert">
+        This confirmation link has expired or was already used. Sign up again
+        from the product page if you still want an alert.
+      </p>
+    );
+  }
+
+  return (
+    <div className="pz-page">
+      <section className="pz-home-section">
+        <div className="pz-shell">
+          <div className="pz-section-head">
+            <div>
+              <p className="pz-kicker">Stock &amp; Price Alerts</p>
+              <h2>Confirm Your Alert</h2>
+            </div>
+            {handle ? (
+              <Link
+                to={`/products/${handle}`}
+                className="pz-inline-link"
+                prefetch="intent"
+              >
+                Back to the product
+              </Link>
+            ) : null}
+          </div>
+          {content}
+        </div>
+      </section>
+    </div>
+  );
+}
+
+/** @typedef {import('./+types/notify-me.confirm').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof action>} ActionReturnData */
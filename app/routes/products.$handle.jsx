@@ -15,6 +15,7 @@ import {redirectIfHandleIsLocalized} from '~/lib/redirect';
 import {ProductItem} from '~/components/ProductItem';
 import {
   ArrowIcon,
+  CompareIcon,
   PlusIcon,
   WishlistAddIcon,
   WishlistCheckedIcon,
@@ -22,16 +23,34 @@ import {
 import {AddToCartButton} from '~/components/AddToCartButton';
 import {useAside} from '~/components/Aside';
 import {useWishlist} from '~/hooks/useWishlist';
+import {useCompare} from '~/hooks/useCompare';
 import {StoreAssistantProductDropdown} from '~/components/StoreAssistantSection';
 import {AskForPriceLink} from '~/components/AskForPriceLink';
+import {DeliveryPromise} from '~/components/DeliveryPromise';
+import {StoreAvailability} from '~/components/StoreAvailability';
+import {ProductBundle} from '~/components/ProductBundle';
+import {ProductRating} from '~/components/ProductRating';
+import {ProductReviews} from '~/components/ProductReviews';
+import {useStoreClock} from '~/hooks/useDeliveryPromise';
 import {canonicalUrl} from '~/lib/canonical';
+import {toCompareEntry} from '~/lib/compare';
 import {ASK_FOR_PRICE_LABEL, isZeroPrice} from '~/lib/pricing';
+import {getProductRating} from '~/lib/reviews/rating.js';
+import {resolveProductReviews} from '~/lib/reviews/reviews.server';
+import {getNotifyMeSenderName} from '~/lib/notifyMe/senders.server';
+import {
+  getBreadcrumbJsonLd,
+  getJsonLdMeta,
+  getMenuBreadcrumbTrail,
+  getProductJsonLd,
+  getRootMenu,
+} from '~/lib/structuredData';
 /* eslint-disable react/no-unknown-property */
 
 /**
  * @type {Route.MetaFunction}
  */
-export const meta = ({data}) => {
+export const meta = ({data, matches}) => {
   const product = data?.product;
 
   if (!product) {
@@ -104,6 +123,24 @@ export const meta = ({data}) => {
     });
   }
 
+  const menuTrail = getMenuBreadcrumbTrail(
+    getRootMenu(matches),
+    (product.collections?.nodes || []).map(
+      (collection) => `/collections/${collection.handle}`,
+    ),
+  );
+  metaTags.push(
+    ...getJsonLdMeta(
+      getProductJsonLd(product, {
+        selectedVariant: product.selectedOrFirstAvailableVariant,
+      }),
+      getBreadcrumbJsonLd([
+        ...menuTrail,
+        {name: product.title, url: `/products/${product.handle}`},
+      ]),
+    ),
+  );
+
   return metaTags;
 };
 
@@ -142,6 +179,8 @@ async function loadCriticalData({context, params, request}) {
 
   return {
     product,
+    // Alerts are only offered when a sender can deliver them.
+    notifyMe: Boolean(getNotifyMeSenderName(context.env)),
   };
 }
 
@@ -149,7 +188,7 @@ async function loadCriticalData({context, params, request}) {
  * @param {Route.LoaderArgs}
  */
 function loadDeferredData({context}, {product}) {
-  const {storefront} = context;
+  const {storefront, env} = context;
 
   if (!product?.id) {
     return {};
@@ -164,14 +203,39 @@ function loadDeferredData({context}, {product}) {
       return null;
     });
 
-  return {recommendedProducts};
+  // Accessories picked in `custom.bundle_products`, with complementary
+  // recommendations as the fallback.
+  const bundle = storefront
+    .query(PRODUCT_BUNDLE_QUERY, {
+      variables: {productId: product.id},
+    })
+    .catch((error) => {
+      console.error(error);
+      return null;
+    });
+
+  const reviews = resolveProductReviews(env)
+    .getPublished(product.id)
+    .catch((error) => {
+      console.error('[reviews] Failed to load reviews:', error);
+      return null;
+    });
+
+  return {recommendedProducts, bundle, reviews};
 }
 
 export default function Product() {
   /** @type {LoaderReturnData} */
-  const {product, recommendedProducts} = useLoaderData();
+  const {product, notifyMe, recommendedProducts, bundle, reviews} =
+    useLoaderData();
   const {open} = useAside();
   const {hasHandle, toggleHandle} = useWishlist();
+  const {
+    count: compareCount,
+    isFull: isCompareFull,
+    hasEntry: hasCompareEntry,
+    toggleEntry: toggleCompareEntry,
+  } = useCompare();
 
   const selectedVariant = useOptimisticVariant(
     product.selectedOrFirstAvailableVariant,
@@ -189,6 +253,7 @@ export default function Product() {
   const variantImageId = variantImage?.id || null;
   const isAvailableInStore =
     product.availability?.value?.trim().toLowerCase() !== 'online';
+  const productRating = getProductRating(product);
 
   const images = useMemo(() => {
     const baseImages = product.images?.nodes ?? [];
@@ -212,15 +277,15 @@ export default function Product() {
   const [isAvailabilityOpen, setIsAvailabilityOpen] = useState(false);
   const [isAvailabilityVisible, setIsAvailabilityVisible] = useState(false);
   const [showMobileStickyCart, setShowMobileStickyCart] = useState(false);
-  const [isStoreOpenNow, setIsStoreOpenNow] = useState(() =>
-    getBeirutStoreStatus(),
-  );
+  const now = useStoreClock();
   const [quantity, setQuantity] = useState(1);
   const relatedCarouselRef = useRef(null);
   const mainMediaRef = useRef(null);
   const mainTouchStartX = useRef(null);
   const lightboxTouchStartX = useRef(null);
   const isWishlisted = hasHandle(product.handle);
+  const compareEntry = toCompareEntry(product.handle, selectedVariant?.id);
+  const isCompared = hasCompareEntry(compareEntry);
   const shouldAskForPrice = isZeroPrice(selectedVariant?.price);
   const showMobileCompareAtPrice =
     !shouldAskForPrice &&
@@ -302,16 +367,6 @@ export default function Product() {
     };
   }, [lightboxImageUrls, mainImageUrls]);
 
-  useEffect(() => {
-    const updateAvailability = () => {
-      setIsStoreOpenNow(getBeirutStoreStatus());
-    };
-
-    updateAvailability();
-    const interval = setInterval(updateAvailability, 60000);
-    return () => clearInterval(interval);
-  }, []);
-
   useEffect(() => {
     if (!isAvailabilityOpen) return;
 
@@ -530,12 +585,18 @@ export default function Product() {
 
         <section className="pz-product-info">
           <h1>{product.title}</h1>
+          {productRating ? (
+            <a href="#reviews" className="pz-product-rating-link">
+              <ProductRating rating={productRating} />
+            </a>
+          ) : null}
 
           <ProductForm
             productHandle={product.handle}
             productOptions={productOptions}
             selectedVariant={selectedVariant}
             quantity={quantity}
+            notifyMe={notifyMe}
           />
 
           <div className="pz-product-quantity-row pz-product-quantity-row--desktop">
@@ -599,6 +660,38 @@ export default function Product() {
             </button>
           ) : null}
 
+          {product?.handle ? (
+            <div className="pz-product-page-compare">
+              <button
+                type="button"
+                className={`pz-product-page-wishlist-btn${
+                  isCompared ? ' is-active' : ''
+                }`}
+                onClick={() => toggleCompareEntry(compareEntry)}
+                aria-pressed={isCompared}
+                disabled={!isCompared && isCompareFull}
+              >
+                <CompareIcon className="pz-product-page-wishlist-icon" />
+                <span>
+                  {isCompared
+                    ? 'Added to Compare'
+                    : isCompareFull
+                      ? 'Compare list full'
+                      : 'Add to Compare'}
+                </span>
+              </button>
+              {compareCount ? (
+                <Link
+                  to="/compare"
+                  className="pz-inline-link"
+                  prefetch="intent"
+                >
+                  Compare ({compareCount})
+                </Link>
+              ) : null}
+            </div>
+          ) : null}
+
           <div className="pz-product-availability">
             {product.vendor ? (
               <p>
@@ -737,11 +830,8 @@ export default function Product() {
                 </svg>
                 <h3>Delivery</h3>
               </div>
+              <DeliveryPromise className="pz-product-delivery-promise" />
               <ul className="pz-product-help-list">
-                <li>
-                  Order today and receive same-day delivery in Beirut, and
-                  within 2-3 working days outside Beirut.
-                </li>
                 <li>Cash on delivery</li>
                 <li>Delivery all over Lebanon</li>
                 <li>Delivery will contact you ahead of time before delivery</li>
@@ -751,6 +841,18 @@ export default function Product() {
         </section>
       </div>
 
+      <ProductBundle
+        product={product}
+        selectedVariant={selectedVariant}
+        bundle={bundle}
+      />
+
+      <ProductReviews
+        productId={product.id}
+        productTitle={product.title}
+        reviews={reviews}
+      />
+
       <Suspense fallback={null}>
         <Await resolve={recommendedProducts}>
           {(data) => {
@@ -921,40 +1023,17 @@ export default function Product() {
               ×
             </button>
             <h3 id="pz-availability-title">Available at:</h3>
-            <ul className="pz-availability-options">
-              <li>
-                <span
-                  className={`pz-availability-dot${
-                    isAvailableInStore && isStoreOpenNow
-                      ? ' is-open'
-                      : ' is-closed'
-                  }`}
-                  aria-hidden="true"
-                />
-                <div className="pz-availability-option-text">
-                  <p>
-                    Sami Solh Avenu, Beirut, &nbsp;
-                    <span
-                      className={`pz-availability-status${
-                        isAvailableInStore && isStoreOpenNow
-                          ? ' is-open'
-                          : ' is-closed'
-                      }`}
-                    >
-                      {isAvailableInStore
-                        ? isStoreOpenNow
-                          ? 'Open'
-                          : 'Closed'
-                        : 'Not Available'}
-                    </span>
-                  </p>
-                </div>
-              </li>
-              <li>
-                <span className="pz-availability-dot" aria-hidden="true" />
-                <span>Available Online</span>
-              </li>
-            </ul>
+            <StoreAvailability
+              variant={selectedVariant}
+              quantity={quantity}
+              now={now}
+              isAvailableInStore={isAvailableInStore}
+              canReserve={!shouldAskForPrice}
+              onReserve={() => {
+                closeAvailability();
+                open('cart');
+              }}
+            />
           </div>
         </div>
       ) : null}
@@ -1063,23 +1142,6 @@ function withImageWidth(url, width) {
   return `${url}${separator}width=${width}`;
 }
 
-function getBeirutStoreStatus(now = new Date()) {
-  const formatter = new Intl.DateTimeFormat('en-GB', {
-    timeZone: 'Asia/Beirut',
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: false,
-  });
-  const parts = formatter.formatToParts(now);
-  const hour = Number(parts.find((part) => part.type === 'hour')?.value || '0');
-  const minute = Number(
-    parts.find((part) => part.type === 'minute')?.value || '0',
-  );
-  const minutesSinceMidnight = hour * 60 + minute;
-
-  return minutesSinceMidnight >= 10 * 60 && minutesSinceMidnight < 22 * 60;
-}
-
 const PRODUCT_VARIANT_FRAGMENT = `#graphql
   fragment ProductVariant on ProductVariant {
     availableForSale
@@ -1109,11 +1171,27 @@ const PRODUCT_VARIANT_FRAGMENT = `#graphql
       value
     }
     sku
+    barcode
     title
     unitPrice {
       amount
       currencyCode
     }
+    storeAvailability(first: 10) {
+      nodes {
+        available
+        pickUpTime
+        quantityAvailable
+        location {
+          id
+          name
+          address {
+            formatted
+            phone
+          }
+        }
+      }
+    }
   }
 `;
 
@@ -1130,6 +1208,12 @@ const PRODUCT_FRAGMENT = `#graphql
     availability: metafield(namespace: "custom", key: "availability") {
       value
     }
+    rating: metafield(namespace: "reviews", key: "rating") {
+      value
+    }
+    ratingCount: metafield(namespace: "reviews", key: "rating_count") {
+      value
+    }
     images(first: 20) {
       nodes {
         id
@@ -1166,6 +1250,28 @@ const PRODUCT_FRAGMENT = `#graphql
       description
       title
     }
+    collections(first: 10) {
+      nodes {
+        handle
+      }
+    }
+    offerVariants: variants(first: 100) {
+      nodes {
+        id
+        title
+        sku
+        barcode
+        availableForSale
+        price {
+          amount
+          currencyCode
+        }
+        selectedOptions {
+          name
+          value
+        }
+      }
+    }
   }
   ${PRODUCT_VARIANT_FRAGMENT}
 `;
@@ -1184,6 +1290,76 @@ const PRODUCT_QUERY = `#graphql
   ${PRODUCT_FRAGMENT}
 `;
 
+const PRODUCT_BUNDLE_QUERY = `#graphql
+  query ProductBundle(
+    $productId: ID!
+    $country: CountryCode
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    product(id: $productId) {
+      bundleProducts: metafield(namespace: "custom", key: "bundle_products") {
+        references(first: 10) {
+          nodes {
+            ... on Product {
+              ...BundleProduct
+            }
+          }
+        }
+      }
+      bundleDiscountCode: metafield(
+        namespace: "custom"
+        key: "bundle_discount_code"
+      ) {
+        value
+      }
+    }
+    productRecommendations(productId: $productId, intent: COMPLEMENTARY) {
+      ...BundleProduct
+    }
+  }
+
+  fragment BundleProduct on Product {
+    id
+    handle
+    title
+    featuredImage {
+      id
+      altText
+      url
+      width
+      height
+    }
+    selectedOrFirstAvailableVariant {
+      id
+      title
+      availableForSale
+      image {
+        id
+        altText
+        url
+        width
+        height
+      }
+      price {
+        amount
+        currencyCode
+      }
+      compareAtPrice {
+        amount
+        currencyCode
+      }
+      selectedOptions {
+        name
+        value
+      }
+      product {
+        title
+        handle
+      }
+    }
+  }
+`;
+
 const RECOMMENDED_PRODUCTS_QUERY = `#graphql
   query RecommendedProducts($productId: ID!, $country: CountryCode, $language: LanguageCode)
     @inContext(country: $country, language: $language) {
@@ -1192,6 +1368,12 @@ const RECOMMENDED_PRODUCTS_QUERY = `#graphql
       handle
       title
       vendor
+      rating: metafield(namespace: "reviews", key: "rating") {
+        value
+      }
+      ratingCount: metafield(namespace: "reviews", key: "rating_count") {
+        value
+      }
       featuredImage {
         id
         altText
@@ -1,12 +1,24 @@
-import {Link, redirect, useLoaderData} from 'react-router';
+import {useEffect, useRef} from 'react';
+import {Link, redirect, useLoaderData, useLocation} from 'react-router';
 import {Analytics} from '@shopify/hydrogen';
+import {SearchFilters} from '~/components/SearchFilters';
 import {SearchForm} from '~/components/SearchForm';
 import {SearchResults} from '~/components/SearchResults';
-import {getEmptyPredictiveSearchResult} from '~/lib/search';
+import {getSelectedFilters} from '~/lib/productFilters';
 import {
-  getCorrectedSearchTerm,
-  normalizeSearchTerm,
-} from '~/lib/searchDictionary';
+  getEmptyPredictiveSearchResult,
+  getSearchSortOption,
+} from '~/lib/search';
+import {
+  findVariantIdsByProductCode,
+  getProductCodeQuery,
+  matchesProductCode,
+} from '~/lib/productCodes.server';
+import {normalizeSearchTerm} from '~/lib/searchDictionary';
+import {getSearchRecoveryPlan, logZeroResultSearch} from '~/lib/searchRecovery';
+import {getSearchRewrite} from '~/lib/searchRewrite';
+import {sendSearchAnalyticsEvent} from '~/lib/tracking';
+import {getVariantUrl} from '~/lib/variants';
 
 /**
  * @type {Route.MetaFunction}
@@ -31,6 +43,8 @@ export async function loader({request, context}) {
     : regularSearch({request, context});
 
   searchPromise.catch((error) => {
+    // Redirects (pagination, SKU matches) are thrown Responses, not errors.
+    if (error instanceof Response) return;
     console.error(error);
     return {term: '', result: null, error: error.message};
   });
@@ -43,9 +57,24 @@ export async function loader({request, context}) {
  */
 export default function SearchPage() {
   /** @type {LoaderReturnData} */
-  const {type, term, searchTerm, result, error, searchCorrection} =
-    useLoaderData();
+  const {
+    type,
+    term,
+    searchTerm,
+    result,
+    error,
+    searchCorrection,
+    searchRecovery,
+    selectedFilterValues = [],
+    selectedSortValue,
+  } = useLoaderData();
   const resultTerm = searchTerm || term;
+  const {reportProductClick, reportCorrectionRejected} = useSearchAnalytics({
+    term: type === 'predictive' ? '' : term,
+    searchCorrection,
+    searchRecovery,
+    result,
+  });
   if (type === 'predictive') return null;
 
   return (
@@ -82,17 +111,72 @@ export default function SearchPage() {
       {searchCorrection?.correctedTerm ? (
         <p className="pz-search-correction">
           Showing results for <strong>{searchCorrection.correctedTerm}</strong>
-          <span> instead of {searchCorrection.originalTerm}</span>
+          <span>
+            {' '}
+            Search instead for{' '}
+            <Link
+              to={`/search?${new URLSearchParams({
+                q: searchCorrection.originalTerm,
+                exact: '1',
+              })}`}
+              onClick={reportCorrectionRejected}
+            >
+              {searchCorrection.originalTerm}
+            </Link>
+          </span>
+        </p>
+      ) : null}
+      {searchRecovery ? (
+        <p className="pz-search-correction">
+          No exact matches for <strong>{searchRecovery.originalTerm}</strong>.
+          {searchRecovery.collection ? (
+            <span>
+              {' '}
+              Showing the{' '}
+              <Link to={searchRecovery.collection.path} prefetch="intent">
+                {searchRecovery.collection.title}
+              </Link>{' '}
+              collection instead.
+            </span>
+          ) : (
+            <span>
+              {' '}
+              Showing results for <strong>
+                {searchRecovery.relaxedTerm}
+              </strong>{' '}
+              instead.
+            </span>
+          )}
+        </p>
+      ) : null}
+      {searchCorrection?.expandedTerms?.length ? (
+        <p className="pz-search-correction">
+          Also matching{' '}
+          <strong>{searchCorrection.expandedTerms.join(', ')}</strong>
         </p>
       ) : null}
 
+      {term ? (
+        <SearchFilters
+          term={resultTerm}
+          productFilters={result?.items?.products?.productFilters || []}
+          selectedFilterValues={selectedFilterValues}
+          selectedSortValue={selectedSortValue}
+        />
+      ) : null}
+
       {!term || !result?.total ? (
         <SearchResults.Empty />
       ) : (
         <SearchResults result={result} term={resultTerm}>
           {({articles, products, term}) => (
             <div>
-              <SearchResults.Products products={products} term={term} />
+              <SearchResults.Products
+                key={`${selectedSortValue}:${selectedFilterValues.join('|')}`}
+                products={products}
+                term={term}
+                onProductClick={reportProductClick}
+              />
               <SearchResults.Articles articles={articles} term={term} />
             </div>
           )}
@@ -105,6 +189,68 @@ export default function SearchPage() {
   );
 }
 
+/**
+ * Reports each new search, and the product clicks and rejected spelling
+ * corrections that follow it, to the first-party search analytics collector.
+ * Filter, sort and page changes refine the same search and are not counted
+ * again; neither are loader revalidations, which keep the location key.
+ * @param {{
+ *   term: string;
+ *   searchCorrection?: null | SearchCorrection;
+ *   searchRecovery?: null | SearchRecovery;
+ *   result?: null | {items?: {products?: {nodes?: unknown[]}}};
+ * }}
+ */
+function useSearchAnalytics({term, searchCorrection, searchRecovery, result}) {
+  const location = useLocation();
+  const reportedKeysRef = useRef(new Set());
+  const hasClickRef = useRef(false);
+  const searchParams = new URLSearchParams(location.search);
+  const isRefinement = ['filter', 'sort', 'page'].some((param) =>
+    searchParams.has(param),
+  );
+
+  useEffect(() => {
+    // One search per location, however often the results re-render.
+    if (!term || isRefinement || reportedKeysRef.current.has(location.key)) {
+      return;
+    }
+    reportedKeysRef.current.add(location.key);
+    hasClickRef.current = false;
+
+    sendSearchAnalyticsEvent({
+      type: 'search',
+      term,
+      correctedTerm: searchCorrection?.correctedTerm || '',
+      rulesVersion: searchCorrection?.rulesVersion ?? null,
+      rules: searchCorrection?.rules || [],
+      productCount: result?.items?.products?.nodes?.length || 0,
+      recoveredBy: searchRecovery?.strategy || '',
+    });
+  }, [
+    location.key,
+    term,
+    isRefinement,
+    searchCorrection,
+    searchRecovery,
+    result,
+  ]);
+
+  return {
+    reportProductClick() {
+      sendSearchAnalyticsEvent({
+        type: 'click',
+        term,
+        firstClick: !hasClickRef.current,
+      });
+      hasClickRef.current = true;
+    },
+    reportCorrectionRejected() {
+      sendSearchAnalyticsEvent({type: 'correction_rejected', term});
+    },
+  };
+}
+
 /**
  * Regular search query and fragments
  * (adjust as needed)
@@ -118,6 +264,12 @@ const SEARCH_PRODUCT_FRAGMENT = `#graphql
     title
     trackingParameters
     vendor
+    rating: metafield(namespace: "reviews", key: "rating") {
+      value
+    }
+    ratingCount: metafield(namespace: "reviews", key: "rating_count") {
+      value
+    }
     selectedOrFirstAvailableVariant(
       selectedOptions: []
       ignoreUnknownOptions: true
@@ -201,6 +353,9 @@ export const SEARCH_QUERY = `#graphql
     $language: LanguageCode
     $productsFirst: Int!
     $productsAfter: String
+    $productFilters: [ProductFilter!]
+    $sortKey: SearchSortKeys = RELEVANCE
+    $reverse: Boolean = false
     $term: String!
   ) @inContext(country: $country, language: $language) {
     articles: search(
@@ -218,7 +373,9 @@ export const SEARCH_QUERY = `#graphql
       first: $productsFirst,
       after: $productsAfter,
       query: $term,
-      sortKey: RELEVANCE,
+      productFilters: $productFilters,
+      sortKey: $sortKey,
+      reverse: $reverse,
       types: [PRODUCT],
       unavailableProducts: SHOW,
     ) {
@@ -227,6 +384,17 @@ export const SEARCH_QUERY = `#graphql
           ...SearchProduct
         }
       }
+      productFilters {
+        id
+        label
+        type
+        values {
+          id
+          label
+          count
+          input
+        }
+      }
       pageInfo {
         ...PageInfoFragment
       }
@@ -243,13 +411,18 @@ export const SEARCH_PRODUCTS_PAGE_QUERY = `#graphql
     $language: LanguageCode
     $productsFirst: Int!
     $productsAfter: String
+    $productFilters: [ProductFilter!]
+    $sortKey: SearchSortKeys = RELEVANCE
+    $reverse: Boolean = false
     $term: String!
   ) @inContext(country: $country, language: $language) {
     products: search(
       first: $productsFirst,
       after: $productsAfter,
       query: $term,
-      sortKey: RELEVANCE,
+      productFilters: $productFilters,
+      sortKey: $sortKey,
+      reverse: $reverse,
       types: [PRODUCT],
       unavailableProducts: SHOW,
     ) {
@@ -267,6 +440,105 @@ export const SEARCH_PRODUCTS_PAGE_QUERY = `#graphql
   ${PAGE_INFO_FRAGMENT}
 `;
 
+// Last resort of the zero-result recovery: the brand collection named in
+// the query.
+const SEARCH_COLLECTION_FALLBACK_QUERY = `#graphql
+  query SearchCollectionFallback(
+    $country: CountryCode
+    $language: LanguageCode
+    $handle: String!
+    $first: Int!
+  ) @inContext(country: $country, language: $language) {
+    collection(handle: $handle) {
+      handle
+      title
+      products(first: $first) {
+        nodes {
+          ...SearchProduct
+        }
+      }
+    }
+  }
+  ${SEARCH_PRODUCT_FRAGMENT}
+`;
+
+const PRODUCT_CODE_VARIANT_FRAGMENT = `#graphql
+  fragment ProductCodeVariant on ProductVariant {
+    id
+    sku
+    barcode
+    availableForSale
+    image {
+      url
+      altText
+      width
+      height
+    }
+    price {
+      amount
+      currencyCode
+    }
+    compareAtPrice {
+      amount
+      currencyCode
+    }
+    selectedOptions {
+      name
+      value
+    }
+  }
+`;
+
+// Storefront search matches SKUs as text; the variants are then checked for
+// an exact SKU or barcode.
+const PRODUCT_CODE_SEARCH_QUERY = `#graphql
+  query ProductCodeSearch(
+    $country: CountryCode
+    $language: LanguageCode
+    $term: String!
+  ) @inContext(country: $country, language: $language) {
+    products: search(
+      query: $term,
+      first: 5,
+      types: [PRODUCT],
+      unavailableProducts: SHOW
+    ) {
+      nodes {
+        ... on Product {
+          ...SearchProduct
+          codeVariants: variants(first: 100) {
+            nodes {
+              ...ProductCodeVariant
+            }
+          }
+        }
+      }
+    }
+  }
+  ${SEARCH_PRODUCT_FRAGMENT}
+  ${PRODUCT_CODE_VARIANT_FRAGMENT}
+`;
+
+// Variants found by the Admin API lookup; unpublished ones come back null.
+const PRODUCT_CODE_VARIANTS_QUERY = `#graphql
+  query ProductCodeVariants(
+    $country: CountryCode
+    $language: LanguageCode
+    $ids: [ID!]!
+  ) @inContext(country: $country, language: $language) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        ...ProductCodeVariant
+        product {
+          ...SearchProduct
+        }
+      }
+    }
+  }
+  ${SEARCH_PRODUCT_FRAGMENT}
+  ${PRODUCT_CODE_VARIANT_FRAGMENT}
+`;
+
 /**
  * Regular search fetcher
  * @param {Pick<
@@ -281,55 +553,237 @@ async function regularSearch({request, context}) {
   const term = String(url.searchParams.get('q') || '');
   const requestedPage = getRequestedPage(url.searchParams.get('page'));
   const normalizedTerm = normalizeSearchTerm(term);
-  const correctedTerm = normalizedTerm
-    ? await getCorrectedSearchTerm({term: normalizedTerm})
-    : '';
-  const usesCorrection = Boolean(
-    correctedTerm && correctedTerm !== normalizedTerm,
+  // "Search instead for" links skip spelling correction and rewrite rules.
+  const isExactSearch = url.searchParams.get('exact') === '1';
+  const facets = {
+    ...getSelectedFilters(url.searchParams),
+    sort: getSearchSortOption(url.searchParams.get('sort')),
+  };
+  const productCode =
+    requestedPage === 1 && !facets.selectedFilters.length
+      ? getProductCodeQuery(term)
+      : null;
+
+  if (productCode) {
+    const products = await findProductCodeProducts({
+      context,
+      code: productCode.code,
+      pathname: url.pathname,
+    });
+
+    if (products.length === 1) {
+      throw redirect(products[0].variantUrl);
+    }
+    if (products.length) {
+      return buildRegularSearchReturn({
+        term,
+        facets,
+        searchTerm: term,
+        searchResult: {
+          items: {
+            articles: {nodes: []},
+            products: {
+              nodes: products,
+              pagination: {
+                currentPage: 1,
+                totalPages: 1,
+                hasNextPage: false,
+                hasPreviousPage: false,
+                hasMorePages: false,
+              },
+            },
+          },
+        },
+        searchCorrection: null,
+      });
+    }
+  }
+
+  const rewrite =
+    normalizedTerm && !isExactSearch
+      ? await getSearchRewrite({term: normalizedTerm})
+      : null;
+  const usesRewrite = Boolean(
+    rewrite?.query && rewrite.query !== normalizedTerm,
   );
-  const searchTerm = usesCorrection ? correctedTerm : term;
+  const searchTerm = usesRewrite ? rewrite.correctedTerm : term;
   const searchResult = await runRegularSearch({
     storefront,
-    term: searchTerm,
+    term: usesRewrite ? rewrite.query : term,
     requestedPage,
     url,
+    facets,
   });
 
-  if (!usesCorrection || hasProductResults(searchResult.items)) {
+  if (hasProductResults(searchResult.items)) {
     return buildRegularSearchReturn({
       term,
+      facets,
       searchTerm,
       searchResult,
-      searchCorrection: usesCorrection
-        ? {originalTerm: term, correctedTerm}
+      searchCorrection: usesRewrite
+        ? buildSearchCorrection({term, normalizedTerm, rewrite})
         : null,
     });
   }
 
-  const fallbackSearch = await runRegularSearch({
+  let emptySearch = searchResult;
+  if (usesRewrite) {
+    const fallbackSearch = await runRegularSearch({
+      storefront,
+      term,
+      requestedPage,
+      url,
+      facets,
+    });
+
+    if (hasProductResults(fallbackSearch.items)) {
+      return buildRegularSearchReturn({
+        term,
+        facets,
+        searchTerm: term,
+        searchResult: fallbackSearch,
+        searchCorrection: null,
+      });
+    }
+    emptySearch = fallbackSearch;
+  }
+
+  // With filters applied, an empty page means the filters exclude
+  // everything; relaxing the query would hide that.
+  if (!normalizedTerm || facets.selectedFilters.length) {
+    return buildRegularSearchReturn({
+      term,
+      facets,
+      searchTerm: term,
+      searchResult: emptySearch,
+      searchCorrection: null,
+    });
+  }
+
+  const recovery = await recoverZeroResultSearch({
     storefront,
-    term,
-    requestedPage,
+    term: rewrite?.correctedTerm || normalizedTerm,
     url,
+    facets,
   });
+  logZeroResultSearch({term, recovery});
 
   return buildRegularSearchReturn({
     term,
-    searchTerm: term,
-    searchResult: fallbackSearch,
+    facets,
+    searchTerm: recovery?.searchTerm || term,
+    searchResult: recovery?.searchResult || emptySearch,
     searchCorrection: null,
+    searchRecovery: recovery
+      ? {
+          originalTerm: term,
+          strategy: recovery.strategy,
+          relaxedTerm: recovery.searchTerm,
+          collection: recovery.collection,
+        }
+      : null,
   });
 }
 
+/**
+ * Retries a search without products through the relaxed, model-only and
+ * brand-only queries of `getSearchRecoveryPlan`, then the brand collection.
+ * Returns the first attempt that finds products, or null.
+ * @param {{
+ *   storefront: Route.LoaderArgs['context']['storefront'];
+ *   term: string;
+ *   url: URL;
+ *   facets: SearchFacets;
+ * }}
+ */
+async function recoverZeroResultSearch({storefront, term, url, facets}) {
+  const {queries, brand} = getSearchRecoveryPlan(term);
+
+  for (const query of queries) {
+    const rewrite = await getSearchRewrite({term: query.term});
+    const searchResult = await runRegularSearch({
+      storefront,
+      term: rewrite.query || query.term,
+      requestedPage: 1,
+      url,
+      facets,
+    });
+
+    if (hasProductResults(searchResult.items)) {
+      return {
+        strategy: query.strategy,
+        searchTerm: query.term,
+        searchResult,
+        collection: null,
+      };
+    }
+  }
+
+  if (!brand) return null;
+
+  const {collection} = await storefront.query(
+    SEARCH_COLLECTION_FALLBACK_QUERY,
+    {
+      variables: {
+        handle: brand.collectionHandle,
+        first: PREFETCH_PRODUCT_COUNT,
+      },
+      cache: storefront.CacheShort(),
+    },
+  );
+  const nodes = collection?.products?.nodes || [];
+  if (!nodes.length) return null;
+
+  return {
+    strategy: 'brand_collection',
+    searchTerm: '',
+    searchResult: {
+      items: {
+        articles: {nodes: []},
+        products: {
+          nodes,
+          pagination: {
+            currentPage: 1,
+            totalPages: Math.max(
+              1,
+              Math.ceil(nodes.length / PRODUCTS_PER_PAGE),
+            ),
+            hasNextPage: nodes.length > PRODUCTS_PER_PAGE,
+            hasPreviousPage: false,
+            hasMorePages: false,
+          },
+        },
+      },
+    },
+    collection: {
+      title: collection.title || brand.name,
+      path: `/collections/${collection.handle}`,
+    },
+  };
+}
+
 /**
  * @param {{
  *   storefront: Route.LoaderArgs['context']['storefront'];
  *   term: string;
  *   requestedPage: number;
  *   url: URL;
+ *   facets: SearchFacets;
  * }}
  */
-async function runRegularSearch({storefront, term, requestedPage, url}) {
+async function runRegularSearch({
+  storefront,
+  term,
+  requestedPage,
+  url,
+  facets,
+}) {
+  const facetVariables = {
+    productFilters: facets.selectedFilters,
+    sortKey: facets.sort.sortKey,
+    reverse: facets.sort.reverse,
+  };
   const requestedProductCount = Math.max(
     PREFETCH_PRODUCT_COUNT,
     requestedPage * PRODUCTS_PER_PAGE,
@@ -341,7 +795,12 @@ async function runRegularSearch({storefront, term, requestedPage, url}) {
 
   // Search articles and products for the `q` term
   const {errors, ...items} = await storefront.query(SEARCH_QUERY, {
-    variables: {term, productsFirst: initialBatchSize, productsAfter: null},
+    variables: {
+      term,
+      productsFirst: initialBatchSize,
+      productsAfter: null,
+      ...facetVariables,
+    },
   });
 
   if (!items) {
@@ -366,6 +825,7 @@ async function runRegularSearch({storefront, term, requestedPage, url}) {
           term,
           productsFirst: nextBatchSize,
           productsAfter: productsCursor,
+          ...facetVariables,
         },
       },
     );
@@ -430,16 +890,20 @@ async function runRegularSearch({storefront, term, requestedPage, url}) {
 /**
  * @param {{
  *   term: string;
+ *   facets: SearchFacets;
  *   searchTerm: string;
  *   searchResult: {error?: string; items: Record<string, {nodes?: unknown[]}>};
- *   searchCorrection: null | {originalTerm: string; correctedTerm: string};
+ *   searchCorrection: null | SearchCorrection;
+ *   searchRecovery?: null | SearchRecovery;
  * }}
  */
 function buildRegularSearchReturn({
   term,
+  facets,
   searchTerm,
   searchResult,
   searchCorrection,
+  searchRecovery = null,
 }) {
   const total = getSearchItemsTotal(searchResult.items);
 
@@ -449,10 +913,107 @@ function buildRegularSearchReturn({
     searchTerm,
     error: searchResult.error,
     searchCorrection,
+    searchRecovery,
+    selectedFilterValues: facets.selectedFilterValues,
+    selectedSortValue: facets.sort.value,
     result: {total, items: searchResult.items},
   };
 }
 
+/**
+ * Variants whose SKU or barcode equals `code`, as search result products
+ * showing that variant and linking to it. Storefront search finds most
+ * SKUs; the Admin API lookup, when configured, also covers barcodes.
+ * Lookup failures are logged and fall through to full-text search.
+ * @param {{
+ *   context: Route.LoaderArgs['context'];
+ *   code: string;
+ *   pathname: string;
+ * }}
+ */
+async function findProductCodeProducts({context, code, pathname}) {
+  const {storefront} = context;
+
+  try {
+    const {products} = await storefront.query(PRODUCT_CODE_SEARCH_QUERY, {
+      variables: {term: code},
+      cache: storefront.CacheShort(),
+    });
+    let hits = (products?.nodes || []).flatMap(({codeVariants, ...product}) =>
+      (codeVariants?.nodes || [])
+        .filter((variant) => matchesProductCode(variant, code))
+        .map((variant) => ({variant, product})),
+    );
+
+    if (!hits.length) {
+      const variantIds = await findVariantIdsByProductCode(context.env, code);
+      if (variantIds?.length) {
+        const {nodes} = await storefront.query(PRODUCT_CODE_VARIANTS_QUERY, {
+          variables: {ids: variantIds},
+          cache: storefront.CacheShort(),
+        });
+        hits = (nodes || [])
+          .filter((node) => node?.id && node.product)
+          .map(({product, ...variant}) => ({variant, product}));
+      }
+    }
+
+    return hits.map(({variant, product}) =>
+      toProductCodeProduct({variant, product, pathname}),
+    );
+  } catch (error) {
+    console.error('[search] Product code lookup failed:', error);
+    return [];
+  }
+}
+
+/**
+ * @param {{
+ *   variant: ProductCodeVariantFragment;
+ *   product: SearchProductFragment;
+ *   pathname: string;
+ * }}
+ */
+function toProductCodeProduct({variant, product, pathname}) {
+  return {
+    ...product,
+    selectedOrFirstAvailableVariant: {
+      ...product.selectedOrFirstAvailableVariant,
+      ...variant,
+      image: variant.image || product.selectedOrFirstAvailableVariant?.image,
+    },
+    variantUrl: getVariantUrl({
+      handle: product.handle,
+      pathname,
+      searchParams: new URLSearchParams(),
+      selectedOptions: variant.selectedOptions,
+    }),
+  };
+}
+
+/**
+ * Banner data for a rewritten query. `correctedTerm` stays empty when only
+ * synonyms were added, so the banner does not claim the query was replaced.
+ * @param {{
+ *   term: string;
+ *   normalizedTerm: string;
+ *   rewrite: Awaited<ReturnType<typeof getSearchRewrite>>;
+ * }}
+ * @return {SearchCorrection}
+ */
+function buildSearchCorrection({term, normalizedTerm, rewrite}) {
+  const isReplaced =
+    normalizeSearchTerm(rewrite.correctedTerm) !== normalizedTerm;
+
+  return {
+    originalTerm: term,
+    correctedTerm: isReplaced ? rewrite.correctedTerm : '',
+    expandedTerms: rewrite.expandedTerms,
+    rules: rewrite.rules,
+    rulesVersion: rewrite.version,
+  };
+}
+
 /**
  * @param {Record<string, {nodes?: unknown[]}>} items
  */
@@ -617,14 +1178,33 @@ async function predictiveSearch({request, context}) {
 
   if (!term) return {type, term, result: getEmptyPredictiveSearchResult()};
 
-  const correctedTerm = await getCorrectedSearchTerm({term});
-  const searchTerm = correctedTerm || term;
+  const productCode = getProductCodeQuery(term);
+  if (productCode) {
+    const products = await findProductCodeProducts({
+      context,
+      code: productCode.code,
+      pathname: url.pathname,
+    });
+
+    if (products.length) {
+      const items = {
+        ...getEmptyPredictiveSearchResult().items,
+        products: products.slice(0, limit),
+      };
+      return {type, term, result: {items, total: items.products.length}};
+    }
+  }
+
+  const rewrite = await getSearchRewrite({term});
+  const searchTerm = rewrite.predictiveTerm || term;
 
   if (limit > 10) {
+    // The products-only query runs through `search`, which understands the
+    // OR groups of the rewritten query.
     let {products, errors} = await storefront.query(
       PREDICTIVE_PRODUCTS_ONLY_QUERY,
       {
-        variables: {term: searchTerm, limit},
+        variables: {term: rewrite.query || term, limit},
       },
     );
 
@@ -634,7 +1214,7 @@ async function predictiveSearch({request, context}) {
       );
     }
 
-    if (!products?.nodes?.length && searchTerm !== term) {
+    if (!products?.nodes?.length && (rewrite.query || term) !== term) {
       const fallback = await storefront.query(PREDICTIVE_PRODUCTS_ONLY_QUERY, {
         variables: {term, limit},
       });
@@ -734,4 +1314,28 @@ function getPredictiveItemsTotal(items) {
 /** @typedef {import('~/lib/search').PredictiveSearchReturn} PredictiveSearchReturn */
 /** @typedef {import('storefrontapi.generated').RegularSearchQuery} RegularSearchQuery */
 /** @typedef {import('storefrontapi.generated').PredictiveSearchQuery} PredictiveSearchQuery */
+/** @typedef {import('storefrontapi.generated').SearchProductFragment} SearchProductFragment */
+/** @typedef {import('storefrontapi.generated').ProductCodeVariantFragment} ProductCodeVariantFragment */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
+/**
+ * @typedef {{
+ *   originalTerm: string;
+ *   correctedTerm: string;
+ *   expandedTerms: string[];
+ *   rules: string[];
+ *   rulesVersion: number;
+ * }} SearchCorrection
+ */
+/**
+ * @typedef {{
+ *   originalTerm: string;
+ *   strategy: import('~/lib/searchRecovery').SearchRecoveryStrategy;
+ *   relaxedTerm: string;
+ *   collection: null | {title: string; path: string};
+ * }} SearchRecovery
+ */
+/**
+ * @typedef {ReturnType<typeof getSelectedFilters> & {
+ *   sort: ReturnType<typeof getSearchSortOption>;
+ * }} SearchFacets
+ */
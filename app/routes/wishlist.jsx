@@ -1,5 +1,7 @@
-import {Link, useLoaderData} from 'react-router';
+import {Link, useLoaderData, useNavigate} from 'react-router';
 import {ProductItem} from '~/components/ProductItem';
+import {useCompare} from '~/hooks/useCompare';
+import {COMPARE_MAX_ITEMS} from '~/lib/compare';
 import {getWishlistFromCookieHeader} from '~/lib/wishlist';
 
 /**
@@ -56,6 +58,19 @@ export async function loader({context, request}) {
 export default function WishlistPage() {
   /** @type {{products: WishlistProduct[]}} */
   const {products} = useLoaderData();
+  const {count, hasProduct, addProducts} = useCompare();
+  const navigate = useNavigate();
+
+  // Wishlist products join whatever is already being compared, so the
+  // label counts the ones that will fit alongside it.
+  const missingCount = products.filter((product) => !hasProduct(product.handle)).length;
+  const comparedCount =
+    products.length - missingCount + Math.min(missingCount, Math.max(COMPARE_MAX_ITEMS - count, 0));
+
+  const compareWishlist = () => {
+    addProducts(products.map((product) => product.handle));
+    navigate('/compare');
+  };
 
   return (
     <div className="pz-page pz-wishlist-page">
@@ -66,9 +81,20 @@ export default function WishlistPage() {
               <p className="pz-kicker">Saved For Later</p>
               <h2>Your Wishlist</h2>
             </div>
-            <Link to="/collections/all" className="pz-inline-link" prefetch="intent">
-              Continue Shopping
-            </Link>
+            <div className="pz-section-head-actions">
+              {products.length > 1 ? (
+                <button type="button" className="pz-inline-link" onClick={compareWishlist}>
+                  {comparedCount === products.length
+                    ? 'Compare all'
+                    : comparedCount
+                      ? `Compare ${comparedCount} of ${products.length}`
+                      : 'Compare list is full'}
+                </button>
+              ) : null}
+              <Link to="/collections/all" className="pz-inline-link" prefetch="intent">
+                Continue Shopping
+              </Link>
+            </div>
           </div>
 
           {products.length ? (
@@ -109,6 +135,12 @@ const WISHLIST_PRODUCT_BY_HANDLE_QUERY = `#graphql
     handle
     title
     vendor
+    rating: metafield(namespace: "reviews", key: "rating") {
+      value
+    }
+    ratingCount: metafield(namespace: "reviews", key: "rating_count") {
+      value
+    }
     featuredImage {
       id
       altText
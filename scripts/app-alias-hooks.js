@@ -0,0 +1,18 @@
+import {existsSync} from 'node:fs';
+import {fileURLToPath} from 'node:url';
+
+const APP_URL = new URL('../app/', import.meta.url);
+const EXTENSIONS = ['', '.js', '.jsx'];
+
+// Module hooks that let the check scripts import app modules using the
+// `~/` alias from jsconfig.json; extensionless paths resolve like Vite's.
+export async function resolve(specifier, context, nextResolve) {
+  if (!specifier.startsWith('~/')) return nextResolve(specifier, context);
+
+  const base = new URL(specifier.slice(2), APP_URL);
+  const match = EXTENSIONS.map(
+    (extension) => new URL(`${base.href}${extension}`),
+  ).find((url) => existsSync(fileURLToPath(url)));
+
+  return nextResolve(match ? match.href : base.href, context);
+}
@@ -1,20 +1,152 @@
-import {readFileSync, writeFileSync} from 'node:fs';
-import {resolve} from 'node:path';
-
-const MAX_PRODUCTS = 5000;
-const PAGE_SIZE = 250;
+import {createHash} from 'node:crypto';
+import {createReadStream, readFileSync, writeFileSync} from 'node:fs';
+import {dirname, resolve} from 'node:path';
+import {createInterface} from 'node:readline';
+
+// Usage:
+//   npm run build:search-dictionary
+//   npm run build:search-dictionary -- --from-jsonl catalog.jsonl
+//   npm run build:search-dictionary -- --from-jsonl \
+//     scripts/fixtures/search-catalog-sample.jsonl --out /tmp/terms.js
+//   npm run build:search-dictionary -- --print-bulk-query
+//   npm run build:search-dictionary -- --if-configured
+//
+// The offline mode reads a JSONL catalog export instead of calling the Admin
+// API. Run the query from `--print-bulk-query` as a bulk operation and pass
+// the downloaded file; child lines (`__parentId`) are read like nested
+// records.
+//
+// Besides the dictionary, the script writes the catalog index the header
+// search uses for instant results: `public/search-index.json` plus
+// `app/lib/searchIndex.generated.js`, which holds its content-hashed URL.
+// With `--out`, the index is written next to that file unless `--index-out`
+// names another path, and the committed index URL is left alone.
+//
+// The Oxygen deployment workflow runs the script with `--if-configured`
+// before building, so every deploy ships a current index. Without Admin API
+// credentials that flag skips the build with a warning and keeps the
+// committed files, whose empty index URL leaves instant results off.
+//
+// The index is a public asset, so only products the storefront can show go
+// into it: active products published to the Online Store channel, or to the
+// publication named by SEARCH_DICTIONARY_PUBLICATION_ID (the Hydrogen
+// storefront's channel, e.g. "gid://shopify/Publication/123") when it is set.
+const DEFAULT_MAX_PRODUCTS = 5000;
+// Each product pulls variants, collections and metafields; 15 per page keeps
+// a page under the Admin API's 1000-point query cost limit.
+const PAGE_SIZE = 15;
+const COLLECTION_PAGE_SIZE = 250;
 const SHOPIFY_API_VERSION = '2026-07';
 const OUTPUT_PATH = resolve('app/lib/searchTerms.generated.js');
+const INDEX_OUTPUT_PATH = resolve('public/search-index.json');
+const INDEX_MODULE_PATH = resolve('app/lib/searchIndex.generated.js');
+const INDEX_FORMAT_VERSION = 1;
+const INDEX_IMAGE_SIZE = 104;
 const MIN_WORD_LENGTH = 3;
+const MIN_SKU_LENGTH = 4;
+const DEFAULT_COMPATIBILITY_METAFIELDS = [
+  'custom.compatibility',
+  'custom.compatible_models',
+  'custom.compatible_devices',
+];
 
 async function main() {
   const env = loadEnv();
-  const token = getRequiredEnv(env, 'SHOPIFY_ADMIN_API_ACCESS_TOKEN');
-  const shopDomain = getShopDomain(env);
-  const terms = await fetchSearchTerms({shopDomain, token});
+  const args = parseArgs(process.argv.slice(2));
+  const metafieldKeys = getCompatibilityMetafieldKeys(env);
+  const publicationId = getPublicationId(env);
+  const counts = new Map();
+  const catalog = new Map();
+
+  if (args.printBulkQuery) {
+    process.stdout.write(`${formatBulkQuery(metafieldKeys, publicationId)}\n`);
+    return;
+  }
+
+  if (args.ifConfigured && !args.fromJsonl && !hasAdminCredentials(env)) {
+    console.warn(
+      'Skipped the search dictionary and catalog index: set SHOPIFY_ADMIN_API_ACCESS_TOKEN and SHOPIFY_STORE_DOMAIN to build them.',
+    );
+    return;
+  }
+
+  if (args.fromJsonl) {
+    await collectJsonlTerms({
+      counts,
+      catalog,
+      path: args.fromJsonl,
+      metafieldKeys,
+    });
+  } else {
+    const token = getRequiredEnv(env, 'SHOPIFY_ADMIN_API_ACCESS_TOKEN');
+    const shopDomain = getShopDomain(env);
+    await fetchSearchTerms({
+      counts,
+      catalog,
+      shopDomain,
+      token,
+      metafieldKeys,
+      publicationId,
+      maxProducts: getMaxProducts(env),
+    });
+  }
+
+  const outputPath = args.out ? resolve(args.out) : OUTPUT_PATH;
+  writeFileSync(outputPath, formatTermsModule(counts));
+  console.warn(`Wrote ${counts.size} search terms to ${outputPath}`);
+
+  const indexPath = args.indexOut
+    ? resolve(args.indexOut)
+    : args.out
+      ? resolve(dirname(outputPath), 'search-index.json')
+      : INDEX_OUTPUT_PATH;
+  const index = formatCatalogIndex(catalog);
+  writeFileSync(indexPath, index);
+  console.warn(`Wrote ${catalog.size} catalog products to ${indexPath}`);
+
+  if (indexPath === INDEX_OUTPUT_PATH) {
+    writeFileSync(INDEX_MODULE_PATH, formatIndexModule(index));
+  }
+}
+
+function parseArgs(argv) {
+  const args = {
+    fromJsonl: '',
+    out: '',
+    indexOut: '',
+    printBulkQuery: false,
+    ifConfigured: false,
+  };
+  const valueFlags = {
+    '--from-jsonl': 'fromJsonl',
+    '--out': 'out',
+    '--index-out': 'indexOut',
+  };
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const [flag, inlineValue] = argv[index].split(/=(.*)/s);
+    if (flag === '--print-bulk-query') {
+      args.printBulkQuery = true;
+      continue;
+    }
+    if (flag === '--if-configured') {
+      args.ifConfigured = true;
+      continue;
+    }
+
+    const key = valueFlags[flag];
+    if (!key) {
+      throw new Error(`Unknown argument: ${argv[index]}`);
+    }
 
-  writeFileSync(OUTPUT_PATH, formatTermsModule(terms));
-  console.warn(`Wrote ${terms.length} search terms to ${OUTPUT_PATH}`);
+    const value = inlineValue ?? argv[++index];
+    if (!value) {
+      throw new Error(`${flag} needs a file path.`);
+    }
+    args[key] = value;
+  }
+
+  return args;
 }
 
 function loadEnv() {
@@ -55,6 +187,45 @@ function getRequiredEnv(env, key) {
   return value;
 }
 
+function hasAdminCredentials(env) {
+  return Boolean(
+    env.SHOPIFY_ADMIN_API_ACCESS_TOKEN &&
+    (env.SHOPIFY_STORE_DOMAIN ||
+      env.PRIVATE_STORE_DOMAIN ||
+      env.PUBLIC_STORE_DOMAIN ||
+      env.PUBLIC_CHECKOUT_DOMAIN),
+  );
+}
+
+function getMaxProducts(env) {
+  const value = Number(env.SEARCH_DICTIONARY_MAX_PRODUCTS);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_PRODUCTS;
+}
+
+// Comma-separated `namespace.key` list of metafields holding the devices a
+// product fits, e.g. "custom.compatibility,specs.models".
+function getCompatibilityMetafieldKeys(env) {
+  const keys = String(env.SEARCH_DICTIONARY_METAFIELDS || '')
+    .split(',')
+    .map((key) => key.trim())
+    .filter((key) => /^[\w-]+\.[\w-]+$/.test(key));
+
+  return keys.length ? keys : DEFAULT_COMPATIBILITY_METAFIELDS;
+}
+
+function getPublicationId(env) {
+  const id = String(env.SEARCH_DICTIONARY_PUBLICATION_ID || '').trim();
+  if (!id) return '';
+
+  if (!/^gid:\/\/shopify\/Publication\/\d+$/.test(id)) {
+    throw new Error(
+      'SEARCH_DICTIONARY_PUBLICATION_ID must be a publication ID such as "gid://shopify/Publication/123".',
+    );
+  }
+
+  return id;
+}
+
 function getShopDomain(env) {
   const domain =
     env.SHOPIFY_STORE_DOMAIN ||
@@ -71,30 +242,33 @@ function getShopDomain(env) {
   return domain.replace(/^https?:\/\//, '').replace(/\/$/, '');
 }
 
-async function fetchSearchTerms({shopDomain, token}) {
-  const terms = new Set();
+async function fetchSearchTerms({
+  counts,
+  catalog,
+  shopDomain,
+  token,
+  metafieldKeys,
+  publicationId,
+  maxProducts,
+}) {
   let cursor = null;
   let hasNextPage = true;
   let fetchedCount = 0;
 
-  while (hasNextPage && fetchedCount < MAX_PRODUCTS) {
-    const first = Math.min(PAGE_SIZE, MAX_PRODUCTS - fetchedCount);
+  while (hasNextPage && fetchedCount < maxProducts) {
+    const first = Math.min(PAGE_SIZE, maxProducts - fetchedCount);
     const data = await adminGraphql({
       shopDomain,
       token,
-      query: SEARCH_DICTIONARY_ADMIN_QUERY,
-      variables: {first, after: cursor},
+      query: formatAdminProductsQuery(publicationId),
+      variables: {first, after: cursor, metafieldKeys},
     });
     const products = data.products;
     const nodes = products?.nodes || [];
 
-    for (const product of nodes) {
-      addTerms(terms, product.title);
-      addTerms(terms, product.vendor);
-      addTerms(terms, product.productType);
-      for (const tag of product.tags || []) {
-        addTerms(terms, tag);
-      }
+    for (const product of nodes.filter(isStorefrontRecord)) {
+      collectRecordTerms(counts, product, metafieldKeys);
+      collectCatalogProduct(catalog, product);
     }
 
     fetchedCount += nodes.length;
@@ -104,7 +278,190 @@ async function fetchSearchTerms({shopDomain, token}) {
     if (!nodes.length) break;
   }
 
-  return Array.from(terms).sort((a, b) => a.localeCompare(b));
+  if (fetchedCount >= maxProducts && hasNextPage) {
+    console.warn(
+      `Stopped after ${maxProducts} products; raise SEARCH_DICTIONARY_MAX_PRODUCTS or use --from-jsonl for the full catalog.`,
+    );
+  }
+
+  await fetchCollectionTerms({counts, shopDomain, token});
+}
+
+// Collections are also read on their own so empty or automated collections
+// still contribute their titles.
+async function fetchCollectionTerms({counts, shopDomain, token}) {
+  let cursor = null;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const data = await adminGraphql({
+      shopDomain,
+      token,
+      query: SEARCH_DICTIONARY_COLLECTIONS_QUERY,
+      variables: {first: COLLECTION_PAGE_SIZE, after: cursor},
+    });
+    const collections = data.collections;
+    const nodes = collections?.nodes || [];
+
+    for (const collection of nodes) {
+      addTerms(counts, collection.title);
+    }
+
+    cursor = collections?.pageInfo?.endCursor || null;
+    hasNextPage = Boolean(collections?.pageInfo?.hasNextPage && cursor);
+
+    if (!nodes.length) break;
+  }
+}
+
+async function collectJsonlTerms({counts, catalog, path, metafieldKeys}) {
+  const lines = createInterface({
+    input: createReadStream(resolve(path), 'utf8'),
+    crlfDelay: Infinity,
+  });
+  let lineNumber = 0;
+  // Hidden products and every child line under them.
+  const skippedIds = new Set();
+
+  for await (const line of lines) {
+    lineNumber += 1;
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      throw new Error(`${path}:${lineNumber} is not valid JSON.`);
+    }
+
+    if (
+      !isStorefrontRecord(record) ||
+      (record?.__parentId && skippedIds.has(record.__parentId))
+    ) {
+      if (record?.id) skippedIds.add(record.id);
+      continue;
+    }
+
+    collectRecordTerms(counts, record, metafieldKeys);
+    collectCatalogProduct(catalog, record);
+  }
+}
+
+// Drafts, archived products and products left off the storefront's
+// publication are hidden. Only products carry these fields; other records
+// count as shown.
+function isStorefrontRecord(record) {
+  return (
+    (!record?.status || record.status === 'ACTIVE') &&
+    record?.publishedOnPublication !== false
+  );
+}
+
+/**
+ * Keeps what the header search shows for a product on the storefront:
+ * handle, title, vendor, lowest price and a thumbnail. Variant, collection
+ * and metafield records are skipped, as are hidden products.
+ */
+function collectCatalogProduct(catalog, record) {
+  if (!record || typeof record !== 'object' || record.__parentId) return;
+  if (!String(record.id || '').startsWith('gid://shopify/Product/')) return;
+  if (!record.handle || !record.title) return;
+  if (!isStorefrontRecord(record)) return;
+
+  const price = record.priceRangeV2?.minVariantPrice;
+  catalog.set(record.id, {
+    handle: record.handle,
+    title: record.title,
+    vendor: record.vendor || '',
+    price: price?.amount ?? null,
+    currencyCode: price?.currencyCode || null,
+    image: record.featuredMedia?.preview?.image?.url || null,
+  });
+}
+
+/**
+ * Adds the searchable text of one catalog record. Handles products with
+ * nested `variants`/`collections`/`metafields` (Admin API pages or nested
+ * exports) as well as the flat variant, collection and metafield lines of a
+ * bulk operation export. Hidden products add nothing, so unpublished names
+ * never reach typo correction.
+ */
+function collectRecordTerms(counts, record, metafieldKeys) {
+  if (!record || typeof record !== 'object') return;
+  if (!isStorefrontRecord(record)) return;
+
+  if ('namespace' in record && 'key' in record) {
+    if (metafieldKeys.includes(`${record.namespace}.${record.key}`)) {
+      addMetafieldTerms(counts, record.value);
+    }
+    return;
+  }
+
+  addTerms(counts, record.title);
+  addTerms(counts, record.vendor);
+  addTerms(counts, record.productType);
+  for (const tag of toList(record.tags)) {
+    addTerms(counts, tag);
+  }
+
+  addSkuTerms(counts, record.sku);
+  for (const option of toList(record.selectedOptions)) {
+    // Option names ("Color", "Size") are not catalog terms; values such as
+    // "S24 Ultra" or "iPhone 15 Pro Max" are.
+    addTerms(counts, option?.value);
+  }
+
+  for (const variant of toList(record.variants)) {
+    collectRecordTerms(counts, variant, metafieldKeys);
+  }
+  for (const collection of toList(record.collections)) {
+    addTerms(counts, collection?.title);
+  }
+  for (const metafield of toList(record.metafields)) {
+    collectRecordTerms(counts, metafield, metafieldKeys);
+  }
+}
+
+// List metafields arrive as JSON-encoded arrays.
+function addMetafieldTerms(counts, value) {
+  if (typeof value !== 'string') return;
+
+  let parsed = value;
+  if (value.trim().startsWith('[')) {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      parsed = value;
+    }
+  }
+
+  for (const entry of Array.isArray(parsed) ? parsed : [parsed]) {
+    addTerms(counts, typeof entry === 'string' ? entry : '');
+  }
+}
+
+// SKUs are added as words and, when they mix letters and digits, as one
+// compact term so "PZ-15PM-BLK" can be corrected from "pz15pmblk".
+function addSkuTerms(counts, sku) {
+  addTerms(counts, sku);
+
+  const parts = tokenize(sku);
+  const compact = parts.join('');
+  if (
+    parts.length > 1 &&
+    compact.length >= MIN_SKU_LENGTH &&
+    /[a-z]/.test(compact) &&
+    /\d/.test(compact)
+  ) {
+    counts.set(compact, (counts.get(compact) || 0) + 1);
+  }
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (Array.isArray(value?.nodes)) return value.nodes;
+  if (Array.isArray(value?.edges)) return value.edges.map((edge) => edge.node);
+  return [];
 }
 
 async function adminGraphql({shopDomain, token, query, variables}) {
@@ -132,10 +489,12 @@ async function adminGraphql({shopDomain, token, query, variables}) {
   return json.data;
 }
 
-function addTerms(terms, value) {
-  tokenize(value).forEach((term) => {
+// Counts each term once per value, so a term's frequency is the number of
+// titles, tags, options and so on that use it.
+function addTerms(counts, value) {
+  new Set(tokenize(value)).forEach((term) => {
     if (isUsefulSearchTerm(term)) {
-      terms.add(term);
+      counts.set(term, (counts.get(term) || 0) + 1);
     }
   });
 }
@@ -162,26 +521,127 @@ function tokenize(value) {
     .filter(Boolean);
 }
 
-function formatTermsModule(terms) {
+function formatTermsModule(counts) {
+  const terms = Array.from(counts.keys()).sort((a, b) => a.localeCompare(b));
   const lines = terms.map((term) => `  ${JSON.stringify(term)},`).join('\n');
+  // Terms seen once are left out; the dictionary treats them as frequency 1.
+  const frequencyLines = terms
+    .filter((term) => counts.get(term) > 1)
+    .map((term) => `  ${JSON.stringify(term)}: ${counts.get(term)},\n`)
+    .join('');
 
   return `// Generated by \`npm run build:search-dictionary\`.
 // Keep this file committed so typo correction does not fetch catalog data at runtime.
 export const SEARCH_TERMS = [
 ${lines}
 ];
+
+export const SEARCH_TERM_FREQUENCIES = {
+${frequencyLines}};
+`;
+}
+
+// Products are stored as `[handle, title, vendor, price, image]` rows with
+// one shop currency, which keeps the file small enough to fetch on the first
+// keystroke. Rows are sorted by handle so unchanged catalogs hash the same.
+function formatCatalogIndex(catalog) {
+  const products = Array.from(catalog.values()).sort((a, b) =>
+    a.handle.localeCompare(b.handle),
+  );
+  const currencyCode =
+    products.find((product) => product.currencyCode)?.currencyCode || null;
+
+  return `${JSON.stringify({
+    version: INDEX_FORMAT_VERSION,
+    currencyCode,
+    products: products.map((product) => [
+      product.handle,
+      product.title,
+      product.vendor,
+      product.price,
+      product.image,
+    ]),
+  })}\n`;
+}
+
+function formatIndexModule(index) {
+  const hash = createHash('sha256').update(index).digest('hex').slice(0, 12);
+
+  return `// Generated by \`npm run build:search-dictionary\`.
+// The hash changes with the catalog index, so the file can be cached for good.
+export const SEARCH_INDEX_URL = ${JSON.stringify(`/search-index.json?v=${hash}`)};
 `;
 }
 
-const SEARCH_DICTIONARY_ADMIN_QUERY = `
-  query SearchDictionaryProducts($first: Int!, $after: String) {
-    products(first: $first, after: $after) {
+// Without a publication ID, `published_status` limits products to the Online
+// Store channel; with one, each product reports whether it is published
+// there and `isStorefrontRecord` drops the rest.
+function formatProductsFilter(publicationId) {
+  return publicationId
+    ? 'status:active'
+    : 'status:active AND published_status:published';
+}
+
+function formatPublicationField(publicationId) {
+  return publicationId
+    ? `publishedOnPublication(publicationId: ${JSON.stringify(publicationId)})`
+    : '';
+}
+
+function formatAdminProductsQuery(publicationId) {
+  return `
+  query SearchDictionaryProducts(
+    $first: Int!
+    $after: String
+    $metafieldKeys: [String!]
+  ) {
+    products(
+      first: $first
+      after: $after
+      query: ${JSON.stringify(formatProductsFilter(publicationId))}
+    ) {
       nodes {
         id
+        handle
+        status
+        ${formatPublicationField(publicationId)}
         title
         vendor
         productType
         tags
+        priceRangeV2 {
+          minVariantPrice {
+            amount
+            currencyCode
+          }
+        }
+        featuredMedia {
+          preview {
+            image {
+              url(transform: {maxWidth: ${INDEX_IMAGE_SIZE}, maxHeight: ${INDEX_IMAGE_SIZE}})
+            }
+          }
+        }
+        variants(first: 30) {
+          nodes {
+            sku
+            selectedOptions {
+              value
+            }
+          }
+        }
+        collections(first: 10) {
+          nodes {
+            title
+          }
+        }
+        metafields(first: 10, keys: $metafieldKeys) {
+          nodes {
+            namespace
+            key
+            value
+          }
+        }
       }
       pageInfo {
         hasNextPage
@@ -190,6 +650,86 @@ const SEARCH_DICTIONARY_ADMIN_QUERY = `
     }
   }
 `;
+}
+
+const SEARCH_DICTIONARY_COLLECTIONS_QUERY = `
+  query SearchDictionaryCollections($first: Int!, $after: String) {
+    collections(first: $first, after: $after) {
+      nodes {
+        title
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+// Bulk operation query whose JSONL result feeds `--from-jsonl`. Bulk
+// operations have no cost limit, so it reads every variant.
+function formatBulkQuery(metafieldKeys, publicationId) {
+  return `
+  {
+    products(query: ${JSON.stringify(formatProductsFilter(publicationId))}) {
+      edges {
+        node {
+          id
+          handle
+          status
+          ${formatPublicationField(publicationId)}
+          title
+          vendor
+          productType
+          tags
+          priceRangeV2 {
+            minVariantPrice {
+              amount
+              currencyCode
+            }
+          }
+          featuredMedia {
+            preview {
+              image {
+                url(transform: {maxWidth: ${INDEX_IMAGE_SIZE}, maxHeight: ${INDEX_IMAGE_SIZE}})
+              }
+            }
+          }
+          variants {
+            edges {
+              node {
+                id
+                sku
+                selectedOptions {
+                  value
+                }
+              }
+            }
+          }
+          collections {
+            edges {
+              node {
+                id
+                title
+              }
+            }
+          }
+          metafields(keys: ${JSON.stringify(metafieldKeys)}) {
+            edges {
+              node {
+                id
+                namespace
+                key
+                value
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`.trim();
+}
 
 main().catch((error) => {
   console.error(error);
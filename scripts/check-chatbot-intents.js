@@ -0,0 +1,89 @@
+import {readFileSync} from 'node:fs';
+import {resolve} from 'node:path';
+import {classifyChatMessage} from '../app/lib/chatbot/intents.js';
+
+const CORPUS_PATH = resolve('scripts/fixtures/chatbot-intent-corpus.json');
+const INTENT_FLAGS = [
+  'greeting',
+  'offTopic',
+  'addToCart',
+  'compare',
+  'orderStatus',
+  'checkout',
+  'clearCart',
+  'productPage',
+  'listRequest',
+  'storeService',
+  'productIntent',
+  'followUp',
+  'shouldLookupProducts',
+];
+
+function main() {
+  const corpus = JSON.parse(readFileSync(CORPUS_PATH, 'utf8'));
+  const failures = [];
+
+  corpus.forEach((entry, index) => {
+    const actual = summarizeClassification(
+      classifyChatMessage(entry.message, {
+        history: entry.history || [],
+        currentProductHandle: entry.currentProductHandle || '',
+      }),
+    );
+
+    for (const [key, expected] of Object.entries(entry.expect || {})) {
+      const received =
+        key === 'searchQueries'
+          ? actual.searchQueries.slice(0, expected.length)
+          : actual[key];
+
+      if (JSON.stringify(received) !== JSON.stringify(expected)) {
+        failures.push({index, message: entry.message, key, expected, received});
+      }
+    }
+  });
+
+  if (failures.length) {
+    failures.forEach((failure) => {
+      console.error(
+        `#${failure.index} "${failure.message}" ${failure.key}: expected ${JSON.stringify(
+          failure.expected,
+        )}, received ${JSON.stringify(failure.received)}`,
+      );
+    });
+    console.error(
+      `${failures.length} intent mismatch(es) across ${corpus.length} utterances.`,
+    );
+    process.exit(1);
+  }
+
+  console.warn(`All ${corpus.length} chatbot utterances matched.`);
+}
+
+// Flattens the classifier output into the shape used by corpus entries:
+// boolean intents become one ordered `intents` list, other fields only
+// appear in an entry when they differ from their defaults.
+function summarizeClassification(result) {
+  return {
+    language: result.language,
+    canonicalMessage: result.canonicalMessage,
+    primaryIntent: result.primaryIntent,
+    intents: INTENT_FLAGS.filter((flag) => result[flag]),
+    referencedOptionIndex: result.referencedOptionIndex,
+    referencedOptionIndexes: result.referencedOptionIndexes,
+    wishlistIntent: result.wishlistIntent,
+    orderNumber: result.orderNumber,
+    quantity: result.quantity,
+    requestedCount: result.requestedCount,
+    selectionPreference: result.selectionPreference,
+    catalogFamily: result.catalogFamily,
+    searchPageTerm: result.searchPageTerm,
+    lookupTerm: result.lookupTerm,
+    searchQueries: result.searchQueries,
+    brandHints: result.intentProfile.brandHints,
+    prefersPrimaryDevice: result.intentProfile.prefersPrimaryDevice,
+    wantsAccessory: result.intentProfile.wantsAccessory,
+  };
+}
+
+main();
@@ -0,0 +1,37 @@
+import {readFileSync} from 'node:fs';
+import {resolve} from 'node:path';
+import {redactContactDetails} from '../app/lib/chatbot/analytics.server.js';
+
+const CASES_PATH = resolve('scripts/fixtures/contact-redaction-cases.json');
+
+// Runs the transcript redaction over local and international phone numbers,
+// emails, and lookalikes (order numbers, prices, dates, SKUs) that have to
+// stay readable.
+function main() {
+  const cases = JSON.parse(readFileSync(CASES_PATH, 'utf8'));
+  const failures = cases
+    .map((entry, index) => ({
+      index,
+      ...entry,
+      received: redactContactDetails(entry.text),
+    }))
+    .filter((entry) => entry.received !== entry.expected);
+
+  if (failures.length) {
+    failures.forEach((failure) => {
+      console.error(
+        `#${failure.index} "${failure.text}": expected ${JSON.stringify(
+          failure.expected,
+        )}, received ${JSON.stringify(failure.received)}`,
+      );
+    });
+    console.error(
+      `${failures.length} redaction mismatch(es) across ${cases.length} cases.`,
+    );
+    process.exit(1);
+  }
+
+  console.warn(`All ${cases.length} contact redaction cases matched.`);
+}
+
+main();
@@ -0,0 +1,216 @@
+import {register} from 'node:module';
+
+register('./app-alias-hooks.js', import.meta.url);
+
+const {createMemoryChatbotBackend} =
+  await import('../app/lib/chatbot/conversationStore.server.js');
+const {runNotifyMeJob} = await import('../app/lib/notifyMe/job.server.js');
+const {createMockNotifyMeSender} =
+  await import('../app/lib/notifyMe/senders.server.js');
+const {createNotifyMeStore} =
+  await import('../app/lib/notifyMe/store.server.js');
+const {NOTIFY_ME_BACK_IN_STOCK, NOTIFY_ME_PRICE_DROP, isNotificationDue} =
+  await import('../app/lib/notifyMe/subscription.js');
+
+const VARIANT = 'gid://shopify/ProductVariant/';
+
+// Storefront state at the time of the run; variant 4 was deleted.
+const VARIANTS = {
+  [`${VARIANT}1`]: createVariant(1, {availableForSale: true}),
+  [`${VARIANT}2`]: createVariant(2, {availableForSale: false}),
+  [`${VARIANT}3`]: createVariant(3, {amount: '80.00'}),
+  [`${VARIANT}5`]: createVariant(5, {amount: '20.00'}),
+};
+
+const SUBSCRIPTIONS = [
+  // Back in stock: sent and removed.
+  createSubscription(1, NOTIFY_ME_BACK_IN_STOCK, 'restock@example.com'),
+  // Still sold out: kept.
+  createSubscription(2, NOTIFY_ME_BACK_IN_STOCK, 'waiting@example.com'),
+  // Price dropped from 100 to 80, but the send fails: kept for the next run.
+  createSubscription(3, NOTIFY_ME_PRICE_DROP, '+96103123456', '100.00'),
+  // Signed up at 50, now 80: not due.
+  createSubscription(3, NOTIFY_ME_PRICE_DROP, 'cheap@example.com', '50.00'),
+  // Variant no longer exists: removed without a send.
+  createSubscription(4, NOTIFY_ME_BACK_IN_STOCK, 'gone@example.com'),
+  // "Call for price" signup, now priced: sent and removed.
+  createSubscription(5, NOTIFY_ME_PRICE_DROP, 'quote@example.com', null),
+];
+
+const DUE_CASES = [
+  [NOTIFY_ME_BACK_IN_STOCK, null, {availableForSale: true}, true],
+  [NOTIFY_ME_BACK_IN_STOCK, null, {availableForSale: false}, false],
+  [NOTIFY_ME_PRICE_DROP, '100.00', {price: price('99.99')}, true],
+  [NOTIFY_ME_PRICE_DROP, '100.00', {price: price('100.00')}, false],
+  [NOTIFY_ME_PRICE_DROP, '100.00', {price: price('120.00')}, false],
+  [NOTIFY_ME_PRICE_DROP, '100.00', {price: price('0.00')}, false],
+  [NOTIFY_ME_PRICE_DROP, '100.00', {price: null}, false],
+  [NOTIFY_ME_PRICE_DROP, null, {price: price('45.00')}, true],
+  [NOTIFY_ME_PRICE_DROP, '0.00', {price: price('45.00')}, true],
+];
+
+// Runs the notification job against a memory store, a fake Storefront API
+// and the mock sender, and checks what was sent, kept and removed.
+async function main() {
+  const failures = [];
+  const expect = (label, received, expected) => {
+    if (JSON.stringify(received) !== JSON.stringify(expected)) {
+      failures.push(
+        `${label}: expected ${JSON.stringify(expected)}, received ${JSON.stringify(received)}`,
+      );
+    }
+  };
+
+  DUE_CASES.forEach(([kind, priceAtSignup, variant, expected]) => {
+    expect(
+      `isNotificationDue ${kind} at ${priceAtSignup} with ${JSON.stringify(variant)}`,
+      isNotificationDue({kind, priceAtSignup}, {id: `${VARIANT}9`, ...variant}),
+      expected,
+    );
+  });
+
+  const store = createNotifyMeStore({backend: createMemoryChatbotBackend()});
+  for (const subscription of SUBSCRIPTIONS) {
+    await store.add(subscription);
+  }
+  const storefront = createFakeStorefront();
+
+  const dryRunSender = createMockNotifyMeSender();
+  expect(
+    'dry run summary',
+    await runNotifyMeJob({
+      storefront,
+      store,
+      sender: dryRunSender,
+      dryRun: true,
+    }),
+    createSummary({dryRun: true, due: 3}),
+  );
+  expect('dry run sends', dryRunSender.sent.length, 0);
+  expect('dry run keeps', await listContacts(store), sortedContacts());
+
+  const sender = createMockNotifyMeSender({
+    fail: (notification) => notification.contact === '+96103123456',
+  });
+  expect(
+    'first run summary',
+    await runNotifyMeJob({storefront, store, sender}),
+    createSummary({due: 3, sent: 2, failed: 1, removed: 3}),
+  );
+  expect(
+    'first run sends',
+    sender.sent.map(({type, contact}) => ({type, contact})),
+    [
+      {type: 'alert', contact: 'restock@example.com'},
+      {type: 'alert', contact: 'quote@example.com'},
+    ],
+  );
+  expect(
+    'price drop message',
+    sender.sent[1]?.message,
+    'Price update: Product 5 is now 20.00 USD at Pixel Zones. https://pixelzones.com/products/product-5',
+  );
+  expect(
+    'first run keeps',
+    await listContacts(store),
+    sortedContacts('waiting@example.com', '+96103123456', 'cheap@example.com'),
+  );
+
+  const retrySender = createMockNotifyMeSender();
+  expect(
+    'retry summary',
+    await runNotifyMeJob({storefront, store, sender: retrySender}),
+    createSummary({variantsChecked: 2, due: 1, sent: 1, removed: 1}),
+  );
+  expect(
+    'retry sends',
+    retrySender.sent.map(({contact}) => contact),
+    ['+96103123456'],
+  );
+  expect(
+    'retry keeps',
+    await listContacts(store),
+    sortedContacts('waiting@example.com', 'cheap@example.com'),
+  );
+
+  if (failures.length) {
+    failures.forEach((failure) => console.error(failure));
+    console.error(`${failures.length} notify-me check(s) failed.`);
+    process.exit(1);
+  }
+
+  console.warn(
+    `Notify-me job matched ${DUE_CASES.length} due cases and 3 runs.`,
+  );
+}
+
+function createFakeStorefront() {
+  return {
+    CacheNone: () => ({}),
+    async query(_query, {variables}) {
+      return {nodes: variables.ids.map((id) => VARIANTS[id] ?? null)};
+    },
+  };
+}
+
+function createVariant(number, {availableForSale = true, amount = '100.00'}) {
+  return {
+    id: `${VARIANT}${number}`,
+    title: 'Default Title',
+    availableForSale,
+    selectedOptions: [{name: 'Title', value: 'Default Title'}],
+    price: price(amount),
+    product: {title: `Product ${number}`, handle: `product-${number}`},
+  };
+}
+
+function createSubscription(number, kind, contact, priceAtSignup = null) {
+  return {
+    kind,
+    variantId: `${VARIANT}${number}`,
+    contact,
+    channel: contact.includes('@') ? 'email' : 'phone',
+    productHandle: `product-${number}`,
+    priceAtSignup,
+    createdAt: '2026-10-01T08:00:00.000Z',
+  };
+}
+
+function createSummary(counts) {
+  return {
+    sender: 'mock',
+    dryRun: false,
+    variantsChecked: 5,
+    due: 0,
+    sent: 0,
+    failed: 0,
+    removed: 0,
+    ...counts,
+  };
+}
+
+function price(amount) {
+  return {amount, currencyCode: 'USD'};
+}
+
+async function listContacts(store) {
+  const contacts = [];
+  for (const variantId of await store.listVariantIds()) {
+    const subscriptions = await store.listByVariant(variantId);
+    contacts.push(...subscriptions.map((subscription) => subscription.contact));
+  }
+  return contacts.sort();
+}
+
+function sortedContacts(...contacts) {
+  return (
+    contacts.length
+      ? contacts
+      : SUBSCRIPTIONS.map((subscription) => subscription.contact)
+  ).sort();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,97 @@
+import {execFileSync} from 'node:child_process';
+import {mkdtempSync, readFileSync, rmSync} from 'node:fs';
+import {tmpdir} from 'node:os';
+import {join, resolve} from 'node:path';
+import {pathToFileURL} from 'node:url';
+
+const FIXTURE_PATH = resolve('scripts/fixtures/search-catalog-sample.jsonl');
+const BUILD_SCRIPT_PATH = resolve('scripts/build-search-dictionary.js');
+
+// Terms from the fixture's active products, their variants, collections
+// and compatibility metafields.
+const EXPECTED_TERMS = [
+  'spigen',
+  'anker',
+  'charger',
+  'spgs24ublk',
+  'galaxy',
+  'ultra',
+  'samsung',
+];
+// Terms that only appear on the draft product, the product left off the
+// storefront's publication, or their child lines.
+const UNEXPECTED_TERMS = [
+  'belkin',
+  'boost',
+  'pad',
+  'blkqi15wht',
+  'zenfone',
+  'xperia',
+  'ugreen',
+  'stand',
+  'ugrmsgry',
+  'pixel',
+];
+const EXPECTED_HANDLES = ['anker-nano-charger', 'spigen-tough-armor-case'];
+
+// Runs the offline build on the sample export and checks that hidden
+// products and their child lines stay out of both the dictionary and the
+// catalog index.
+async function main() {
+  const outDir = mkdtempSync(join(tmpdir(), 'search-dictionary-'));
+  const failures = [];
+
+  try {
+    execFileSync(
+      process.execPath,
+      [
+        BUILD_SCRIPT_PATH,
+        '--from-jsonl',
+        FIXTURE_PATH,
+        '--out',
+        join(outDir, 'terms.js'),
+      ],
+      {stdio: ['ignore', 'ignore', 'pipe']},
+    );
+
+    const {SEARCH_TERMS} = await import(
+      pathToFileURL(join(outDir, 'terms.js')).href
+    );
+    const terms = new Set(SEARCH_TERMS);
+    const index = JSON.parse(
+      readFileSync(join(outDir, 'search-index.json'), 'utf8'),
+    );
+    const handles = index.products.map(([handle]) => handle);
+
+    EXPECTED_TERMS.filter((term) => !terms.has(term)).forEach((term) =>
+      failures.push(`missing term "${term}"`),
+    );
+    UNEXPECTED_TERMS.filter((term) => terms.has(term)).forEach((term) =>
+      failures.push(`hidden product term "${term}" was included`),
+    );
+    if (JSON.stringify(handles) !== JSON.stringify(EXPECTED_HANDLES)) {
+      failures.push(
+        `index handles: expected ${JSON.stringify(
+          EXPECTED_HANDLES,
+        )}, received ${JSON.stringify(handles)}`,
+      );
+    }
+  } finally {
+    rmSync(outDir, {recursive: true, force: true});
+  }
+
+  if (failures.length) {
+    failures.forEach((failure) => console.error(failure));
+    console.error(`${failures.length} search dictionary check(s) failed.`);
+    process.exit(1);
+  }
+
+  console.warn(
+    `Search dictionary build matched ${EXPECTED_TERMS.length} terms and ${EXPECTED_HANDLES.length} products.`,
+  );
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
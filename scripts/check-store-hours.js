@@ -0,0 +1,208 @@
+import {
+  formatDeliveryPromise,
+  formatStoreStatus,
+  getDaySchedule,
+  getDeliveryPromise,
+  getStoreStatus,
+} from '../app/lib/storeHours.js';
+
+/** @type {import('../app/lib/storeHoursConfig.js').StoreHoursConfig} */
+const CONFIG = {
+  timeZone: 'Asia/Beirut',
+  weekly: {
+    monday: [['10:00', '20:00']],
+    tuesday: [['10:00', '20:00']],
+    wednesday: [['10:00', '20:00']],
+    thursday: [['10:00', '20:00']],
+    friday: [
+      ['10:00', '13:00'],
+      ['15:00', '24:00'],
+    ],
+    saturday: [['10:00', '16:00']],
+    sunday: [],
+  },
+  holidays: [
+    {date: '12-25', name: 'Christmas'},
+    {date: '2026-11-23', name: 'Independence Day'},
+  ],
+  closures: [
+    {
+      from: '2026-12-24',
+      to: '2026-12-26',
+      hours: [['10:00', '14:00']],
+      reason: 'Holiday hours',
+    },
+    {from: '2026-08-03', to: '2026-08-04', hours: [], reason: 'Stock-taking'},
+  ],
+  delivery: {
+    cutoff: '18:00',
+    defaultRegion: 'beirut',
+    regions: {
+      beirut: {label: 'Beirut', minDays: 0, maxDays: 0},
+      lebanon: {label: 'outside Beirut', minDays: 2, maxDays: 3},
+    },
+  },
+};
+
+// `now` values are UTC; Beirut is UTC+2 in winter and UTC+3 in summer.
+const CASES = [
+  {
+    name: 'before cutoff on a weekday',
+    now: '2026-11-19T10:00:00Z',
+    status: 'Open now until 20:00',
+    beirut: 'Order within 6h for same-day delivery in Beirut',
+    lebanon:
+      'Order within 6h to ship today, for delivery outside Beirut by Tuesday',
+    dates: {dispatchDate: '2026-11-19', earliestDate: '2026-11-21'},
+  },
+  {
+    name: 'after cutoff, still open',
+    now: '2026-11-19T17:00:00Z',
+    status: 'Open now until 20:00',
+    beirut: 'Order now for delivery in Beirut tomorrow',
+    dates: {dispatchDate: '2026-11-20', latestDate: '2026-11-20'},
+  },
+  {
+    name: 'between split ranges',
+    now: '2026-11-20T12:00:00Z',
+    status: 'Closed now, opens today at 15:00',
+    beirut: 'Order within 4h for same-day delivery in Beirut',
+  },
+  {
+    name: 'open until a 24:00 close',
+    now: '2026-11-20T21:30:00Z',
+    status: 'Open now until 24:00',
+    beirut: 'Order now for delivery in Beirut tomorrow',
+  },
+  {
+    name: 'past midnight in Beirut, still the day before in UTC',
+    now: '2026-11-20T22:05:00Z',
+    status: 'Closed now, opens today at 10:00',
+    beirut: 'Order within 15h 55m for same-day delivery in Beirut',
+    dates: {today: '2026-11-21', dispatchDate: '2026-11-21'},
+  },
+  {
+    name: 'early closing time before the cutoff',
+    now: '2026-11-21T13:00:00Z',
+    status: 'Open now until 16:00',
+    beirut: 'Order within 1h for same-day delivery in Beirut',
+  },
+  {
+    name: 'closed the day before a Sunday and a holiday',
+    now: '2026-11-21T15:00:00Z',
+    status: 'Closed now, opens on Tuesday at 10:00',
+    beirut: 'Order now for delivery in Beirut on Tuesday',
+    lebanon:
+      'Order now to ship on Tuesday, for delivery outside Beirut by Friday',
+    dates: {dispatchDate: '2026-11-24', earliestDate: '2026-11-26'},
+  },
+  {
+    name: 'on a one-off holiday',
+    now: '2026-11-23T10:00:00Z',
+    status: 'Closed for Independence Day, opens tomorrow at 10:00',
+    beirut: 'Order now for delivery in Beirut tomorrow',
+  },
+  {
+    name: 'inside a closure with short hours',
+    now: '2026-12-24T10:00:00Z',
+    status: 'Open now until 14:00',
+    beirut: 'Order within 2h for same-day delivery in Beirut',
+  },
+  {
+    name: 'after a closure closes, with the next day a holiday inside it',
+    now: '2026-12-24T13:00:00Z',
+    status: 'Closed for Holiday hours, opens tomorrow at 10:00',
+    beirut: 'Order now for delivery in Beirut tomorrow',
+  },
+  {
+    name: 'inside a full closure in summer time',
+    now: '2026-08-03T09:00:00Z',
+    status: 'Closed for Stock-taking, opens on Wednesday at 10:00',
+    lebanon:
+      'Order now to ship on Wednesday, for delivery outside Beirut by Saturday',
+    dates: {dispatchDate: '2026-08-05', earliestDate: '2026-08-07'},
+  },
+  {
+    name: 'the night a closure ends, past midnight in Beirut',
+    now: '2026-08-04T22:30:00Z',
+    status: 'Closed now, opens today at 10:00',
+    beirut: 'Order within 16h 30m for same-day delivery in Beirut',
+  },
+];
+
+const SCHEDULE_CASES = [
+  {
+    date: '2026-12-25',
+    expected: {ranges: [[600, 840]], reason: 'Holiday hours'},
+  },
+  {date: '2027-12-25', expected: {ranges: [], reason: 'Christmas'}},
+  {date: '2027-11-23', expected: {ranges: [[600, 1200]], reason: null}},
+  {
+    date: '2026-11-20',
+    expected: {
+      ranges: [
+        [600, 780],
+        [900, 1440],
+      ],
+      reason: null,
+    },
+  },
+];
+
+// Runs the store hours engine at fixed times against a sample config:
+// cutoffs, split and "24:00" hours, yearly and one-off holidays, closures
+// winning over holidays, working-day counting and the Beirut date boundary.
+function main() {
+  const failures = [];
+  const expect = (label, received, expected) => {
+    if (JSON.stringify(received) !== JSON.stringify(expected)) {
+      failures.push(
+        `${label}: expected ${JSON.stringify(expected)}, received ${JSON.stringify(received)}`,
+      );
+    }
+  };
+
+  CASES.forEach((entry) => {
+    const now = new Date(entry.now);
+    expect(
+      `${entry.name} status`,
+      formatStoreStatus(getStoreStatus(now, CONFIG)),
+      entry.status,
+    );
+
+    for (const region of ['beirut', 'lebanon']) {
+      if (!entry[region]) continue;
+      expect(
+        `${entry.name} ${region} promise`,
+        formatDeliveryPromise(
+          getDeliveryPromise({region, now, config: CONFIG}),
+        ),
+        entry[region],
+      );
+    }
+
+    if (entry.dates) {
+      const region = entry.lebanon ? 'lebanon' : 'beirut';
+      const promise = getDeliveryPromise({region, now, config: CONFIG});
+      Object.entries(entry.dates).forEach(([key, expected]) => {
+        expect(`${entry.name} ${region} ${key}`, promise[key], expected);
+      });
+    }
+  });
+
+  SCHEDULE_CASES.forEach(({date, expected}) => {
+    expect(`schedule for ${date}`, getDaySchedule(date, CONFIG), expected);
+  });
+
+  if (failures.length) {
+    failures.forEach((failure) => console.error(failure));
+    console.error(`${failures.length} store hours check(s) failed.`);
+    process.exit(1);
+  }
+
+  console.warn(
+    `Store hours matched ${CASES.length} times and ${SCHEDULE_CASES.length} schedules.`,
+  );
+}
+
+main();
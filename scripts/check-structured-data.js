@@ -0,0 +1,190 @@
+import {readFileSync} from 'node:fs';
+import {resolve} from 'node:path';
+import {
+  getBreadcrumbJsonLd,
+  getItemListJsonLd,
+  getJsonLdMeta,
+  getLocalBusinessJsonLd,
+  getMenuBreadcrumbTrail,
+  getOrganizationJsonLd,
+  getProductJsonLd,
+} from '../app/lib/structuredData.js';
+
+const FIXTURE_PATH = resolve('scripts/fixtures/structured-data-sample.json');
+const AVAILABILITY_VALUES = new Set([
+  'https://schema.org/InStock',
+  'https://schema.org/OutOfStock',
+]);
+const PRICE_PATTERN = /^\d+\.\d{2}$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// Properties search engines require (or warn about) for each type we emit.
+const REQUIRED_PROPERTIES = {
+  Product: ['@id', 'name', 'url'],
+  Offer: ['url', 'price', 'priceCurrency', 'availability'],
+  AggregateOffer: ['lowPrice', 'highPrice', 'priceCurrency', 'offerCount'],
+  BreadcrumbList: ['itemListElement'],
+  ItemList: ['itemListElement', 'numberOfItems'],
+  ListItem: ['position'],
+  Brand: ['name'],
+  AggregateRating: ['ratingValue', 'reviewCount'],
+  Organization: ['@id', 'name', 'url'],
+  ElectronicsStore: [
+    '@id',
+    'name',
+    'url',
+    'address',
+    'telephone',
+    'openingHoursSpecification',
+  ],
+  PostalAddress: ['streetAddress', 'addressLocality', 'addressCountry'],
+  OpeningHoursSpecification: ['opens', 'closes'],
+  ContactPoint: ['telephone', 'contactType'],
+};
+
+function main() {
+  const fixture = JSON.parse(readFileSync(FIXTURE_PATH, 'utf8'));
+  const failures = [];
+
+  fixture.cases.forEach((entry) => {
+    const schema = buildSchema(entry, fixture.menu);
+    const report = (message) => failures.push(`${entry.name}: ${message}`);
+
+    if (!schema) {
+      report('builder returned no schema');
+      return;
+    }
+
+    const [descriptor] = getJsonLdMeta(schema);
+    const document = JSON.parse(JSON.stringify(descriptor['script:ld+json']));
+    if (document['@context'] !== 'https://schema.org') {
+      report('missing @context');
+    }
+
+    validateNode(document, '$', report);
+
+    for (const [path, expected] of Object.entries(entry.expect || {})) {
+      const received = getPath(document, path);
+      if (JSON.stringify(received ?? null) !== JSON.stringify(expected)) {
+        report(
+          `${path}: expected ${JSON.stringify(expected)}, received ${JSON.stringify(
+            received,
+          )}`,
+        );
+      }
+    }
+  });
+
+  if (failures.length) {
+    failures.forEach((failure) => console.error(failure));
+    console.error(
+      `${failures.length} structured data problem(s) across ${fixture.cases.length} cases.`,
+    );
+    process.exit(1);
+  }
+
+  console.warn(`All ${fixture.cases.length} structured data cases are valid.`);
+}
+
+function buildSchema(entry, menu) {
+  const {input} = entry;
+
+  switch (entry.builder) {
+    case 'product':
+      return getProductJsonLd(input);
+    case 'breadcrumb':
+      return getBreadcrumbJsonLd([
+        ...getMenuBreadcrumbTrail(menu, input.pathnames),
+        input.page,
+      ]);
+    case 'itemList':
+      return getItemListJsonLd(input.products, input.options);
+    case 'organization':
+      return getOrganizationJsonLd(input);
+    case 'localBusiness':
+      return getLocalBusinessJsonLd(input);
+    default:
+      throw new Error(`Unknown builder "${entry.builder}" in ${entry.name}.`);
+  }
+}
+
+/**
+ * Walks a JSON-LD document checking required properties, price and URL
+ * formats, availability values and list positions.
+ */
+function validateNode(node, path, report) {
+  if (Array.isArray(node)) {
+    node.forEach((child, index) =>
+      validateNode(child, `${path}.${index}`, report),
+    );
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+
+  const type = node['@type'];
+  if (type) {
+    for (const property of REQUIRED_PROPERTIES[type] || []) {
+      if (node[property] == null || node[property] === '') {
+        report(`${path} (${type}) is missing ${property}`);
+      }
+    }
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    const childPath = `${path}.${key}`;
+
+    if (value === '' || value === undefined) {
+      report(`${childPath} is empty`);
+    }
+    if (['price', 'lowPrice', 'highPrice'].includes(key)) {
+      if (!PRICE_PATTERN.test(String(value))) {
+        report(`${childPath} is not a decimal price: ${value}`);
+      }
+    }
+    if (key === 'priceCurrency' && !CURRENCY_PATTERN.test(String(value))) {
+      report(`${childPath} is not a currency code: ${value}`);
+    }
+    if (key === 'availability' && !AVAILABILITY_VALUES.has(value)) {
+      report(`${childPath} is not a schema.org availability: ${value}`);
+    }
+    if (['url', 'item', '@id', 'logo'].includes(key)) {
+      if (!/^https:\/\//.test(String(value))) {
+        report(`${childPath} is not an absolute https URL: ${value}`);
+      }
+    }
+  }
+
+  if (type === 'AggregateOffer') {
+    if (Number(node.lowPrice) > Number(node.highPrice)) {
+      report(`${path} lowPrice is above highPrice`);
+    }
+    if (node.offerCount !== node.offers?.length) {
+      report(`${path} offerCount does not match its offers`);
+    }
+  }
+
+  if (Array.isArray(node.itemListElement)) {
+    const positions = node.itemListElement.map((item) => item.position);
+    const isSequential = positions.every(
+      (position, index) => index === 0 || position === positions[index - 1] + 1,
+    );
+    if (!isSequential) {
+      report(`${path}.itemListElement positions are not sequential`);
+    }
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    validateNode(value, `${path}.${key}`, report);
+  }
+}
+
+function getPath(value, path) {
+  return path
+    .split('.')
+    .reduce(
+      (current, key) => (current == null ? undefined : current[key]),
+      value,
+    );
+}
+
+main();